@@ -1,20 +1,68 @@
 // btc-import.js
-// Single-day test import from BTC WordPress to TangoTiempo
+// Single-day and date-range import from an event source (BTC WordPress by default) to TangoTiempo
 
 import axios from 'axios';
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { 
   resolveVenue, 
   resolveOrganizer, 
+  isUnmatchedOrganizer,
+  rememberOrganizer,
   resolveCategory,
   getVenueGeography,
-  getUnmatchedReport
+  getUnmatchedReport,
+  configureResolution,
+  clearResolutionCache,
+  isIgnoredCategory,
+  isCancellationCategory
 } from './entity-resolution.js';
+import { recordUnmatchedEntities } from './unmatched-queue.js';
+import {
+  ProvisionalStatus,
+  buildProvisionalOrganizer,
+  recordProvisionalOrganizer,
+  recordProvisionalOrganizerEvents,
+  getProvisionalOrganizer,
+  resolveProvisionalOrganizer
+} from './provisional-organizers.js';
+import {
+  startRun,
+  recordRunDay,
+  recordRunChange,
+  finishRun,
+  setRunAssessment,
+  setRunGate,
+  getRun,
+  getRollbackBlocker,
+  setRunRollback
+} from './import-runs.js';
+import { acquireImportLock, releaseImportLock } from './import-lock.js';
+import { getGoNoGoGates, GATE_RATES } from './go-nogo-gates.js';
+import {
+  SERIES_OVERRIDE_FIELDS,
+  getSeriesKey,
+  detectSeries,
+  saveDetectedSeries,
+  listSeries,
+  getSeries,
+  getSeriesFields,
+  updateSeries
+} from './event-series.js';
+import { getSourceAdapter } from './import-sources/index.js';
+import { checkTtEvent } from './event-validation.js';
+import { resolveEventTimeZone, computeEventTimes, getLocalDate } from './event-time.js';
+import { sanitizeDescription } from './description-sanitizer.js';
+import { detectCancellation, stripCancellationPrefix } from './event-cancellation.js';
+import { createImageStore, ingestImage, findIngestedImage, canResizeImages } from './image-store.js';
 import { 
   ErrorLogger, 
   ApiErrorHandler, 
+  ConcurrencyPool, 
+  ErrorCategory, 
+  ErrorSeverity, 
   ImportStage 
 } from './error-handler.js';
 
@@ -23,9 +71,13 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Configuration
+// Event source imported when a run does not name one (a registered adapter in import-sources/)
+const DEFAULT_SOURCE_SYSTEM = process.env.IMPORT_SOURCE || 'BTC';
+
 const config = {
-  // WordPress BTC API
-  btcApiBase: process.env.BTC_API_BASE || 'https://bostontangocalendar.com/wp-json/tribe/events/v1',
+  // Event source to import from, and an adapter for sources that are not registered (e.g. an uploaded .ics file)
+  sourceSystem: DEFAULT_SOURCE_SYSTEM,
+  sourceAdapter: null,
   
   // TangoTiempo API
   ttApiBase: process.env.TT_API_BASE || 'http://localhost:3010/api',
@@ -43,7 +95,43 @@ const config = {
   dryRun: process.env.DRY_RUN !== 'false', // Default to dry-run
   
   // Test date in YYYY-MM-DD format
-  testDate: process.env.TEST_DATE || null
+  testDate: process.env.TEST_DATE || null,
+  
+  // Date range in YYYY-MM-DD format (both required for a range import)
+  startDate: process.env.START_DATE || null,
+  endDate: process.env.END_DATE || null,
+  
+  // Resume a range import from its last checkpoint (set to 'false' to start over)
+  resume: process.env.RESUME !== 'false',
+  
+  // Who started the import and how, recorded in the run history
+  operator: process.env.IMPORT_OPERATOR || process.env.USER || 'unknown',
+  trigger: 'cli',
+  
+  // Reason given to run the live phase even though the Go/No-Go dry run failed (logged with the operator)
+  goNoGoOverrideReason: process.env.GO_NOGO_OVERRIDE_REASON || null,
+  
+  // IANA time zone for events whose venue, city and source name none (e.g. 'America/New_York')
+  defaultTimeZone: process.env.IMPORT_TIME_ZONE || null,
+  
+  // Format of imported descriptions once source HTML is sanitized: 'text', 'markdown' or 'html'
+  descriptionFormat: process.env.IMPORT_DESCRIPTION_FORMAT || 'text',
+  
+  // Image store that event images are copied into (e.g. 'local'); unset, events link to the source's images.
+  // Variant widths are comma-separated, empty for none
+  imageStore: process.env.IMAGE_STORE || null,
+  imageVariantWidths: (process.env.IMAGE_VARIANT_WIDTHS ?? '320,800').split(',').map(width => parseInt(width, 10)).filter(width => width > 0),
+  imageMaxBytes: parseInt(process.env.IMAGE_MAX_BYTES || String(10 * 1024 * 1024), 10),
+  
+  // Source events of a day processed at once
+  eventConcurrency: parseInt(process.env.IMPORT_CONCURRENCY || '4', 10),
+  
+  // Limits per API host: calls per second and burst, and the circuit breaker that fails fast when a host is down
+  apiRateLimit: parseFloat(process.env.API_RATE_LIMIT || '5'),
+  apiRateBurst: parseInt(process.env.API_RATE_BURST || '10', 10),
+  apiFailureThreshold: parseInt(process.env.API_CIRCUIT_THRESHOLD || '5', 10),
+  apiCircuitResetMs: parseInt(process.env.API_CIRCUIT_RESET_MS || '30000', 10),
+  apiRetryDelayMs: parseInt(process.env.API_RETRY_DELAY_MS || '1000', 10)
 };
 
 // Create output directory if it doesn't exist
@@ -51,8 +139,192 @@ if (!fs.existsSync(config.outputDir)) {
   fs.mkdirSync(config.outputDir, { recursive: true });
 }
 
-// Initialize API error handler
-const apiHandler = new ApiErrorHandler(3, 1000, 30000);
+// Initialize API error handler; its circuit breakers and rate limits are shared by every call to a host
+const apiHandler = new ApiErrorHandler(3, config.apiRetryDelayMs, 30000, {
+  failureThreshold: config.apiFailureThreshold,
+  resetTimeout: config.apiCircuitResetMs,
+  rate: config.apiRateLimit,
+  burst: config.apiRateBurst
+});
+
+// Entity resolution reads aliases and the category mapping of the configured source, and looks TT
+// entities up behind the same limits as every other TT call
+configureResolution({
+  sourceSystem: config.sourceSystem,
+  execute: (request, url) => apiHandler.executeWithRetry(request, ImportStage.ENTITY_RESOLUTION, { url }, url)
+});
+
+/**
+ * Runs a TT API request with retries, behind the TT host's circuit breaker and rate limit
+ * @param {Function} request - Request function
+ * @param {string} stage - Import stage
+ * @param {Object} context - Log context
+ * @returns {Promise<any>} Response
+ */
+function executeTtRequest(request, stage, context) {
+  return apiHandler.executeWithRetry(request, stage, context, config.ttApiBase);
+}
+
+// Image store event images are copied into, created on first use
+let imageStore = null;
+
+/**
+ * Gets the image of an event to link to: its copy in the image store when one is configured, else the
+ * source's URL. A dry run only looks up copies made by earlier runs, and a failed download links to the
+ * source until a later run succeeds.
+ * @param {Object} sourceEvent - Normalized source event
+ * @returns {Promise<Object|null>} { url, variants }, or null if the event has no image
+ */
+async function getEventImage(sourceEvent) {
+  if (!sourceEvent.imageUrl) {
+    return null;
+  }
+  
+  const sourceImage = { url: sourceEvent.imageUrl, variants: [] };
+  if (!config.imageStore) {
+    return sourceImage;
+  }
+  
+  const logContext = { eventId: sourceEvent.sourceId, imageUrl: sourceEvent.imageUrl };
+  
+  try {
+    if (!imageStore) {
+      imageStore = createImageStore(config.imageStore);
+      if (config.imageVariantWidths.length > 0 && !await canResizeImages()) {
+        ErrorLogger.createAndLogError(
+          `IMAGE_VARIANT_WIDTHS is ${config.imageVariantWidths.join(',')} but sharp could not be loaded; storing originals without variants`,
+          ErrorCategory.SYSTEM,
+          ErrorSeverity.WARNING,
+          ImportStage.LOADING,
+          { imageVariantWidths: config.imageVariantWidths }
+        );
+      }
+    }
+    const image = config.dryRun
+      ? await findIngestedImage(sourceEvent.imageUrl, imageStore)
+      : await ingestImage(sourceEvent.imageUrl, {
+        store: imageStore,
+        execute: (request, url) => apiHandler.executeWithRetry(request, ImportStage.LOADING, logContext, url),
+        variantWidths: config.imageVariantWidths,
+        maxBytes: config.imageMaxBytes
+      });
+    return image ? { url: image.url, variants: image.variants } : sourceImage;
+  } catch (error) {
+    ErrorLogger.createAndLogError(
+      `Could not copy event image, linking to the source's: ${error.message}`,
+      ErrorCategory.API_ACCESS,
+      ErrorSeverity.WARNING,
+      ImportStage.LOADING,
+      logContext,
+      error
+    );
+    return sourceImage;
+  }
+}
+
+// Fields owned by the import; anything else on a TT event (featured flag, owner edits) is left alone
+const SYNC_FIELDS = [
+  'title',
+  'description',
+  'descriptionLinks',
+  'startDate',
+  'endDate',
+  'allDay',
+  'cost',
+  'venueID',
+  'ownerOrganizerID',
+  'ownerOrganizerName',
+  'categoryFirstId',
+  'categoryFirst',
+  'categorySecondId',
+  'categorySecond',
+  'venueGeolocation',
+  'masteredCityId',
+  'masteredCityName',
+  'masteredCityGeolocation',
+  'masteredDivisionId',
+  'masteredDivisionName',
+  'masteredRegionId',
+  'masteredRegionName',
+  'eventImage',
+  'eventImageVariants',
+  'isCanceled',
+  'cancelReason',
+  'expiresAt',
+  'timeZone'
+];
+
+// Fields a recurring series sets on its occurrences (see event-series.js)
+const SERIES_LINK_FIELDS = ['seriesId', 'recurrenceRule', 'isCanceled', ...SERIES_OVERRIDE_FIELDS];
+
+// Set when a stop is requested (e.g. Ctrl-C) so a range import can halt between days
+let stopRequested = false;
+
+/**
+ * Overrides import settings for the next run (used when the import is
+ * triggered from the admin API instead of environment variables)
+ * @param {Object} overrides - Settings to override (dryRun, appId, authToken, resume, ...)
+ * @returns {Object} Effective configuration
+ */
+function configureImport(overrides = {}) {
+  Object.assign(config, overrides);
+  
+  // The source never carries over from an earlier run, since the scheduler and API share this module
+  config.sourceAdapter = overrides.sourceAdapter || null;
+  config.sourceSystem = overrides.sourceAdapter?.sourceSystem || overrides.sourceSystem || DEFAULT_SOURCE_SYSTEM;
+  
+  // Neither does a Go/No-Go override: it is given for one run
+  config.goNoGoOverrideReason = overrides.goNoGoOverrideReason || null;
+  
+  // Entity resolution keeps its own lookup cache, which is per appId and source
+  configureResolution({ appId: config.appId, sourceSystem: config.sourceSystem });
+  
+  return config;
+}
+
+/**
+ * Gets the adapter of the configured event source
+ * @returns {Object} Source adapter
+ */
+function getAdapter() {
+  return config.sourceAdapter || getSourceAdapter(config.sourceSystem);
+}
+
+/**
+ * Gets a file-name-safe form of the configured source system (e.g. 'btc', 'ics-milongas')
+ * @returns {string} Key
+ */
+function getSourceFileKey() {
+  return config.sourceSystem.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+}
+
+/**
+ * Checks whether the running import should stop (Ctrl-C or a cancelled request)
+ * @param {AbortSignal} [signal] - Optional abort signal from the caller
+ * @returns {boolean} True if the import should stop
+ */
+function isStopRequested(signal) {
+  return stopRequested || Boolean(signal && signal.aborted);
+}
+
+/**
+ * Creates a progress reporter that never lets a listener error break the import
+ * @param {Function} [onProgress] - Listener called with each progress event
+ * @returns {Function} Reporter taking an event type and payload
+ */
+function createProgressReporter(onProgress) {
+  return (type, data = {}) => {
+    if (!onProgress) {
+      return;
+    }
+    
+    try {
+      onProgress({ type, timestamp: new Date().toISOString(), ...data });
+    } catch (error) {
+      console.error(`Progress listener failed for ${type}:`, error.message);
+    }
+  };
+}
 
 /**
  * Formats a date as YYYY-MM-DD
@@ -81,35 +353,24 @@ function getTestDate() {
 }
 
 /**
- * Fetches events from BTC WordPress API for a specific date
+ * Fetches events from the configured source for a specific date
  * @param {string} date - Date in YYYY-MM-DD format
- * @returns {Promise<Array>} Array of BTC events
+ * @returns {Promise<Array>} Array of normalized source events
  */
-async function fetchBtcEvents(date) {
-  const logContext = { date };
+async function fetchSourceEvents(date) {
+  const adapter = getAdapter();
+  const logContext = { date, sourceSystem: adapter.sourceSystem };
   
   ErrorLogger.logInfo(
-    `Fetching BTC events for date: ${date}`,
+    `Fetching ${adapter.sourceSystem} events for date: ${date}`,
     ImportStage.EXTRACTION,
     logContext
   );
   
   try {
-    const response = await apiHandler.executeWithRetry(
-      async () => {
-        return await axios.get(`${config.btcApiBase}/events`, {
-          params: {
-            start_date: date,
-            end_date: date,
-            per_page: 50 // Maximum per page
-          }
-        });
-      },
-      ImportStage.EXTRACTION,
-      logContext
-    );
-    
-    const events = response.data.events || [];
+    const { events, payload } = await adapter.fetchEvents(date, {
+      execute: (request, url) => apiHandler.executeWithRetry(request, ImportStage.EXTRACTION, logContext, url)
+    });
     
     ErrorLogger.logInfo(
       `Retrieved ${events.length} events for date: ${date}`,
@@ -118,104 +379,121 @@ async function fetchBtcEvents(date) {
     );
     
     // Save raw event data for reference
-    const rawDataFile = path.join(config.outputDir, `btc-events-${date}.json`);
-    fs.writeFileSync(rawDataFile, JSON.stringify(response.data, null, 2));
+    const rawDataFile = path.join(config.outputDir, `${getSourceFileKey()}-events-${date}.json`);
+    fs.writeFileSync(rawDataFile, JSON.stringify(payload, null, 2));
     
-    return events;
+    return events.map(event => adapter.normalizeEvent(event));
   } catch (error) {
     ErrorLogger.logApiError(
-      `Failed to fetch BTC events for date: ${date}`,
+      `Failed to fetch ${adapter.sourceSystem} events for date: ${date}`,
       ImportStage.EXTRACTION,
       logContext,
       error
     );
+    
+    throw error;
+  }
+}
 
-    // For testing purposes, generate mock data
-    console.log("Using mock event data for testing");
-    const mockEvents = [
-      {
-        id: 12345,
-        title: "Tango Workshop with Instructor",
-        description: "Event description text...",
-        start_date: `${date} 19:00:00`,
-        end_date: `${date} 22:00:00`,
-        utc_start_date: `${date} 23:00:00`,
-        utc_end_date: `${date} 02:00:00`,
-        all_day: false,
-        venue: {
-          id: 678,
-          venue: "Dance Studio A",
-          address: "123 Main St",
-          city: "Boston",
-          state: "MA",
-          zip: "02110"
-        },
-        organizer: {
-          id: 901,
-          organizer: "John Doe",
-          email: "email@example.com"
-        },
-        categories: [
-          {
-            id: 234,
-            name: "Class",
-            slug: "class"
-          }
-        ]
-      },
-      {
-        id: 12346,
-        title: "Milonga Night",
-        description: "Weekly milonga...",
-        start_date: `${date} 20:00:00`,
-        end_date: `${date} 23:30:00`,
-        utc_start_date: `${date} 00:00:00`,
-        utc_end_date: `${date} 03:30:00`,
-        all_day: false,
-        venue: {
-          id: 679,
-          venue: "Tango Center",
-          address: "456 Dance Ave",
-          city: "Boston",
-          state: "MA",
-          zip: "02110"
-        },
-        organizer: {
-          id: 902,
-          organizer: "Jane Smith",
-          email: "email2@example.com"
-        },
-        categories: [
-          {
-            id: 235,
-            name: "Milonga",
-            slug: "milonga"
-          }
-        ]
+// Provisional organizers being created, by source name, so concurrent events share one
+const provisionalOrganizersInFlight = new Map();
+
+/**
+ * Creates an unapproved TT organizer for a source organizer that matched no TT organizer, and adds it to
+ * the approval queue. A dry run creates nothing.
+ * @param {Object} sourceOrganizer - Normalized source organizer
+ * @returns {Promise<Object>} Organizer info: { id, name, matchType: 'provisional' }
+ */
+function createProvisionalOrganizer(sourceOrganizer) {
+  const organizerName = sourceOrganizer.name;
+  if (!provisionalOrganizersInFlight.has(organizerName)) {
+    provisionalOrganizersInFlight.set(organizerName, (async () => {
+      const organizer = buildProvisionalOrganizer(sourceOrganizer, { appId: config.appId, sourceSystem: config.sourceSystem });
+      const logContext = { organizerName, sourceSystem: config.sourceSystem };
+      
+      if (config.dryRun) {
+        ErrorLogger.logInfo(
+          `[DRY RUN] Would create provisional organizer: ${organizer.fullName}`,
+          ImportStage.ENTITY_RESOLUTION,
+          logContext
+        );
+        const organizerInfo = { id: 'dry-run-id', name: organizer.fullName, matchType: 'provisional' };
+        rememberOrganizer(organizerName, organizerInfo);
+        return organizerInfo;
       }
-    ];
-    
-    // Save mock data for reference
-    const mockDataFile = path.join(config.outputDir, `btc-events-${date}.json`);
-    fs.writeFileSync(mockDataFile, JSON.stringify({ events: mockEvents }, null, 2));
-    
-    return mockEvents;
+      
+      const response = await executeTtRequest(
+        async () => {
+          return await axios.post(`${config.ttApiBase}/organizers`, organizer, {
+            headers: config.authToken ? {
+              Authorization: `Bearer ${config.authToken}`
+            } : {}
+          });
+        },
+        ImportStage.ENTITY_RESOLUTION,
+        logContext
+      );
+      const created = response.data.organizer || response.data;
+      
+      const sourceData = Object.fromEntries(Object.entries(sourceOrganizer)
+        .filter(([, value]) => value !== undefined && value !== null && value !== ''));
+      recordProvisionalOrganizer({
+        appId: config.appId,
+        sourceSystem: config.sourceSystem,
+        sourceName: organizerName,
+        sourceData,
+        ttId: created._id,
+        ttName: created.fullName || organizer.fullName,
+        operator: config.operator
+      });
+      
+      ErrorLogger.logInfo(
+        `Created provisional organizer for approval: ${organizer.fullName} (${created._id})`,
+        ImportStage.ENTITY_RESOLUTION,
+        { ...logContext, organizerId: created._id }
+      );
+      
+      const organizerInfo = { id: created._id, name: created.fullName || organizer.fullName, matchType: 'provisional' };
+      rememberOrganizer(organizerName, organizerInfo);
+      return organizerInfo;
+    })().finally(() => provisionalOrganizersInFlight.delete(organizerName)));
+  }
+  
+  return provisionalOrganizersInFlight.get(organizerName);
+}
+
+/**
+ * Records an entity that did not resolve to a real TT entity
+ * @param {Object} result - Entity resolution result
+ * @param {string} entityType - 'venue', 'organizer' or 'category'
+ * @param {Object} hint - Source venue, organizer or category hint
+ * @param {string} reason - 'not_found' or 'fallback'
+ */
+function addUnmatched(result, entityType, hint, reason) {
+  // The hint is kept to pre-fill a new TT entity during review
+  const sourceData = {};
+  for (const [field, value] of Object.entries(hint)) {
+    if (value !== undefined && value !== null && value !== '') {
+      sourceData[field] = value;
+    }
   }
+  
+  result.unmatched.push({ entityType, sourceName: hint.name, sourceData, reason });
 }
 
 /**
- * Resolves all entities for a BTC event
- * @param {Object} btcEvent - BTC event object
+ * Resolves all entities for a source event
+ * @param {Object} sourceEvent - Normalized source event
  * @returns {Promise<Object>} Resolved entities and status
  */
-async function resolveEventEntities(btcEvent) {
+async function resolveEventEntities(sourceEvent) {
   const logContext = { 
-    eventId: btcEvent.id,
-    eventTitle: btcEvent.title
+    eventId: sourceEvent.sourceId,
+    eventTitle: sourceEvent.title
   };
   
   ErrorLogger.logInfo(
-    `Resolving entities for event: ${btcEvent.title} (${btcEvent.id})`,
+    `Resolving entities for event: ${sourceEvent.title} (${sourceEvent.sourceId})`,
     ImportStage.ENTITY_RESOLUTION,
     logContext
   );
@@ -224,37 +502,64 @@ async function resolveEventEntities(btcEvent) {
     resolved: true,
     entities: {},
     geography: null,
+    venueMatch: null,
+    provisionalOrganizerId: null,
+    unmatched: [],
     errors: []
   };
   
   try {
     // Resolve venue
-    if (btcEvent.venue) {
-      const venueId = await resolveVenue(btcEvent.venue);
-      if (venueId) {
+    const { venue, organizer } = sourceEvent;
+    if (venue) {
+      const venueMatch = await resolveVenue(venue);
+      if (venueMatch) {
+        const venueId = venueMatch.id;
         result.entities.venueId = venueId;
+        result.venueMatch = {
+          btcName: venue.name,
+          ttName: venueMatch.name,
+          confidence: venueMatch.confidence,
+          matchType: venueMatch.matchType,
+          needsReview: venueMatch.needsReview
+        };
+        
+        if (venueMatch.matchType === 'fallback') {
+          addUnmatched(result, 'venue', venue, 'fallback');
+        }
+        
+        if (venueMatch.needsReview) {
+          ErrorLogger.logInfo(
+            `Low-confidence venue match: "${venue.name}" -> "${venueMatch.name}" (${venueMatch.matchType}, ${venueMatch.confidence})`,
+            ImportStage.ENTITY_RESOLUTION,
+            { ...logContext, venueId, ...result.venueMatch }
+          );
+        }
         
         // Get venue geography
         const geography = await getVenueGeography(venueId);
         if (geography) {
           result.geography = geography;
         } else {
-          const error = `Failed to retrieve geography for venue: ${btcEvent.venue.venue} (${venueId})`;
+          // Without the venue's geography nothing says where the event is, so it is not imported
+          const error = `Failed to retrieve geography for venue: ${venue.name} (${venueId})`;
           result.errors.push(error);
+          result.resolved = false;
           ErrorLogger.logEntityError(
             error,
             ImportStage.ENTITY_RESOLUTION,
-            { ...logContext, venueId, venueName: btcEvent.venue.venue }
+            { ...logContext, venueId, venueName: venue.name }
           );
         }
       } else {
-        const error = `Venue not found: ${btcEvent.venue.venue}`;
+        const error = `Venue not found: ${venue.name}`;
         result.errors.push(error);
+        addUnmatched(result, 'venue', venue, 'not_found');
         result.resolved = false;
         ErrorLogger.logEntityError(
           error,
           ImportStage.ENTITY_RESOLUTION,
-          { ...logContext, venueName: btcEvent.venue.venue }
+          { ...logContext, venueName: venue.name }
         );
       }
     } else {
@@ -268,20 +573,31 @@ async function resolveEventEntities(btcEvent) {
     }
     
     // Resolve organizer
-    if (btcEvent.organizer) {
-      // Handle organizer as array or direct object
-      const organizerToUse = Array.isArray(btcEvent.organizer) && btcEvent.organizer.length > 0 
-        ? btcEvent.organizer[0] 
-        : btcEvent.organizer;
+    if (organizer) {
+      let organizerInfo = await resolveOrganizer(organizer);
+      let creationError = null;
+      if (!organizerInfo && isUnmatchedOrganizer(organizer.name)) {
+        organizerInfo = await createProvisionalOrganizer(organizer).catch((error) => {
+          creationError = error;
+          return null;
+        });
+      }
       
-      const organizerInfo = await resolveOrganizer(organizerToUse);
       if (organizerInfo) {
         result.entities.organizerId = organizerInfo.id;
         result.entities.organizerName = organizerInfo.name;
+        
+        // Events of a provisional organizer are recorded with it, so merging it can move them
+        if (organizerInfo.matchType === 'provisional' && !config.dryRun) {
+          result.provisionalOrganizerId = organizerInfo.id;
+        }
       } else {
-        const organizerName = organizerToUse.organizer || 'unknown';
-        const error = `Organizer not found: ${organizerName}`;
+        const organizerName = organizer.name;
+        const error = creationError
+          ? `Organizer not found and could not be created: ${organizerName} (${creationError.message})`
+          : `Organizer not found: ${organizerName}`;
         result.errors.push(error);
+        addUnmatched(result, 'organizer', organizer, 'not_found');
         result.resolved = false;
         ErrorLogger.logEntityError(
           error,
@@ -299,25 +615,36 @@ async function resolveEventEntities(btcEvent) {
       );
     }
     
-    // Resolve category (use first category as primary)
-    if (btcEvent.categories && btcEvent.categories.length > 0) {
-      const categoryInfo = await resolveCategory(btcEvent.categories[0]);
+    // Resolve category (use first category as primary); cancellation categories cancel the event instead
+    const categories = sourceEvent.categories.filter(category => !isCancellationCategory(category.name));
+    if (categories.length > 0) {
+      // Deliberately ignored categories are not queued for review
+      for (const category of categories.slice(0, 2)) {
+        if (!isIgnoredCategory(category.name)) {
+          const categoryInfo = await resolveCategory(category);
+          if (!categoryInfo || categoryInfo.matchType === 'fallback') {
+            addUnmatched(result, 'category', category, categoryInfo ? 'fallback' : 'not_found');
+          }
+        }
+      }
+      
+      const categoryInfo = await resolveCategory(categories[0]);
       if (categoryInfo) {
         result.entities.categoryFirstId = categoryInfo.id;
         result.entities.categoryFirst = categoryInfo.name;
       } else {
-        const error = `Category not resolved: ${btcEvent.categories[0].name}`;
+        const error = `Category not resolved: ${categories[0].name}`;
         result.errors.push(error);
         ErrorLogger.logEntityError(
           error,
           ImportStage.ENTITY_RESOLUTION,
-          { ...logContext, categoryName: btcEvent.categories[0].name }
+          { ...logContext, categoryName: categories[0].name }
         );
       }
       
       // Handle secondary category if available
-      if (btcEvent.categories.length > 1) {
-        const secondaryCategoryInfo = await resolveCategory(btcEvent.categories[1]);
+      if (categories.length > 1) {
+        const secondaryCategoryInfo = await resolveCategory(categories[1]);
         if (secondaryCategoryInfo) {
           result.entities.categorySecondId = secondaryCategoryInfo.id;
           result.entities.categorySecond = secondaryCategoryInfo.name;
@@ -336,7 +663,7 @@ async function resolveEventEntities(btcEvent) {
     return result;
   } catch (error) {
     ErrorLogger.logProcessingError(
-      `Error resolving entities for event: ${btcEvent.title}`,
+      `Error resolving entities for event: ${sourceEvent.title}`,
       ImportStage.ENTITY_RESOLUTION,
       logContext,
       error
@@ -349,41 +676,61 @@ async function resolveEventEntities(btcEvent) {
 }
 
 /**
- * Maps a BTC event to TT format
- * @param {Object} btcEvent - BTC event object
+ * Works out the time zone of an event and its times in that zone
+ * @param {Object} sourceEvent - Normalized source event
+ * @param {Object|null} geography - Geography of the resolved venue
+ * @returns {Object} { timeZone, timeZoneSource } plus the times from computeEventTimes
+ */
+function getEventTiming(sourceEvent, geography) {
+  const { timeZone, source } = resolveEventTimeZone(sourceEvent, geography, config.defaultTimeZone);
+  return { timeZone, timeZoneSource: source, ...computeEventTimes(sourceEvent, timeZone) };
+}
+
+/**
+ * Maps a normalized source event to TT format
+ * @param {Object} sourceEvent - Normalized source event
  * @param {Object} resolvedEntities - Resolved entities object
+ * @param {Object} [timing] - Time zone and times of the event (see getEventTiming)
+ * @param {Object|null} [image] - Image to link to (see getEventImage); the source's image by default
  * @returns {Object} TT event object
  */
-function mapBtcEventToTt(btcEvent, resolvedEntities) {
+function mapSourceEventToTt(sourceEvent, resolvedEntities, timing = getEventTiming(sourceEvent, resolvedEntities.geography), image = sourceEvent.imageUrl ? { url: sourceEvent.imageUrl, variants: [] } : null) {
   const logContext = { 
-    eventId: btcEvent.id,
-    eventTitle: btcEvent.title
+    eventId: sourceEvent.sourceId,
+    eventTitle: sourceEvent.title
   };
   
   ErrorLogger.logInfo(
-    `Mapping event: ${btcEvent.title} (${btcEvent.id})`,
+    `Mapping event: ${sourceEvent.title} (${sourceEvent.sourceId})`,
     ImportStage.TRANSFORMATION,
     logContext
   );
   
   try {
-    // Convert dates to ISO format
-    const startDate = new Date(btcEvent.utc_start_date || btcEvent.start_date);
-    const endDate = new Date(btcEvent.utc_end_date || btcEvent.end_date);
+    // Source descriptions can carry WordPress markup, shortcodes and tracking links
+    const description = sanitizeDescription(sourceEvent.description, { format: config.descriptionFormat });
     
-    // Set expiration date (1 day after end date)
-    const expiresAt = new Date(endDate);
-    expiresAt.setDate(expiresAt.getDate() + 1);
+    // Canceled events are imported as canceled, so they stop showing as happening rather than disappearing
+    const cancellation = detectCancellation(sourceEvent, isCancellationCategory);
+    if (cancellation) {
+      ErrorLogger.logInfo(
+        `Event canceled in source: ${cancellation.reason}`,
+        ImportStage.TRANSFORMATION,
+        { ...logContext, signal: cancellation.signal }
+      );
+    }
     
-    // Create TT event object
+    // Create TT event object; times are UTC, computed in the event's own zone
     const ttEvent = {
       appId: config.appId,
-      title: btcEvent.title,
-      description: btcEvent.description,
-      startDate: startDate.toISOString(),
-      endDate: endDate.toISOString(),
-      allDay: btcEvent.all_day || false,
-      cost: btcEvent.cost || null,
+      title: stripCancellationPrefix(sourceEvent.title),
+      description: description.description,
+      descriptionLinks: description.links,
+      startDate: timing.startDate,
+      endDate: timing.endDate,
+      allDay: timing.allDay,
+      timeZone: timing.timeZone,
+      cost: sourceEvent.cost || null,
       
       // Entity references
       venueID: resolvedEntities.entities.venueId,
@@ -409,22 +756,30 @@ function mapBtcEventToTt(btcEvent, resolvedEntities) {
       isOwnerManaged: false,
       isActive: true,
       isFeatured: false,
-      isCanceled: false,
+      isCanceled: Boolean(cancellation),
+      cancelReason: cancellation ? cancellation.reason : null,
       discoveredFirstDate: new Date().toISOString(),
       discoveredLastDate: new Date().toISOString(),
-      discoveredComments: `Imported from BTC event ID: ${btcEvent.id}`,
-      expiresAt: expiresAt.toISOString()
+      discoveredComments: `Imported from ${sourceEvent.sourceSystem} event ID: ${sourceEvent.sourceId}`,
+      sourceSystem: sourceEvent.sourceSystem,
+      sourceEventId: sourceEvent.sourceId,
+      // Expires one calendar day after the event ends, in its zone
+      expiresAt: timing.expiresAt
     };
     
-    // Add image URL if available
-    if (btcEvent.image && btcEvent.image.url) {
-      ttEvent.eventImage = btcEvent.image.url;
+    // Add image URL if available: our copy of the source image, with its resized variants
+    if (image) {
+      ttEvent.eventImage = image.url;
+      ttEvent.eventImageVariants = image.variants;
     }
     
+    // Fingerprint of the imported fields, used to detect source changes on the next sync
+    ttEvent.sourceHash = computeSourceHash(ttEvent);
+    
     return ttEvent;
   } catch (error) {
     ErrorLogger.logProcessingError(
-      `Error mapping event: ${btcEvent.title}`,
+      `Error mapping event: ${sourceEvent.title}`,
       ImportStage.TRANSFORMATION,
       logContext,
       error
@@ -436,137 +791,137 @@ function mapBtcEventToTt(btcEvent, resolvedEntities) {
 /**
  * Validates a TT event object
  * @param {Object} ttEvent - TT event object
- * @returns {Object} Validation result
+ * @param {Object} [timing] - Time zone and times of the event (see getEventTiming); when given,
+ *   times that look shifted are reported as warnings
+ * @param {Object} [geocode] - Where the venue's coordinates came from (see getVenueGeography); when given,
+ *   events without real coordinates fail validation
+ * @returns {Object} Validation result: { valid, errors, warnings }
  */
-function validateTtEvent(ttEvent) {
+function validateTtEvent(ttEvent, timing = null, geocode = null) {
   const logContext = { 
     title: ttEvent.title,
     startDate: ttEvent.startDate
   };
   
-  const result = {
-    valid: true,
-    errors: []
-  };
+  const { valid, issues } = checkTtEvent(ttEvent, timing, geocode);
   
-  // Check required fields
-  const requiredFields = [
-    { field: 'appId', label: 'Application ID' },
-    { field: 'title', label: 'Title' },
-    { field: 'startDate', label: 'Start Date' },
-    { field: 'endDate', label: 'End Date' },
-    { field: 'ownerOrganizerID', label: 'Organizer ID' },
-    { field: 'ownerOrganizerName', label: 'Organizer Name' },
-    { field: 'venueID', label: 'Venue ID' },
-    { field: 'expiresAt', label: 'Expiration Date' }
-  ];
-  
-  for (const { field, label } of requiredFields) {
-    if (!ttEvent[field]) {
-      const error = `Missing required field: ${label}`;
-      result.valid = false;
-      result.errors.push(error);
-      
-      ErrorLogger.logValidationError(
-        error,
-        ImportStage.VALIDATION,
-        { ...logContext, field, label }
-      );
-    }
+  for (const issue of issues) {
+    ErrorLogger.logValidationError(
+      issue.message,
+      ImportStage.VALIDATION,
+      { ...logContext, ...issue.details }
+    );
   }
   
-  // Validate date formats
-  const dateFields = ['startDate', 'endDate', 'expiresAt', 'discoveredFirstDate', 'discoveredLastDate'];
-  
-  for (const field of dateFields) {
-    if (ttEvent[field]) {
-      const date = new Date(ttEvent[field]);
-      if (isNaN(date.getTime())) {
-        const error = `Invalid date format for field: ${field}`;
-        result.valid = false;
-        result.errors.push(error);
-        
-        ErrorLogger.logValidationError(
-          error,
-          ImportStage.VALIDATION,
-          { ...logContext, field, value: ttEvent[field] }
-        );
-      }
-    }
+  return {
+    valid,
+    errors: issues.filter(issue => issue.blocking).map(issue => issue.message),
+    warnings: issues.filter(issue => !issue.blocking).map(issue => issue.message)
+  };
+}
+
+/**
+ * Computes a fingerprint of the import-owned fields of a TT event
+ * @param {Object} ttEvent - TT event object
+ * @returns {string} SHA-1 hash of the synced fields
+ */
+function computeSourceHash(ttEvent) {
+  const values = SYNC_FIELDS.map(field => normalizeSyncValue(field, ttEvent[field]));
+  return crypto.createHash('sha1').update(JSON.stringify(values)).digest('hex');
+}
+
+/**
+ * Normalizes a synced field so TT and freshly mapped values compare equal
+ * @param {string} field - Field name
+ * @param {any} value - Field value
+ * @returns {any} Comparable value
+ */
+function normalizeSyncValue(field, value) {
+  // Events imported before links were extracted have none
+  if (value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return null;
   }
   
-  // Validate relationships
-  if (ttEvent.categoryFirstId && !ttEvent.categoryFirst) {
-    const error = 'Category ID present but category name missing';
-    result.errors.push(error);
-    
-    ErrorLogger.logValidationError(
-      error,
-      ImportStage.VALIDATION,
-      { ...logContext, categoryId: ttEvent.categoryFirstId }
-    );
+  // TT returns populated references for some ID fields
+  if (value && typeof value === 'object' && value._id) {
+    return String(value._id);
   }
   
-  // Check if start date is before end date
-  if (ttEvent.startDate && ttEvent.endDate) {
-    const startDate = new Date(ttEvent.startDate);
-    const endDate = new Date(ttEvent.endDate);
-    
-    if (startDate > endDate) {
-      const error = 'Start date is after end date';
-      result.valid = false;
-      result.errors.push(error);
-      
-      ErrorLogger.logValidationError(
-        error,
-        ImportStage.VALIDATION,
-        { 
-          ...logContext, 
-          startDate: ttEvent.startDate, 
-          endDate: ttEvent.endDate 
-        }
-      );
-    }
+  if (['startDate', 'endDate', 'expiresAt'].includes(field) && value) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? value : date.toISOString();
   }
   
-  return result;
+  return value;
 }
 
 /**
- * Deletes events in TT for a specific date
- * @param {string} date - Date in YYYY-MM-DD format
- * @returns {Promise<number>} Number of deleted events
+ * Gets the source event ID an existing TT event was imported from
+ * @param {Object} ttEvent - Existing TT event
+ * @param {string} sourceSystem - Source being imported
+ * @returns {string|null} Source event ID or null if the event was not imported from this source
  */
-async function deleteEventsForDate(date) {
-  const logContext = { date };
+function getSourceEventId(ttEvent, sourceSystem) {
+  // Events imported before sourceSystem was stored all came from BTC
+  if (ttEvent.sourceEventId && (ttEvent.sourceSystem || 'BTC') === sourceSystem) {
+    return String(ttEvent.sourceEventId);
+  }
   
-  if (config.dryRun) {
-    ErrorLogger.logInfo(
-      `[DRY RUN] Would delete events for date: ${date}`,
-      ImportStage.LOADING,
-      logContext
-    );
-    return 0;
+  // Events imported before the dedicated field existed only carry the ID in the comments
+  const marker = `Imported from ${sourceSystem} event ID: `;
+  const comments = ttEvent.discoveredComments || '';
+  const index = comments.indexOf(marker);
+  return index === -1 ? null : comments.slice(index + marker.length).split(/\s/)[0] || null;
+}
+
+/**
+ * Compares a freshly mapped event with its existing TT event
+ * @param {Object} existingEvent - Existing TT event
+ * @param {Object} ttEvent - Freshly mapped TT event
+ * @returns {Array<string>} Names of the synced fields that changed
+ */
+function getChangedFields(existingEvent, ttEvent) {
+  // Unchanged source data: keep the TT event as is, including any manual edits
+  if (existingEvent.sourceHash && existingEvent.sourceHash === ttEvent.sourceHash) {
+    return existingEvent.isActive === false ? ['isActive'] : [];
   }
   
-  ErrorLogger.logInfo(
-    `Deleting events for date: ${date}`,
-    ImportStage.LOADING,
-    logContext
+  const changed = SYNC_FIELDS.filter(field => 
+    JSON.stringify(normalizeSyncValue(field, existingEvent[field])) !== 
+    JSON.stringify(normalizeSyncValue(field, ttEvent[field]))
   );
   
+  if (existingEvent.isActive === false) {
+    changed.push('isActive');
+  }
+  
+  return changed;
+}
+
+// Widest offsets from UTC (UTC-12 to UTC+14): a local day lies within its UTC day widened by these
+const LOCAL_DAY_MARGIN_MS = 14 * 60 * 60 * 1000;
+
+/**
+ * Fetches the existing TT events that may fall on a local date: events starting on that date in any
+ * time zone, so events whose local date is not their UTC date are found too
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Array>} Existing TT events
+ */
+async function fetchExistingEventsForDate(date) {
+  const logContext = { date };
+  
   try {
-    // First, query events for the date to get counts and IDs
-    const startOfDay = `${date}T00:00:00.000Z`;
-    const endOfDay = `${date}T23:59:59.999Z`;
+    const startOfDay = new Date(Date.parse(`${date}T00:00:00.000Z`) - LOCAL_DAY_MARGIN_MS).toISOString();
+    const endOfDay = new Date(Date.parse(`${date}T23:59:59.999Z`) + LOCAL_DAY_MARGIN_MS).toISOString();
     
-    const queryResponse = await apiHandler.executeWithRetry(
+    const queryResponse = await executeTtRequest(
       async () => {
         return await axios.get(`${config.ttApiBase}/events`, {
           params: {
             appId: config.appId,
             start: startOfDay,
-            end: endOfDay
+            end: endOfDay,
+            limit: 500
           },
           headers: config.authToken ? {
             Authorization: `Bearer ${config.authToken}`
@@ -589,44 +944,10 @@ async function deleteEventsForDate(date) {
     const existingEventsFile = path.join(config.outputDir, `existing-events-${date}.json`);
     fs.writeFileSync(existingEventsFile, JSON.stringify(existingEvents, null, 2));
     
-    // Delete each event
-    let deletedCount = 0;
-    
-    for (const event of existingEvents) {
-      try {
-        await apiHandler.executeWithRetry(
-          async () => {
-            return await axios.delete(`${config.ttApiBase}/events/${event._id}`, {
-              headers: config.authToken ? {
-                Authorization: `Bearer ${config.authToken}`
-              } : {}
-            });
-          },
-          ImportStage.LOADING,
-          { ...logContext, eventId: event._id, title: event.title }
-        );
-        
-        deletedCount++;
-      } catch (error) {
-        ErrorLogger.logApiError(
-          `Failed to delete event: ${event.title} (${event._id})`,
-          ImportStage.LOADING,
-          { ...logContext, eventId: event._id, title: event.title },
-          error
-        );
-      }
-    }
-    
-    ErrorLogger.logInfo(
-      `Deleted ${deletedCount} events for date: ${date}`,
-      ImportStage.LOADING,
-      { ...logContext, count: deletedCount }
-    );
-    
-    return deletedCount;
+    return existingEvents;
   } catch (error) {
     ErrorLogger.logApiError(
-      `Failed to delete events for date: ${date}`,
+      `Failed to fetch existing events for date: ${date}`,
       ImportStage.LOADING,
       logContext,
       error
@@ -636,37 +957,212 @@ async function deleteEventsForDate(date) {
 }
 
 /**
- * Creates a TT event
- * @param {Object} ttEvent - TT event object
- * @returns {Promise<Object>} Created event
+ * Captures the current values of the fields an update will overwrite, so the update can be reverted.
+ * Missing fields are kept as null so that restoring them clears what the update set.
+ * @param {Object} existingEvent - Existing TT event
+ * @param {Object} update - Update about to be applied
+ * @returns {Object} Prior values
+ */
+function snapshotFields(existingEvent, update) {
+  const previous = {};
+  for (const field of Object.keys(update)) {
+    previous[field] = existingEvent[field] === undefined ? null : existingEvent[field];
+  }
+  // Events without the flag are active; restoring null would hide them
+  if ('isActive' in previous && previous.isActive === null) {
+    previous.isActive = true;
+  }
+  return previous;
+}
+
+/**
+ * Records a change made to a TT event in the run history, for rollback
+ * @param {string} runId - Run ID
+ * @param {Object} change - Change details (action, eventId, title, previous)
  */
-async function createEvent(ttEvent) {
+function trackRunChange(runId, change) {
+  if (runId && !config.dryRun) {
+    recordRunHistory(`record change to event ${change.eventId} in import run ${runId}`, () => recordRunChange(runId, change));
+  }
+}
+
+/**
+ * Updates the import-owned fields of an existing TT event
+ * @param {Object} existingEvent - Existing TT event
+ * @param {Object} ttEvent - Freshly mapped TT event
+ * @param {Array<string>} changedFields - Fields that changed
+ * @param {string} [runId] - Import run making the change; tags the event and snapshots its prior state
+ * @returns {Promise<Object>} Updated event
+ */
+async function updateEvent(existingEvent, ttEvent, changedFields, runId) {
   const logContext = { 
+    id: existingEvent._id,
     title: ttEvent.title,
-    startDate: ttEvent.startDate
+    changedFields
+  };
+  
+  const update = {
+    appId: config.appId,
+    isActive: true,
+    discoveredLastDate: new Date().toISOString(),
+    sourceSystem: ttEvent.sourceSystem,
+    sourceEventId: ttEvent.sourceEventId,
+    sourceHash: ttEvent.sourceHash,
+    importRunId: runId || existingEvent.importRunId || null
   };
   
+  for (const field of changedFields) {
+    if (SYNC_FIELDS.includes(field)) {
+      update[field] = ttEvent[field];
+    }
+  }
+  
+  const previous = snapshotFields(existingEvent, update);
+  
   if (config.dryRun) {
     ErrorLogger.logInfo(
-      `[DRY RUN] Would create event: ${ttEvent.title}`,
+      `[DRY RUN] Would update event: ${ttEvent.title} (${existingEvent._id})`,
       ImportStage.LOADING,
       logContext
     );
-    return { 
-      _id: 'dry-run-id', 
-      ...ttEvent,
-      dryRun: true
-    };
+    return { ...existingEvent, ...update, dryRun: true };
   }
   
-  ErrorLogger.logInfo(
-    `Creating event: ${ttEvent.title}`,
-    ImportStage.LOADING,
-    logContext
-  );
-  
   try {
-    const response = await apiHandler.executeWithRetry(
+    const response = await executeTtRequest(
+      async () => {
+        return await axios.put(`${config.ttApiBase}/events/${existingEvent._id}`, update, {
+          params: { appId: config.appId },
+          headers: config.authToken ? {
+            Authorization: `Bearer ${config.authToken}`
+          } : {}
+        });
+      },
+      ImportStage.LOADING,
+      logContext
+    );
+    
+    ErrorLogger.logInfo(
+      `Updated event: ${ttEvent.title} (${existingEvent._id}): ${changedFields.join(', ')}`,
+      ImportStage.LOADING,
+      logContext
+    );
+    
+    trackRunChange(runId, { action: 'updated', eventId: existingEvent._id, title: ttEvent.title, previous });
+    
+    return response.data;
+  } catch (error) {
+    ErrorLogger.logApiError(
+      `Failed to update event: ${ttEvent.title} (${existingEvent._id})`,
+      ImportStage.LOADING,
+      logContext,
+      error
+    );
+    throw error;
+  }
+}
+
+/**
+ * Deactivates a TT event whose source event no longer exists
+ * @param {Object} existingEvent - Existing TT event
+ * @param {string} [runId] - Import run making the change; tags the event and snapshots its prior state
+ * @returns {Promise<Object>} Updated event
+ */
+async function deactivateEvent(existingEvent, runId) {
+  const logContext = { 
+    id: existingEvent._id,
+    title: existingEvent.title
+  };
+  
+  const update = {
+    appId: config.appId,
+    isActive: false,
+    discoveredLastDate: new Date().toISOString(),
+    importRunId: runId || existingEvent.importRunId || null
+  };
+  
+  const previous = snapshotFields(existingEvent, update);
+  
+  if (config.dryRun) {
+    ErrorLogger.logInfo(
+      `[DRY RUN] Would deactivate event removed from ${config.sourceSystem}: ${existingEvent.title} (${existingEvent._id})`,
+      ImportStage.LOADING,
+      logContext
+    );
+    return { ...existingEvent, ...update, dryRun: true };
+  }
+  
+  try {
+    const response = await executeTtRequest(
+      async () => {
+        return await axios.put(`${config.ttApiBase}/events/${existingEvent._id}`, update, {
+          params: { appId: config.appId },
+          headers: config.authToken ? {
+            Authorization: `Bearer ${config.authToken}`
+          } : {}
+        });
+      },
+      ImportStage.LOADING,
+      logContext
+    );
+    
+    ErrorLogger.logInfo(
+      `Deactivated event removed from ${config.sourceSystem}: ${existingEvent.title} (${existingEvent._id})`,
+      ImportStage.LOADING,
+      logContext
+    );
+    
+    trackRunChange(runId, { action: 'removed', eventId: existingEvent._id, title: existingEvent.title, previous });
+    
+    return response.data;
+  } catch (error) {
+    ErrorLogger.logApiError(
+      `Failed to deactivate event: ${existingEvent.title} (${existingEvent._id})`,
+      ImportStage.LOADING,
+      logContext,
+      error
+    );
+    throw error;
+  }
+}
+
+/**
+ * Creates a TT event
+ * @param {Object} ttEvent - TT event object
+ * @param {string} [runId] - Import run creating the event; tags the event so the run can delete it again
+ * @returns {Promise<Object>} Created event
+ */
+async function createEvent(ttEvent, runId) {
+  const logContext = { 
+    title: ttEvent.title,
+    startDate: ttEvent.startDate
+  };
+  
+  if (runId) {
+    ttEvent = { ...ttEvent, importRunId: runId };
+  }
+  
+  if (config.dryRun) {
+    ErrorLogger.logInfo(
+      `[DRY RUN] Would create event: ${ttEvent.title}`,
+      ImportStage.LOADING,
+      logContext
+    );
+    return { 
+      _id: 'dry-run-id', 
+      ...ttEvent,
+      dryRun: true
+    };
+  }
+  
+  ErrorLogger.logInfo(
+    `Creating event: ${ttEvent.title}`,
+    ImportStage.LOADING,
+    logContext
+  );
+  
+  try {
+    const response = await executeTtRequest(
       async () => {
         return await axios.post(`${config.ttApiBase}/events/post`, ttEvent, {
           headers: config.authToken ? {
@@ -686,6 +1182,8 @@ async function createEvent(ttEvent) {
       { ...logContext, id: createdEvent._id }
     );
     
+    trackRunChange(runId, { action: 'created', eventId: createdEvent._id, title: ttEvent.title, previous: null });
+    
     return createdEvent;
   } catch (error) {
     ErrorLogger.logApiError(
@@ -694,23 +1192,187 @@ async function createEvent(ttEvent) {
       logContext,
       error
     );
+    throw error;
+  }
+}
+
+/**
+ * Describes an imported event for series detection
+ * @param {Object} seriesEvent - Mapped TT event with the source values
+ * @param {string} ttEventId - ID of the TT event
+ * @param {Object} current - The TT event as it is after this run
+ * @returns {Object} Series candidate (see detectSeries)
+ */
+function toSeriesCandidate(seriesEvent, ttEventId, current) {
+  return {
+    sourceEventId: seriesEvent.sourceEventId,
+    ttEventId,
+    title: seriesEvent.title,
+    venueID: seriesEvent.venueID,
+    ownerOrganizerID: seriesEvent.ownerOrganizerID,
+    ownerOrganizerName: seriesEvent.ownerOrganizerName,
+    startDate: seriesEvent.startDate,
+    endDate: seriesEvent.endDate,
+    allDay: seriesEvent.allDay,
+    timeZone: seriesEvent.timeZone,
+    current: Object.fromEntries(SERIES_LINK_FIELDS.map(field => [field, current[field] ?? null]))
+  };
+}
+
+/**
+ * Resolves, maps, validates and writes one source event of a day. Events run concurrently, so the
+ * outcome is returned rather than added to the day's lists, and only the shared counters are updated here.
+ * @param {Object} sourceEvent - Normalized source event
+ * @param {Object} day - { date, sourceSystem, existingBySourceId, knownSeries, results, runId } of the day import
+ * @returns {Promise<Object>} { processed, failed, unmatched, seenSourceId, seriesCandidate }; processed or failed is set
+ */
+async function processSourceEvent(sourceEvent, day) {
+  const { date, sourceSystem, existingBySourceId, knownSeries, results, runId } = day;
+  const outcome = {
+    processed: null,
+    failed: null,
+    unmatched: [],
+    seenSourceId: null,
+    seriesCandidate: null,
+    provisionalOrganizerEvent: null
+  };
+  
+  try {
+    // Resolve entities
+    const resolvedEntities = await resolveEventEntities(sourceEvent);
     
-    // For dry run testing, return a mock response
-    return { 
-      _id: 'api-error-mock-id', 
-      ...ttEvent,
-      apiError: error.message,
-      dryRun: true
+    for (const unmatched of resolvedEntities.unmatched) {
+      outcome.unmatched.push({
+        ...unmatched,
+        appId: config.appId,
+        sourceSystem,
+        event: { id: sourceEvent.sourceId, title: sourceEvent.title, date }
+      });
+    }
+    
+    if (resolvedEntities.resolved) {
+      results.entityResolution.success++;
+      
+      // Map to TT format
+      const timing = getEventTiming(sourceEvent, resolvedEntities.geography);
+      const image = await getEventImage(sourceEvent);
+      const ttEvent = mapSourceEventToTt(sourceEvent, resolvedEntities, timing, image);
+      
+      // Series are matched on the source values, before any series-wide edit is applied
+      const seriesEvent = { ...ttEvent };
+      const knownEventSeries = knownSeries.get(getSeriesKey(config.appId, sourceSystem, seriesEvent).seriesId);
+      if (knownEventSeries) {
+        Object.assign(ttEvent, getSeriesFields(knownEventSeries, ttEvent.startDate));
+      }
+      
+      // Validate
+      const validationResult = validateTtEvent(ttEvent, timing, resolvedEntities.geography?.geocode);
+      const warnings = validationResult.warnings.length > 0 ? { warnings: validationResult.warnings } : {};
+      const cancellation = ttEvent.cancelReason ? { cancelReason: ttEvent.cancelReason } : {};
+      
+      if (validationResult.valid) {
+        results.validation.valid++;
+        
+        const existingEvent = existingBySourceId.get(ttEvent.sourceEventId);
+        outcome.seenSourceId = ttEvent.sourceEventId;
+        
+        if (!existingEvent) {
+          const createdEvent = await createEvent(ttEvent, runId);
+          outcome.seriesCandidate = toSeriesCandidate(seriesEvent, createdEvent._id, ttEvent);
+          outcome.processed = {
+            btcId: sourceEvent.sourceId,
+            ttId: createdEvent._id,
+            title: sourceEvent.title,
+            action: 'created',
+            venueMatch: resolvedEntities.venueMatch,
+            ...cancellation,
+            ...warnings,
+            dryRun: config.dryRun
+          };
+          
+          results.ttEvents.created++;
+        } else {
+          const changedFields = getChangedFields(existingEvent, ttEvent);
+          
+          if (changedFields.length > 0) {
+            await updateEvent(existingEvent, ttEvent, changedFields, runId);
+            results.ttEvents.updated++;
+          } else {
+            results.ttEvents.unchanged++;
+          }
+          
+          const updatedFields = changedFields.filter(field => SYNC_FIELDS.includes(field));
+          outcome.seriesCandidate = toSeriesCandidate(seriesEvent, existingEvent._id, {
+            ...existingEvent,
+            ...Object.fromEntries(updatedFields.map(field => [field, ttEvent[field]]))
+          });
+          
+          outcome.processed = {
+            btcId: sourceEvent.sourceId,
+            ttId: existingEvent._id,
+            title: sourceEvent.title,
+            action: changedFields.length > 0 ? 'updated' : 'unchanged',
+            changedFields,
+            venueMatch: resolvedEntities.venueMatch,
+            ...cancellation,
+            ...warnings,
+            dryRun: config.dryRun
+          };
+        }
+        
+        if (resolvedEntities.provisionalOrganizerId) {
+          outcome.provisionalOrganizerEvent = { organizerId: resolvedEntities.provisionalOrganizerId, eventId: outcome.processed.ttId };
+        }
+      } else {
+        results.validation.invalid++;
+        outcome.failed = {
+          btcId: sourceEvent.sourceId,
+          title: sourceEvent.title,
+          stage: 'validation',
+          errors: validationResult.errors
+        };
+        
+        results.ttEvents.failed++;
+      }
+    } else {
+      results.entityResolution.failure++;
+      outcome.failed = {
+        btcId: sourceEvent.sourceId,
+        title: sourceEvent.title,
+        stage: 'entity_resolution',
+        errors: resolvedEntities.errors
+      };
+      
+      results.ttEvents.failed++;
+    }
+    
+    results.btcEvents.processed++;
+  } catch (error) {
+    outcome.failed = {
+      btcId: sourceEvent.sourceId,
+      title: sourceEvent.title,
+      stage: 'processing',
+      error: error.message
     };
+    
+    results.ttEvents.failed++;
+    results.btcEvents.processed++;
   }
+  
+  return outcome;
 }
 
 /**
  * Processes a single day import
  * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} [options] - Run options
+ * @param {Function} [options.onProgress] - Called with progress events as events are processed
+ * @param {AbortSignal} [options.signal] - Stops processing before the next event when aborted
  * @returns {Promise<Object>} Import results
  */
-async function processSingleDayImport(date) {
+async function processSingleDayImport(date, options = {}) {
+  const { signal } = options;
+  const reportProgress = createProgressReporter(options.onProgress);
   const startTime = new Date();
   const results = {
     date,
@@ -722,8 +1384,10 @@ async function processSingleDayImport(date) {
       processed: 0
     },
     ttEvents: {
-      deleted: 0,
       created: 0,
+      updated: 0,
+      unchanged: 0,
+      removed: 0,
       failed: 0
     },
     entityResolution: {
@@ -740,11 +1404,14 @@ async function processSingleDayImport(date) {
   const resultsFile = path.join(config.outputDir, `import-results-${date}.json`);
   
   try {
-    // Step 1: Fetch events from BTC
-    const btcEvents = await fetchBtcEvents(date);
-    results.btcEvents.total = btcEvents.length;
+    // Step 1: Fetch events from the source
+    const sourceSystem = getAdapter().sourceSystem;
+    const sourceEvents = await fetchSourceEvents(date);
+    results.btcEvents.total = sourceEvents.length;
+    
+    reportProgress('day_fetched', { date, total: sourceEvents.length });
     
-    if (btcEvents.length === 0) {
+    if (sourceEvents.length === 0) {
       ErrorLogger.logInfo(
         `No events found for date: ${date}`,
         ImportStage.EXTRACTION,
@@ -758,76 +1425,143 @@ async function processSingleDayImport(date) {
       return results;
     }
     
-    // Step 2: Delete existing events for the date
-    results.ttEvents.deleted = await deleteEventsForDate(date);
+    // Step 2: Index existing TT events imported from this source by their source ID. The lookup spans
+    // neighbouring days, so an event is matched wherever it is, but only events on this local date
+    // (in their own zone, or UTC for events imported without one) can be removed.
+    const existingEvents = await fetchExistingEventsForDate(date);
+    const existingBySourceId = new Map();
+    for (const existingEvent of existingEvents) {
+      const sourceEventId = getSourceEventId(existingEvent, sourceSystem);
+      if (sourceEventId) {
+        existingBySourceId.set(sourceEventId, existingEvent);
+      }
+    }
+    
+    // Series found by earlier runs; their occurrences get the series link and the admin's series-wide edits
+    const knownSeries = new Map(listSeries({ appId: config.appId, sourceSystem }).map(series => [series.seriesId, series]));
     
-    // Step 3: Process each BTC event
+    // Step 3: Create, update or leave each source event
     const processedEvents = [];
     const failedEvents = [];
+    const seenSourceIds = new Set();
+    const unmatchedSightings = [];
+    const seriesCandidates = [];
+    const provisionalOrganizerEvents = [];
     
-    for (const btcEvent of btcEvents) {
-      try {
-        // Resolve entities
-        const resolvedEntities = await resolveEventEntities(btcEvent);
+    // Events run config.eventConcurrency at a time; their outcomes are collected in source order, so the
+    // results do not depend on which event finished first
+    const day = { date, sourceSystem, existingBySourceId, knownSeries, results, runId: options.runId };
+    const outcomes = await new ConcurrencyPool(config.eventConcurrency).map(sourceEvents, async (sourceEvent) => {
+      if (isStopRequested(signal)) {
+        results.cancelled = true;
+        return null;
+      }
+      
+      const outcome = await processSourceEvent(sourceEvent, day);
+      
+      const counters = {
+        processed: results.btcEvents.processed,
+        total: results.btcEvents.total,
+        created: results.ttEvents.created,
+        failed: results.ttEvents.failed
+      };
+      
+      if (outcome.failed) {
+        reportProgress('event_failed', { date, ...outcome.failed, counters });
+      } else {
+        reportProgress('event_resolved', { date, ...outcome.processed, counters });
+      }
+      
+      return outcome;
+    });
+    
+    for (const outcome of outcomes.filter(Boolean)) {
+      if (outcome.processed) {
+        processedEvents.push(outcome.processed);
+      }
+      if (outcome.failed) {
+        failedEvents.push(outcome.failed);
+      }
+      if (outcome.seenSourceId) {
+        seenSourceIds.add(outcome.seenSourceId);
+      }
+      if (outcome.seriesCandidate) {
+        seriesCandidates.push(outcome.seriesCandidate);
+      }
+      if (outcome.provisionalOrganizerEvent) {
+        provisionalOrganizerEvents.push(outcome.provisionalOrganizerEvent);
+      }
+      unmatchedSightings.push(...outcome.unmatched);
+    }
+    
+    // Queue unmatched entities for review across runs
+    try {
+      recordUnmatchedEntities(unmatchedSightings);
+    } catch (error) {
+      ErrorLogger.logSystemError(
+        `Failed to record unmatched entities for date: ${date}`,
+        ImportStage.ENTITY_RESOLUTION,
+        { date, count: unmatchedSightings.length },
+        error
+      );
+    }
+    
+    // Remember which events provisional organizers own, so merging one can move them
+    try {
+      recordProvisionalOrganizerEvents(provisionalOrganizerEvents);
+    } catch (error) {
+      ErrorLogger.logSystemError(
+        `Failed to record events of provisional organizers for date: ${date}`,
+        ImportStage.ENTITY_RESOLUTION,
+        { date, count: provisionalOrganizerEvents.length },
+        error
+      );
+    }
+    
+    // Step 4: Deactivate imported events that the source no longer lists for this date.
+    // Skipped on cancellation because unprocessed events would look removed.
+    const removedEvents = [];
+    
+    if (!results.cancelled) {
+      for (const [sourceEventId, existingEvent] of existingBySourceId) {
+        if (seenSourceIds.has(sourceEventId) || existingEvent.isActive === false) {
+          continue;
+        }
         
-        if (resolvedEntities.resolved) {
-          results.entityResolution.success++;
-          
-          // Map to TT format
-          const ttEvent = mapBtcEventToTt(btcEvent, resolvedEntities);
-          
-          // Validate
-          const validationResult = validateTtEvent(ttEvent);
-          
-          if (validationResult.valid) {
-            results.validation.valid++;
-            
-            // Create event
-            const createdEvent = await createEvent(ttEvent);
-            processedEvents.push({
-              btcId: btcEvent.id,
-              ttId: createdEvent._id,
-              title: btcEvent.title,
-              dryRun: config.dryRun
-            });
-            
-            results.ttEvents.created++;
-          } else {
-            results.validation.invalid++;
-            failedEvents.push({
-              btcId: btcEvent.id,
-              title: btcEvent.title,
-              stage: 'validation',
-              errors: validationResult.errors
-            });
-            
-            results.ttEvents.failed++;
-          }
-        } else {
-          results.entityResolution.failure++;
-          failedEvents.push({
-            btcId: btcEvent.id,
-            title: btcEvent.title,
-            stage: 'entity_resolution',
-            errors: resolvedEntities.errors
-          });
-          
-          results.ttEvents.failed++;
+        if (getLocalDate(existingEvent.startDate, existingEvent.timeZone) !== date) {
+          continue;
         }
         
-        results.btcEvents.processed++;
-      } catch (error) {
-        failedEvents.push({
-          btcId: btcEvent.id,
-          title: btcEvent.title,
-          stage: 'processing',
-          error: error.message
-        });
+        // An event that failed resolution or validation this run is still in the source
+        if (sourceEvents.some(sourceEvent => sourceEvent.sourceId === sourceEventId)) {
+          continue;
+        }
         
-        results.ttEvents.failed++;
-        results.btcEvents.processed++;
+        try {
+          await deactivateEvent(existingEvent, options.runId);
+          removedEvents.push({
+            btcId: sourceEventId,
+            ttId: existingEvent._id,
+            title: existingEvent.title,
+            action: 'removed',
+            dryRun: config.dryRun
+          });
+          results.ttEvents.removed++;
+        } catch (error) {
+          failedEvents.push({
+            btcId: sourceEventId,
+            ttId: existingEvent._id,
+            title: existingEvent.title,
+            stage: 'removal',
+            error: error.message
+          });
+        }
       }
     }
+    processedEvents.push(...removedEvents);
+    
+    // Kept with the day so a resumed range import still detects series across every day
+    results.seriesCandidates = seriesCandidates;
     
     // Save processed and failed events
     const processedEventsFile = path.join(config.outputDir, `processed-events-${date}.json`);
@@ -848,6 +1582,15 @@ async function processSingleDayImport(date) {
     // Save results
     fs.writeFileSync(resultsFile, JSON.stringify(results, null, 2));
     
+    if (options.runId) {
+      recordRunHistory(`record ${date} in import run ${options.runId}`, () => recordRunDay(options.runId, {
+        results,
+        processedEvents,
+        failedEvents,
+        unmatched: unmatchedSightings
+      }));
+    }
+    
     return results;
   } catch (error) {
     ErrorLogger.logSystemError(
@@ -863,80 +1606,1215 @@ async function processSingleDayImport(date) {
     
     fs.writeFileSync(resultsFile, JSON.stringify(results, null, 2));
     
+    if (options.runId) {
+      recordRunHistory(`record ${date} in import run ${options.runId}`, () => recordRunDay(options.runId, {
+        results,
+        processedEvents: [],
+        failedEvents: [],
+        unmatched: []
+      }));
+    }
+    
     throw error;
   }
 }
 
 /**
- * Performs a Go/No-Go assessment based on import results
- * @param {Object} results - Import results
- * @returns {Object} Assessment result
+ * Writes to the run history without letting a storage failure stop the import
+ * @param {string} action - Description of the write, for the log
+ * @param {Function} write - Function performing the write
+ * @returns {any} The write's return value, or null if it failed
  */
-function performGoNoGoAssessment(results) {
-  const assessment = {
-    canProceed: true,
-    metrics: {
-      // Success rates
-      entityResolutionRate: results.entityResolution.success / results.btcEvents.total,
-      validationRate: results.validation.valid / results.entityResolution.success,
-      overallSuccessRate: results.ttEvents.created / results.btcEvents.total,
-      
-      // Failure metrics
-      entityFailureCount: results.entityResolution.failure,
-      validationFailureCount: results.validation.invalid,
-      processingFailureCount: results.ttEvents.failed
-    },
-    thresholds: {
-      minimumResolutionRate: 0.9, // 90%
-      minimumValidationRate: 0.95, // 95%
-      minimumOverallRate: 0.85 // 85%
-    },
-    recommendations: []
-  };
-  
-  // Check success rates against thresholds
-  if (assessment.metrics.entityResolutionRate < assessment.thresholds.minimumResolutionRate) {
-    assessment.canProceed = false;
-    assessment.recommendations.push('Entity resolution rate below threshold. Add missing entities and update mappings.');
-  }
-  
-  if (assessment.metrics.validationRate < assessment.thresholds.minimumValidationRate) {
-    assessment.canProceed = false;
-    assessment.recommendations.push('Validation rate below threshold. Fix data quality issues in mapping process.');
-  }
-  
-  if (assessment.metrics.overallSuccessRate < assessment.thresholds.minimumOverallRate) {
-    assessment.canProceed = false;
-    assessment.recommendations.push('Overall success rate below threshold. Review failed events and address issues.');
+function recordRunHistory(action, write) {
+  try {
+    return write();
+  } catch (error) {
+    ErrorLogger.logSystemError(
+      `Failed to ${action}`,
+      ImportStage.VERIFICATION,
+      {},
+      error
+    );
+    return null;
   }
+}
+
+/**
+ * Starts a run history record for an import of the given days
+ * @param {string} startDate - First day
+ * @param {string} endDate - Last day
+ * @returns {string|null} Run ID, or null if the record could not be written
+ */
+function beginRun(startDate, endDate) {
+  const run = recordRunHistory('start import run record', () => startRun({
+    appId: config.appId,
+    sourceSystem: config.sourceSystem,
+    trigger: config.trigger,
+    operator: config.operator,
+    parameters: {
+      startDate,
+      endDate,
+      dryRun: config.dryRun,
+      resume: config.resume
+    }
+  }));
+  const runId = run ? run.runId : null;
   
-  // Save assessment to file
-  const assessmentFile = path.join(config.outputDir, `go-nogo-assessment-${results.date}.json`);
-  fs.writeFileSync(assessmentFile, JSON.stringify(assessment, null, 2));
-  
-  // Generate report
-  console.log('\nGo/No-Go Assessment:');
-  console.log(`Overall status: ${assessment.canProceed ? 'GO ✅' : 'NO-GO ❌'}`);
-  console.log('\nMetrics:');
-  console.log(`- Entity Resolution Rate: ${(assessment.metrics.entityResolutionRate * 100).toFixed(1)}% (Threshold: ${(assessment.thresholds.minimumResolutionRate * 100).toFixed(1)}%)`);
-  console.log(`- Validation Rate: ${(assessment.metrics.validationRate * 100).toFixed(1)}% (Threshold: ${(assessment.thresholds.minimumValidationRate * 100).toFixed(1)}%)`);
-  console.log(`- Overall Success Rate: ${(assessment.metrics.overallSuccessRate * 100).toFixed(1)}% (Threshold: ${(assessment.thresholds.minimumOverallRate * 100).toFixed(1)}%)`);
+  // Errors logged from here until endRun are filed under this run
+  ErrorLogger.setRunContext({ runId, appId: config.appId, sourceSystem: config.sourceSystem });
   
-  if (assessment.recommendations.length > 0) {
-    console.log('\nRecommendations:');
-    assessment.recommendations.forEach((rec, i) => {
-      console.log(`${i+1}. ${rec}`);
-    });
+  return runId;
+}
+
+/**
+ * Finishes the run history record of an import and stops filing errors under it
+ * @param {string|null} runId - Run ID from beginRun
+ * @param {Object} outcome - { status, results, error } (see finishRun)
+ */
+function endRun(runId, outcome) {
+  if (runId) {
+    recordRunHistory(`finish import run ${runId}`, () => finishRun(runId, outcome));
   }
-  
-  return assessment;
+  ErrorLogger.setRunContext(null);
 }
 
 /**
- * Main function to run the import
+ * Requests that a running range import stops after the current day
+ */
+function requestStop() {
+  stopRequested = true;
+}
+
+/**
+ * Expands a date range into a list of days
+ * @param {string} startDate - First day in YYYY-MM-DD format (inclusive)
+ * @param {string} endDate - Last day in YYYY-MM-DD format (inclusive)
+ * @returns {Array<string>} Days in YYYY-MM-DD format
+ */
+function getDateRange(startDate, endDate) {
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  if (!dateRegex.test(startDate) || !dateRegex.test(endDate)) {
+    throw new Error(`Invalid date range: ${startDate} to ${endDate}. Use YYYY-MM-DD format.`);
+  }
+  
+  const current = new Date(`${startDate}T00:00:00.000Z`);
+  const last = new Date(`${endDate}T00:00:00.000Z`);
+  
+  if (current > last) {
+    throw new Error(`Start date ${startDate} is after end date ${endDate}`);
+  }
+  
+  const dates = [];
+  while (current <= last) {
+    dates.push(formatDate(current));
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+  
+  return dates;
+}
+
+/**
+ * Gets the checkpoint file path for a date range
+ * @param {string} startDate - First day in YYYY-MM-DD format
+ * @param {string} endDate - Last day in YYYY-MM-DD format
+ * @returns {string} Checkpoint file path
+ */
+function getCheckpointFile(startDate, endDate) {
+  // BTC keeps the original name so existing checkpoints can still be resumed
+  const prefix = config.sourceSystem === 'BTC' ? '' : `${getSourceFileKey()}-`;
+  return path.join(config.outputDir, `checkpoint-${prefix}${startDate}_${endDate}.json`);
+}
+
+/**
+ * Loads the checkpoint for a date range
+ * @param {string} startDate - First day in YYYY-MM-DD format
+ * @param {string} endDate - Last day in YYYY-MM-DD format
+ * @returns {Object|null} Checkpoint or null if none exists
+ */
+function loadCheckpoint(startDate, endDate) {
+  const checkpointFile = getCheckpointFile(startDate, endDate);
+  
+  if (!fs.existsSync(checkpointFile)) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(fs.readFileSync(checkpointFile, 'utf8'));
+  } catch (error) {
+    ErrorLogger.logProcessingError(
+      `Unreadable checkpoint file, starting over: ${checkpointFile}`,
+      ImportStage.INITIALIZATION,
+      { startDate, endDate },
+      error
+    );
+    return null;
+  }
+}
+
+/**
+ * Writes the checkpoint for a date range
+ * @param {Object} checkpoint - Checkpoint to save
+ */
+function saveCheckpoint(checkpoint) {
+  const checkpointFile = getCheckpointFile(checkpoint.startDate, checkpoint.endDate);
+  
+  // Write to a temp file first so a crash mid-write never corrupts the checkpoint
+  const tempFile = `${checkpointFile}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(checkpoint, null, 2));
+  fs.renameSync(tempFile, checkpointFile);
+}
+
+/**
+ * Rolls per-day results up into a single combined result
+ * @param {string} startDate - First day in YYYY-MM-DD format
+ * @param {string} endDate - Last day in YYYY-MM-DD format
+ * @param {Array<Object>} dayResults - Results from processSingleDayImport
+ * @returns {Object} Combined results
+ */
+function combineResults(startDate, endDate, dayResults) {
+  const combined = {
+    date: `${startDate}_${endDate}`,
+    dateRange: {
+      start: startDate,
+      end: endDate
+    },
+    startTime: dayResults.length > 0 ? dayResults[0].startTime : new Date().toISOString(),
+    endTime: null,
+    duration: 0,
+    btcEvents: {
+      total: 0,
+      processed: 0
+    },
+    ttEvents: {
+      created: 0,
+      updated: 0,
+      unchanged: 0,
+      removed: 0,
+      failed: 0
+    },
+    entityResolution: {
+      success: 0,
+      failure: 0
+    },
+    validation: {
+      valid: 0,
+      invalid: 0
+    },
+    dryRun: config.dryRun,
+    days: []
+  };
+  
+  for (const day of dayResults) {
+    combined.duration += day.duration || 0;
+    
+    for (const group of ['btcEvents', 'ttEvents', 'entityResolution', 'validation']) {
+      for (const [key, value] of Object.entries(day[group] || {})) {
+        combined[group][key] = (combined[group][key] || 0) + value;
+      }
+    }
+    
+    combined.days.push({
+      date: day.date,
+      btcEvents: day.btcEvents.total,
+      created: day.ttEvents.created,
+      updated: day.ttEvents.updated,
+      unchanged: day.ttEvents.unchanged,
+      removed: day.ttEvents.removed,
+      failed: day.ttEvents.failed,
+      cancelled: Boolean(day.cancelled),
+      error: day.error || null
+    });
+  }
+  
+  combined.endTime = new Date().toISOString();
+  
+  return combined;
+}
+
+/**
+ * Links an occurrence of a series: sets the series ID and rule, and any series-wide edits, on its TT event
+ * @param {Object} candidate - Series candidate of the occurrence
+ * @param {Object} update - Fields to set (see getSeriesFields)
+ * @param {string} [runId] - Import run making the change
+ * @returns {Promise<Object>} Updated event
+ */
+async function linkSeriesOccurrence(candidate, update, runId) {
+  const logContext = {
+    id: candidate.ttEventId,
+    title: candidate.title,
+    seriesId: update.seriesId
+  };
+  
+  const response = await executeTtRequest(
+    async () => {
+      return await axios.put(`${config.ttApiBase}/events/${candidate.ttEventId}`, { ...update, appId: config.appId }, {
+        params: { appId: config.appId },
+        headers: config.authToken ? {
+          Authorization: `Bearer ${config.authToken}`
+        } : {}
+      });
+    },
+    ImportStage.LOADING,
+    logContext
+  );
+  
+  trackRunChange(runId, {
+    action: 'updated',
+    eventId: candidate.ttEventId,
+    title: candidate.title,
+    previous: Object.fromEntries(Object.keys(update).map(field => [field, candidate.current[field]]))
+  });
+  
+  return response.data;
+}
+
+/**
+ * Detects recurring series among the events of a range import and, on live runs, stores them
+ * and links their occurrences in TT. Dry runs only report what they would link.
+ * @param {Array<Object>} dayResults - Results from processSingleDayImport
+ * @param {string} [runId] - Import run
+ * @returns {Promise<Object>} Summary: { detected, linked, failed, series }
+ */
+async function linkEventSeries(dayResults, runId) {
+  const sourceSystem = getAdapter().sourceSystem;
+  const candidates = dayResults.flatMap(day => day.seriesCandidates || []);
+  const summary = { detected: 0, linked: 0, failed: 0, series: [] };
+  
+  if (candidates.length === 0) {
+    return summary;
+  }
+  
+  const detected = detectSeries(candidates, {
+    appId: config.appId,
+    sourceSystem,
+    knownSeries: listSeries({ appId: config.appId, sourceSystem })
+  });
+  summary.detected = detected.length;
+  summary.series = detected.map(series => ({
+    seriesId: series.seriesId,
+    title: series.title,
+    rrule: series.rrule,
+    recurrenceText: series.recurrenceText,
+    occurrences: series.occurrences.length
+  }));
+  
+  if (config.dryRun || detected.length === 0) {
+    return summary;
+  }
+  
+  const saved = saveDetectedSeries(config.appId, sourceSystem, detected);
+  const candidatesBySourceId = new Map(candidates.map(candidate => [candidate.sourceEventId, candidate]));
+  
+  for (const [index, series] of saved.entries()) {
+    for (const occurrence of detected[index].occurrences) {
+      const candidate = candidatesBySourceId.get(occurrence.sourceEventId);
+      const update = getSeriesFields(series, candidate.startDate);
+      const changed = Object.keys(update).some(field =>
+        JSON.stringify(candidate.current[field] ?? null) !== JSON.stringify(update[field] ?? null)
+      );
+      
+      if (!changed) {
+        continue;
+      }
+      
+      try {
+        await linkSeriesOccurrence(candidate, update, runId);
+        summary.linked++;
+      } catch (error) {
+        ErrorLogger.logApiError(
+          `Failed to link event to series ${series.seriesId}: ${candidate.title} (${candidate.ttEventId})`,
+          ImportStage.LOADING,
+          { id: candidate.ttEventId, seriesId: series.seriesId },
+          error
+        );
+        summary.failed++;
+      }
+    }
+  }
+  
+  ErrorLogger.logInfo(
+    `Recurring series: ${summary.detected} detected, ${summary.linked} occurrences linked, ${summary.failed} failed`,
+    ImportStage.LOADING,
+    { detected: summary.detected, linked: summary.linked, failed: summary.failed }
+  );
+  
+  return summary;
+}
+
+/**
+ * Processes a date range import one day at a time, checkpointing after each day
+ * @param {string} startDate - First day in YYYY-MM-DD format (inclusive)
+ * @param {string} endDate - Last day in YYYY-MM-DD format (inclusive)
+ * @param {Object} [options] - Run options
+ * @param {Function} [options.onProgress] - Called with progress events (days and events)
+ * @param {AbortSignal} [options.signal] - Cancels the run before the next event when aborted
+ * @param {boolean} [options.checkpoint] - Set to false to neither resume nor write the range checkpoint
+ *   (the Go/No-Go dry run must not replace the checkpoint of an interrupted live import)
+ * @returns {Promise<Object>} Combined import results
+ */
+async function processDateRangeImport(startDate, endDate, options = {}) {
+  const { signal } = options;
+  const useCheckpoint = options.checkpoint !== false;
+  const reportProgress = createProgressReporter(options.onProgress);
+  const dates = getDateRange(startDate, endDate);
+  const logContext = { startDate, endDate, days: dates.length };
+  
+  let checkpoint = config.resume && useCheckpoint ? loadCheckpoint(startDate, endDate) : null;
+  
+  if (checkpoint && checkpoint.dryRun !== config.dryRun) {
+    // Never mix dry-run and live days in the same report
+    ErrorLogger.logInfo(
+      `Ignoring checkpoint recorded with dryRun=${checkpoint.dryRun}`,
+      ImportStage.INITIALIZATION,
+      logContext
+    );
+    checkpoint = null;
+  } else if (checkpoint && checkpoint.status === 'completed') {
+    // A finished range has nothing to resume; running it again imports it again
+    ErrorLogger.logInfo(
+      'Checkpoint is of a completed import, starting over',
+      ImportStage.INITIALIZATION,
+      logContext
+    );
+    checkpoint = null;
+  }
+  
+  if (checkpoint) {
+    ErrorLogger.logInfo(
+      `Resuming range import after ${checkpoint.lastCompletedDate} (${checkpoint.completedDates.length}/${dates.length} days done)`,
+      ImportStage.INITIALIZATION,
+      { ...logContext, lastCompletedDate: checkpoint.lastCompletedDate }
+    );
+  } else {
+    checkpoint = {
+      startDate,
+      endDate,
+      dryRun: config.dryRun,
+      status: 'in_progress',
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+      lastCompletedDate: null,
+      completedDates: [],
+      dayResults: []
+    };
+  }
+  
+  checkpoint.status = 'in_progress';
+  stopRequested = false;
+  
+  const runId = beginRun(startDate, endDate);
+  const dayOptions = { ...options, runId };
+  
+  // A day interrupted by cancellation is reported but not checkpointed
+  let partialDayResult = null;
+  
+  reportProgress('range_started', {
+    startDate,
+    endDate,
+    daysTotal: dates.length,
+    daysCompleted: checkpoint.completedDates.length
+  });
+  
+  for (const [dayIndex, date] of dates.entries()) {
+    if (checkpoint.completedDates.includes(date)) {
+      continue;
+    }
+    
+    if (isStopRequested(signal)) {
+      checkpoint.status = signal && signal.aborted ? 'cancelled' : 'stopped';
+      break;
+    }
+    
+    reportProgress('day_started', { date, dayIndex, daysTotal: dates.length });
+    
+    let dayResult;
+    try {
+      dayResult = await processSingleDayImport(date, dayOptions);
+    } catch (error) {
+      // processSingleDayImport already logged and saved its own results file;
+      // stop here so the failed day is retried when the import is resumed
+      checkpoint.status = 'failed';
+      checkpoint.error = { date, message: error.message };
+      checkpoint.updatedAt = new Date().toISOString();
+      if (useCheckpoint) {
+        saveCheckpoint(checkpoint);
+      }
+      reportProgress('day_failed', { date, error: error.message });
+      endRun(runId, {
+        status: 'failed',
+        error: `${date}: ${error.message}`
+      });
+      throw error;
+    }
+    
+    if (dayResult.cancelled) {
+      partialDayResult = dayResult;
+      checkpoint.status = 'cancelled';
+      reportProgress('day_cancelled', { date, processed: dayResult.btcEvents.processed });
+      break;
+    }
+    
+    checkpoint.completedDates.push(date);
+    checkpoint.lastCompletedDate = date;
+    checkpoint.dayResults.push(dayResult);
+    checkpoint.updatedAt = new Date().toISOString();
+    delete checkpoint.error;
+    if (useCheckpoint) {
+      saveCheckpoint(checkpoint);
+    }
+    
+    reportProgress('day_completed', {
+      date,
+      dayIndex,
+      daysTotal: dates.length,
+      daysCompleted: checkpoint.completedDates.length,
+      results: dayResult
+    });
+  }
+  
+  if (checkpoint.status === 'in_progress') {
+    checkpoint.status = 'completed';
+  }
+  checkpoint.updatedAt = new Date().toISOString();
+  if (useCheckpoint) {
+    saveCheckpoint(checkpoint);
+  }
+  
+  const reportedDays = partialDayResult
+    ? [...checkpoint.dayResults, partialDayResult]
+    : checkpoint.dayResults;
+  const combined = combineResults(startDate, endDate, reportedDays);
+  combined.status = checkpoint.status;
+  combined.daysCompleted = checkpoint.completedDates.length;
+  combined.daysTotal = dates.length;
+  combined.runId = runId;
+  
+  // Series span days, so they are detected once the whole range has been imported
+  try {
+    combined.series = await linkEventSeries(reportedDays, runId);
+    reportProgress('series_detected', {
+      detected: combined.series.detected,
+      linked: combined.series.linked,
+      failed: combined.series.failed,
+      dryRun: config.dryRun
+    });
+  } catch (error) {
+    ErrorLogger.logSystemError(
+      'Failed to detect recurring series',
+      ImportStage.LOADING,
+      logContext,
+      error
+    );
+    combined.series = { detected: 0, linked: 0, failed: 0, series: [], error: error.message };
+  }
+  
+  endRun(runId, {
+    status: combined.status,
+    results: combined
+  });
+  
+  const reportFile = path.join(config.outputDir, `import-report-${startDate}_${endDate}.json`);
+  fs.writeFileSync(reportFile, JSON.stringify(combined, null, 2));
+  
+  ErrorLogger.logInfo(
+    `Range import ${checkpoint.status}: ${combined.daysCompleted}/${combined.daysTotal} days`,
+    ImportStage.VERIFICATION,
+    { ...logContext, runId, status: checkpoint.status }
+  );
+  
+  reportProgress('range_completed', {
+    status: combined.status,
+    daysCompleted: combined.daysCompleted,
+    daysTotal: combined.daysTotal
+  });
+  
+  return combined;
+}
+
+/**
+ * Fetches the current state of a TT event
+ * @param {string} eventId - TT event ID
+ * @param {string} appId - Application ID
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object|null>} Event, or null if it no longer exists
+ */
+async function fetchEventById(eventId, appId, headers) {
+  try {
+    const response = await executeTtRequest(
+      async () => {
+        return await axios.get(`${config.ttApiBase}/events/id/${eventId}`, {
+          params: { appId },
+          headers
+        });
+      },
+      ImportStage.CLEANUP,
+      { id: eventId }
+    );
+    return response.data;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Reverts one change made by an import run
+ * @param {Object} change - Recorded change (action, eventId, title, previous)
+ * @param {string} runId - Run ID
+ * @param {string} appId - Application ID
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} Outcome: { result: 'deleted'|'restored'|'skipped', reason }
+ */
+async function revertRunChange(change, runId, appId, headers) {
+  const current = await fetchEventById(change.eventId, appId, headers);
+  
+  if (!current) {
+    return change.action === 'created'
+      ? { result: 'deleted', reason: 'Event was already deleted' }
+      : { result: 'skipped', reason: 'Event no longer exists' };
+  }
+  
+  // A later run changed the event again; reverting this run would discard that run's changes
+  if (current.importRunId && current.importRunId !== runId) {
+    return { result: 'skipped', reason: `Event was changed again by import run ${current.importRunId}` };
+  }
+  
+  if (change.action === 'created') {
+    await executeTtRequest(
+      async () => {
+        return await axios.delete(`${config.ttApiBase}/events/${change.eventId}`, {
+          params: { appId },
+          headers
+        });
+      },
+      ImportStage.CLEANUP,
+      { id: change.eventId }
+    );
+    return { result: 'deleted' };
+  }
+  
+  await executeTtRequest(
+    async () => {
+      return await axios.put(`${config.ttApiBase}/events/${change.eventId}`, { ...change.previous, appId }, {
+        params: { appId },
+        headers
+      });
+    },
+    ImportStage.CLEANUP,
+    { id: change.eventId }
+  );
+  return { result: 'restored' };
+}
+
+/**
+ * Rolls back an import run: deletes the events it created and restores the events it updated
+ * or deactivated to their state before the run. Changes are reverted newest first, and events
+ * changed again by a later run are skipped.
+ * @param {string} runId - Run ID
+ * @param {Object} [options] - Rollback options
+ * @param {string} [options.authToken] - Authentication token for the TT API (default: configured token)
+ * @param {string} [options.operator] - Who started the rollback
+ * @returns {Promise<Object>} Rollback summary with per-event outcomes
+ */
+async function rollbackImportRun(runId, options = {}) {
+  const importRun = getRun(runId);
+  
+  if (!importRun) {
+    throw new Error(`Import run not found: ${runId}`);
+  }
+  
+  const blocker = getRollbackBlocker(importRun);
+  if (blocker) {
+    throw new Error(blocker);
+  }
+  
+  const authToken = options.authToken || config.authToken;
+  const headers = authToken ? { Authorization: `Bearer ${authToken}` } : {};
+  const logContext = { runId, appId: importRun.appId };
+  
+  const rollback = {
+    status: 'running',
+    operator: options.operator || config.operator,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    counters: { deleted: 0, restored: 0, skipped: 0, failed: 0 },
+    events: []
+  };
+  setRunRollback(runId, rollback);
+  
+  ErrorLogger.logInfo(
+    `Rolling back import run ${runId}: ${importRun.changes.length} changes`,
+    ImportStage.CLEANUP,
+    logContext
+  );
+  
+  for (const change of [...importRun.changes].reverse()) {
+    const outcome = { eventId: change.eventId, title: change.title, action: change.action };
+    
+    try {
+      Object.assign(outcome, await revertRunChange(change, runId, importRun.appId, headers));
+    } catch (error) {
+      ErrorLogger.logApiError(
+        `Failed to revert ${change.action} event: ${change.title} (${change.eventId})`,
+        ImportStage.CLEANUP,
+        { ...logContext, id: change.eventId },
+        error
+      );
+      Object.assign(outcome, { result: 'failed', reason: error.message });
+    }
+    
+    rollback.counters[outcome.result]++;
+    rollback.events.push(outcome);
+  }
+  
+  rollback.status = rollback.counters.failed > 0 ? 'partial' : 'completed';
+  rollback.finishedAt = new Date().toISOString();
+  setRunRollback(runId, rollback);
+  
+  ErrorLogger.logInfo(
+    `Rolled back import run ${runId}: ${rollback.counters.deleted} deleted, ${rollback.counters.restored} restored, ` +
+    `${rollback.counters.skipped} skipped, ${rollback.counters.failed} failed`,
+    ImportStage.CLEANUP,
+    { ...logContext, ...rollback.counters }
+  );
+  
+  return rollback;
+}
+
+/**
+ * Edits or cancels a whole recurring series: saves the change with the series, so later imports keep it,
+ * and applies it to every occurrence already in TT. Clearing an edit clears the occurrences' source hash,
+ * so the next import writes the source values back.
+ * @param {string} seriesId - Series ID
+ * @param {Object} changes - { overrides, status, reason } (see updateSeries)
+ * @param {Object} [options] - Options
+ * @param {string} [options.authToken] - Authentication token for the TT API (default: configured token)
+ * @param {string} [options.operator] - Who made the change
+ * @returns {Promise<Object>} { series, counters, events } with per-occurrence outcomes
+ */
+async function updateEventSeries(seriesId, changes, options = {}) {
+  if (!getSeries(seriesId)) {
+    throw new Error(`Event series not found: ${seriesId}`);
+  }
+  
+  const operator = options.operator || config.operator;
+  const { previous, series } = updateSeries(seriesId, changes, operator);
+  const authToken = options.authToken || config.authToken;
+  const headers = authToken ? { Authorization: `Bearer ${authToken}` } : {};
+  const logContext = { seriesId, appId: series.appId };
+  
+  const clearedEdit = Object.keys(previous.overrides).some(field => !(field in series.overrides));
+  const resumed = previous.status === 'canceled' && series.status !== 'canceled';
+  const outcome = { series, counters: { updated: 0, skipped: 0, failed: 0 }, events: [] };
+  
+  for (const occurrence of series.occurrences) {
+    const result = { eventId: occurrence.ttEventId, startDate: occurrence.startDate };
+    
+    try {
+      const current = await fetchEventById(occurrence.ttEventId, series.appId, headers);
+      
+      if (!current) {
+        Object.assign(result, { result: 'skipped', reason: 'Event no longer exists' });
+      } else {
+        const update = getSeriesFields(series, current.startDate);
+        if (resumed && new Date(current.startDate) >= new Date(previous.canceledFrom)) {
+          update.isCanceled = false;
+        }
+        if (clearedEdit || resumed) {
+          update.sourceHash = null;
+        }
+        
+        const changed = Object.keys(update).some(field =>
+          JSON.stringify(current[field] ?? null) !== JSON.stringify(update[field] ?? null)
+        );
+        
+        if (changed) {
+          await executeTtRequest(
+            async () => {
+              return await axios.put(`${config.ttApiBase}/events/${occurrence.ttEventId}`, { ...update, appId: series.appId }, {
+                params: { appId: series.appId },
+                headers
+              });
+            },
+            ImportStage.LOADING,
+            { ...logContext, id: occurrence.ttEventId }
+          );
+          Object.assign(result, { result: 'updated' });
+        } else {
+          Object.assign(result, { result: 'skipped', reason: 'Already up to date' });
+        }
+      }
+    } catch (error) {
+      ErrorLogger.logApiError(
+        `Failed to update event ${occurrence.ttEventId} of series ${seriesId}`,
+        ImportStage.LOADING,
+        { ...logContext, id: occurrence.ttEventId },
+        error
+      );
+      Object.assign(result, { result: 'failed', reason: error.message });
+    }
+    
+    outcome.counters[result.result]++;
+    outcome.events.push(result);
+  }
+  
+  ErrorLogger.logInfo(
+    `${operator} changed series ${seriesId} (${series.title}): ${outcome.counters.updated} updated, ` +
+    `${outcome.counters.skipped} skipped, ${outcome.counters.failed} failed`,
+    ImportStage.LOADING,
+    { ...logContext, ...outcome.counters, status: series.status }
+  );
+  
+  return outcome;
+}
+
+/**
+ * Approves an organizer an import created: marks it approved in TT and takes it off the approval queue
+ * @param {string} id - Queue entry ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.authToken] - Authentication token for the TT API (default: configured token)
+ * @param {string} [options.operator] - Who approved it
+ * @returns {Promise<Object>} The updated queue entry
+ */
+async function approveProvisionalOrganizer(id, options = {}) {
+  const entry = getProvisionalOrganizer(id);
+  if (!entry) {
+    throw new Error(`Provisional organizer not found: ${id}`);
+  }
+  if (entry.status !== ProvisionalStatus.PENDING) {
+    throw new Error(`Provisional organizer was already ${entry.status}`);
+  }
+  
+  const operator = options.operator || config.operator;
+  const authToken = options.authToken || config.authToken;
+  const headers = authToken ? { Authorization: `Bearer ${authToken}` } : {};
+  const logContext = { organizerId: entry.ttId, appId: entry.appId };
+  
+  await executeTtRequest(
+    async () => {
+      return await axios.patch(`${config.ttApiBase}/organizers/${entry.ttId}`, { isApproved: true }, {
+        params: { appId: entry.appId },
+        headers
+      });
+    },
+    ImportStage.LOADING,
+    logContext
+  );
+  
+  const approved = resolveProvisionalOrganizer(id, { action: 'approve', operator });
+  
+  ErrorLogger.logInfo(
+    `${operator} approved provisional organizer ${entry.ttName} (${entry.ttId})`,
+    ImportStage.LOADING,
+    logContext
+  );
+  
+  return approved;
+}
+
+/**
+ * Merges an organizer an import created into an existing TT organizer: its events move to that organizer,
+ * it is deleted, and an alias makes later imports use that organizer for the source name. Events changed
+ * to another organizer since are left alone. If any event fails to move, the provisional organizer is
+ * kept in the queue so the merge can be retried.
+ * @param {string} id - Queue entry ID
+ * @param {Object} target - Organizer to merge into: { ttId, ttName }
+ * @param {Object} [options] - Options
+ * @param {string} [options.authToken] - Authentication token for the TT API (default: configured token)
+ * @param {string} [options.operator] - Who merged it
+ * @returns {Promise<Object>} { entry, counters, events } with per-event outcomes
+ */
+async function mergeProvisionalOrganizer(id, { ttId, ttName }, options = {}) {
+  const entry = getProvisionalOrganizer(id);
+  if (!entry) {
+    throw new Error(`Provisional organizer not found: ${id}`);
+  }
+  if (entry.status !== ProvisionalStatus.PENDING) {
+    throw new Error(`Provisional organizer was already ${entry.status}`);
+  }
+  if (!ttId || ttId === entry.ttId) {
+    throw new Error('An organizer to merge into is required');
+  }
+  
+  const operator = options.operator || config.operator;
+  const authToken = options.authToken || config.authToken;
+  const headers = authToken ? { Authorization: `Bearer ${authToken}` } : {};
+  const logContext = { organizerId: entry.ttId, targetId: ttId, appId: entry.appId };
+  const outcome = { entry, counters: { moved: 0, skipped: 0, failed: 0 }, events: [] };
+  
+  for (const eventId of entry.events) {
+    const result = { eventId };
+    
+    try {
+      const current = await fetchEventById(eventId, entry.appId, headers);
+      
+      if (!current) {
+        Object.assign(result, { result: 'skipped', reason: 'Event no longer exists' });
+      } else if (current.ownerOrganizerID !== entry.ttId) {
+        Object.assign(result, { result: 'skipped', reason: 'Event has another organizer' });
+      } else {
+        await executeTtRequest(
+          async () => {
+            return await axios.put(`${config.ttApiBase}/events/${eventId}`, {
+              ownerOrganizerID: ttId,
+              ownerOrganizerName: ttName || current.ownerOrganizerName,
+              appId: entry.appId
+            }, {
+              params: { appId: entry.appId },
+              headers
+            });
+          },
+          ImportStage.LOADING,
+          { ...logContext, id: eventId }
+        );
+        Object.assign(result, { result: 'moved' });
+      }
+    } catch (error) {
+      ErrorLogger.logApiError(
+        `Failed to move event ${eventId} to organizer ${ttId}`,
+        ImportStage.LOADING,
+        { ...logContext, id: eventId },
+        error
+      );
+      Object.assign(result, { result: 'failed', reason: error.message });
+    }
+    
+    outcome.counters[result.result]++;
+    outcome.events.push(result);
+  }
+  
+  if (outcome.counters.failed === 0) {
+    await executeTtRequest(
+      async () => {
+        return await axios.delete(`${config.ttApiBase}/organizers/${entry.ttId}`, {
+          params: { appId: entry.appId },
+          headers
+        });
+      },
+      ImportStage.LOADING,
+      logContext
+    );
+    outcome.entry = resolveProvisionalOrganizer(id, { action: 'merge', ttId, ttName, operator });
+  }
+  
+  ErrorLogger.logInfo(
+    `${operator} merged provisional organizer ${entry.ttName} (${entry.ttId}) into ${ttName || ttId}: ` +
+    `${outcome.counters.moved} moved, ${outcome.counters.skipped} skipped, ${outcome.counters.failed} failed`,
+    ImportStage.LOADING,
+    { ...logContext, ...outcome.counters }
+  );
+  
+  return outcome;
+}
+
+// Go/No-Go gates: each compares a rate of the run with one of the thresholds in go-nogo-gates.js
+const GO_NOGO_CHECKS = [
+  {
+    metric: 'entityResolutionRate',
+    threshold: 'minimumResolutionRate',
+    label: 'Entity Resolution Rate',
+    recommendation: 'Entity resolution rate below threshold. Add missing entities and update mappings.'
+  },
+  {
+    metric: 'validationRate',
+    threshold: 'minimumValidationRate',
+    label: 'Validation Rate',
+    recommendation: 'Validation rate below threshold. Fix data quality issues in mapping process.'
+  },
+  {
+    metric: 'overallSuccessRate',
+    threshold: 'minimumOverallRate',
+    label: 'Overall Success Rate',
+    recommendation: 'Overall success rate below threshold. Review failed events and address issues.'
+  }
+];
+
+/**
+ * Gets a success rate, counting a run with nothing to rate as a full success
+ * @param {number} count - Successful items
+ * @param {number} total - All items
+ * @returns {number} Rate between 0 and 1
+ */
+function getRate(count, total) {
+  return total > 0 ? count / total : 1;
+}
+
+/**
+ * Performs a Go/No-Go assessment based on import results
+ * @param {Object} results - Import results
+ * @param {Object} [gates] - Thresholds to apply (default: the gates saved for the configured app and source)
+ * @returns {Object} Assessment result
+ */
+function performGoNoGoAssessment(results, gates = getGoNoGoGates(config.appId, config.sourceSystem)) {
+  const assessment = {
+    canProceed: true,
+    dryRun: config.dryRun,
+    metrics: {
+      // Success rates
+      entityResolutionRate: getRate(results.entityResolution.success, results.btcEvents.total),
+      validationRate: getRate(results.validation.valid, results.entityResolution.success),
+      overallSuccessRate: getRate(results.ttEvents.created + results.ttEvents.updated + results.ttEvents.unchanged, results.btcEvents.total),
+      
+      // Failure metrics
+      entityFailureCount: results.entityResolution.failure,
+      validationFailureCount: results.validation.invalid,
+      processingFailureCount: results.ttEvents.failed
+    },
+    thresholds: Object.fromEntries(GATE_RATES.map(rate => [rate, gates[rate]])),
+    gates: [],
+    recommendations: []
+  };
+  
+  // Check success rates against thresholds
+  for (const check of GO_NOGO_CHECKS) {
+    const value = assessment.metrics[check.metric];
+    const threshold = assessment.thresholds[check.threshold];
+    const passed = value >= threshold;
+    
+    assessment.gates.push({ metric: check.metric, label: check.label, value, threshold, passed });
+    
+    if (!passed) {
+      assessment.canProceed = false;
+      assessment.recommendations.push(check.recommendation);
+    }
+  }
+  
+  // Save assessment to file
+  const assessmentFile = path.join(config.outputDir, `go-nogo-assessment-${results.date}.json`);
+  fs.writeFileSync(assessmentFile, JSON.stringify(assessment, null, 2));
+  
+  if (results.runId) {
+    recordRunHistory(`store assessment of import run ${results.runId}`, () => setRunAssessment(results.runId, assessment));
+  }
+  
+  // Generate report
+  console.log('\nGo/No-Go Assessment:');
+  console.log(`Overall status: ${assessment.canProceed ? 'GO ✅' : 'NO-GO ❌'}`);
+  console.log('\nMetrics:');
+  for (const gate of assessment.gates) {
+    console.log(`- ${gate.label}: ${(gate.value * 100).toFixed(1)}% (Threshold: ${(gate.threshold * 100).toFixed(1)}%)`);
+  }
+  
+  if (assessment.recommendations.length > 0) {
+    console.log('\nRecommendations:');
+    assessment.recommendations.forEach((rec, i) => {
+      console.log(`${i+1}. ${rec}`);
+    });
+  }
+  
+  return assessment;
+}
+
+/**
+ * Runs an import behind its Go/No-Go gate. When the gates of the app and source require it, a live import
+ * first runs as a dry run, and the live phase only starts if that dry run's assessment passes, or if an
+ * admin overrode the failed gate with a reason (`goNoGoOverrideReason`), which is logged and kept in the
+ * run history. Dry runs, and live runs whose gates do not require a dry run, run once and are assessed.
+ * @param {Function} runImport - Runs the import with the current settings and returns its results (with runId);
+ *   receives `{ checkpoint: false }` for the dry-run phase
+ * @param {Object} [options] - Run options
+ * @param {Function} [options.onProgress] - Called with gate progress events
+ * @returns {Promise<Object>} { results, assessment, gate }, where gate.blocked means the live phase was refused
+ *   and results are those of the dry run
+ */
+async function runGatedImport(runImport, options = {}) {
+  const reportProgress = createProgressReporter(options.onProgress);
+  const gates = getGoNoGoGates(config.appId, config.sourceSystem);
+  const logContext = { appId: config.appId, sourceSystem: config.sourceSystem, operator: config.operator };
+  
+  // Stopped or cancelled runs are not assessed
+  const assess = (results) => (!results.status || results.status === 'completed'
+    ? performGoNoGoAssessment(results, gates)
+    : null);
+  
+  if (config.dryRun || !gates.requireDryRun) {
+    const results = await runImport({});
+    return { results, assessment: assess(results), gate: null };
+  }
+  
+  // Phase 1: the same import as a dry run
+  reportProgress('gate_started', { thresholds: Object.fromEntries(GATE_RATES.map(rate => [rate, gates[rate]])) });
+  ErrorLogger.logInfo('Running the Go/No-Go dry run before the live import', ImportStage.INITIALIZATION, logContext);
+  
+  let gateResults;
+  try {
+    config.dryRun = true;
+    gateResults = await runImport({ checkpoint: false });
+  } finally {
+    config.dryRun = false;
+    // The dry run's lookups include stand-ins for the provisional organizers it did not create
+    clearResolutionCache();
+  }
+  
+  const gateAssessment = assess(gateResults);
+  const gate = {
+    passed: Boolean(gateAssessment?.canProceed),
+    blocked: false,
+    override: null,
+    gateRunId: gateResults.runId || null,
+    liveRunId: null,
+    assessment: gateAssessment
+  };
+  
+  if (!gateAssessment) {
+    gate.blocked = true;
+    gate.reason = `The Go/No-Go dry run was ${gateResults.status}`;
+  } else if (!gateAssessment.canProceed) {
+    const reason = config.goNoGoOverrideReason?.trim();
+    if (reason) {
+      gate.override = { reason, operator: config.operator, overriddenAt: new Date().toISOString() };
+      ErrorLogger.logInfo(
+        `Go/No-Go gate failed and was overridden by ${config.operator}: ${reason}`,
+        ImportStage.INITIALIZATION,
+        { ...logContext, reason, gateRunId: gate.gateRunId, recommendations: gateAssessment.recommendations }
+      );
+    } else {
+      gate.blocked = true;
+      gate.reason = 'The Go/No-Go dry run failed its gates';
+    }
+  }
+  
+  // Both runs keep the gate outcome; the assessment itself is already stored on the dry run
+  const recordGate = (runId, phase) => {
+    if (runId) {
+      recordRunHistory(`store gate of import run ${runId}`, () => setRunGate(runId, {
+        phase,
+        passed: gate.passed,
+        blocked: gate.blocked,
+        reason: gate.reason || null,
+        override: gate.override,
+        gateRunId: gate.gateRunId,
+        liveRunId: gate.liveRunId
+      }));
+    }
+  };
+  recordGate(gate.gateRunId, 'dry_run');
+  
+  if (gate.blocked) {
+    ErrorLogger.logInfo(
+      `Live import refused: ${gate.reason}. Nothing was written to TT.`,
+      ImportStage.INITIALIZATION,
+      { ...logContext, gateRunId: gate.gateRunId, recommendations: gateAssessment?.recommendations || [] }
+    );
+    reportProgress('gate_blocked', { reason: gate.reason, recommendations: gateAssessment?.recommendations || [] });
+    return { results: gateResults, assessment: gateAssessment, gate };
+  }
+  
+  reportProgress(gate.override ? 'gate_overridden' : 'gate_passed', { override: gate.override });
+  
+  // Phase 2: the live import
+  const results = await runImport({});
+  gate.liveRunId = results.runId || null;
+  recordGate(gate.gateRunId, 'dry_run');
+  recordGate(gate.liveRunId, 'live');
+  
+  return { results, assessment: assess(results), gate };
+}
+
+/**
+ * Processes a date range import behind its Go/No-Go gate (see runGatedImport)
+ * @param {string} startDate - First day in YYYY-MM-DD format (inclusive)
+ * @param {string} endDate - Last day in YYYY-MM-DD format (inclusive)
+ * @param {Object} [options] - Run options (see processDateRangeImport)
+ * @returns {Promise<Object>} { results, assessment, gate }
+ */
+async function processGatedRangeImport(startDate, endDate, options = {}) {
+  return runGatedImport(phase => processDateRangeImport(startDate, endDate, { ...options, ...phase }), options);
+}
+
+/**
+ * Prints why the live phase of an import was refused, and sets a failing exit code
+ * @param {Object} gate - Gate outcome from runGatedImport
+ */
+function reportBlockedGate(gate) {
+  console.error(`\nLive import refused: ${gate.reason}. Nothing was written to TT.`);
+  console.error('Fix the issues above and run again, or set GO_NOGO_OVERRIDE_REASON to run the live import anyway.');
+  process.exitCode = 1;
+}
+
+/**
+ * Main function to run a date-range import (START_DATE and END_DATE)
+ */
+async function runRange() {
+  const { startDate, endDate } = config;
+  
+  console.log(`Starting range import: ${startDate} to ${endDate}`);
+  console.log(`Dry run mode: ${config.dryRun}`);
+  console.log(`Resume from checkpoint: ${config.resume}`);
+  console.log(`Output directory: ${config.outputDir}`);
+  
+  // Finish the current day and checkpoint on Ctrl-C; a second Ctrl-C exits immediately
+  const handleSigint = () => {
+    if (stopRequested) {
+      console.log('\nForced exit. Resume will restart from the last checkpoint.');
+      process.exit(130);
+    }
+    console.log('\nStop requested. Finishing the current day before exiting...');
+    requestStop();
+  };
+  process.on('SIGINT', handleSigint);
+  
+  try {
+    // Live imports run as a dry run first when their Go/No-Go gates require it
+    const { results, assessment, gate } = await processGatedRangeImport(startDate, endDate);
+    
+    // Print summary
+    console.log('\nRange Import Summary:');
+    console.log(`Run ID: ${results.runId}`);
+    console.log(`Date Range: ${startDate} to ${endDate}`);
+    console.log(`Status: ${results.status} (${results.daysCompleted}/${results.daysTotal} days)`);
+    console.log(`Duration: ${results.duration.toFixed(2)} seconds`);
+    console.log(`${config.sourceSystem} Events Total: ${results.btcEvents.total}`);
+    console.log(`${config.sourceSystem} Events Processed: ${results.btcEvents.processed}`);
+    console.log(`TT Events Created: ${results.ttEvents.created}`);
+    console.log(`TT Events Updated: ${results.ttEvents.updated}`);
+    console.log(`TT Events Unchanged: ${results.ttEvents.unchanged}`);
+    console.log(`TT Events Removed: ${results.ttEvents.removed}`);
+    console.log(`TT Events Failed: ${results.ttEvents.failed}`);
+    
+    if (gate?.blocked) {
+      reportBlockedGate(gate);
+      return { results, assessment, gate };
+    }
+    
+    if (results.status !== 'completed') {
+      console.log(`\nImport ${results.status}. Run the same command again to resume after the last completed day.`);
+      return { results, assessment: null, gate };
+    }
+    
+    console.log('\nResult files:');
+    console.log(`- Combined Report: ${path.join(config.outputDir, `import-report-${startDate}_${endDate}.json`)}`);
+    console.log(`- Checkpoint: ${getCheckpointFile(startDate, endDate)}`);
+    console.log(`- Per-day files: ${config.outputDir}/*-{YYYY-MM-DD}.json`);
+    
+    return {
+      results,
+      assessment,
+      gate
+    };
+  } finally {
+    process.off('SIGINT', handleSigint);
+  }
+}
+
+/**
+ * Main function to run the import
  */
 async function run() {
+  // The admin app and its scheduler share this lock, so a CLI run never overlaps theirs
+  const lock = acquireImportLock({ owner: `cli:${config.operator}`, appId: config.appId });
+  if (!lock) {
+    console.error('Another import is already running. Try again when it has finished.');
+    process.exit(1);
+  }
+  
   try {
+    if (config.startDate && config.endDate) {
+      return await runRange();
+    }
+    
     // Get test date
     const testDate = getTestDate();
     
@@ -944,30 +2822,52 @@ async function run() {
     console.log(`Dry run mode: ${config.dryRun}`);
     console.log(`Output directory: ${config.outputDir}`);
     
-    // Process the single day import
-    const results = await processSingleDayImport(testDate);
+    // Process the single day import, behind its Go/No-Go gate like a range
+    const { results, assessment, gate } = await runGatedImport(async () => {
+      const runId = beginRun(testDate, testDate);
+      let dayResults;
+      try {
+        dayResults = await processSingleDayImport(testDate, { runId });
+      } catch (error) {
+        endRun(runId, { status: 'failed', error: error.message });
+        throw error;
+      }
+      dayResults.runId = runId;
+      endRun(runId, {
+        status: 'completed',
+        results: { ...dayResults, daysCompleted: 1, daysTotal: 1 }
+      });
+      return dayResults;
+    });
+    
+    // The counters are the dry run's; only the refusal and the assessment that caused it are reported
+    if (gate?.blocked) {
+      reportBlockedGate(gate);
+      console.error(`Go/No-Go Assessment: ${path.join(config.outputDir, `go-nogo-assessment-${results.date}.json`)}`);
+      return { results, assessment, gate };
+    }
     
     // Print summary
     console.log('\nImport Summary:');
+    console.log(`Run ID: ${results.runId}`);
     console.log(`Date: ${results.date}`);
     console.log(`Duration: ${results.duration.toFixed(2)} seconds`);
-    console.log(`BTC Events Total: ${results.btcEvents.total}`);
-    console.log(`BTC Events Processed: ${results.btcEvents.processed}`);
-    console.log(`TT Events Deleted: ${results.ttEvents.deleted}`);
+    console.log(`${config.sourceSystem} Events Total: ${results.btcEvents.total}`);
+    console.log(`${config.sourceSystem} Events Processed: ${results.btcEvents.processed}`);
     console.log(`TT Events Created: ${results.ttEvents.created}`);
+    console.log(`TT Events Updated: ${results.ttEvents.updated}`);
+    console.log(`TT Events Unchanged: ${results.ttEvents.unchanged}`);
+    console.log(`TT Events Removed: ${results.ttEvents.removed}`);
     console.log(`TT Events Failed: ${results.ttEvents.failed}`);
     console.log(`Entity Resolution Success: ${results.entityResolution.success}`);
     console.log(`Entity Resolution Failure: ${results.entityResolution.failure}`);
     console.log(`Validation Valid: ${results.validation.valid}`);
     console.log(`Validation Invalid: ${results.validation.invalid}`);
     
-    // Perform Go/No-Go assessment
-    const assessment = performGoNoGoAssessment(results);
-    
     // Print result files
     console.log('\nResult files:');
     console.log(`- Import Results: ${path.join(config.outputDir, `import-results-${results.date}.json`)}`);
-    console.log(`- BTC Events: ${path.join(config.outputDir, `btc-events-${results.date}.json`)}`);
+    console.log(`- ${config.sourceSystem} Events: ${path.join(config.outputDir, `${getSourceFileKey()}-events-${results.date}.json`)}`);
     console.log(`- Processed Events: ${path.join(config.outputDir, `processed-events-${results.date}.json`)}`);
     console.log(`- Failed Events: ${path.join(config.outputDir, `failed-events-${results.date}.json`)}`);
     console.log(`- Unmatched Entities: ${path.join(config.outputDir, `unmatched-entities-${results.date}.json`)}`);
@@ -975,11 +2875,15 @@ async function run() {
     
     return {
       results,
-      assessment
+      assessment,
+      gate
     };
   } catch (error) {
     console.error('Import failed:', error.message);
+    releaseImportLock(lock.lockId);
     process.exit(1);
+  } finally {
+    releaseImportLock(lock.lockId);
   }
 }
 
@@ -990,12 +2894,23 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 
 export {
   run,
+  configureImport,
   processSingleDayImport,
-  fetchBtcEvents,
+  processDateRangeImport,
+  processGatedRangeImport,
+  runGatedImport,
+  requestStop,
+  fetchSourceEvents,
   resolveEventEntities,
-  mapBtcEventToTt,
+  mapSourceEventToTt,
   validateTtEvent,
-  deleteEventsForDate,
+  fetchExistingEventsForDate,
   createEvent,
+  updateEvent,
+  deactivateEvent,
+  rollbackImportRun,
+  updateEventSeries,
+  approveProvisionalOrganizer,
+  mergeProvisionalOrganizer,
   performGoNoGoAssessment
 };
\ No newline at end of file
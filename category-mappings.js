@@ -0,0 +1,124 @@
+// category-mappings.js
+// Per-application mapping of source categories to TT categories, editable from the admin UI
+
+import { readStore, updateStore } from './import-store.js';
+import { categoryNameMap, ignoredCategories, cancellationCategories } from './public/importingBTC/categoryMapping.js';
+
+const STORE_NAME = 'category-mappings';
+
+/**
+ * Gets the built-in mapping used until an app saves its own
+ * @param {string} appId - Application ID
+ * @param {string} sourceSystem - Source system (e.g. 'BTC')
+ * @returns {Object} Default mapping
+ */
+export function getDefaultCategoryMapping(appId, sourceSystem = 'BTC') {
+  return {
+    appId: String(appId),
+    sourceSystem,
+    mappings: { ...categoryNameMap },
+    ignored: Array.from(ignoredCategories),
+    canceled: Array.from(cancellationCategories),
+    updatedAt: null,
+    isDefault: true
+  };
+}
+
+/**
+ * Gets the category mapping for an app
+ * @param {string} appId - Application ID
+ * @param {string} sourceSystem - Source system (e.g. 'BTC')
+ * @returns {Object} Mapping with `mappings` (source name -> TT category name), `ignored` (source names) and
+ *   `canceled` (source names that mark events canceled)
+ */
+export function getCategoryMapping(appId, sourceSystem = 'BTC') {
+  const stored = readStore(STORE_NAME, {})[`${appId}|${sourceSystem}`];
+  if (!stored) {
+    return getDefaultCategoryMapping(appId, sourceSystem);
+  }
+
+  // Mappings saved before cancellation categories existed ignored "Canceled"; they use the defaults
+  if (!stored.canceled) {
+    return {
+      ...stored,
+      ignored: stored.ignored.filter(name => !cancellationCategories.has(name)),
+      canceled: Array.from(cancellationCategories),
+      isDefault: false
+    };
+  }
+
+  return { ...stored, isDefault: false };
+}
+
+/**
+ * Saves the category mapping for an app
+ * @param {string} appId - Application ID
+ * @param {Object} mapping - Mapping to save
+ * @param {Object} mapping.mappings - Source category name -> TT category name
+ * @param {Array<string>} mapping.ignored - Source category names that are never imported
+ * @param {Array<string>} [mapping.canceled] - Source category names that mark events canceled (default the built-in list)
+ * @param {string} sourceSystem - Source system (e.g. 'BTC')
+ * @returns {Object} The saved mapping
+ */
+export function saveCategoryMapping(appId, { mappings, ignored, canceled }, sourceSystem = 'BTC') {
+  if (!appId) {
+    throw new Error('appId is required');
+  }
+
+  if (!mappings || typeof mappings !== 'object' || Array.isArray(mappings)) {
+    throw new Error('mappings must be an object of source category name to TT category name');
+  }
+
+  const cleanMappings = {};
+  for (const [sourceName, ttName] of Object.entries(mappings)) {
+    if (!sourceName.trim() || typeof ttName !== 'string' || !ttName.trim()) {
+      throw new Error(`Invalid mapping for source category "${sourceName}"`);
+    }
+    cleanMappings[sourceName.trim()] = ttName.trim();
+  }
+
+  const cleanIgnored = [...new Set((ignored || []).map(name => String(name).trim()).filter(Boolean))];
+  const conflicts = cleanIgnored.filter(name => cleanMappings[name]);
+  if (conflicts.length > 0) {
+    throw new Error(`Categories cannot be both mapped and ignored: ${conflicts.join(', ')}`);
+  }
+
+  const cleanCanceled = canceled === undefined
+    ? Array.from(cancellationCategories)
+    : [...new Set(canceled.map(name => String(name).trim()).filter(Boolean))];
+  const canceledConflicts = cleanCanceled.filter(name => cleanMappings[name] || cleanIgnored.includes(name));
+  if (canceledConflicts.length > 0) {
+    throw new Error(`Cancellation categories cannot be mapped or ignored: ${canceledConflicts.join(', ')}`);
+  }
+
+  const saved = {
+    appId: String(appId),
+    sourceSystem,
+    mappings: cleanMappings,
+    ignored: cleanIgnored,
+    canceled: cleanCanceled,
+    updatedAt: new Date().toISOString()
+  };
+
+  updateStore(STORE_NAME, {}, stored => ({ ...stored, [`${saved.appId}|${sourceSystem}`]: saved }));
+
+  return { ...saved, isDefault: false };
+}
+
+/**
+ * Maps a source category name with a mapping
+ * @param {Object} mapping - Mapping from getCategoryMapping
+ * @param {string} sourceName - Source category name
+ * @returns {string|null} TT category name or null if ignored or unmapped
+ */
+export function mapCategoryName(mapping, sourceName) {
+  if (mapping.ignored.includes(sourceName) || (mapping.canceled || []).includes(sourceName)) return null;
+  return mapping.mappings[sourceName] || null;
+}
+
+export default {
+  getDefaultCategoryMapping,
+  getCategoryMapping,
+  saveCategoryMapping,
+  mapCategoryName
+};
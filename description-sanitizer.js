@@ -0,0 +1,334 @@
+// description-sanitizer.js
+// Cleans descriptions from event sources: WordPress HTML, shortcodes, entities and tracking links become
+// plain text, markdown or allowlisted HTML, with the links pulled out as structured fields.
+// Kept free of Node.js modules so the import dialogs can use it in the browser.
+
+export const DESCRIPTION_FORMATS = ['text', 'markdown', 'html'];
+
+// Tags kept by the 'html' format and turned into markdown by the 'markdown' format; others are dropped with
+// their content kept
+const ALLOWED_TAGS = new Set(['p', 'br', 'strong', 'b', 'em', 'i', 'ul', 'ol', 'li', 'a', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote']);
+
+// Tags that start a new paragraph in text and markdown
+const BLOCK_TAGS = new Set(['p', 'div', 'section', 'article', 'header', 'footer', 'blockquote', 'table', 'tr', 'figure', 'figcaption', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'hr']);
+
+// Elements dropped together with their content
+const DROPPED_ELEMENTS = /<(script|style|iframe|noscript|svg|object|embed|template|form)\b[\s\S]*?<\/\1\s*>/gi;
+
+// Shortcodes dropped even without attributes or a closing tag
+const BARE_SHORTCODES = new Set(['gallery', 'embed', 'caption', 'audio', 'video', 'playlist']);
+
+// Query parameters that only track the click
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|_hsenc|_hsmi|mkt_tok|igshid)$/i;
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  laquo: '«',
+  raquo: '»',
+  bull: '•',
+  middot: '·',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  euro: '€',
+  pound: '£',
+  deg: '°',
+  times: '×',
+  aacute: 'á',
+  eacute: 'é',
+  iacute: 'í',
+  oacute: 'ó',
+  uacute: 'ú',
+  ntilde: 'ñ',
+  Aacute: 'Á',
+  Eacute: 'É',
+  Iacute: 'Í',
+  Oacute: 'Ó',
+  Uacute: 'Ú',
+  Ntilde: 'Ñ',
+  uuml: 'ü',
+  iexcl: '¡',
+  iquest: '¿'
+};
+
+/**
+ * Decodes HTML entities (named, decimal and hex)
+ * @param {string} value - Text with entities
+ * @returns {string} Decoded text
+ */
+export function decodeEntities(value) {
+  return value.replace(/&(#\d+|#x[0-9a-f]+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : '';
+    }
+    return NAMED_ENTITIES[code] ?? entity;
+  });
+}
+
+/**
+ * Escapes text for HTML
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Cleans a link: unwraps Facebook and Google redirect links and drops tracking parameters.
+ * Only http, https and mailto links are kept.
+ * @param {string} href - Link from the source
+ * @returns {string|null} Clean URL, or null if it is not a usable link
+ */
+export function cleanUrl(href) {
+  if (!href) {
+    return null;
+  }
+
+  const trimmed = decodeEntities(String(href).trim());
+  if (/^mailto:[^\s@]+@[^\s@]+$/i.test(trimmed)) {
+    return trimmed;
+  }
+
+  let url;
+  try {
+    url = new URL(trimmed);
+  } catch (error) {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return null;
+  }
+
+  // Redirect wrappers hide the real target in a parameter
+  const wrapped = /(^|\.)facebook\.com$/.test(url.hostname) && url.pathname === '/l.php' ? url.searchParams.get('u')
+    : /(^|\.)google\.[a-z.]+$/.test(url.hostname) && url.pathname === '/url' ? url.searchParams.get('q') || url.searchParams.get('url')
+      : null;
+  if (wrapped) {
+    return cleanUrl(wrapped);
+  }
+
+  for (const key of [...url.searchParams.keys()]) {
+    if (TRACKING_PARAMS.test(key)) {
+      url.searchParams.delete(key);
+    }
+  }
+  return url.toString();
+}
+
+/**
+ * Removes WordPress shortcodes ([gallery ids="1,2"], [vc_row]…[/vc_row]), keeping the text between
+ * opening and closing shortcodes. Bracketed words that are not shortcodes ("[free]") are left alone.
+ * @param {string} value - Description
+ * @returns {string} Description without shortcodes
+ */
+export function stripShortcodes(value) {
+  const closed = new Set(Array.from(value.matchAll(/\[\/([a-z_][\w-]*)\]/gi), match => match[1].toLowerCase()));
+
+  return value.replace(/\[\/?([a-z_][\w-]*)(\s[^[\]]*)?\/?\]/gi, (shortcode, name, attributes) => {
+    const key = name.toLowerCase();
+    return closed.has(key) || attributes || key.includes('_') || BARE_SHORTCODES.has(key) ? '' : shortcode;
+  });
+}
+
+/**
+ * Gets an attribute value from the attribute text of a tag
+ * @param {string} attributes - Attribute text ('href="…" class="…"')
+ * @param {string} name - Attribute name
+ * @returns {string|null} Value
+ */
+function getAttribute(attributes, name) {
+  const match = new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(attributes || '');
+  return match ? match[1] ?? match[2] ?? match[3] : null;
+}
+
+/**
+ * Tidies the whitespace of text or markdown: no spaces around line breaks, at most one blank line
+ * @param {string} value - Text
+ * @returns {string} Text
+ */
+function tidyLines(value) {
+  return value
+    .replace(/[ \t ]+/g, ' ')
+    .replace(/ ?\n ?/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Cleans bare URLs in text and collects them
+ * @param {string} value - Text
+ * @param {Function} addLink - (url, text) => void
+ * @returns {string} Text with clean URLs
+ */
+function cleanBareUrls(value, addLink) {
+  return value.replace(/\bhttps?:\/\/[^\s<>"'\])]+[^\s<>"'\]).,;:!?]/gi, (match) => {
+    const url = cleanUrl(match);
+    if (!url) {
+      return match;
+    }
+    addLink(url, null);
+    return url;
+  });
+}
+
+/**
+ * Sanitizes a description. HTML is reduced to an allowlist of tags, shortcodes and attributes (styles,
+ * classes, tracking pixels) are removed, entities are decoded, and links are cleaned and collected.
+ * Plain text (such as iCalendar descriptions) keeps its line breaks.
+ * @param {string|null} value - Description from the source
+ * @param {Object} [options] - Options
+ * @param {string} [options.format] - 'text' (default), 'markdown' or 'html'
+ * @returns {Object} { description, links }, where links are { url, text } in order of appearance,
+ *   text being the link text when the source gave one
+ */
+export function sanitizeDescription(value, { format = 'text' } = {}) {
+  const links = [];
+  const addLink = (url, text) => {
+    const existing = links.find(link => link.url === url);
+    if (!existing) {
+      links.push({ url, text: text || null });
+    } else if (!existing.text && text) {
+      existing.text = text;
+    }
+  };
+
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return { description: '', links };
+  }
+
+  const source = stripShortcodes(String(value));
+
+  // Plain text: only entities and links need attention
+  if (!/<\/?[a-z][^>]*>|<!--/i.test(source)) {
+    const plain = tidyLines(cleanBareUrls(decodeEntities(source).replace(/\r\n?/g, '\n'), addLink));
+    return { description: format === 'html' ? escapeHtml(plain).replace(/\n/g, '<br>') : plain, links };
+  }
+
+  const markdown = format === 'markdown';
+  const html = format === 'html';
+  const parts = [];
+  const lists = [];
+  const anchors = [];
+  const tokens = /<!--[\s\S]*?-->|<(\/?)([a-z][a-z0-9]*)\b([^>]*)>/gi;
+  const cleaned = source.replace(DROPPED_ELEMENTS, '');
+  let position = 0;
+  let match;
+
+  const addText = (text) => {
+    const decoded = decodeEntities(text).replace(/\s+/g, ' ');
+    const linked = anchors.length > 0 ? decoded : cleanBareUrls(decoded, addLink);
+    parts.push(html ? escapeHtml(linked) : linked);
+  };
+
+  while ((match = tokens.exec(cleaned)) !== null) {
+    addText(cleaned.slice(position, match.index));
+    position = tokens.lastIndex;
+
+    const [token, closing, rawName, attributes] = match;
+    if (token.startsWith('<!--')) {
+      continue;
+    }
+    const name = rawName.toLowerCase();
+
+    if (name === 'a') {
+      if (!closing) {
+        anchors.push({ url: cleanUrl(getAttribute(attributes, 'href')), start: parts.length });
+        continue;
+      }
+      const anchor = anchors.pop();
+      if (!anchor) {
+        continue;
+      }
+      const label = parts.splice(anchor.start).join('').trim();
+      const plainLabel = html ? decodeEntities(label) : label;
+      if (anchor.url) {
+        addLink(anchor.url, plainLabel && plainLabel !== anchor.url ? plainLabel : null);
+      }
+      if (html && anchor.url) {
+        parts.push(`<a href="${escapeHtml(anchor.url)}">${label || escapeHtml(anchor.url)}</a>`);
+      } else if (markdown && anchor.url && label && label !== anchor.url) {
+        parts.push(`[${label}](${anchor.url})`);
+      } else {
+        parts.push(label || anchor.url || '');
+      }
+      continue;
+    }
+
+    if (html) {
+      if (ALLOWED_TAGS.has(name)) {
+        parts.push(name === 'br' ? '<br>' : `<${closing}${name}>`);
+      } else if (BLOCK_TAGS.has(name)) {
+        parts.push(' ');
+      }
+      continue;
+    }
+
+    if (name === 'br') {
+      parts.push('\n');
+    } else if (name === 'li') {
+      if (!closing) {
+        const list = lists[lists.length - 1];
+        const marker = list?.ordered ? `${++list.count}. ` : markdown ? '- ' : '• ';
+        parts.push(`\n${'  '.repeat(Math.max(0, lists.length - 1))}${marker}`);
+      }
+    } else if (name === 'ul' || name === 'ol') {
+      if (closing) {
+        lists.pop();
+      } else {
+        lists.push({ ordered: name === 'ol', count: 0 });
+      }
+      parts.push('\n\n');
+    } else if (/^h[1-6]$/.test(name)) {
+      parts.push(closing || !markdown ? '\n\n' : `\n\n${'#'.repeat(Number(name[1]))} `);
+    } else if (name === 'blockquote' && markdown && !closing) {
+      parts.push('\n\n> ');
+    } else if (BLOCK_TAGS.has(name)) {
+      parts.push('\n\n');
+    } else if (markdown && ['strong', 'b', 'em', 'i'].includes(name)) {
+      const marker = ['strong', 'b'].includes(name) ? '**' : '*';
+      // Emphasis around nothing or whitespace only is left over from empty tags
+      const opening = closing ? parts.lastIndexOf(marker) : -1;
+      if (opening !== -1 && parts.slice(opening + 1).join('').trim() === '') {
+        parts.splice(opening, 1);
+      } else {
+        parts.push(marker);
+      }
+    }
+  }
+  addText(cleaned.slice(position));
+
+  if (html) {
+    let markup = parts.join('').replace(/\s+/g, ' ');
+    // Removing an empty element can empty the one around it
+    let previous;
+    do {
+      previous = markup;
+      markup = markup.replace(/<(p|li|h[1-6]|blockquote|strong|b|em|i)>(\s*)<\/\1>/g, (element, name, space) => space && ' ');
+    } while (markup !== previous);
+    return { description: markup.replace(/\s+/g, ' ').trim(), links };
+  }
+
+  return { description: tidyLines(parts.join('')), links };
+}
+
+export default {
+  DESCRIPTION_FORMATS,
+  decodeEntities,
+  cleanUrl,
+  stripShortcodes,
+  sanitizeDescription
+};
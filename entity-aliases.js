@@ -0,0 +1,120 @@
+// entity-aliases.js
+// Stored alias table mapping source entity names to TT entities, consulted before any API lookup
+
+import { readStore, updateStore, generateRecordId } from './import-store.js';
+
+const STORE_NAME = 'aliases';
+
+// Entity types an alias can point to
+export const AliasEntityType = {
+  VENUE: 'venue',
+  ORGANIZER: 'organizer',
+  CATEGORY: 'category'
+};
+
+/**
+ * Normalizes a source name for alias lookups (trimmed, case-insensitive)
+ * @param {string} name - Source entity name
+ * @returns {string} Lookup key
+ */
+function aliasKey(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+/**
+ * Lists stored aliases
+ * @param {Object} filters - Optional filters (appId, sourceSystem, entityType)
+ * @returns {Array<Object>} Matching aliases
+ */
+export function listAliases(filters = {}) {
+  const aliases = readStore(STORE_NAME, []);
+
+  return aliases.filter(alias =>
+    (!filters.appId || alias.appId === String(filters.appId)) &&
+    (!filters.sourceSystem || alias.sourceSystem === filters.sourceSystem) &&
+    (!filters.entityType || alias.entityType === filters.entityType)
+  );
+}
+
+/**
+ * Finds the alias for a source entity name
+ * @param {Array<Object>} aliases - Aliases to search (from listAliases)
+ * @param {string} entityType - Entity type (see AliasEntityType)
+ * @param {string} sourceName - Source entity name
+ * @returns {Object|null} Alias or null if none exists
+ */
+export function findAlias(aliases, entityType, sourceName) {
+  const key = aliasKey(sourceName);
+  return aliases.find(alias => alias.entityType === entityType && aliasKey(alias.sourceName) === key) || null;
+}
+
+/**
+ * Creates an alias, replacing any existing alias for the same source name
+ * @param {Object} alias - Alias data
+ * @param {string} alias.appId - Application ID
+ * @param {string} alias.sourceSystem - Source system (e.g. 'BTC')
+ * @param {string} alias.entityType - Entity type (see AliasEntityType)
+ * @param {string} alias.sourceName - Entity name in the source system
+ * @param {string} alias.ttId - TT entity ID
+ * @param {string} [alias.ttName] - TT entity name, for display
+ * @returns {Object} The stored alias
+ */
+export function createAlias({ appId, sourceSystem, entityType, sourceName, ttId, ttName }) {
+  if (!Object.values(AliasEntityType).includes(entityType)) {
+    throw new Error(`Invalid entityType: ${entityType}`);
+  }
+
+  if (!appId || !sourceSystem || !aliasKey(sourceName) || !ttId) {
+    throw new Error('appId, sourceSystem, sourceName and ttId are required');
+  }
+
+  const alias = {
+    id: generateRecordId('alias'),
+    appId: String(appId),
+    sourceSystem,
+    entityType,
+    sourceName: sourceName.trim(),
+    ttId: String(ttId),
+    ttName: ttName || null,
+    createdAt: new Date().toISOString()
+  };
+
+  updateStore(STORE_NAME, [], aliases => [
+    ...aliases.filter(existing => !(
+      existing.appId === alias.appId &&
+      existing.sourceSystem === alias.sourceSystem &&
+      existing.entityType === alias.entityType &&
+      aliasKey(existing.sourceName) === aliasKey(alias.sourceName)
+    )),
+    alias
+  ]);
+
+  return alias;
+}
+
+/**
+ * Deletes an alias
+ * @param {string} id - Alias ID
+ * @returns {boolean} True if the alias existed
+ */
+export function deleteAlias(id) {
+  let found = false;
+
+  updateStore(STORE_NAME, [], aliases => aliases.filter(alias => {
+    if (alias.id === id) {
+      found = true;
+      return false;
+    }
+    return true;
+  }));
+
+  return found;
+}
+
+export default {
+  AliasEntityType,
+  listAliases,
+  findAlias,
+  createAlias,
+  deleteAlias
+};
@@ -1,24 +1,52 @@
 // entity-resolution.js
-// Entity resolution functions for BTC import
+// Entity resolution for event imports: matches source venues, organizers and categories to TT entities
 
 import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { AliasEntityType, listAliases, findAlias } from './entity-aliases.js';
+import { getCategoryMapping, getDefaultCategoryMapping, mapCategoryName } from './category-mappings.js';
+import { findProvisionalOrganizer } from './provisional-organizers.js';
+import { geocodeAddress, findCity } from './gazetteer.js';
 
 // Get current directory
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Configuration
-const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:3010/api';
-const APP_ID = process.env.APP_ID || '1';
+// Configuration (can be overridden per run with configureResolution)
+const config = {
+  apiBaseUrl: process.env.API_BASE_URL || 'http://localhost:3010/api',
+  appId: process.env.APP_ID || '1',
+  // Source system whose stored aliases and category mapping apply to this run
+  sourceSystem: 'BTC',
+  // Lowest confidence accepted as a venue match; weaker candidates fall back to NotFound
+  venueMatchThreshold: parseFloat(process.env.VENUE_MATCH_THRESHOLD || '0.75'),
+  // Matches below this confidence are flagged for review
+  venueReviewThreshold: parseFloat(process.env.VENUE_REVIEW_THRESHOLD || '0.9'),
+  // (request, url) => Promise, runs each TT lookup (e.g. with retries and the TT host's rate limit and
+  // circuit breaker); the request is called directly by default
+  execute: request => request()
+};
+
+// Words dropped from venue names before comparing them
+const VENUE_NAME_STOP_WORDS = new Set(['the', 'a', 'an', 'at', 'of']);
+const VENUE_NAME_SUFFIXES = new Set(['inc', 'llc', 'ltd', 'co', 'corp']);
+
+// Venues within this distance are treated as the same place; proximity scores fall to zero at the max
+const VENUE_SAME_PLACE_METERS = 100;
+const VENUE_MAX_DISTANCE_METERS = 1000;
 
 // Cache for entity lookups to minimize API calls
 const cache = {
-  venues: new Map(), // name -> venueId
+  venues: new Map(), // name -> venue match
+  venueCandidates: null, // all TT venues, loaded on the first fuzzy lookup
+  venueMatches: new Map(), // name -> venue match, for the review report
   organizers: new Map(), // name -> organizerId
   categories: new Map(), // name -> categoryId
+  aliases: null, // stored aliases for the app and source system, loaded on first use
+  categoryMapping: null, // the app's category mapping, loaded on first use
+  venuesNeedingGeocode: new Map(), // venueId -> venue without usable coordinates of its own
   unmatched: {
     venues: new Set(),
     organizers: new Set(),
@@ -27,49 +55,312 @@ const cache = {
 };
 
 /**
- * Maps a category name from BTC to TT
- * Using a simplified version for testing
+ * Overrides resolution settings and clears the lookup cache
+ * @param {Object} overrides - Settings to override (apiBaseUrl, appId, sourceSystem, execute)
+ */
+export function configureResolution(overrides = {}) {
+  Object.assign(config, overrides);
+  clearResolutionCache();
+}
+
+/**
+ * Gets a TT resource through the configured executor
+ * @param {string} url - Resource URL
+ * @returns {Promise<Object>} Axios response
+ */
+function getTtResource(url) {
+  return config.execute(() => axios.get(url), url);
+}
+
+/**
+ * Clears cached lookups and the unmatched entity report
+ */
+export function clearResolutionCache() {
+  cache.venues.clear();
+  cache.venueCandidates = null;
+  cache.venueMatches.clear();
+  cache.organizers.clear();
+  cache.categories.clear();
+  cache.aliases = null;
+  cache.categoryMapping = null;
+  cache.venuesNeedingGeocode.clear();
+  cache.unmatched.venues.clear();
+  cache.unmatched.organizers.clear();
+  cache.unmatched.categories.clear();
+}
+
+/**
+ * Looks up a stored alias for a source entity name
+ * @param {string} entityType - Entity type (see AliasEntityType)
+ * @param {string} sourceName - Entity name in the source system
+ * @returns {Object|null} - Alias or null if none is stored
+ */
+function lookupAlias(entityType, sourceName) {
+  if (!cache.aliases) {
+    try {
+      cache.aliases = listAliases({ appId: config.appId, sourceSystem: config.sourceSystem });
+    } catch (error) {
+      console.error('Error loading entity aliases:', error.message);
+      cache.aliases = [];
+    }
+  }
+  
+  return findAlias(cache.aliases, entityType, sourceName);
+}
+
+/**
+ * Gets the app's category mapping, loaded once per run
+ * @returns {Object} - Mapping with `mappings` (source name -> TT name) and `ignored` (source names)
+ */
+function getMapping() {
+  if (!cache.categoryMapping) {
+    try {
+      cache.categoryMapping = getCategoryMapping(config.appId, config.sourceSystem);
+    } catch (error) {
+      console.error('Error loading category mapping, using defaults:', error.message);
+      cache.categoryMapping = getDefaultCategoryMapping(config.appId, config.sourceSystem);
+    }
+  }
+  
+  return cache.categoryMapping;
+}
+
+/**
+ * Checks whether a source category is deliberately not imported
+ * @param {string} sourceName - Source category name
+ * @returns {boolean} - True if the category is ignored
+ */
+export function isIgnoredCategory(sourceName) {
+  return getMapping().ignored.includes(sourceName);
+}
+
+/**
+ * Checks whether a source category marks events as canceled
+ * @param {string} sourceName - Source category name
+ * @returns {boolean} - True for a cancellation category
+ */
+export function isCancellationCategory(sourceName) {
+  return (getMapping().canceled || []).includes(sourceName);
+}
+
+/**
+ * Maps a source category name to TT using the app's category mapping
+ * @param {string} sourceName - Source category name
+ * @returns {string|null} - TT category name or null if ignored or unmapped
  */
 export function mapToTTCategory(sourceName) {
-  const categoryMap = {
-    "Class": "Class",
-    "Drop-in Class": "Class",
-    "Progressive Class": "Class",
-    "Workshop": "Workshop",
-    "DayWorkshop": "DayWorkshop",
-    "Festivals": "Festival",
-    "Milonga": "Milonga",
-    "Practica": "Practica",
-    "Trips-Hosted": "Trip",
-    "Virtual": "Virtual",
-    "Party/Gathering": "Gathering",
-    "Live Orchestra": "Orchestra",
-    "Concert/Show": "Concert",
-    "Forum/RoundTable/Labs": "Forum",
-    "First Timer Friendly": "NewBee",
-  };
+  return mapCategoryName(getMapping(), sourceName);
+}
+
+/**
+ * Normalizes a venue name for comparison (case, punctuation, articles, company suffixes)
+ * @param {string} name - Venue name
+ * @returns {string} - Normalized name
+ */
+export function normalizeVenueName(name) {
+  if (!name) {
+    return '';
+  }
+  
+  return name
+    .toLowerCase()
+    .replace(/&amp;/g, '&')
+    .replace(/&#0?39;|&rsquo;|[\u2018\u2019']/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word && !VENUE_NAME_STOP_WORDS.has(word) && !VENUE_NAME_SUFFIXES.has(word))
+    .join(' ');
+}
+
+/**
+ * Computes the Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of single-character edits
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+    }
+    previous = current;
+  }
+  
+  return previous[b.length];
+}
+
+/**
+ * Scores two normalized names where one contains all words of the other,
+ * e.g. "dance union" and "dance union studio"
+ * @param {string} a - Normalized name
+ * @param {string} b - Normalized name
+ * @returns {number} - Score between 0.85 and 1, or 0 if neither contains the other
+ */
+function tokenContainmentScore(a, b) {
+  const [shorter, longer] = [a.split(' '), b.split(' ')].sort((x, y) => x.length - y.length);
+  
+  // A single shared word ("hall", "studio") says too little
+  if (shorter.length < 2 || !shorter.every(word => longer.includes(word))) {
+    return 0;
+  }
+  
+  return 0.85 + 0.15 * shorter.length / longer.length;
+}
+
+/**
+ * Scores how similar two venue names are
+ * @param {string} sourceName - Source venue name
+ * @param {string} ttName - TT venue name
+ * @returns {number} - Similarity between 0 and 1
+ */
+export function scoreVenueName(sourceName, ttName) {
+  // Compare with and without a trailing ", City" so "The Dance Union, Somerville" matches "Dance Union"
+  const sourceVariants = [...new Set([sourceName, sourceName.split(',')[0]].map(normalizeVenueName))];
+  const ttVariants = [...new Set([ttName, ttName.split(',')[0]].map(normalizeVenueName))];
+  
+  let best = 0;
+  for (const a of sourceVariants) {
+    for (const b of ttVariants) {
+      if (!a || !b) {
+        continue;
+      }
+      const longest = Math.max(a.length, b.length);
+      best = Math.max(best, 1 - editDistance(a, b) / longest, tokenContainmentScore(a, b));
+    }
+  }
+  
+  return Math.round(best * 100) / 100;
+}
+
+/**
+ * Reads [longitude, latitude] from a source venue hint or a TT venue
+ * @param {Object} venue - Venue object
+ * @returns {Array<number>|null} - Coordinates or null if the venue has none
+ */
+function getVenueCoordinates(venue) {
+  let lng;
+  let lat;
+  
+  if (venue.geolocation?.type === 'Point' && Array.isArray(venue.geolocation.coordinates)) {
+    [lng, lat] = venue.geolocation.coordinates;
+  } else if (Array.isArray(venue.geolocation)) {
+    [lng, lat] = venue.geolocation;
+  } else if (venue.latitude !== undefined && venue.longitude !== undefined) {
+    lat = parseFloat(venue.latitude);
+    lng = parseFloat(venue.longitude);
+  }
+  
+  // 0,0 is how empty coordinates come back from both systems
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || (lat === 0 && lng === 0) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+  
+  return [lng, lat];
+}
+
+/**
+ * Computes the great-circle distance between two coordinates
+ * @param {Array<number>} from - [longitude, latitude]
+ * @param {Array<number>} to - [longitude, latitude]
+ * @returns {number} - Distance in meters
+ */
+function distanceMeters(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to[1] - from[1]);
+  const dLng = toRadians(to[0] - from[0]);
+  const h = Math.sin(dLat / 2) ** 2 + 
+    Math.cos(toRadians(from[1])) * Math.cos(toRadians(to[1])) * Math.sin(dLng / 2) ** 2;
+  
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Scores a TT venue as a match for a source venue
+ * @param {Object} sourceVenue - Venue hint from the event source
+ * @param {Object} ttVenue - Venue object from TT API
+ * @returns {{confidence: number, matchType: string, nameScore: number, distanceMeters: number|null}} - Match score
+ */
+export function scoreVenueMatch(sourceVenue, ttVenue) {
+  const nameScore = scoreVenueName(sourceVenue.name || '', ttVenue.name || '');
+  const sourceCoordinates = getVenueCoordinates(sourceVenue);
+  const ttCoordinates = getVenueCoordinates(ttVenue);
+  const distance = sourceCoordinates && ttCoordinates 
+    ? Math.round(distanceMeters(sourceCoordinates, ttCoordinates)) 
+    : null;
+  
+  const matchType = nameScore === 1 ? 'normalized' : 'fuzzy';
+  
+  // Without coordinates on both sides the name is all we have
+  if (distance === null) {
+    return { confidence: nameScore, matchType, nameScore, distanceMeters: null };
+  }
   
-  const ignoredCategories = new Set([
-    "Canceled",
-    "Other",
-  ]);
+  const proximityScore = distance <= VENUE_SAME_PLACE_METERS 
+    ? 1 
+    : Math.max(0, 1 - (distance - VENUE_SAME_PLACE_METERS) / (VENUE_MAX_DISTANCE_METERS - VENUE_SAME_PLACE_METERS));
+  
+  // Same spot with a loosely similar name (e.g. renamed room in the same building)
+  if (proximityScore === 1 && nameScore >= 0.5 && nameScore < config.venueMatchThreshold) {
+    return { confidence: config.venueMatchThreshold, matchType: 'geo', nameScore, distanceMeters: distance };
+  }
+  
+  return {
+    confidence: Math.round((nameScore * 0.7 + proximityScore * 0.3) * 100) / 100,
+    matchType,
+    nameScore,
+    distanceMeters: distance
+  };
+}
+
+/**
+ * Loads every TT venue for the app to compare against
+ * @returns {Promise<Array>} - TT venues
+ */
+async function loadVenueCandidates() {
+  if (!cache.venueCandidates) {
+    const response = await getTtResource(`${config.apiBaseUrl}/venues?appId=${config.appId}&limit=1000`);
+    cache.venueCandidates = (response.data && response.data.data) || [];
+    console.log(`Loaded ${cache.venueCandidates.length} venues for fuzzy matching`);
+  }
   
-  if (ignoredCategories.has(sourceName)) return null;
-  return categoryMap[sourceName] || null;
+  return cache.venueCandidates;
 }
 
 /**
- * Resolves a venue from BTC to TangoTiempo
- * @param {Object} btcVenue - Venue object from BTC API
- * @returns {Promise<string|null>} - TT venueId or null if not found
+ * Records a venue match in the cache and the review report
+ * @param {string} venueName - Source venue name
+ * @param {Object} match - Venue match
+ * @returns {Object} - The match
  */
-export async function resolveVenue(btcVenue) {
-  if (!btcVenue || !btcVenue.venue) {
+function recordVenueMatch(venueName, match) {
+  const recorded = {
+    ...match,
+    needsReview: match.confidence < config.venueReviewThreshold
+  };
+  cache.venues.set(venueName, recorded);
+  cache.venueMatches.set(venueName, recorded);
+  return recorded;
+}
+
+/**
+ * Resolves a source venue to a TangoTiempo venue.
+ * Tries a stored alias, then an exact name lookup, then scores every TT venue by normalized name similarity
+ * and distance, then falls back to the NotFound venue.
+ * @param {Object} sourceVenue - Venue hint from the event source ({ name, latitude, longitude, ... })
+ * @returns {Promise<{id: string, name: string, confidence: number, matchType: string, needsReview: boolean, distanceMeters: number|null}|null>} - TT venue match or null if not found
+ */
+export async function resolveVenue(sourceVenue) {
+  if (!sourceVenue || !sourceVenue.name) {
     console.warn('Empty venue object received');
     return null;
   }
 
-  const venueName = btcVenue.venue;
+  const venueName = sourceVenue.name;
   
   // Check cache first
   if (cache.venues.has(venueName)) {
@@ -81,27 +372,85 @@ export async function resolveVenue(btcVenue) {
     return null;
   }
   
+  // Stored aliases take precedence over any lookup
+  const alias = lookupAlias(AliasEntityType.VENUE, venueName);
+  if (alias) {
+    console.log(`Venue matched by alias: "${venueName}" -> ${alias.ttId}`);
+    return recordVenueMatch(venueName, {
+      id: alias.ttId,
+      name: alias.ttName || venueName,
+      confidence: 1,
+      matchType: 'alias',
+      distanceMeters: null
+    });
+  }
+  
   try {
     // Attempt exact match first
     const encodedName = encodeURIComponent(venueName);
-    const response = await axios.get(`${API_BASE_URL}/venues?appId=${APP_ID}&name=${encodedName}`);
+    const response = await getTtResource(`${config.apiBaseUrl}/venues?appId=${config.appId}&name=${encodedName}`);
     
     if (response.data && response.data.data && response.data.data.length > 0) {
       // Found exact match
-      const venueId = response.data.data[0]._id;
-      cache.venues.set(venueName, venueId);
-      console.log(`Venue matched: "${venueName}" -> ${venueId}`);
-      return venueId;
+      const venue = response.data.data[0];
+      console.log(`Venue matched: "${venueName}" -> ${venue._id}`);
+      return recordVenueMatch(venueName, {
+        id: venue._id,
+        name: venue.name || venueName,
+        confidence: 1,
+        matchType: 'exact',
+        distanceMeters: null
+      });
+    }
+    
+    // Score every TT venue by name similarity and distance
+    const candidates = await loadVenueCandidates();
+    let best = null;
+    
+    for (const candidate of candidates) {
+      if (candidate.name === 'NotFound') {
+        continue;
+      }
+      
+      const score = scoreVenueMatch(sourceVenue, candidate);
+      if (!best || score.confidence > best.score.confidence) {
+        best = { candidate, score };
+      }
+    }
+    
+    if (best && best.score.confidence >= config.venueMatchThreshold) {
+      console.log(
+        `Venue ${best.score.matchType}-matched: "${venueName}" -> "${best.candidate.name}" ` +
+        `(${best.candidate._id}, confidence ${best.score.confidence.toFixed(2)})`
+      );
+      return recordVenueMatch(venueName, {
+        id: best.candidate._id,
+        name: best.candidate.name,
+        confidence: best.score.confidence,
+        matchType: best.score.matchType,
+        distanceMeters: best.score.distanceMeters
+      });
     }
     
     // If venue not found, use NotFound venue as fallback
     try {
-      const notFoundResponse = await axios.get(`${API_BASE_URL}/venues?appId=${APP_ID}&name=NotFound`);
+      const notFoundResponse = await getTtResource(`${config.apiBaseUrl}/venues?appId=${config.appId}&name=NotFound`);
       if (notFoundResponse.data && notFoundResponse.data.data && notFoundResponse.data.data.length > 0) {
         const notFoundId = notFoundResponse.data.data[0]._id;
         console.log(`Using NotFound venue for "${venueName}" -> ${notFoundId}`);
-        cache.venues.set(venueName, notFoundId);
-        return notFoundId;
+        return recordVenueMatch(venueName, {
+          id: notFoundId,
+          name: 'NotFound',
+          confidence: 0,
+          matchType: 'fallback',
+          distanceMeters: null,
+          // Best rejected candidate, to help whoever reviews the fallback
+          bestCandidate: best ? {
+            id: best.candidate._id,
+            name: best.candidate.name,
+            confidence: best.score.confidence
+          } : null
+        });
       }
     } catch (fallbackError) {
       console.error(`Error using NotFound venue fallback: ${fallbackError.message}`);
@@ -118,17 +467,17 @@ export async function resolveVenue(btcVenue) {
 }
 
 /**
- * Resolves an organizer from BTC to TangoTiempo
- * @param {Object} btcOrganizer - Organizer object from BTC API
- * @returns {Promise<{id: string, name: string}|null>} - TT organizer info or null if not found
+ * Resolves a source organizer to a TangoTiempo organizer
+ * @param {Object} sourceOrganizer - Organizer hint from the event source ({ name, slug, ... })
+ * @returns {Promise<{id: string, name: string, matchType: string}|null>} - TT organizer info or null if not found
  */
-export async function resolveOrganizer(btcOrganizer) {
-  if (!btcOrganizer || !btcOrganizer.organizer) {
+export async function resolveOrganizer(sourceOrganizer) {
+  if (!sourceOrganizer || !sourceOrganizer.name) {
     console.warn('Empty organizer object received');
     return null;
   }
 
-  const organizerName = btcOrganizer.organizer;
+  const organizerName = sourceOrganizer.name;
   
   // Check cache first
   if (cache.organizers.has(organizerName)) {
@@ -140,16 +489,45 @@ export async function resolveOrganizer(btcOrganizer) {
     return null;
   }
   
+  // Stored aliases take precedence over any lookup
+  const alias = lookupAlias(AliasEntityType.ORGANIZER, organizerName);
+  if (alias) {
+    const organizerInfo = {
+      id: alias.ttId,
+      name: alias.ttName || organizerName,
+      matchType: 'alias'
+    };
+    cache.organizers.set(organizerName, organizerInfo);
+    console.log(`Organizer matched by alias: "${organizerName}" -> ${organizerInfo.id}`);
+    return organizerInfo;
+  }
+  
+  // An organizer an earlier import created keeps its events until an admin approves or merges it
+  const provisional = findProvisionalOrganizer(config.appId, config.sourceSystem, organizerName);
+  if (provisional) {
+    const organizerInfo = {
+      id: provisional.ttId,
+      name: provisional.ttName,
+      matchType: 'provisional'
+    };
+    cache.organizers.set(organizerName, organizerInfo);
+    console.log(`Organizer matched provisional organizer: "${organizerName}" -> ${organizerInfo.id}`);
+    return organizerInfo;
+  }
+  
   try {
-    // Try primary lookup by btcNiceName first (specific integration field)
+    // For BTC, try the primary lookup by btcNiceName first (specific integration field)
     const encodedName = encodeURIComponent(organizerName);
-    let response = await axios.get(`${API_BASE_URL}/organizers?appId=${APP_ID}&btcNiceName=${encodedName}`);
+    let response = config.sourceSystem === 'BTC'
+      ? await getTtResource(`${config.apiBaseUrl}/organizers?appId=${config.appId}&btcNiceName=${encodedName}`)
+      : null;
     
-    if (response.data && response.data.organizers && response.data.organizers.length > 0) {
+    if (response?.data && response.data.organizers && response.data.organizers.length > 0) {
       // Found match by btcNiceName
       const organizerInfo = {
         id: response.data.organizers[0]._id,
-        name: response.data.organizers[0].fullName || organizerName
+        name: response.data.organizers[0].fullName || organizerName,
+        matchType: 'btcNiceName'
       };
       cache.organizers.set(organizerName, organizerInfo);
       console.log(`Organizer matched by btcNiceName: "${organizerName}" -> ${organizerInfo.id}`);
@@ -157,47 +535,20 @@ export async function resolveOrganizer(btcOrganizer) {
     }
     
     // Fall back to name matching
-    response = await axios.get(`${API_BASE_URL}/organizers?appId=${APP_ID}&name=${encodedName}`);
+    response = await getTtResource(`${config.apiBaseUrl}/organizers?appId=${config.appId}&name=${encodedName}`);
     
     if (response.data && response.data.organizers && response.data.organizers.length > 0) {
       // Found match by name
       const organizerInfo = {
         id: response.data.organizers[0]._id,
-        name: response.data.organizers[0].fullName || organizerName
+        name: response.data.organizers[0].fullName || organizerName,
+        matchType: 'name'
       };
       cache.organizers.set(organizerName, organizerInfo);
       console.log(`Organizer matched by name: "${organizerName}" -> ${organizerInfo.id}`);
       return organizerInfo;
     }
     
-    // Try using the default "Un-Identified" organizer
-    try {
-      const defaultResponse = await axios.get(`${API_BASE_URL}/organizers?appId=${APP_ID}&shortName=DEFAULT`);
-      if (defaultResponse.data && defaultResponse.data.organizers && defaultResponse.data.organizers.length > 0) {
-        const organizerInfo = {
-          id: defaultResponse.data.organizers[0]._id,
-          name: defaultResponse.data.organizers[0].fullName || 'Un-Identified Organizer'
-        };
-        console.log(`Using default organizer for "${organizerName}" -> ${organizerInfo.id}`);
-        cache.organizers.set(organizerName, organizerInfo);
-        return organizerInfo;
-      }
-    } catch (fallbackError) {
-      console.error(`Error using default organizer fallback: ${fallbackError.message}`);
-    }
-    
-    // For testing purposes, create a mock ID for some organizers
-    if (['John Doe', 'Jane Smith', 'Tango Community'].includes(organizerName)) {
-      const mockId = `mock-organizer-${Math.random().toString(36).substring(2, 9)}`;
-      const organizerInfo = {
-        id: mockId,
-        name: organizerName
-      };
-      cache.organizers.set(organizerName, organizerInfo);
-      console.log(`Organizer mock-matched: "${organizerName}" -> ${mockId}`);
-      return organizerInfo;
-    }
-    
     // Log unmatched organizer
     console.warn(`Unmatched organizer: "${organizerName}"`);
     cache.unmatched.organizers.add(organizerName);
@@ -209,17 +560,38 @@ export async function resolveOrganizer(btcOrganizer) {
 }
 
 /**
- * Resolves a category from BTC to TangoTiempo
- * @param {Object} btcCategory - Category object from BTC API
- * @returns {Promise<{id: string, name: string}|null>} - TT category info or null if not found
+ * Checks whether a source organizer was looked up and matched no TT organizer, as opposed to a lookup that
+ * failed
+ * @param {string} sourceName - Organizer name in the source system
+ * @returns {boolean} True if no TT organizer matched
+ */
+export function isUnmatchedOrganizer(sourceName) {
+  return cache.unmatched.organizers.has(sourceName);
+}
+
+/**
+ * Remembers the TT organizer of a source organizer for the rest of the run, e.g. once the importer has
+ * created a provisional organizer for a name that did not resolve
+ * @param {string} sourceName - Organizer name in the source system
+ * @param {Object} organizerInfo - { id, name, matchType }
  */
-export async function resolveCategory(btcCategory) {
-  if (!btcCategory || !btcCategory.name) {
+export function rememberOrganizer(sourceName, organizerInfo) {
+  cache.unmatched.organizers.delete(sourceName);
+  cache.organizers.set(sourceName, organizerInfo);
+}
+
+/**
+ * Resolves a source category to a TangoTiempo category
+ * @param {Object} sourceCategory - Category hint from the event source ({ name, slug })
+ * @returns {Promise<{id: string, name: string, matchType: string}|null>} - TT category info or null if not found
+ */
+export async function resolveCategory(sourceCategory) {
+  if (!sourceCategory || !sourceCategory.name) {
     console.warn('Empty category object received');
     return null;
   }
 
-  const categoryName = btcCategory.name;
+  const categoryName = sourceCategory.name;
   
   // Check cache first
   if (cache.categories.has(categoryName)) {
@@ -231,7 +603,20 @@ export async function resolveCategory(btcCategory) {
     return null;
   }
   
-  // Map BTC category to TT category using the mapping function
+  // Stored aliases take precedence over the category mapping
+  const alias = lookupAlias(AliasEntityType.CATEGORY, categoryName);
+  if (alias) {
+    const categoryInfo = {
+      id: alias.ttId,
+      name: alias.ttName || categoryName,
+      matchType: 'alias'
+    };
+    cache.categories.set(categoryName, categoryInfo);
+    console.log(`Category matched by alias: "${categoryName}" -> ${categoryInfo.id}`);
+    return categoryInfo;
+  }
+  
+  // Map the source category to a TT category using the mapping function
   const mappedCategoryName = mapToTTCategory(categoryName);
   
   if (!mappedCategoryName) {
@@ -253,13 +638,14 @@ export async function resolveCategory(btcCategory) {
     
     // If still not found, try direct API lookup
     const encodedName = encodeURIComponent(mappedCategoryName);
-    const response = await axios.get(`${API_BASE_URL}/categories?appId=${APP_ID}&categoryName=${encodedName}`);
+    const response = await getTtResource(`${config.apiBaseUrl}/categories?appId=${config.appId}&categoryName=${encodedName}`);
     
     if (response.data && response.data.data && response.data.data.length > 0) {
       // Found match
       const categoryInfo = {
         id: response.data.data[0]._id,
-        name: mappedCategoryName
+        name: mappedCategoryName,
+        matchType: 'mapped'
       };
       cache.categories.set(categoryName, categoryInfo);
       console.log(`Category matched: "${categoryName}" -> ${categoryInfo.id} (${mappedCategoryName})`);
@@ -268,12 +654,13 @@ export async function resolveCategory(btcCategory) {
     
     // Fall back to "Unknown" category
     try {
-      const unknownResponse = await axios.get(`${API_BASE_URL}/categories?appId=${APP_ID}&categoryName=Unknown`);
+      const unknownResponse = await getTtResource(`${config.apiBaseUrl}/categories?appId=${config.appId}&categoryName=Unknown`);
       if (unknownResponse.data && unknownResponse.data.data && unknownResponse.data.data.length > 0) {
         const unknownId = unknownResponse.data.data[0]._id;
         const categoryInfo = {
           id: unknownId,
-          name: "Unknown"
+          name: "Unknown",
+          matchType: 'fallback'
         };
         cache.categories.set(categoryName, categoryInfo);
         console.log(`Using "Unknown" category for "${categoryName}" -> ${unknownId}`);
@@ -299,44 +686,24 @@ export async function resolveCategory(btcCategory) {
  */
 export async function loadAllCategories() {
   try {
-    const response = await axios.get(`${API_BASE_URL}/categories?appId=${APP_ID}&limit=500`);
+    const response = await getTtResource(`${config.apiBaseUrl}/categories?appId=${config.appId}&limit=500`);
     
     if (response.data && response.data.data) {
       const categories = response.data.data;
       console.log(`Loaded ${categories.length} categories from API`);
       
-      // Create reverse mapping from TT category name to BTC category name
-      const reverseMap = new Map();
-      
-      for (const [btcName, ttName] of Object.entries({
-        "Class": "Class",
-        "Drop-in Class": "Class",
-        "Progressive Class": "Class",
-        "Workshop": "Workshop",
-        "DayWorkshop": "DayWorkshop",
-        "Festivals": "Festival",
-        "Milonga": "Milonga",
-        "Practica": "Practica",
-        "Trips-Hosted": "Trip",
-        "Virtual": "Virtual",
-        "Party/Gathering": "Gathering",
-        "Live Orchestra": "Orchestra",
-        "Concert/Show": "Concert",
-        "Forum/RoundTable/Labs": "Forum",
-        "First Timer Friendly": "NewBee",
-      })) {
-        reverseMap.set(ttName, btcName);
-      }
+      const categoriesByName = new Map(categories.map(category => [category.categoryName, category]));
       
-      // Populate cache
-      for (const category of categories) {
-        const ttName = category.categoryName;
-        const btcName = reverseMap.get(ttName);
+      // Populate cache for every source category mapped to an existing TT category
+      for (const [sourceName, ttName] of Object.entries(getMapping().mappings)) {
+        const category = categoriesByName.get(ttName);
         
-        if (btcName) {
-          cache.categories.set(btcName, {
+        // Aliased categories are resolved from the alias instead
+        if (category && !lookupAlias(AliasEntityType.CATEGORY, sourceName)) {
+          cache.categories.set(sourceName, {
             id: category._id,
-            name: ttName
+            name: ttName,
+            matchType: 'mapped'
           });
         }
       }
@@ -349,103 +716,91 @@ export async function loadAllCategories() {
 }
 
 /**
- * Retrieves venue geographic information for an event
+ * Gets the coordinates of a TT venue: its own when it has them, else the centroid of its postal code or
+ * city from the offline gazetteer, else the coordinates of its TT city. Nothing is made up: a venue none
+ * of these place has none.
+ * @param {Object} venue - TT venue
+ * @returns {Object} { coordinates, source: 'venue'|'gazetteer'|'city'|null, precision: 'venue'|'postal_code'|'city'|null }
+ */
+function locateVenue(venue) {
+  const coordinates = getVenueCoordinates(venue);
+  if (coordinates) {
+    return { coordinates, source: 'venue', precision: 'venue' };
+  }
+
+  const match = geocodeAddress({ zip: venue.zip, city: venue.city, state: venue.state, country: venue.country });
+  if (match) {
+    return { coordinates: match.coordinates, source: 'gazetteer', precision: match.precision };
+  }
+
+  // Addresses outside the gazetteer's coverage
+  const cityCoordinates = getVenueCoordinates(venue.masteredCityId || {});
+  if (cityCoordinates) {
+    return { coordinates: cityCoordinates, source: 'city', precision: 'city' };
+  }
+
+  return { coordinates: null, source: null, precision: null };
+}
+
+/**
+ * Retrieves venue geographic information for an event. Venues without coordinates of their own are
+ * placed with the offline gazetteer or at their city and listed in the unmatched report as needing geocoding.
  * @param {string} venueId - TT venueId
- * @returns {Promise<Object|null>} - Geographic hierarchy info or null
+ * @returns {Promise<Object|null>} - Geographic hierarchy info, with the IANA time zone of the venue or its
+ *   city (timeZone, timeZoneSource) and where the coordinates came from (geocode: { source, precision,
+ *   needsGeocode }), or null
  */
 export async function getVenueGeography(venueId) {
-  // For testing purposes, return mock geography if it's a mock venue
-  if (venueId && venueId.startsWith('mock-venue-')) {
-    return {
-      venueGeolocation: {
-        type: "Point",
-        coordinates: [-71.0589, 42.3601]
-      },
-      masteredCityId: "64f26a9f75bfc0db12ed7a1e", // Using real ObjectID
-      masteredCityName: "Boston",
-      masteredDivisionId: "64f26a9f75bfc0db12ed7a15", // Using real ObjectID
-      masteredDivisionName: "Massachusetts",
-      masteredRegionId: "64f26a9f75bfc0db12ed7a12", // Using real ObjectID
-      masteredRegionName: "New England",
-      masteredCityGeolocation: {
-        type: "Point",
-        coordinates: [-71.0589, 42.3601]
-      }
-    };
-  }
-  
   try {
-    const response = await axios.get(`${API_BASE_URL}/venues/${venueId}?appId=${APP_ID}`);
+    const response = await getTtResource(`${config.apiBaseUrl}/venues/${venueId}?appId=${config.appId}`);
     
     if (response.data) {
       const venue = response.data;
+      const location = locateVenue(venue);
+      const needsGeocode = location.source !== 'venue';
       
-      // Ensure proper GeoJSON format for venue geolocation
-      let venueGeolocation;
-      if (venue.geolocation) {
-        // If we have geolocation data, ensure it's in proper GeoJSON format
-        if (venue.geolocation.type === "Point" && Array.isArray(venue.geolocation.coordinates)) {
-          // Already in correct format, use as is
-          venueGeolocation = venue.geolocation;
-        } else if (Array.isArray(venue.geolocation)) {
-          // Convert array to GeoJSON Point
-          venueGeolocation = {
-            type: "Point",
-            coordinates: venue.geolocation
-          };
-        } else {
-          // Default coordinates for Boston, MA if not in proper format
-          console.warn(`Invalid geolocation format for venue ${venueId}, using default coordinates`);
-          venueGeolocation = {
-            type: "Point",
-            coordinates: [-71.0589, 42.3601] // Boston, MA
-          };
-        }
-      } else {
-        // No geolocation data, use default
-        console.warn(`No geolocation data for venue ${venueId}, using default coordinates`);
-        venueGeolocation = {
-          type: "Point",
-          coordinates: [-71.0589, 42.3601] // Boston, MA
-        };
+      if (needsGeocode) {
+        console.warn(location.source === 'gazetteer'
+          ? `Venue ${venueId} has no coordinates; using the gazetteer's ${location.precision} centroid`
+          : location.source === 'city'
+            ? `Venue ${venueId} has no coordinates and its address is not in the gazetteer; using its city's coordinates`
+            : `Venue ${venueId} has no coordinates, its address is not in the gazetteer and its city has none`);
+        cache.venuesNeedingGeocode.set(venueId, {
+          id: venueId,
+          name: venue.name,
+          city: venue.city || null,
+          state: venue.state || null,
+          zip: venue.zip || null,
+          geocodeSource: location.source,
+          precision: location.precision
+        });
       }
       
-      // Create full GeoJSON Point object for city geolocation with explicit coordinates
-      // IMPORTANT: This is needed to satisfy MongoDB validation
-      let cityGeolocation;
-      
-      // Try to get coordinates from the venue's city if available
-      if (venue.masteredCityId?.geolocation?.coordinates && 
-          Array.isArray(venue.masteredCityId.geolocation.coordinates) &&
-          venue.masteredCityId.geolocation.coordinates.length === 2) {
-        // Use the actual city coordinates if available
-        cityGeolocation = {
-          type: "Point",
-          coordinates: venue.masteredCityId.geolocation.coordinates
-        };
-      } else if (venue.latitude && venue.longitude) {
-        // Fallback to venue coordinates if city coordinates not available
-        cityGeolocation = {
-          type: "Point",
-          coordinates: [parseFloat(venue.longitude), parseFloat(venue.latitude)]
-        };
-      } else {
-        // Default to Boston coordinates as last resort
-        cityGeolocation = {
-          type: "Point",
-          coordinates: [-71.0589, 42.3601] // Explicit coordinates for Boston
-        };
-      }
+      // The city's own coordinates, else the gazetteer's, else the venue's
+      const cityCoordinates = getVenueCoordinates(venue.masteredCityId || {})
+        || findCity({ city: venue.masteredCityId?.cityName || venue.city, state: venue.state, country: venue.country })?.coordinates
+        || location.coordinates;
       
+      // A zone set on the venue wins over its city's zone
+      const venueTimeZone = venue.timezone || venue.timeZone || null;
+      const cityTimeZone = venue.masteredCityId?.timezone || venue.masteredCityId?.timeZone || null;
+
       return {
-        venueGeolocation: venueGeolocation,
+        venueGeolocation: location.coordinates ? { type: 'Point', coordinates: location.coordinates } : null,
         masteredCityId: venue.masteredCityId?._id || venue.masteredCityId,
         masteredCityName: venue.masteredCityId?.cityName || venue.city,
         masteredDivisionId: venue.masteredDivisionId?._id || venue.masteredDivisionId,
         masteredDivisionName: venue.masteredDivisionId?.divisionName || venue.state,
         masteredRegionId: venue.masteredRegionId?._id || venue.masteredRegionId,
         masteredRegionName: venue.masteredRegionId?.regionName || "Unknown Region",
-        masteredCityGeolocation: cityGeolocation
+        masteredCityGeolocation: cityCoordinates ? { type: 'Point', coordinates: cityCoordinates } : null,
+        timeZone: venueTimeZone || cityTimeZone,
+        timeZoneSource: venueTimeZone ? 'venue' : cityTimeZone ? 'city' : null,
+        geocode: {
+          source: location.source,
+          precision: location.precision,
+          needsGeocode
+        }
       };
     }
     return null;
@@ -464,23 +819,39 @@ export function getUnmatchedReport() {
     venues: Array.from(cache.unmatched.venues),
     organizers: Array.from(cache.unmatched.organizers),
     categories: Array.from(cache.unmatched.categories),
+    // Venue matches below the review threshold, including NotFound fallbacks
+    venueMatchesForReview: Array.from(cache.venueMatches.entries())
+      .filter(([, match]) => match.needsReview)
+      .map(([btcName, match]) => ({ btcName, ...match })),
+    // Venues without coordinates of their own; events at venues the gazetteer could not place fail validation
+    venuesNeedingGeocode: Array.from(cache.venuesNeedingGeocode.values()),
     stats: {
       totalVenues: cache.venues.size,
       totalOrganizers: cache.organizers.size,
       totalCategories: cache.categories.size,
       unmatchedVenues: cache.unmatched.venues.size,
       unmatchedOrganizers: cache.unmatched.organizers.size,
-      unmatchedCategories: cache.unmatched.categories.size
+      unmatchedCategories: cache.unmatched.categories.size,
+      venueMatchesForReview: Array.from(cache.venueMatches.values()).filter(match => match.needsReview).length,
+      venuesNeedingGeocode: cache.venuesNeedingGeocode.size
     }
   };
 }
 
 export default {
+  configureResolution,
+  clearResolutionCache,
+  normalizeVenueName,
+  scoreVenueName,
+  scoreVenueMatch,
   resolveVenue,
   resolveOrganizer,
+  isUnmatchedOrganizer,
+  rememberOrganizer,
   resolveCategory,
   getVenueGeography,
   getUnmatchedReport,
   loadAllCategories,
-  mapToTTCategory
+  mapToTTCategory,
+  isIgnoredCategory
 };
\ No newline at end of file
@@ -11,16 +11,19 @@ const __dirname = path.dirname(__filename);
 
 // Configuration
 const ERROR_LOG_DIR = process.env.ERROR_LOG_DIR || path.join(__dirname, 'logs');
-const ERROR_LOG_FILE = path.join(ERROR_LOG_DIR, 'import-errors.log');
-const ERROR_DETAILS_DIR = path.join(ERROR_LOG_DIR, 'error-details');
+const ERROR_LOG_FILE = path.join(ERROR_LOG_DIR, 'import-errors.jsonl');
+// The log is rotated when it would grow past this size; the newest rotated files are kept
+const ERROR_LOG_MAX_BYTES = parseInt(process.env.ERROR_LOG_MAX_BYTES || String(5 * 1024 * 1024), 10);
+const ERROR_LOG_MAX_FILES = parseInt(process.env.ERROR_LOG_MAX_FILES || '10', 10);
+const ROTATED_LOG_PATTERN = /^import-errors-\d{8}T\d{9}\.jsonl$/;
 
-// Create directories if they don't exist
+// Create directory if it doesn't exist
 if (!fs.existsSync(ERROR_LOG_DIR)) {
   fs.mkdirSync(ERROR_LOG_DIR, { recursive: true });
 }
-if (!fs.existsSync(ERROR_DETAILS_DIR)) {
-  fs.mkdirSync(ERROR_DETAILS_DIR, { recursive: true });
-}
+
+// Run that errors are currently logged for (see ErrorLogger.setRunContext)
+let runContext = null;
 
 /**
  * Error categories
@@ -113,28 +116,154 @@ export class ImportError extends Error {
   }
 }
 
+/**
+ * Lists the rotated error log files, oldest first
+ * @returns {Array<string>} File paths
+ */
+function listRotatedLogFiles() {
+  return fs.readdirSync(ERROR_LOG_DIR)
+    .filter(name => ROTATED_LOG_PATTERN.test(name))
+    .sort()
+    .map(name => path.join(ERROR_LOG_DIR, name));
+}
+
+/**
+ * Rotates the error log when appending a line would take it past ERROR_LOG_MAX_BYTES, and removes
+ * the oldest rotated files beyond ERROR_LOG_MAX_FILES
+ * @param {number} lineBytes - Size of the line about to be appended
+ */
+function rotateErrorLog(lineBytes) {
+  if (!fs.existsSync(ERROR_LOG_FILE) || fs.statSync(ERROR_LOG_FILE).size + lineBytes <= ERROR_LOG_MAX_BYTES) {
+    return;
+  }
+
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('.', '').replace('Z', '');
+  fs.renameSync(ERROR_LOG_FILE, path.join(ERROR_LOG_DIR, `import-errors-${stamp}.jsonl`));
+
+  const rotated = listRotatedLogFiles();
+  for (const file of rotated.slice(0, Math.max(0, rotated.length - ERROR_LOG_MAX_FILES))) {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+/**
+ * Reads every stored error record, newest first. Lines that cannot be parsed (a write cut short) are skipped.
+ * @returns {Array<Object>} Error records
+ */
+function readErrorRecords() {
+  const files = [...listRotatedLogFiles(), ERROR_LOG_FILE].filter(file => fs.existsSync(file));
+  const records = [];
+
+  for (const file of files) {
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        // Partial line from an interrupted write
+      }
+    }
+  }
+
+  return records.reverse();
+}
+
+/**
+ * Checks error filters
+ * @param {Object} filters - Filters (see ErrorLogger.queryErrors)
+ * @returns {string|null} Problem with the filters, or null if they are usable
+ */
+export function validateErrorFilters(filters) {
+  const allowed = [
+    ['category', ErrorCategory],
+    ['severity', ErrorSeverity],
+    ['stage', ImportStage]
+  ];
+
+  for (const [key, values] of allowed) {
+    if (filters[key] && !Object.values(values).includes(filters[key])) {
+      return `Unknown ${key}: ${filters[key]}`;
+    }
+  }
+  for (const key of ['from', 'to']) {
+    if (filters[key] && Number.isNaN(Date.parse(filters[key]))) {
+      return `Invalid ${key} date: ${filters[key]}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Gets the end of a date filter; a bare date (YYYY-MM-DD) includes the whole day
+ * @param {string} value - Date or date-time
+ * @returns {number} Milliseconds since the epoch
+ */
+function getFilterEnd(value) {
+  const end = Date.parse(value);
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) ? end + 24 * 60 * 60 * 1000 - 1 : end;
+}
+
+/**
+ * Filters error records
+ * @param {Array<Object>} records - Error records
+ * @param {Object} filters - Filters (see ErrorLogger.queryErrors)
+ * @returns {Array<Object>} Matching records
+ */
+function filterErrorRecords(records, filters) {
+  const from = filters.from ? Date.parse(filters.from) : null;
+  const to = filters.to ? getFilterEnd(filters.to) : null;
+  const search = filters.search ? filters.search.toLowerCase() : null;
+
+  return records.filter(record => {
+    const time = Date.parse(record.timestamp);
+    return (!filters.category || record.category === filters.category) &&
+      (!filters.severity || record.severity === filters.severity) &&
+      (!filters.stage || record.stage === filters.stage) &&
+      (!filters.runId || record.runId === filters.runId) &&
+      (!filters.appId || record.appId === filters.appId) &&
+      (!filters.sourceSystem || record.sourceSystem === filters.sourceSystem) &&
+      (from === null || time >= from) &&
+      (to === null || time <= to) &&
+      (!search || record.message.toLowerCase().includes(search));
+  });
+}
+
 /**
  * Error logger
  */
 export class ErrorLogger {
+  /**
+   * Sets the import run that following errors are logged for, until the next call
+   * @param {Object|null} context - { runId, appId, sourceSystem }, or null when no run is active
+   */
+  static setRunContext(context) {
+    runContext = context;
+  }
+  
   /**
    * Log an error
    * @param {ImportError} error - Error to log
+   * @returns {string} Error ID
    */
   static logError(error) {
-    // Create log entry
-    const entry = {
-      timestamp: new Date().toISOString(),
-      error: error.toJSON()
+    // One JSON record per line, tagged with the current run
+    const record = {
+      ...error.toJSON(),
+      runId: error.context?.runId || runContext?.runId || null,
+      appId: runContext?.appId || null,
+      sourceSystem: runContext?.sourceSystem || null
     };
+    const line = `${JSON.stringify(record)}\n`;
     
-    // Write to main log file
-    const logLine = `[${entry.timestamp}] [${error.id}] [${error.severity}] [${error.category}] [${error.stage}] ${error.message}\n`;
-    fs.appendFileSync(ERROR_LOG_FILE, logLine);
-    
-    // Write detailed error to separate file
-    const detailsFile = path.join(ERROR_DETAILS_DIR, `${error.id}.json`);
-    fs.writeFileSync(detailsFile, JSON.stringify(entry, null, 2));
+    try {
+      rotateErrorLog(Buffer.byteLength(line));
+      fs.appendFileSync(ERROR_LOG_FILE, line);
+    } catch (writeError) {
+      // Logging must not break the import
+      console.error(`Failed to write error log: ${writeError.message}`);
+    }
     
     // Console output for immediate visibility
     if (error.severity === ErrorSeverity.ERROR || error.severity === ErrorSeverity.FATAL) {
@@ -275,51 +404,253 @@ export class ErrorLogger {
     );
   }
   
+  /**
+   * Finds logged errors, newest first
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.category] - ErrorCategory value
+   * @param {string} [filters.severity] - ErrorSeverity value
+   * @param {string} [filters.stage] - ImportStage value
+   * @param {string} [filters.runId] - Import run ID
+   * @param {string} [filters.appId] - App ID
+   * @param {string} [filters.sourceSystem] - Event source
+   * @param {string} [filters.from] - Earliest time (date or ISO date-time)
+   * @param {string} [filters.to] - Latest time; a bare date includes the whole day
+   * @param {string} [filters.search] - Text the message contains (case-insensitive)
+   * @param {number} [filters.limit] - Most errors returned (default 100)
+   * @param {number} [filters.offset] - Errors skipped (default 0)
+   * @returns {Object} { total, errors }
+   */
+  static queryErrors(filters = {}) {
+    const matching = filterErrorRecords(readErrorRecords(), filters);
+    const offset = filters.offset || 0;
+    
+    return {
+      total: matching.length,
+      errors: matching.slice(offset, offset + (filters.limit || 100))
+    };
+  }
+  
+  /**
+   * Gets a logged error by ID
+   * @param {string} errorId - Error ID
+   * @returns {Object|null} Error record
+   */
+  static getError(errorId) {
+    return readErrorRecords().find(record => record.id === errorId) || null;
+  }
+  
   /**
    * Get error statistics by category, severity, and stage
+   * @param {Object} [filters] - Filters (see queryErrors; limit and offset are ignored)
    * @returns {Object} Error statistics
    */
-  static getErrorStats() {
-    // Read and parse error log
-    if (!fs.existsSync(ERROR_LOG_FILE)) {
-      return {
-        totalErrors: 0,
-        byCategory: {},
-        bySeverity: {},
-        byStage: {}
-      };
-    }
-    
-    const logContent = fs.readFileSync(ERROR_LOG_FILE, 'utf8');
-    const logLines = logContent.split('\n').filter(line => line.trim());
-    
+  static getErrorStats(filters = {}) {
     const stats = {
-      totalErrors: logLines.length,
+      totalErrors: 0,
       byCategory: {},
       bySeverity: {},
       byStage: {}
     };
     
-    // Parse log lines to build statistics
-    const regex = /\[.*?\] \[(ERR-.*?)\] \[(.*?)\] \[(.*?)\] \[(.*?)\]/;
+    for (const record of filterErrorRecords(readErrorRecords(), filters)) {
+      stats.totalErrors++;
+      stats.byCategory[record.category] = (stats.byCategory[record.category] || 0) + 1;
+      stats.bySeverity[record.severity] = (stats.bySeverity[record.severity] || 0) + 1;
+      stats.byStage[record.stage] = (stats.byStage[record.stage] || 0) + 1;
+    }
     
-    logLines.forEach(line => {
-      const match = line.match(regex);
-      if (match) {
-        const [, , severity, category, stage] = match;
-        
-        // Count by category
-        stats.byCategory[category] = (stats.byCategory[category] || 0) + 1;
-        
-        // Count by severity
-        stats.bySeverity[severity] = (stats.bySeverity[severity] || 0) + 1;
-        
-        // Count by stage
-        stats.byStage[stage] = (stats.byStage[stage] || 0) + 1;
+    return stats;
+  }
+  
+  /**
+   * Counts logged errors per hour or day, by severity
+   * @param {Object} [filters] - Filters (see queryErrors; limit and offset are ignored)
+   * @param {string} [interval] - 'hour' or 'day' (default)
+   * @returns {Array<Object>} Buckets { period, total, bySeverity }, oldest first; periods are UTC
+   *   ('2026-10-19' or '2026-10-19T14')
+   */
+  static getErrorTimeline(filters = {}, interval = 'day') {
+    const length = interval === 'hour' ? 13 : 10;
+    const buckets = new Map();
+    
+    for (const record of filterErrorRecords(readErrorRecords(), filters)) {
+      const period = record.timestamp.slice(0, length);
+      if (!buckets.has(period)) {
+        buckets.set(period, { period, total: 0, bySeverity: {} });
       }
-    });
+      const bucket = buckets.get(period);
+      bucket.total++;
+      bucket.bySeverity[record.severity] = (bucket.bySeverity[record.severity] || 0) + 1;
+    }
     
-    return stats;
+    return Array.from(buckets.values()).sort((a, b) => a.period.localeCompare(b.period));
+  }
+}
+
+/**
+ * Thrown instead of calling a host whose circuit breaker is open
+ */
+export class CircuitOpenError extends Error {
+  /**
+   * @param {string} host - Host the breaker guards
+   * @param {number} retryAt - Time (ms since the epoch) the breaker lets a trial call through
+   */
+  constructor(host, retryAt) {
+    super('Circuit breaker open after repeated API failures; failing fast');
+    this.name = 'CircuitOpenError';
+    this.host = host;
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Circuit breaker for one host. Opens after `threshold` consecutive failures, so calls fail fast
+ * instead of waiting on a host that is down. After `resetTimeout` one trial call is let through:
+ * success closes the breaker, failure opens it again, and a trial that ends without reaching the host
+ * hands the trial to the next call.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {string} host - Host the breaker guards
+   * @param {number} threshold - Consecutive failures that open the breaker
+   * @param {number} resetTimeout - Milliseconds the breaker stays open
+   */
+  constructor(host, threshold = 5, resetTimeout = 30000) {
+    this.host = host;
+    this.threshold = threshold;
+    this.resetTimeout = resetTimeout;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+  
+  /**
+   * Checks that a call may go ahead; an open breaker past its timeout lets one trial call through
+   * @throws {CircuitOpenError} When the breaker is open
+   */
+  beforeCall() {
+    if (this.state === 'closed') {
+      return;
+    }
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = 'half-open';
+      return;
+    }
+    throw new CircuitOpenError(this.host, this.openedAt + this.resetTimeout);
+  }
+  
+  /**
+   * Records a call the host answered
+   */
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+  
+  /**
+   * Records a call that failed because of the host (no response or a server error)
+   */
+  recordFailure() {
+    this.failures++;
+    if (this.state === 'half-open' || this.failures >= this.threshold) {
+      if (this.state !== 'open') {
+        ErrorLogger.logApiError(
+          `Circuit opened for ${this.host} after ${this.failures} consecutive failures`,
+          ImportStage.LOADING,
+          { host: this.host, failures: this.failures, resetTimeout: this.resetTimeout }
+        );
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+  
+  /**
+   * Records a call that failed before the host could answer (e.g. the request could not be built), which
+   * says nothing about the host. A trial call gives up its turn, so the next call is let through as the trial.
+   */
+  recordInconclusive() {
+    if (this.state === 'half-open') {
+      this.state = 'open';
+    }
+  }
+}
+
+/**
+ * Token-bucket rate limit for one host: up to `burst` calls at once, refilled at `rate` calls per second
+ */
+export class TokenBucket {
+  /**
+   * @param {number} rate - Calls per second
+   * @param {number} burst - Bucket size
+   */
+  constructor(rate = 5, burst = 10) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+  }
+  
+  /**
+   * Takes a token, waiting until one is free. Callers queue in order: each reserves a token
+   * (the balance may go negative) and waits for its share of the refill.
+   * @returns {Promise<void>}
+   */
+  async take() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+    this.updatedAt = now;
+    this.tokens--;
+    
+    if (this.tokens < 0) {
+      await new Promise(resolve => setTimeout(resolve, (-this.tokens / this.rate) * 1000));
+    }
+  }
+}
+
+/**
+ * Runs async tasks with at most `limit` running at once
+ */
+export class ConcurrencyPool {
+  /**
+   * @param {number} limit - Most tasks running at once (at least 1)
+   */
+  constructor(limit = 4) {
+    this.limit = Math.max(1, limit || 1);
+    this.running = 0;
+    this.queue = [];
+  }
+  
+  /**
+   * Runs a task when a slot is free
+   * @param {Function} task - Async function
+   * @returns {Promise<any>} Task result
+   */
+  async run(task) {
+    if (this.running >= this.limit) {
+      await new Promise(resolve => this.queue.push(resolve));
+    }
+    this.running++;
+    try {
+      return await task();
+    } finally {
+      this.running--;
+      const next = this.queue.shift();
+      if (next) {
+        next();
+      }
+    }
+  }
+  
+  /**
+   * Maps items through an async function in the pool
+   * @param {Array} items - Items
+   * @param {Function} worker - (item, index) => Promise
+   * @returns {Promise<Array>} Results in the order of the items
+   */
+  map(items, worker) {
+    return Promise.all(items.map((item, index) => this.run(() => worker(item, index))));
   }
 }
 
@@ -332,28 +663,91 @@ export class ApiErrorHandler {
    * @param {number} maxRetries - Maximum number of retry attempts
    * @param {number} initialDelay - Initial delay in milliseconds
    * @param {number} maxDelay - Maximum delay in milliseconds
+   * @param {Object} [options] - Limits shared by every call to the same host
+   * @param {number} [options.failureThreshold] - Consecutive failures that open a host's circuit breaker (default 5)
+   * @param {number} [options.resetTimeout] - Milliseconds an open breaker fails fast (default 30000)
+   * @param {number} [options.rate] - Calls per second to a host (default 5)
+   * @param {number} [options.burst] - Calls to a host allowed at once before the rate applies (default 10)
    */
-  constructor(maxRetries = 3, initialDelay = 1000, maxDelay = 30000) {
+  constructor(maxRetries = 3, initialDelay = 1000, maxDelay = 30000, options = {}) {
     this.maxRetries = maxRetries;
     this.initialDelay = initialDelay;
     this.maxDelay = maxDelay;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000;
+    this.rate = options.rate || 5;
+    this.burst = options.burst || 10;
+    this.breakers = new Map();
+    this.buckets = new Map();
   }
   
   /**
-   * Execute an API call with retry logic
+   * Gets the circuit breaker and rate limit of a host
+   * @param {string|null} target - URL (or host) the call goes to; calls without one share a default
+   * @returns {Object} { host, breaker, bucket }
+   */
+  getHostLimits(target) {
+    let host = 'default';
+    if (target) {
+      try {
+        host = new URL(target).host;
+      } catch (error) {
+        host = target;
+      }
+    }
+    
+    if (!this.breakers.has(host)) {
+      this.breakers.set(host, new CircuitBreaker(host, this.failureThreshold, this.resetTimeout));
+      this.buckets.set(host, new TokenBucket(this.rate, this.burst));
+    }
+    return { host, breaker: this.breakers.get(host), bucket: this.buckets.get(host) };
+  }
+  
+  /**
+   * Gets the state of every host's circuit breaker
+   * @returns {Array<Object>} { host, state, failures }
+   */
+  getCircuitStates() {
+    return Array.from(this.breakers.values()).map(({ host, state, failures }) => ({ host, state, failures }));
+  }
+  
+  /**
+   * Execute an API call with retry logic, behind the circuit breaker and rate limit of its host
    * @param {Function} apiCall - API call function to execute
    * @param {string} stage - Import stage
    * @param {Object} context - Additional context
+   * @param {string} [target] - URL (or host) the call goes to; calls without one share a default host
    * @returns {Promise<any>} API call result
+   * @throws {CircuitOpenError} Without calling, while the host's circuit breaker is open
    */
-  async executeWithRetry(apiCall, stage, context = {}) {
+  async executeWithRetry(apiCall, stage, context = {}, target = null) {
+    const { host, breaker, bucket } = this.getHostLimits(target);
     let retries = 0;
     let delay = this.initialDelay;
     
     while (true) {
       try {
-        return await apiCall();
+        breaker.beforeCall();
+      } catch (error) {
+        ErrorLogger.logApiError(error.message, stage, { ...context, host, retries, retryAt: new Date(error.retryAt).toISOString() });
+        throw error;
+      }
+      
+      try {
+        await bucket.take();
+        const result = await apiCall();
+        breaker.recordSuccess();
+        return result;
       } catch (error) {
+        // Only a host that does not answer or answers with a server error counts toward its breaker
+        if (error.response ? error.response.status >= 500 : error.request) {
+          breaker.recordFailure();
+        } else if (error.response) {
+          breaker.recordSuccess();
+        } else {
+          breaker.recordInconclusive();
+        }
+        
         // Check if we've exhausted retry attempts
         if (retries >= this.maxRetries) {
           // Log the final failure
@@ -407,8 +801,8 @@ export class ApiErrorHandler {
           errorMessage = `Request setup error: ${error.message}`;
         }
         
-        // Log the error
-        if (shouldRetry) {
+        // Log the error; a call that opened the breaker is not retried
+        if (shouldRetry && breaker.state !== 'open') {
           ErrorLogger.logApiError(
             `${errorMessage}. Retrying (${retries + 1}/${this.maxRetries})...`,
             stage,
@@ -438,6 +832,11 @@ export class ApiErrorHandler {
 }
 
 export default {
+  validateErrorFilters,
+  CircuitOpenError,
+  CircuitBreaker,
+  TokenBucket,
+  ConcurrencyPool,
   ErrorCategory,
   ErrorSeverity,
   ImportStage,
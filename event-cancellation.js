@@ -0,0 +1,51 @@
+// event-cancellation.js
+// Detects events their source marks as canceled: a canceled status, a cancellation category, or a title
+// prefix such as "CANCELLED:". Canceled events are imported with isCanceled set instead of being dropped.
+
+// "CANCELLED: ", "Canceled - ", "[CANCELED] ", "*** CANCELLED *** " and an all-caps "CANCELLED ", but not a
+// title that merely starts with the word ("Canceled Plans Milonga")
+const TITLE_PREFIX = /^[\s*[(]*cancell?ed\s*(?:[\])*]+\s*[:\-–—!.]*|[:\-–—!.]+)\s*/i;
+const CAPITALS_PREFIX = /^\s*CANCELL?ED\s+/;
+
+/**
+ * Removes a cancellation prefix from a title
+ * @param {string} title - Source title
+ * @returns {string} Title without the prefix; titles that are nothing but the prefix are kept
+ */
+export function stripCancellationPrefix(title) {
+  const stripped = String(title || '').replace(TITLE_PREFIX, '').replace(CAPITALS_PREFIX, '').trim();
+  return stripped || title;
+}
+
+/**
+ * Detects whether the source marks an event as canceled. A status names the most specific reason, so
+ * it is checked first, then categories, then the title.
+ * @param {Object} sourceEvent - Normalized source event (status, statusReason, categories, title)
+ * @param {Function} [isCancellationCategory] - (name) => boolean, true for categories that mark events canceled
+ * @returns {Object|null} { signal, reason }, where signal is 'status', 'category' or 'title'; null when
+ *   the event is not canceled
+ */
+export function detectCancellation(sourceEvent, isCancellationCategory = () => false) {
+  const source = sourceEvent.sourceSystem;
+
+  if (sourceEvent.status === 'canceled') {
+    return { signal: 'status', reason: sourceEvent.statusReason || `Canceled in ${source}` };
+  }
+
+  const category = (sourceEvent.categories || []).find(item => isCancellationCategory(item.name));
+  if (category) {
+    return { signal: 'category', reason: `Category "${category.name}" in ${source}` };
+  }
+
+  const prefix = TITLE_PREFIX.exec(sourceEvent.title || '') || CAPITALS_PREFIX.exec(sourceEvent.title || '');
+  if (prefix && stripCancellationPrefix(sourceEvent.title) !== sourceEvent.title) {
+    return { signal: 'title', reason: `Title marked "${prefix[0].trim()}" in ${source}` };
+  }
+
+  return null;
+}
+
+export default {
+  stripCancellationPrefix,
+  detectCancellation
+};
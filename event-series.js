@@ -0,0 +1,406 @@
+// event-series.js
+// Recurring series among imported events: detects events that repeat with the same title, venue, organizer,
+// weekday and local time, infers their recurrence rule, and keeps the series-wide edits admins make
+
+import crypto from 'crypto';
+import { readStore, updateStore } from './import-store.js';
+
+const STORE_NAME = 'event-series';
+
+// Fewer matching events than this are not treated as a series
+const MIN_OCCURRENCES = 3;
+
+// Share of the dates a rule predicts between the first and last occurrence that must have an event,
+// so three unrelated events on the same weekday months apart are not taken for a weekly series
+const MIN_COVERAGE = 0.5;
+
+// Event fields an admin can set for every occurrence of a series
+export const SERIES_OVERRIDE_FIELDS = ['title', 'description', 'cost'];
+
+export const SERIES_STATUSES = ['active', 'canceled'];
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ORDINAL_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Gets the local date, time and weekday of an instant
+ * @param {string} value - Date string
+ * @param {string|null} timeZone - IANA zone of the event; times without one (or with an unknown one) are read
+ *   in the server's zone, like the source times the importer parses
+ * @returns {Object} { localDate, time, weekday } with the weekday as 0 (Sunday) to 6
+ */
+function getLocalParts(value, timeZone) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || undefined,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(value));
+  } catch (error) {
+    return getLocalParts(value, null);
+  }
+
+  const part = type => parts.find(item => item.type === type).value;
+  const localDate = `${part('year')}-${part('month')}-${part('day')}`;
+
+  return {
+    localDate,
+    time: `${part('hour')}:${part('minute')}`,
+    weekday: new Date(`${localDate}T00:00:00Z`).getUTCDay()
+  };
+}
+
+/**
+ * Normalizes a title for matching ("Tuesday Practica!" and "tuesday  practica" match)
+ * @param {string} title - Event title
+ * @returns {string} Lowercase words separated by single spaces
+ */
+function normalizeTitle(title) {
+  return String(title || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Gets the series an event would belong to. Times are compared in the event's own zone,
+ * so a weekly 8pm class stays one series across a daylight saving change.
+ * @param {string} appId - Application ID
+ * @param {string} sourceSystem - Source system
+ * @param {Object} event - Event with title, venueID, ownerOrganizerID, startDate, endDate, allDay and timeZone
+ * @returns {Object} { seriesId, key, weekday, localStartTime, durationMinutes, localDate }
+ */
+export function getSeriesKey(appId, sourceSystem, event) {
+  const { localDate, time, weekday } = getLocalParts(event.startDate, event.timeZone);
+  const durationMinutes = Math.round((new Date(event.endDate) - new Date(event.startDate)) / 60000) || 0;
+  const localStartTime = event.allDay ? 'all-day' : time;
+  const key = [
+    normalizeTitle(event.title),
+    event.venueID || '',
+    event.ownerOrganizerID || '',
+    WEEKDAYS[weekday],
+    localStartTime,
+    durationMinutes
+  ].join('|');
+  const hash = crypto.createHash('sha1').update(`${appId}|${sourceSystem}|${key}`).digest('hex');
+
+  return {
+    seriesId: `series-${hash.slice(0, 16)}`,
+    key,
+    weekday: WEEKDAYS[weekday],
+    localStartTime,
+    durationMinutes,
+    localDate
+  };
+}
+
+/**
+ * Greatest common divisor
+ * @param {number} a - First number
+ * @param {number} b - Second number
+ * @returns {number} GCD
+ */
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * Infers the recurrence rule of events on the same weekday
+ * @param {Array<string>} localDates - Local dates of the events (YYYY-MM-DD)
+ * @param {string} weekday - RRULE weekday code (e.g. 'TU')
+ * @param {string} localStartTime - Local start time (HH:MM, or 'all-day')
+ * @returns {Object|null} { rrule, recurrenceText }, or null if the dates do not repeat regularly
+ */
+export function inferRecurrence(localDates, weekday, localStartTime) {
+  const dates = [...new Set(localDates)].sort();
+  if (dates.length < MIN_OCCURRENCES) {
+    return null;
+  }
+
+  const days = dates.map(date => Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+  const gaps = days.slice(1).map((day, index) => day - days[index]);
+  const dayName = WEEKDAY_NAMES[WEEKDAYS.indexOf(weekday)];
+  const at = localStartTime === 'all-day' ? '' : ` at ${localStartTime}`;
+
+  // Same weekday of the month (the second Tuesday, the last Friday), never twice in a month
+  if (gaps.every(gap => gap >= 28)) {
+    const monthIndex = date => Number(date.slice(0, 4)) * 12 + Number(date.slice(5, 7));
+    const months = monthIndex(dates[dates.length - 1]) - monthIndex(dates[0]) + 1;
+    const ordinals = dates.map(date => {
+      const [year, month, day] = date.split('-').map(Number);
+      const monthLength = new Date(Date.UTC(year, month, 0)).getUTCDate();
+      return { nth: Math.ceil(day / 7), last: day + 7 > monthLength };
+    });
+    const nth = ordinals.every(ordinal => ordinal.nth === ordinals[0].nth)
+      ? ordinals[0].nth
+      : ordinals.every(ordinal => ordinal.last) ? -1 : null;
+
+    if (nth !== null && dates.length >= months * MIN_COVERAGE) {
+      return {
+        rrule: `FREQ=MONTHLY;BYDAY=${nth}${weekday}`,
+        recurrenceText: `Monthly on the ${ORDINAL_NAMES[nth]} ${dayName}${at}`
+      };
+    }
+  }
+
+  // Events on the same weekday are whole weeks apart; missed weeks (holidays) leave the interval alone
+  const weeks = gaps.reduce(gcd) / 7;
+  const slots = (days[days.length - 1] - days[0]) / 7 / weeks + 1;
+  if (dates.length < slots * MIN_COVERAGE) {
+    return null;
+  }
+
+  return {
+    rrule: `FREQ=WEEKLY;${weeks > 1 ? `INTERVAL=${weeks};` : ''}BYDAY=${weekday}`,
+    recurrenceText: `${weeks > 1 ? `Every ${weeks} weeks` : 'Weekly'} on ${dayName}${at}`
+  };
+}
+
+/**
+ * Detects series among the events of an import window. Known series also count their stored
+ * occurrences, so a short window keeps linking new occurrences of a series found earlier.
+ * @param {Array<Object>} events - Imported events: { sourceEventId, ttEventId, title, venueID, ownerOrganizerID,
+ *   ownerOrganizerName, startDate, endDate, allDay, timeZone }
+ * @param {Object} options - Detection options
+ * @param {string} options.appId - Application ID
+ * @param {string} options.sourceSystem - Source system
+ * @param {Array<Object>} [options.knownSeries] - Stored series of the app and source
+ * @returns {Array<Object>} Detected series with their occurrences in this window, sorted by title
+ */
+export function detectSeries(events, { appId, sourceSystem, knownSeries = [] }) {
+  const known = new Map(knownSeries.map(series => [series.seriesId, series]));
+  const groups = new Map();
+
+  for (const event of events) {
+    const { seriesId, weekday, localStartTime, durationMinutes, localDate } = getSeriesKey(appId, sourceSystem, event);
+
+    if (!groups.has(seriesId)) {
+      groups.set(seriesId, { seriesId, weekday, localStartTime, durationMinutes, events: [] });
+    }
+    groups.get(seriesId).events.push({ ...event, localDate });
+  }
+
+  const detected = [];
+
+  for (const group of groups.values()) {
+    const stored = known.get(group.seriesId);
+    const localDates = [
+      ...group.events.map(event => event.localDate),
+      ...(stored ? stored.occurrences.map(occurrence => occurrence.localDate) : [])
+    ];
+    const recurrence = inferRecurrence(localDates, group.weekday, group.localStartTime) ||
+      (stored && { rrule: stored.rrule, recurrenceText: stored.recurrenceText });
+
+    if (!recurrence) {
+      continue;
+    }
+
+    const sorted = [...group.events].sort((a, b) => a.startDate.localeCompare(b.startDate));
+    const first = sorted[0];
+
+    detected.push({
+      seriesId: group.seriesId,
+      title: first.title,
+      venueID: first.venueID || null,
+      ownerOrganizerID: first.ownerOrganizerID || null,
+      ownerOrganizerName: first.ownerOrganizerName || null,
+      timeZone: first.timeZone || null,
+      weekday: group.weekday,
+      localStartTime: group.localStartTime,
+      durationMinutes: group.durationMinutes,
+      ...recurrence,
+      occurrences: sorted.map(event => ({
+        sourceEventId: event.sourceEventId,
+        ttEventId: event.ttEventId || null,
+        startDate: event.startDate,
+        localDate: event.localDate
+      }))
+    });
+  }
+
+  return detected.sort((a, b) => a.title.localeCompare(b.title) || a.seriesId.localeCompare(b.seriesId));
+}
+
+/**
+ * Stores detected series, adding their new occurrences to series found by earlier runs.
+ * Admin edits and the cancellation of a known series are kept.
+ * @param {string} appId - Application ID
+ * @param {string} sourceSystem - Source system
+ * @param {Array<Object>} detected - Series from detectSeries
+ * @returns {Array<Object>} The stored series
+ */
+export function saveDetectedSeries(appId, sourceSystem, detected) {
+  const now = new Date().toISOString();
+
+  const data = updateStore(STORE_NAME, {}, stored => {
+    const next = { ...stored };
+
+    for (const series of detected) {
+      const existing = stored[series.seriesId];
+      const occurrences = new Map((existing?.occurrences || []).map(occurrence => [occurrence.sourceEventId, occurrence]));
+      for (const occurrence of series.occurrences) {
+        occurrences.set(occurrence.sourceEventId, occurrence);
+      }
+      const sorted = [...occurrences.values()].sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+      next[series.seriesId] = {
+        ...series,
+        appId: String(appId),
+        sourceSystem,
+        occurrences: sorted,
+        firstDate: sorted[0].localDate,
+        lastDate: sorted[sorted.length - 1].localDate,
+        overrides: existing ? existing.overrides : {},
+        status: existing ? existing.status : 'active',
+        canceledFrom: existing ? existing.canceledFrom : null,
+        canceledBy: existing ? existing.canceledBy : null,
+        cancelReason: existing ? existing.cancelReason : null,
+        editedBy: existing ? existing.editedBy : null,
+        editedAt: existing ? existing.editedAt : null,
+        detectedAt: existing ? existing.detectedAt : now,
+        updatedAt: now
+      };
+    }
+
+    return next;
+  });
+
+  return detected.map(series => data[series.seriesId]);
+}
+
+/**
+ * Lists stored series
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.appId] - Application ID
+ * @param {string} [filters.sourceSystem] - Source system
+ * @param {string} [filters.status] - 'active' or 'canceled'
+ * @returns {Array<Object>} Series sorted by title
+ */
+export function listSeries(filters = {}) {
+  return Object.values(readStore(STORE_NAME, {}))
+    .filter(series =>
+      (!filters.appId || series.appId === String(filters.appId)) &&
+      (!filters.sourceSystem || series.sourceSystem === filters.sourceSystem) &&
+      (!filters.status || series.status === filters.status)
+    )
+    .sort((a, b) => a.title.localeCompare(b.title));
+}
+
+/**
+ * Gets a stored series
+ * @param {string} seriesId - Series ID
+ * @returns {Object|null} Series or null if not found
+ */
+export function getSeries(seriesId) {
+  return readStore(STORE_NAME, {})[seriesId] || null;
+}
+
+/**
+ * Gets the fields a series sets on one of its occurrences: the series link, the admin's
+ * overrides, and the cancellation for occurrences starting after the series was canceled
+ * @param {Object} series - Stored series
+ * @param {string} startDate - Start of the occurrence
+ * @returns {Object} TT event fields
+ */
+export function getSeriesFields(series, startDate) {
+  const fields = {
+    seriesId: series.seriesId,
+    recurrenceRule: series.rrule,
+    ...series.overrides
+  };
+
+  if (series.status === 'canceled' && new Date(startDate) >= new Date(series.canceledFrom)) {
+    fields.isCanceled = true;
+  }
+
+  return fields;
+}
+
+/**
+ * Checks series changes before they are saved
+ * @param {Object} changes - { overrides, status } (see updateSeries)
+ * @throws {Error} When a change is not allowed
+ */
+export function validateSeriesChanges({ overrides, status }) {
+  if (overrides !== undefined) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new Error('overrides must be an object');
+    }
+    for (const [field, value] of Object.entries(overrides)) {
+      if (!SERIES_OVERRIDE_FIELDS.includes(field)) {
+        throw new Error(`${field} cannot be set for a series (allowed: ${SERIES_OVERRIDE_FIELDS.join(', ')})`);
+      }
+      if (value !== null && typeof value !== 'string') {
+        throw new Error(`${field} must be a string`);
+      }
+    }
+  }
+
+  if (status !== undefined && !SERIES_STATUSES.includes(status)) {
+    throw new Error(`status must be one of: ${SERIES_STATUSES.join(', ')}`);
+  }
+}
+
+/**
+ * Changes the series-wide overrides or the status of a series
+ * @param {string} seriesId - Series ID
+ * @param {Object} changes - Changes
+ * @param {Object} [changes.overrides] - New overrides (replace the current ones); empty values use the source value
+ * @param {string} [changes.status] - 'canceled' cancels the occurrences from now on, 'active' resumes them
+ * @param {string} [changes.reason] - Why the series was canceled
+ * @param {string} operator - Who made the change
+ * @returns {Object} { previous, series } before and after the change
+ */
+export function updateSeries(seriesId, changes, operator) {
+  const { overrides, status, reason } = changes;
+  validateSeriesChanges(changes);
+
+  let previous = null;
+  const now = new Date().toISOString();
+
+  const data = updateStore(STORE_NAME, {}, stored => {
+    previous = stored[seriesId];
+    if (!previous) {
+      throw new Error(`Event series not found: ${seriesId}`);
+    }
+
+    const series = { ...previous, updatedAt: now };
+
+    if (overrides !== undefined) {
+      series.overrides = Object.fromEntries(Object.entries(overrides)
+        .map(([field, value]) => [field, typeof value === 'string' ? value.trim() : value])
+        .filter(([, value]) => value));
+      series.editedBy = operator;
+      series.editedAt = now;
+    }
+
+    if (status && status !== previous.status) {
+      series.status = status;
+      series.canceledFrom = status === 'canceled' ? now : null;
+      series.canceledBy = status === 'canceled' ? operator : null;
+      series.cancelReason = status === 'canceled' ? reason || null : null;
+    }
+
+    return { ...stored, [seriesId]: series };
+  });
+
+  return { previous, series: data[seriesId] };
+}
+
+export default {
+  SERIES_OVERRIDE_FIELDS,
+  SERIES_STATUSES,
+  getSeriesKey,
+  inferRecurrence,
+  detectSeries,
+  saveDetectedSeries,
+  listSeries,
+  getSeries,
+  getSeriesFields,
+  validateSeriesChanges,
+  updateSeries
+};
@@ -0,0 +1,264 @@
+// event-time.js
+// Time zones of imported events: which IANA zone an event is in, and its start, end and expiry in UTC.
+// Kept free of Node.js modules so validation can use it in the browser.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const zoneFormatters = new Map();
+
+/**
+ * Gets a cached formatter that splits an instant into wall-clock parts of a zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getZoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return zoneFormatters.get(timeZone);
+}
+
+/**
+ * Checks whether a time zone name is a zone this runtime knows
+ * @param {string} timeZone - Time zone name (e.g. 'America/New_York')
+ * @returns {boolean} True for a known IANA zone
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    getZoneFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Splits an instant into the wall-clock time of a zone
+ * @param {number} instant - Milliseconds since the epoch
+ * @param {string|null} timeZone - IANA time zone, or null for the server's zone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+export function getWallClock(instant, timeZone) {
+  if (!timeZone) {
+    const date = new Date(instant);
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      second: date.getSeconds()
+    };
+  }
+
+  const wall = {};
+  for (const { type, value } of getZoneFormatter(timeZone).formatToParts(new Date(instant))) {
+    if (type !== 'literal') {
+      wall[type] = Number(value);
+    }
+  }
+  return {
+    year: wall.year,
+    month: wall.month,
+    day: wall.day,
+    hour: wall.hour,
+    minute: wall.minute,
+    second: wall.second
+  };
+}
+
+/**
+ * Reads wall-clock parts as if they were UTC
+ * @param {Object} wall - Wall-clock parts
+ * @returns {number} Milliseconds since the epoch
+ */
+function wallToUtcMs(wall) {
+  return Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+}
+
+/**
+ * Converts a wall-clock time in a zone to an instant. Times skipped by a daylight saving change
+ * move forward; times repeated by one take the first occurrence.
+ * @param {Object} wall - Wall-clock parts
+ * @param {string|null} timeZone - IANA time zone, or null for the server's zone
+ * @returns {number} Milliseconds since the epoch
+ */
+export function wallClockToInstant(wall, timeZone) {
+  if (!timeZone) {
+    return new Date(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second).getTime();
+  }
+
+  const wallMs = wallToUtcMs(wall);
+  const offsetAt = instant => wallToUtcMs(getWallClock(instant, timeZone)) - instant;
+  // The instant is within a day of the wall-clock time read as UTC, so these are the offsets before and
+  // after any change near it
+  const offsetBefore = offsetAt(wallMs - DAY_MS);
+  const offsetAfter = offsetAt(wallMs + DAY_MS);
+
+  const matches = [wallMs - offsetBefore, wallMs - offsetAfter]
+    .filter(instant => wallToUtcMs(getWallClock(instant, timeZone)) === wallMs);
+  if (matches.length > 0) {
+    return Math.min(...matches);
+  }
+  // In a gap, read with the offset before the change, which lands as far past it as the time was into it
+  return wallMs - offsetBefore;
+}
+
+/**
+ * Parses a wall-clock date-time without a zone ('2026-10-22 19:30:00', '2026-10-22T19:30', '2026-10-22')
+ * @param {string} value - Date-time text
+ * @returns {Object|null} Wall-clock parts, or null if the text is not a plain local date-time
+ */
+export function parseWallTime(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hour = 0, minute = 0, second = 0] = match;
+  return {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second)
+  };
+}
+
+/**
+ * Parses a date-time that names its offset ('2026-10-22T23:30:00Z', '2026-10-22T19:30:00-04:00')
+ * @param {string} value - Date-time text
+ * @returns {number|null} Milliseconds since the epoch, or null without an offset or when invalid
+ */
+function parseInstant(value) {
+  if (!value || !/(Z|[+-]\d{2}:?\d{2})$/i.test(String(value).trim())) {
+    return null;
+  }
+  const instant = Date.parse(value);
+  return Number.isNaN(instant) ? null : instant;
+}
+
+/**
+ * Adds days to a wall-clock time, keeping the time of day
+ * @param {Object} wall - Wall-clock parts
+ * @param {number} days - Days to add
+ * @returns {Object} Wall-clock parts
+ */
+function addDays(wall, days) {
+  const date = new Date(Date.UTC(wall.year, wall.month - 1, wall.day) + days * DAY_MS);
+  return { ...wall, year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * Gets the local date of an instant in a zone
+ * @param {string} value - Date-time (ISO 8601)
+ * @param {string|null} timeZone - IANA time zone, or null for UTC
+ * @returns {string} Local date (YYYY-MM-DD)
+ */
+export function getLocalDate(value, timeZone) {
+  const wall = getWallClock(new Date(value).getTime(), isValidTimeZone(timeZone) ? timeZone : 'UTC');
+  return `${wall.year}-${String(wall.month).padStart(2, '0')}-${String(wall.day).padStart(2, '0')}`;
+}
+
+/**
+ * Picks the time zone of an event: the zone of its TT venue or city, then the zone the source declares,
+ * then the configured default. Names that are not IANA zones are skipped.
+ * @param {Object} sourceEvent - Normalized source event
+ * @param {Object|null} geography - Venue geography (see getVenueGeography), with timeZone and timeZoneSource
+ * @param {string|null} defaultTimeZone - Zone used when neither names one
+ * @returns {Object} { timeZone, source }, where source is 'venue', 'city', 'source' or 'default'; both are
+ *   null when no zone is known
+ */
+export function resolveEventTimeZone(sourceEvent, geography, defaultTimeZone) {
+  const candidates = [
+    [geography?.timeZone, geography?.timeZoneSource || 'venue'],
+    [sourceEvent.timeZone, 'source'],
+    [defaultTimeZone, 'default']
+  ];
+
+  for (const [timeZone, source] of candidates) {
+    if (isValidTimeZone(timeZone)) {
+      return { timeZone, source };
+    }
+  }
+  return { timeZone: null, source: null };
+}
+
+/**
+ * Computes the UTC start, end and expiry of an event in its zone. Local source times are read in the zone;
+ * without a zone, the source's UTC times are used, and local times are read in the server's zone as
+ * a last resort. All-day events run from local midnight of their first day to the end of their last day.
+ * Events expire one calendar day after they end, in their zone.
+ * @param {Object} sourceEvent - Normalized source event (startDate, endDate, localStartDate, localEndDate, allDay)
+ * @param {string|null} timeZone - IANA time zone of the event
+ * @returns {Object} { startDate, endDate, expiresAt, allDay, sourceStartDate, basis }, with ISO dates;
+ *   sourceStartDate is the source's own UTC start (null if it gives none) and basis is 'local', 'source'
+ *   or 'server'
+ */
+export function computeEventTimes(sourceEvent, timeZone) {
+  const allDay = Boolean(sourceEvent.allDay);
+  const sourceStart = parseInstant(sourceEvent.startDate);
+  const sourceEnd = parseInstant(sourceEvent.endDate);
+  // Older adapters give local times in startDate and endDate
+  const localStart = parseWallTime(sourceEvent.localStartDate) || (sourceStart === null ? parseWallTime(sourceEvent.startDate) : null);
+  const localEnd = parseWallTime(sourceEvent.localEndDate) || (sourceEnd === null ? parseWallTime(sourceEvent.endDate) : null);
+
+  let start;
+  let end;
+  let basis;
+
+  if (localStart && (timeZone || sourceStart === null || allDay)) {
+    basis = timeZone ? 'local' : 'server';
+    const firstDay = allDay ? { ...localStart, hour: 0, minute: 0, second: 0 } : localStart;
+    const lastDay = allDay ? { ...(localEnd || localStart), hour: 23, minute: 59, second: 59 } : localEnd;
+    start = wallClockToInstant(firstDay, timeZone);
+    end = lastDay ? wallClockToInstant(lastDay, timeZone) : start;
+  } else if (sourceStart !== null) {
+    basis = 'source';
+    start = sourceStart;
+    end = sourceEnd ?? sourceStart;
+  } else {
+    // Unparseable dates are passed on for validation to reject
+    return {
+      startDate: sourceEvent.startDate || sourceEvent.localStartDate || null,
+      endDate: sourceEvent.endDate || sourceEvent.localEndDate || null,
+      expiresAt: null,
+      allDay,
+      sourceStartDate: null,
+      basis: null
+    };
+  }
+
+  const expiresAt = wallClockToInstant(addDays(getWallClock(end, timeZone), 1), timeZone);
+
+  return {
+    startDate: new Date(start).toISOString(),
+    endDate: new Date(end).toISOString(),
+    expiresAt: new Date(expiresAt).toISOString(),
+    allDay,
+    sourceStartDate: sourceStart === null ? null : new Date(sourceStart).toISOString(),
+    basis
+  };
+}
+
+export default {
+  isValidTimeZone,
+  getWallClock,
+  wallClockToInstant,
+  parseWallTime,
+  getLocalDate,
+  resolveEventTimeZone,
+  computeEventTimes
+};
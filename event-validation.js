@@ -0,0 +1,183 @@
+// event-validation.js
+// Validation rules for TT events, shared by the importers and the spreadsheet upload on the events page.
+// Kept free of Node.js modules so it also runs in the browser.
+
+import { getWallClock, isValidTimeZone } from './event-time.js';
+
+// Fields every TT event needs before it can be created
+const REQUIRED_FIELDS = [
+  { field: 'appId', label: 'Application ID' },
+  { field: 'title', label: 'Title' },
+  { field: 'startDate', label: 'Start Date' },
+  { field: 'endDate', label: 'End Date' },
+  { field: 'ownerOrganizerID', label: 'Organizer ID' },
+  { field: 'ownerOrganizerName', label: 'Organizer Name' },
+  { field: 'venueID', label: 'Venue ID' },
+  { field: 'expiresAt', label: 'Expiration Date' }
+];
+
+const DATE_FIELDS = ['startDate', 'endDate', 'expiresAt', 'discoveredFirstDate', 'discoveredLastDate'];
+
+// Timed events starting in these local hours are more likely read in the wrong zone than real
+const UNLIKELY_START_HOURS = { from: 3, to: 7 };
+
+/**
+ * Formats a wall-clock time as HH:MM
+ * @param {Object} wall - Wall-clock parts
+ * @returns {string} Time
+ */
+function formatTime(wall) {
+  return `${String(wall.hour).padStart(2, '0')}:${String(wall.minute).padStart(2, '0')}`;
+}
+
+/**
+ * Looks for signs that an event's times were shifted by a wrong time zone. These are reported
+ * but do not block the event: a 4am start or a venue in another zone than its calendar can be real.
+ * @param {Object} ttEvent - TT event object with valid startDate and endDate
+ * @param {Object} context - Time context of the event
+ * @param {string|null} [context.timeZone] - Zone the times were computed in
+ * @param {string|null} [context.sourceStartDate] - Start in UTC as the source gives it
+ * @param {string|null} [context.basis] - What the times were computed from (see computeEventTimes)
+ * @returns {Array<Object>} Issues
+ */
+function checkEventTimes(ttEvent, context) {
+  const issues = [];
+  const start = new Date(ttEvent.startDate).getTime();
+  const { timeZone, sourceStartDate } = context;
+
+  // Without a zone only the source's UTC times are trustworthy
+  if (!isValidTimeZone(timeZone)) {
+    if (context.basis === 'server') {
+      issues.push({
+        message: 'No time zone is known for the venue or the source; local times were read in the server\'s time zone',
+        blocking: false,
+        details: { timeZone: timeZone || null }
+      });
+    }
+    return issues;
+  }
+
+  if (sourceStartDate) {
+    const differenceMinutes = Math.round((start - new Date(sourceStartDate).getTime()) / 60000);
+    if (differenceMinutes !== 0) {
+      issues.push({
+        message: `Start time is ${Math.abs(differenceMinutes / 60)} hours ${differenceMinutes > 0 ? 'later' : 'earlier'} ` +
+          `than the source's UTC time; the source may declare a different time zone than ${timeZone}`,
+        blocking: false,
+        details: { timeZone, startDate: ttEvent.startDate, sourceStartDate }
+      });
+    }
+  }
+
+  const wall = getWallClock(start, timeZone);
+  if (ttEvent.allDay) {
+    if (wall.hour !== 0 || wall.minute !== 0) {
+      issues.push({
+        message: `All-day event starts at ${formatTime(wall)} instead of midnight in ${timeZone}`,
+        blocking: false,
+        details: { timeZone, startDate: ttEvent.startDate }
+      });
+    }
+  } else if (wall.hour >= UNLIKELY_START_HOURS.from && wall.hour < UNLIKELY_START_HOURS.to) {
+    issues.push({
+      message: `Event starts at ${formatTime(wall)} in ${timeZone}; its times may be shifted`,
+      blocking: false,
+      details: { timeZone, startDate: ttEvent.startDate }
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Checks where an event's venue coordinates came from. An event without real coordinates would be put on
+ * the map somewhere it is not, so it is blocked; a postal-code centroid or the venue's city is good enough
+ * to place it but is reported.
+ * @param {Object} ttEvent - TT event object
+ * @param {Object} geocode - { source: 'venue'|'gazetteer'|'city'|null, precision }
+ * @returns {Array<Object>} Issues
+ */
+function checkEventGeography(ttEvent, geocode) {
+  const details = { venueId: ttEvent.venueID || null, geocodeSource: geocode.source, precision: geocode.precision };
+
+  if (!geocode.source || !ttEvent.venueGeolocation) {
+    return [{
+      message: 'Venue has no coordinates, its address is not in the gazetteer and its city has none; geocode the venue',
+      blocking: true,
+      details
+    }];
+  }
+
+  if (geocode.source === 'gazetteer' || geocode.source === 'city') {
+    const placedAt = geocode.source === 'city' ? 'its city\'s coordinates'
+      : `its ${geocode.precision === 'city' ? 'city' : 'postal code'} centroid`;
+    return [{
+      message: `Venue has no coordinates; the event is placed at ${placedAt} until the venue is geocoded`,
+      blocking: false,
+      details
+    }];
+  }
+
+  return [];
+}
+
+/**
+ * Checks a TT event against the validation rules
+ * @param {Object} ttEvent - TT event object
+ * @param {Object} [timeContext] - Zone the event's times were computed in, the source's UTC start and
+ *   the basis of the times ({ timeZone, sourceStartDate, basis }); when given, times that look shifted
+ *   are reported
+ * @param {Object} [geocode] - Where the venue's coordinates came from ({ source, precision }, see
+ *   getVenueGeography); when given, events without real coordinates are blocked
+ * @returns {Object} { valid, issues }, where each issue has a message, whether it blocks the
+ *   event, and details for logging
+ */
+export function checkTtEvent(ttEvent, timeContext = null, geocode = null) {
+  const issues = [];
+  
+  // Check required fields
+  for (const { field, label } of REQUIRED_FIELDS) {
+    if (!ttEvent[field]) {
+      issues.push({ message: `Missing required field: ${label}`, blocking: true, details: { field, label } });
+    }
+  }
+  
+  // Validate date formats
+  for (const field of DATE_FIELDS) {
+    if (ttEvent[field] && isNaN(new Date(ttEvent[field]).getTime())) {
+      issues.push({ message: `Invalid date format for field: ${field}`, blocking: true, details: { field, value: ttEvent[field] } });
+    }
+  }
+  
+  // Validate relationships (reported, but the event is still valid)
+  if (ttEvent.categoryFirstId && !ttEvent.categoryFirst) {
+    issues.push({ message: 'Category ID present but category name missing', blocking: false, details: { categoryId: ttEvent.categoryFirstId } });
+  }
+  
+  // Check if start date is before end date
+  if (ttEvent.startDate && ttEvent.endDate && new Date(ttEvent.startDate) > new Date(ttEvent.endDate)) {
+    issues.push({
+      message: 'Start date is after end date',
+      blocking: true,
+      details: { startDate: ttEvent.startDate, endDate: ttEvent.endDate }
+    });
+  }
+  
+  const datesValid = ['startDate', 'endDate'].every(field => ttEvent[field] && !isNaN(new Date(ttEvent[field]).getTime()));
+  if (timeContext && datesValid) {
+    issues.push(...checkEventTimes(ttEvent, timeContext));
+  }
+  
+  if (geocode) {
+    issues.push(...checkEventGeography(ttEvent, geocode));
+  }
+  
+  return {
+    valid: !issues.some(issue => issue.blocking),
+    issues
+  };
+}
+
+export default {
+  checkTtEvent
+};
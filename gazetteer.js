@@ -0,0 +1,228 @@
+// gazetteer.js
+// Offline geocoding of venue addresses from a postal-code gazetteer: postal codes give their centroid, cities
+// the centroid of their postal codes. No network is used; unknown addresses are reported, never guessed.
+
+import fs from 'fs';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+// Country assumed for addresses without one (TT venues have no country field)
+const DEFAULT_COUNTRY = process.env.GAZETTEER_COUNTRY || 'US';
+
+const COUNTRY_NAMES = {
+  'united states': 'US',
+  'united states of america': 'US',
+  usa: 'US',
+  'u.s.a.': 'US',
+  'u.s.': 'US',
+  canada: 'CA',
+  argentina: 'AR',
+  uruguay: 'UY',
+  mexico: 'MX'
+};
+
+// Loaded gazetteers by added file ('' for the US ZIP codes alone)
+const gazetteers = new Map();
+
+/**
+ * Normalizes a place or region name for lookups (case, accents, punctuation and spacing ignored)
+ * @param {string} name - Name
+ * @returns {string} Lookup key
+ */
+function nameKey(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Gets the ISO country code of an address
+ * @param {string} [country] - Country name or code
+ * @returns {string} Two-letter country code
+ */
+export function normalizeCountry(country) {
+  const value = String(country || '').trim();
+  if (!value) {
+    return DEFAULT_COUNTRY;
+  }
+  if (/^[a-z]{2}$/i.test(value)) {
+    return value.toUpperCase();
+  }
+  return COUNTRY_NAMES[value.toLowerCase()] || value.toUpperCase();
+}
+
+/**
+ * Normalizes a postal code for lookups; US ZIP+4 codes are looked up by their first five digits
+ * @param {string} postalCode - Postal code
+ * @param {string} countryCode - Country code
+ * @returns {string} Lookup key
+ */
+function postalKey(postalCode, countryCode) {
+  const value = String(postalCode || '').trim().toUpperCase();
+  if (countryCode === 'US') {
+    // Spreadsheets drop the leading zero of New England ZIP codes
+    const zip = /^(\d{4,5})(-\d{4})?$/.exec(value);
+    return zip ? zip[1].padStart(5, '0') : '';
+  }
+  return value.replace(/\s+/g, ' ');
+}
+
+/**
+ * Adds a postal code to a gazetteer's indexes
+ * @param {Object} gazetteer - { postalCodes, places }
+ * @param {Object} entry - { countryCode, postalCode, place, stateName, stateCode, coordinates: [lng, lat] }
+ */
+function addPostalCode({ postalCodes, places }, entry) {
+  const { countryCode, place, stateName, stateCode, coordinates: [lng, lat] } = entry;
+  postalCodes.set(`${countryCode}|${postalKey(entry.postalCode, countryCode)}`, entry);
+
+  // Places are found by state name or code; their centroid is the mean of their postal codes
+  for (const state of new Set([nameKey(stateName), nameKey(stateCode)])) {
+    const key = `${countryCode}|${state}|${nameKey(place)}`;
+    const known = places.get(key) || { countryCode, place, stateName, stateCode, sum: [0, 0], count: 0 };
+    known.sum = [known.sum[0] + lng, known.sum[1] + lat];
+    known.count++;
+    places.set(key, known);
+  }
+}
+
+/**
+ * Adds the US ZIP codes of the zipcodes package (the federal ZIP code database, with territories) to a
+ * gazetteer
+ * @param {Object} gazetteer - { postalCodes, places }
+ */
+function addUsZipCodes(gazetteer) {
+  const { codes, states } = require('zipcodes');
+
+  for (const { zip, city, state, country, latitude, longitude } of Object.values(codes)) {
+    if (country === 'US' && Number.isFinite(latitude) && Number.isFinite(longitude)) {
+      addPostalCode(gazetteer, {
+        countryCode: 'US',
+        postalCode: zip,
+        place: city,
+        stateName: states.abbr[state] || state,
+        stateCode: state,
+        coordinates: [longitude, latitude]
+      });
+    }
+  }
+}
+
+/**
+ * Adds a gazetteer file in the GeoNames postal code format (tab-separated: country code, postal code, place
+ * name, admin name1, admin code1, admin name2, admin code2, admin name3, admin code3, latitude, longitude,
+ * accuracy) to a gazetteer. Lines starting with # are comments.
+ * @param {Object} gazetteer - { postalCodes, places }
+ * @param {string} file - Gazetteer file
+ */
+function addGazetteerFile(gazetteer, file) {
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    if (!line.trim() || line.startsWith('#')) {
+      continue;
+    }
+
+    const [countryCode, postalCode, place, stateName, stateCode, , , , , latitude, longitude] = line.split('\t');
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    if (!countryCode || !place || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+      continue;
+    }
+
+    addPostalCode(gazetteer, { countryCode, postalCode, place, stateName, stateCode, coordinates: [lng, lat] });
+  }
+}
+
+/**
+ * Gets the gazetteer, reading it on first use: the US ZIP codes, plus a GeoNames export for other
+ * countries or fuller data, whose postal codes win over the US ones
+ * @param {string} [file] - GeoNames file to add (default GAZETTEER_FILE)
+ * @returns {Object} Indexed gazetteer
+ */
+function getGazetteer(file = process.env.GAZETTEER_FILE || '') {
+  if (!gazetteers.has(file)) {
+    const gazetteer = { postalCodes: new Map(), places: new Map() };
+    addUsZipCodes(gazetteer);
+    if (file) {
+      addGazetteerFile(gazetteer, file);
+    }
+    gazetteers.set(file, gazetteer);
+  }
+  return gazetteers.get(file);
+}
+
+/**
+ * Rounds coordinates to about 10 m
+ * @param {Array<number>} coordinates - [longitude, latitude]
+ * @returns {Array<number>} Rounded coordinates
+ */
+function roundCoordinates([lng, lat]) {
+  return [Math.round(lng * 10000) / 10000, Math.round(lat * 10000) / 10000];
+}
+
+/**
+ * Finds a city in the gazetteer
+ * @param {Object} address - { city, state, country }
+ * @param {Object} [options] - { file }
+ * @returns {Object|null} { coordinates: [lng, lat], place, stateCode, countryCode }, or null if unknown
+ */
+export function findCity({ city, state, country }, { file } = {}) {
+  if (!city || !state) {
+    return null;
+  }
+
+  const countryCode = normalizeCountry(country);
+  const match = getGazetteer(file).places.get(`${countryCode}|${nameKey(state)}|${nameKey(city)}`);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    coordinates: roundCoordinates([match.sum[0] / match.count, match.sum[1] / match.count]),
+    place: match.place,
+    stateCode: match.stateCode,
+    countryCode
+  };
+}
+
+/**
+ * Geocodes an address from its components: by postal code when the gazetteer knows it and it is in the
+ * given city, else by city and state, else by postal code alone (neighbourhood names such as "Jamaica
+ * Plain" are not cities in the gazetteer). Street addresses are not resolved, so the result is a
+ * postal-code or city centroid.
+ * @param {Object} address - { zip, city, state, country }
+ * @param {Object} [options] - { file }
+ * @returns {Object|null} { coordinates: [lng, lat], precision: 'postal_code'|'city', place, stateCode,
+ *   countryCode, postalCode }, or null if the gazetteer has no match
+ */
+export function geocodeAddress({ zip, city, state, country }, { file } = {}) {
+  const countryCode = normalizeCountry(country);
+  const key = postalKey(zip, countryCode);
+
+  const byPostalCode = key ? getGazetteer(file).postalCodes.get(`${countryCode}|${key}`) : null;
+  const postalCodeMatch = byPostalCode && {
+    coordinates: roundCoordinates(byPostalCode.coordinates),
+    precision: 'postal_code',
+    place: byPostalCode.place,
+    stateCode: byPostalCode.stateCode,
+    countryCode,
+    postalCode: byPostalCode.postalCode
+  };
+
+  // A postal code of another city is more likely a typo than the named city
+  if (postalCodeMatch && (!city || nameKey(city) === nameKey(byPostalCode.place))) {
+    return postalCodeMatch;
+  }
+
+  const byCity = findCity({ city, state, country }, { file });
+  return byCity ? { ...byCity, precision: 'city', postalCode: null } : postalCodeMatch || null;
+}
+
+export default {
+  normalizeCountry,
+  findCity,
+  geocodeAddress
+};
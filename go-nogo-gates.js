@@ -0,0 +1,91 @@
+// go-nogo-gates.js
+// Per-application and per-source Go/No-Go thresholds, and whether live imports must pass a dry-run gate first
+
+import { readStore, updateStore } from './import-store.js';
+
+const STORE_NAME = 'go-nogo-gates';
+
+// Rates a run must reach, each between 0 and 1
+export const GATE_RATES = ['minimumResolutionRate', 'minimumValidationRate', 'minimumOverallRate'];
+
+const DEFAULT_GATES = {
+  minimumResolutionRate: 0.9, // 90%
+  minimumValidationRate: 0.95, // 95%
+  minimumOverallRate: 0.85, // 85%
+  // Run a dry-run assessment before every live import and refuse the live phase when it fails
+  requireDryRun: true
+};
+
+/**
+ * Gets the built-in gates used until an app saves its own
+ * @param {string} appId - Application ID
+ * @param {string} sourceSystem - Source system (e.g. 'BTC')
+ * @returns {Object} Default gates
+ */
+export function getDefaultGoNoGoGates(appId, sourceSystem = 'BTC') {
+  return {
+    appId: String(appId),
+    sourceSystem,
+    ...DEFAULT_GATES,
+    updatedAt: null,
+    isDefault: true
+  };
+}
+
+/**
+ * Gets the Go/No-Go gates for an app and source
+ * @param {string} appId - Application ID
+ * @param {string} sourceSystem - Source system (e.g. 'BTC')
+ * @returns {Object} Gates with the three minimum rates and `requireDryRun`
+ */
+export function getGoNoGoGates(appId, sourceSystem = 'BTC') {
+  const stored = readStore(STORE_NAME, {})[`${appId}|${sourceSystem}`];
+  return stored ? { ...stored, isDefault: false } : getDefaultGoNoGoGates(appId, sourceSystem);
+}
+
+/**
+ * Saves the Go/No-Go gates for an app and source
+ * @param {string} appId - Application ID
+ * @param {Object} gates - Gates to save
+ * @param {number} gates.minimumResolutionRate - Share of source events whose entities must resolve (0-1)
+ * @param {number} gates.minimumValidationRate - Share of resolved events that must pass validation (0-1)
+ * @param {number} gates.minimumOverallRate - Share of source events that must end up in TT (0-1)
+ * @param {boolean} gates.requireDryRun - Whether live imports must pass a dry-run assessment first
+ * @param {string} sourceSystem - Source system (e.g. 'BTC')
+ * @returns {Object} The saved gates
+ */
+export function saveGoNoGoGates(appId, gates, sourceSystem = 'BTC') {
+  if (!appId) {
+    throw new Error('appId is required');
+  }
+
+  const saved = {
+    appId: String(appId),
+    sourceSystem
+  };
+
+  for (const rate of GATE_RATES) {
+    const value = Number(gates[rate]);
+    if (gates[rate] === null || gates[rate] === '' || !Number.isFinite(value) || value < 0 || value > 1) {
+      throw new Error(`${rate} must be a number between 0 and 1`);
+    }
+    saved[rate] = value;
+  }
+
+  if (typeof gates.requireDryRun !== 'boolean') {
+    throw new Error('requireDryRun must be true or false');
+  }
+  saved.requireDryRun = gates.requireDryRun;
+  saved.updatedAt = new Date().toISOString();
+
+  updateStore(STORE_NAME, {}, stored => ({ ...stored, [`${saved.appId}|${sourceSystem}`]: saved }));
+
+  return { ...saved, isDefault: false };
+}
+
+export default {
+  GATE_RATES,
+  getDefaultGoNoGoGates,
+  getGoNoGoGates,
+  saveGoNoGoGates
+};
@@ -0,0 +1,91 @@
+// ics-import.js
+// Imports the events of an iCalendar file or feed through the same pipeline as the BTC import
+// (entity resolution, validation, sync and Go/No-Go assessment)
+import fs from 'fs';
+import path from 'path';
+import { configureImport, run } from './btc-import.js';
+import { createIcsAdapter, getIcsSourceKey } from './import-sources/ics.js';
+
+// Default window when START_DATE / END_DATE are not given
+const DEFAULT_RANGE_DAYS = 60;
+
+/**
+ * Formats a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date
+ * @returns {string} Formatted date
+ */
+function formatDate(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Builds the adapter for the calendar named by ICS_FILE or ICS_URL
+ * @returns {Object} Source adapter
+ */
+function createAdapterFromEnv() {
+  const file = process.env.ICS_FILE;
+  const url = process.env.ICS_URL;
+
+  if (!file && !url) {
+    console.error('Set ICS_FILE to an .ics file or ICS_URL to a feed URL.');
+    process.exit(1);
+  }
+
+  // The key names the source, so the same feed must always be imported under the same key
+  const key = getIcsSourceKey(process.env.ICS_SOURCE || (file ? path.basename(file, path.extname(file)) : url));
+  if (!key) {
+    console.error('Could not derive a feed key. Set ICS_SOURCE.');
+    process.exit(1);
+  }
+
+  try {
+    return createIcsAdapter({
+      key,
+      name: process.env.ICS_SOURCE,
+      text: file ? fs.readFileSync(file, 'utf8') : undefined,
+      url: file ? undefined : url
+    });
+  } catch (error) {
+    console.error(`Could not read the calendar: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Main function to run the import
+ */
+async function main() {
+  const sourceAdapter = createAdapterFromEnv();
+
+  const today = new Date();
+  const rangeEnd = new Date(today);
+  rangeEnd.setDate(rangeEnd.getDate() + DEFAULT_RANGE_DAYS);
+
+  configureImport({
+    sourceAdapter,
+    startDate: process.env.START_DATE || formatDate(today),
+    endDate: process.env.END_DATE || formatDate(rangeEnd),
+    goNoGoOverrideReason: process.env.GO_NOGO_OVERRIDE_REASON
+  });
+
+  console.log(`Calendar: ${sourceAdapter.name} (${sourceAdapter.sourceSystem})`);
+
+  const outcome = await run();
+
+  if (sourceAdapter.warnings.length > 0) {
+    console.log('\nCalendar warnings:');
+    sourceAdapter.warnings.forEach(warning => console.log(`- ${warning}`));
+  }
+
+  return outcome;
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export default {
+  main
+};
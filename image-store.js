@@ -0,0 +1,270 @@
+// image-store.js
+// Re-hosting of imported event images: source images are downloaded into an image store, deduped by
+// content hash and resized, so TT events point at our copy instead of hotlinking the source's media library
+
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { getDataDir, readStore, updateStore } from './import-store.js';
+
+// Store of source image URLs already ingested
+const IMAGE_INDEX_STORE = 'images';
+
+// Keys of stored images: the SHA-256 of the original, plus the width for resized variants
+const IMAGE_KEY_PATTERN = /^[a-f0-9]{64}(-w\d+)?\.(jpg|png|gif|webp|avif)$/;
+
+const CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif'
+};
+
+/**
+ * A place to keep image files. Keys are file names such as '<sha256>.jpg' or '<sha256>-w320.webp'.
+ * @typedef {Object} ImageStore
+ * @property {string} name - Store type (e.g. 'local')
+ * @property {Function} has - (key) => Promise<boolean>
+ * @property {Function} put - (key, buffer, contentType) => Promise<void>
+ * @property {Function} get - (key) => Promise<{ buffer, contentType }|null>
+ * @property {Function} getUrl - (key) => string, the public URL TT events link to
+ */
+
+const storeFactories = new Map();
+
+/**
+ * Registers an image store type, replacing any type with the same name
+ * @param {string} name - Store type, chosen with IMAGE_STORE
+ * @param {Function} factory - (options) => ImageStore
+ */
+export function registerImageStore(name, factory) {
+  storeFactories.set(name, factory);
+}
+
+/**
+ * Creates an image store of a registered type
+ * @param {string} name - Store type
+ * @param {Object} [options] - Store options (see the store's factory)
+ * @returns {ImageStore} Store
+ */
+export function createImageStore(name, options = {}) {
+  const factory = storeFactories.get(name);
+
+  if (!factory) {
+    throw new Error(`Unknown image store: ${name}`);
+  }
+
+  return factory(options);
+}
+
+/**
+ * Checks that a key names a stored image, so keys from URLs cannot reach other files
+ * @param {string} key - Image key
+ * @returns {boolean} True for a valid key
+ */
+export function isImageKey(key) {
+  return IMAGE_KEY_PATTERN.test(String(key || ''));
+}
+
+/**
+ * Creates a store that keeps images in a local directory. The admin app serves them at
+ * /api/imports/images/<key>, so publicUrl is normally that path on the app's public address.
+ * @param {Object} [options] - Options
+ * @param {string} [options.dir] - Directory (default IMAGE_STORE_DIR, else images/ in the import data directory)
+ * @param {string} [options.publicUrl] - Base URL of the stored images (default IMAGE_PUBLIC_URL)
+ * @returns {ImageStore} Store
+ */
+export function createLocalImageStore({ dir = process.env.IMAGE_STORE_DIR || path.join(getDataDir(), 'images'), publicUrl = process.env.IMAGE_PUBLIC_URL } = {}) {
+  const fileOf = (key) => {
+    if (!isImageKey(key)) {
+      throw new Error(`Invalid image key: ${key}`);
+    }
+    return path.join(dir, key);
+  };
+
+  return {
+    name: 'local',
+
+    async has(key) {
+      return fs.existsSync(fileOf(key));
+    },
+
+    async put(key, buffer) {
+      const file = fileOf(key);
+      const tempFile = `${file}.${process.pid}.tmp`;
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(tempFile, buffer);
+      fs.renameSync(tempFile, file);
+    },
+
+    async get(key) {
+      const file = fileOf(key);
+      if (!fs.existsSync(file)) {
+        return null;
+      }
+      return { buffer: fs.readFileSync(file), contentType: CONTENT_TYPES[path.extname(key).slice(1)] };
+    },
+
+    getUrl(key) {
+      if (!publicUrl) {
+        throw new Error('IMAGE_PUBLIC_URL is required to link to locally stored images');
+      }
+      return `${publicUrl.replace(/\/$/, '')}/${key}`;
+    }
+  };
+}
+
+registerImageStore('local', createLocalImageStore);
+
+/**
+ * Detects the image format from the file's first bytes; the Content-Type of media servers is not trusted,
+ * and formats that can carry scripts (SVG) are not accepted
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} Extension ('jpg', 'png', 'gif', 'webp' or 'avif'), or null if not a supported image
+ */
+export function detectImageType(buffer) {
+  if (buffer.length < 12) {
+    return null;
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpg';
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  if (['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6))) {
+    return 'gif';
+  }
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  if (buffer.toString('latin1', 4, 12) === 'ftypavif') {
+    return 'avif';
+  }
+  return null;
+}
+
+let sharpLoader = null;
+
+/**
+ * Loads sharp, which resizes images. Without it (e.g. no prebuilt binary for the platform), originals
+ * are stored without variants.
+ * @returns {Promise<Function|null>} sharp, or null if it cannot be loaded
+ */
+function loadSharp() {
+  if (!sharpLoader) {
+    sharpLoader = import('sharp').then(module => module.default).catch(() => null);
+  }
+  return sharpLoader;
+}
+
+/**
+ * Checks that resized variants can be made
+ * @returns {Promise<boolean>} True if sharp loads
+ */
+export async function canResizeImages() {
+  return Boolean(await loadSharp());
+}
+
+/**
+ * Builds the result of an ingested image from its index entry
+ * @param {ImageStore} store - Image store
+ * @param {Object} entry - Index entry
+ * @param {boolean} reused - True if nothing was downloaded
+ * @returns {Object} Ingested image
+ */
+function toIngestedImage(store, entry, reused) {
+  return {
+    url: store.getUrl(entry.key),
+    key: entry.key,
+    hash: entry.hash,
+    contentType: entry.contentType,
+    bytes: entry.bytes,
+    variants: entry.variants.map(variant => ({ width: variant.width, url: store.getUrl(variant.key) })),
+    reused
+  };
+}
+
+/**
+ * Finds the copy of a source image ingested earlier, without downloading anything
+ * @param {string} sourceUrl - Image URL in the source
+ * @param {ImageStore} store - Image store
+ * @returns {Promise<Object|null>} Ingested image (see ingestImage), or null if the URL was never ingested
+ */
+export async function findIngestedImage(sourceUrl, store) {
+  const known = readStore(IMAGE_INDEX_STORE, {})[sourceUrl];
+  return known && await store.has(known.key) ? toIngestedImage(store, known, true) : null;
+}
+
+/**
+ * Copies a source image into an image store. An image URL already ingested is not downloaded again, and
+ * images with the same contents are stored once, whatever their URLs. Resized WebP variants, never wider
+ * than the original, are added when sharp loads.
+ * @param {string} sourceUrl - Image URL in the source
+ * @param {Object} options - Options
+ * @param {ImageStore} options.store - Image store
+ * @param {Function} [options.execute] - (request, url) => Promise, runs the download (e.g. with retries and
+ *   the source host's rate limit); the request is called directly by default
+ * @param {Array<number>} [options.variantWidths] - Widths of the resized variants
+ * @param {number} [options.maxBytes] - Largest image downloaded
+ * @returns {Promise<Object>} { url, key, hash, contentType, bytes, variants: [{ width, url }], reused }
+ */
+export async function ingestImage(sourceUrl, { store, execute = request => request(), variantWidths = [], maxBytes = 10 * 1024 * 1024 }) {
+  const known = readStore(IMAGE_INDEX_STORE, {})[sourceUrl];
+  if (known && await store.has(known.key)) {
+    // Variants are made later for images ingested while sharp did not load or before a width was added
+    const missingVariant = variantWidths.some(width => !known.variants.some(variant => variant.width === width));
+    if (!missingVariant || !await loadSharp()) {
+      return toIngestedImage(store, known, true);
+    }
+  }
+
+  const response = await execute(() => axios.get(sourceUrl, {
+    responseType: 'arraybuffer',
+    maxContentLength: maxBytes,
+    timeout: 30000
+  }), sourceUrl);
+  const buffer = Buffer.from(response.data);
+
+  const type = detectImageType(buffer);
+  if (!type) {
+    throw new Error(`Not a supported image (${response.headers?.['content-type'] || 'no content type'}): ${sourceUrl}`);
+  }
+
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const key = `${hash}.${type}`;
+  if (!await store.has(key)) {
+    await store.put(key, buffer, CONTENT_TYPES[type]);
+  }
+
+  const variants = [];
+  const sharp = variantWidths.length > 0 ? await loadSharp() : null;
+  if (sharp) {
+    for (const width of variantWidths) {
+      const variantKey = `${hash}-w${width}.webp`;
+      if (!await store.has(variantKey)) {
+        const resized = await sharp(buffer).resize({ width, withoutEnlargement: true }).webp().toBuffer();
+        await store.put(variantKey, resized, CONTENT_TYPES.webp);
+      }
+      variants.push({ width, key: variantKey });
+    }
+  }
+
+  const entry = { hash, key, contentType: CONTENT_TYPES[type], bytes: buffer.length, variants };
+  updateStore(IMAGE_INDEX_STORE, {}, (index) => ({ ...index, [sourceUrl]: entry }));
+
+  return toIngestedImage(store, entry, false);
+}
+
+export default {
+  registerImageStore,
+  createImageStore,
+  createLocalImageStore,
+  isImageKey,
+  detectImageType,
+  findIngestedImage,
+  ingestImage,
+  canResizeImages
+};
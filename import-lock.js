@@ -0,0 +1,195 @@
+// import-lock.js
+// Run lock shared by the CLI importer, the admin API and the import scheduler, so two imports never overlap
+
+import fs from 'fs';
+import path from 'path';
+import { getStoreFile, generateRecordId } from './import-store.js';
+
+const LOCK_STORE = 'import-lock';
+
+// A lock older than this is considered abandoned even if its process looks alive
+const LOCK_TTL_MS = (parseFloat(process.env.IMPORT_LOCK_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+// Locks are linked into place whole, so an unreadable lock file is corrupt rather than being written;
+// it is given this long before it is cleared
+const UNREADABLE_LOCK_GRACE_MS = 60 * 1000;
+
+/**
+ * Checks whether a process is still running
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process exists
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Checks whether a lock was left behind by a process that died or hung
+ * @param {Object} lock - Lock record
+ * @returns {boolean} True if the lock can be taken over
+ */
+function isStale(lock) {
+  const age = Date.now() - new Date(lock.acquiredAt).getTime();
+
+  if (lock.unreadable) {
+    return age > UNREADABLE_LOCK_GRACE_MS;
+  }
+  return !isProcessAlive(lock.pid) || age > LOCK_TTL_MS;
+}
+
+/**
+ * Reads the lock file
+ * @param {string} [file] - Lock file (default the import lock)
+ * @returns {Object|null} Lock record, or null if no lock is held
+ */
+function readLock(file = getStoreFile(LOCK_STORE)) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    // An unreadable lock file is treated as a held lock, aged by the file's modification time
+    try {
+      const { mtime } = fs.statSync(file);
+      return { lockId: null, owner: 'unknown', pid: null, acquiredAt: mtime.toISOString(), unreadable: true };
+    } catch (statError) {
+      if (statError.code === 'ENOENT') {
+        return null;
+      }
+      throw statError;
+    }
+  }
+}
+
+/**
+ * Checks whether two reads of the lock file found the same lock
+ * @param {Object|null} a - Lock record
+ * @param {Object|null} b - Lock record
+ * @returns {boolean} True for the same lock
+ */
+function isSameLock(a, b) {
+  return Boolean(a && b) && a.lockId === b.lockId && a.pid === b.pid && a.acquiredAt === b.acquiredAt;
+}
+
+/**
+ * Removes the lock file if it still holds the given lock. Another process may replace the lock between
+ * reading and removing it, so the file is first renamed away, which only one process can do, and put
+ * back if it turns out to hold another lock.
+ * @param {Object} expected - Lock record to remove
+ * @returns {boolean} True if the lock was removed
+ */
+function removeLock(expected) {
+  const file = getStoreFile(LOCK_STORE);
+  const claimedFile = `${file}.${process.pid}.${generateRecordId('claim')}.tmp`;
+
+  try {
+    fs.renameSync(file, claimedFile);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+
+  try {
+    if (isSameLock(readLock(claimedFile), expected)) {
+      return true;
+    }
+    // A lock taken since the file was left free wins over the one put back
+    try {
+      fs.linkSync(claimedFile, file);
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+    return false;
+  } finally {
+    fs.rmSync(claimedFile, { force: true });
+  }
+}
+
+/**
+ * Gets the lock currently held, clearing it if it is stale
+ * @returns {Object|null} Lock record ({ lockId, owner, appId, pid, acquiredAt }) or null
+ */
+export function getImportLock() {
+  const lock = readLock();
+
+  if (lock && isStale(lock)) {
+    // Another process may have replaced the stale lock with its own in the meantime
+    return removeLock(lock) ? null : getImportLock();
+  }
+
+  return lock;
+}
+
+/**
+ * Takes the import lock. The lock is written to a temporary file and linked into place, which fails if
+ * the lock file exists, so only one caller can win even when several processes try at the same moment,
+ * and no process ever sees a partly written lock.
+ * @param {Object} holder - Who takes the lock
+ * @param {string} holder.owner - Description of the holder (e.g. 'cli', 'api:user@example.com', 'schedule:<id>')
+ * @param {string} [holder.appId] - Application being imported
+ * @returns {Object|null} Lock record, or null if another import holds the lock
+ */
+export function acquireImportLock({ owner, appId }) {
+  const file = getStoreFile(LOCK_STORE);
+  const lock = {
+    lockId: generateRecordId('lock'),
+    owner,
+    appId: appId ? String(appId) : null,
+    pid: process.pid,
+    acquiredAt: new Date().toISOString()
+  };
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  // Clears a stale lock so the exclusive create below can succeed
+  if (getImportLock()) {
+    return null;
+  }
+
+  const tempFile = `${file}.${process.pid}.${lock.lockId}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(lock, null, 2));
+
+  try {
+    fs.linkSync(tempFile, file);
+    return lock;
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      return null;
+    }
+    throw error;
+  } finally {
+    fs.rmSync(tempFile, { force: true });
+  }
+}
+
+/**
+ * Releases the import lock if it is still held by the given lock
+ * @param {string} lockId - ID of the lock returned by acquireImportLock
+ * @returns {boolean} True if the lock was released
+ */
+export function releaseImportLock(lockId) {
+  const lock = readLock();
+
+  if (!lock || lock.lockId !== lockId) {
+    return false;
+  }
+
+  return removeLock(lock);
+}
+
+export default {
+  getImportLock,
+  acquireImportLock,
+  releaseImportLock
+};
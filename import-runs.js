@@ -0,0 +1,302 @@
+// import-runs.js
+// Import run history: one record per run with its parameters, operator, timing, counters and assessment,
+// plus the processed, failed and unmatched events of every day the run covered and the changes it made
+
+import fs from 'fs';
+import path from 'path';
+import { getDataDir, readStore, writeStore, updateStore, generateRecordId } from './import-store.js';
+
+const INDEX_STORE = 'runs';
+
+/**
+ * Gets the store holding a run's per-day details
+ * @param {string} runId - Run ID
+ * @returns {string} Store name
+ */
+function detailStore(runId) {
+  // Run IDs are generated here, but they also arrive from URLs
+  if (!/^run-[\w-]+$/.test(runId)) {
+    throw new Error(`Invalid run ID: ${runId}`);
+  }
+  return `runs/${runId}`;
+}
+
+/**
+ * Gets the file a run's changes are appended to, one JSON line per change. Changes are recorded as they
+ * are made, so a run that stops halfway can still be rolled back, and appending keeps that cheap on
+ * runs that change thousands of events.
+ * @param {string} runId - Run ID
+ * @returns {string} Absolute path of the changes file
+ */
+function changesFile(runId) {
+  return path.join(getDataDir(), `${detailStore(runId)}.changes.jsonl`);
+}
+
+/**
+ * Updates a run summary in the index
+ * @param {string} runId - Run ID
+ * @param {Function} updater - Receives the summary and returns the changes
+ * @returns {Object|null} Updated summary or null if not found
+ */
+function updateRunSummary(runId, updater) {
+  let updated = null;
+
+  updateStore(INDEX_STORE, [], runs => runs.map(run => {
+    if (run.runId !== runId) {
+      return run;
+    }
+    updated = { ...run, ...updater(run) };
+    return updated;
+  }));
+
+  return updated;
+}
+
+/**
+ * Picks the counters kept on a run summary from import results
+ * @param {Object} results - Day or combined import results
+ * @returns {Object} Counters
+ */
+function pickCounters(results) {
+  return {
+    btcEvents: results.btcEvents,
+    ttEvents: results.ttEvents,
+    entityResolution: results.entityResolution,
+    validation: results.validation
+  };
+}
+
+/**
+ * Starts a run record
+ * @param {Object} run - Run data
+ * @param {string} run.appId - Application ID
+ * @param {string} run.sourceSystem - Source system (e.g. 'BTC')
+ * @param {string} run.trigger - What started the run ('cli', 'api', 'schedule')
+ * @param {string} run.operator - Who started the run
+ * @param {Object} run.parameters - Run parameters (startDate, endDate, dryRun, ...)
+ * @returns {Object} The run summary
+ */
+export function startRun({ appId, sourceSystem, trigger, operator, parameters }) {
+  const run = {
+    runId: generateRecordId('run'),
+    appId: String(appId),
+    sourceSystem,
+    trigger,
+    operator: operator || 'unknown',
+    parameters,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    counters: null,
+    assessment: null,
+    error: null
+  };
+
+  writeStore(detailStore(run.runId), { runId: run.runId, days: [] });
+  updateStore(INDEX_STORE, [], runs => [...runs, run]);
+
+  return run;
+}
+
+/**
+ * Records the outcome of one day of a run
+ * @param {string} runId - Run ID
+ * @param {Object} day - Day details
+ * @param {Object} day.results - Day results
+ * @param {Array} day.processedEvents - Events created, updated, unchanged or removed
+ * @param {Array} day.failedEvents - Events that failed
+ * @param {Array} day.unmatched - Entities that did not match
+ */
+export function recordRunDay(runId, { results, processedEvents, failedEvents, unmatched }) {
+  updateStore(detailStore(runId), { runId, days: [] }, detail => {
+    // A resumed or retried day replaces its earlier entry
+    const days = detail.days.filter(day => day.date !== results.date);
+    days.push({
+      date: results.date,
+      status: results.cancelled ? 'cancelled' : results.error ? 'failed' : 'completed',
+      counters: pickCounters(results),
+      error: results.error || null,
+      processedEvents,
+      failedEvents,
+      unmatched
+    });
+    days.sort((a, b) => a.date.localeCompare(b.date));
+    return { ...detail, days };
+  });
+}
+
+/**
+ * Records a change a run made to a TT event, with the event's state before the change
+ * @param {string} runId - Run ID
+ * @param {Object} change - Change details
+ * @param {string} change.action - 'created', 'updated' or 'removed'
+ * @param {string} change.eventId - TT event ID
+ * @param {string} change.title - Event title
+ * @param {Object|null} change.previous - Prior values of the fields the run wrote (null for created events)
+ */
+export function recordRunChange(runId, { action, eventId, title, previous }) {
+  const file = changesFile(runId);
+  const change = { action, eventId, title, previous, recordedAt: new Date().toISOString() };
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, `${JSON.stringify(change)}\n`);
+}
+
+/**
+ * Gets the changes a run made to TT events, in the order they were made
+ * @param {string} runId - Run ID
+ * @returns {Array<Object>} Changes
+ */
+export function getRunChanges(runId) {
+  const file = changesFile(runId);
+  // Runs recorded before changes were appended kept them in the detail store
+  const storedChanges = readStore(detailStore(runId), { changes: [] }).changes || [];
+
+  if (!fs.existsSync(file)) {
+    return storedChanges;
+  }
+
+  const changes = [...storedChanges];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      changes.push(JSON.parse(line));
+    } catch (error) {
+      // Partial line from an interrupted write
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Explains why a run cannot be rolled back
+ * @param {Object} run - Run summary
+ * @returns {string|null} Reason, or null if the run can be rolled back
+ */
+export function getRollbackBlocker(run) {
+  if (run.parameters?.dryRun) {
+    return 'Dry runs make no changes to roll back';
+  }
+  if (run.status === 'running') {
+    return 'The run is still in progress';
+  }
+  if (run.rollback?.status === 'running') {
+    return 'A rollback of this run is already in progress';
+  }
+  if (run.rollback?.status === 'completed') {
+    return 'The run has already been rolled back';
+  }
+  return null;
+}
+
+/**
+ * Stores the state of a run's rollback
+ * @param {string} runId - Run ID
+ * @param {Object} rollback - Rollback status, operator, timing and counters
+ * @returns {Object|null} Updated summary
+ */
+export function setRunRollback(runId, rollback) {
+  return updateRunSummary(runId, run => ({
+    rollback: { ...run.rollback, ...rollback },
+    status: rollback.status === 'completed' ? 'rolled_back' : run.status,
+    // Remember the import outcome, the status now describes the rollback
+    importStatus: run.importStatus || run.status
+  }));
+}
+
+/**
+ * Finishes a run record
+ * @param {string} runId - Run ID
+ * @param {Object} outcome - Run outcome
+ * @param {string} outcome.status - 'completed', 'stopped', 'cancelled' or 'failed'
+ * @param {Object} [outcome.results] - Combined results
+ * @param {string} [outcome.error] - Error message if the run failed
+ * @returns {Object|null} Updated summary
+ */
+export function finishRun(runId, { status, results, error }) {
+  return updateRunSummary(runId, run => {
+    const finishedAt = new Date();
+    return {
+      status,
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt.getTime() - new Date(run.startedAt).getTime(),
+      counters: results ? pickCounters(results) : run.counters,
+      daysCompleted: results ? results.daysCompleted : run.daysCompleted,
+      daysTotal: results ? results.daysTotal : run.daysTotal,
+      error: error || null
+    };
+  });
+}
+
+/**
+ * Stores the Go/No-Go assessment of a run
+ * @param {string} runId - Run ID
+ * @param {Object} assessment - Assessment
+ * @returns {Object|null} Updated summary
+ */
+export function setRunAssessment(runId, assessment) {
+  return updateRunSummary(runId, () => ({ assessment }));
+}
+
+/**
+ * Stores the Go/No-Go gate outcome of a run: on the dry run that served as the gate and on the live run
+ * it allowed, with the override reason when an admin overrode a failed gate
+ * @param {string} runId - Run ID
+ * @param {Object} gate - Gate phase, outcome, linked run and override
+ * @returns {Object|null} Updated summary
+ */
+export function setRunGate(runId, gate) {
+  return updateRunSummary(runId, () => ({ gate }));
+}
+
+/**
+ * Lists runs, newest first
+ * @param {Object} filters - Optional filters (appId, sourceSystem, status, limit)
+ * @returns {Array<Object>} Run summaries
+ */
+export function listRuns(filters = {}) {
+  const runs = readStore(INDEX_STORE, [])
+    .filter(run =>
+      (!filters.appId || run.appId === String(filters.appId)) &&
+      (!filters.sourceSystem || run.sourceSystem === filters.sourceSystem) &&
+      (!filters.status || run.status === filters.status)
+    )
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+
+  return filters.limit ? runs.slice(0, filters.limit) : runs;
+}
+
+/**
+ * Gets a run with its per-day details
+ * @param {string} runId - Run ID
+ * @returns {Object|null} Run or null if not found
+ */
+export function getRun(runId) {
+  const run = readStore(INDEX_STORE, []).find(existing => existing.runId === runId);
+
+  if (!run) {
+    return null;
+  }
+
+  const detail = readStore(detailStore(runId), { days: [] });
+
+  return { ...run, days: detail.days, changes: getRunChanges(runId) };
+}
+
+export default {
+  startRun,
+  recordRunDay,
+  finishRun,
+  setRunAssessment,
+  setRunGate,
+  recordRunChange,
+  getRunChanges,
+  getRollbackBlocker,
+  setRunRollback,
+  listRuns,
+  getRun
+};
@@ -0,0 +1,169 @@
+// import-scheduler.js
+// Runs the recurring import schedules inside the admin app's server process
+
+import { ErrorLogger, ImportStage } from './error-handler.js';
+import { listSchedules, getSchedule, getScheduleWindow, recordScheduleRun } from './import-schedules.js';
+import { acquireImportLock, releaseImportLock } from './import-lock.js';
+import { configureImport, processGatedRangeImport } from './btc-import.js';
+
+// How often due schedules are checked
+const TICK_INTERVAL_MS = 60 * 1000;
+
+// The scheduler lives on globalThis so that hot reloads in development do not start a second one
+const state = globalThis.__importScheduler || (globalThis.__importScheduler = {
+  timer: null,
+  startedAt: null,
+  activeScheduleId: null
+});
+
+/**
+ * Runs one schedule now: takes the import lock, imports the schedule's window and stores the outcome
+ * @param {Object} schedule - Schedule
+ * @returns {Promise<Object>} The outcome stored as the schedule's last run
+ */
+export async function runSchedule(schedule) {
+  const { startDate, endDate } = getScheduleWindow(schedule);
+  const lastRun = {
+    status: null,
+    runId: null,
+    startDate,
+    endDate,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    counters: null,
+    canProceed: null,
+    error: null
+  };
+  const logContext = { scheduleId: schedule.id, appId: schedule.appId, startDate, endDate };
+
+  const lock = acquireImportLock({ owner: `schedule:${schedule.id}`, appId: schedule.appId });
+
+  if (!lock) {
+    ErrorLogger.logInfo(
+      `Skipped scheduled import ${schedule.id}: another import is running`,
+      ImportStage.INITIALIZATION,
+      logContext
+    );
+    const skipped = {
+      ...lastRun,
+      status: 'skipped',
+      finishedAt: new Date().toISOString(),
+      error: 'Another import was running'
+    };
+    return recordScheduleRun(schedule.id, skipped)?.lastRun || skipped;
+  }
+
+  state.activeScheduleId = schedule.id;
+
+  try {
+    const authToken = process.env.IMPORT_AUTH_TOKEN || process.env.AUTH_TOKEN;
+    if (!schedule.dryRun && !authToken) {
+      throw new Error('IMPORT_AUTH_TOKEN is not set; live scheduled imports need a token for the TT API');
+    }
+
+    ErrorLogger.logInfo(
+      `Starting scheduled import ${schedule.id}: ${startDate} to ${endDate}`,
+      ImportStage.INITIALIZATION,
+      logContext
+    );
+
+    // Scheduled runs always cover the whole window, so a checkpoint from an earlier run is never resumed
+    configureImport({
+      appId: schedule.appId,
+      sourceSystem: schedule.sourceSystem,
+      authToken,
+      dryRun: schedule.dryRun,
+      resume: false,
+      trigger: 'schedule',
+      operator: `schedule:${schedule.id}`
+    });
+
+    // Live schedules go through the Go/No-Go gate; a scheduled run never overrides a failed gate
+    const { results, assessment, gate } = await processGatedRangeImport(startDate, endDate);
+
+    Object.assign(lastRun, {
+      status: gate?.blocked ? 'blocked' : results.status,
+      runId: results.runId,
+      counters: results.ttEvents,
+      canProceed: assessment ? assessment.canProceed : null,
+      ...(gate?.blocked && { error: `Live import refused: ${gate.reason}` })
+    });
+  } catch (error) {
+    ErrorLogger.logSystemError(
+      `Scheduled import ${schedule.id} failed`,
+      ImportStage.INITIALIZATION,
+      logContext,
+      error
+    );
+    Object.assign(lastRun, { status: 'failed', error: error.message });
+  } finally {
+    state.activeScheduleId = null;
+    releaseImportLock(lock.lockId);
+  }
+
+  lastRun.finishedAt = new Date().toISOString();
+  return recordScheduleRun(schedule.id, lastRun)?.lastRun || lastRun;
+}
+
+/**
+ * Runs every enabled schedule that is due, one after another
+ */
+async function tick() {
+  if (state.activeScheduleId) {
+    return;
+  }
+
+  const now = new Date();
+  const due = listSchedules({ enabled: true })
+    .filter(schedule => schedule.nextRunAt && new Date(schedule.nextRunAt) <= now);
+
+  for (const { id } of due) {
+    // Re-read in case the schedule was changed or deleted while an earlier one ran
+    const schedule = getSchedule(id);
+    if (schedule?.enabled) {
+      await runSchedule(schedule);
+    }
+  }
+}
+
+/**
+ * Starts checking the schedules every minute
+ */
+export function startImportScheduler() {
+  if (state.timer) {
+    return;
+  }
+
+  state.startedAt = new Date().toISOString();
+  state.timer = setInterval(() => {
+    tick().catch(error => ErrorLogger.logSystemError(
+      'Import scheduler tick failed',
+      ImportStage.INITIALIZATION,
+      {},
+      error
+    ));
+  }, TICK_INTERVAL_MS);
+
+  // The scheduler should never keep the process alive by itself
+  state.timer.unref?.();
+
+  ErrorLogger.logInfo('Import scheduler started', ImportStage.INITIALIZATION, {});
+}
+
+/**
+ * Gets the scheduler's state
+ * @returns {Object} { running, startedAt, activeScheduleId }
+ */
+export function getSchedulerState() {
+  return {
+    running: Boolean(state.timer),
+    startedAt: state.startedAt,
+    activeScheduleId: state.activeScheduleId
+  };
+}
+
+export default {
+  runSchedule,
+  startImportScheduler,
+  getSchedulerState
+};
@@ -0,0 +1,338 @@
+// import-schedules.js
+// Recurring import schedules per app: a cron expression and the rolling window of days each run imports
+
+import { readStore, updateStore, generateRecordId } from './import-store.js';
+
+const STORE = 'schedules';
+
+// Shorthands accepted in place of the five cron fields
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@nightly': '0 2 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Allowed range of each cron field, in order: minute, hour, day of month, month, day of week
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Longest gap searched for the next run (a bit over four years, for expressions like Feb 29)
+const MAX_SEARCH_DAYS = 1500;
+
+/**
+ * Parses one cron field into the set of values it matches
+ * @param {string} field - Field text (e.g. '*', '5', '1-5', '*\/15', '1,15')
+ * @param {Object} range - Field range ({ name, min, max })
+ * @returns {Set<number>} Matching values
+ */
+function parseCronField(field, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+
+    const start = match[1] === '*' ? min : parseInt(match[2], 10);
+    const end = match[1] === '*' ? max : match[3] !== undefined ? parseInt(match[3], 10) : match[4] ? max : start;
+    const step = match[4] ? parseInt(match[4], 10) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name}: ${part} (allowed ${min}-${max})`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parses a five-field cron expression (minute hour day-of-month month day-of-week)
+ * @param {string} expression - Cron expression or shorthand such as '@nightly'
+ * @returns {Object} Parsed fields
+ */
+export function parseCron(expression) {
+  const text = CRON_ALIASES[String(expression).trim()] || String(expression).trim();
+  const fields = text.split(/\s+/);
+
+  if (fields.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+
+  // 7 is an alias for Sunday
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Like classic cron, a day matches either day field when both are restricted
+    anyDay: fields[2] !== '*' && fields[4] !== '*'
+  };
+}
+
+/**
+ * Checks whether a day matches the day fields of a parsed cron expression
+ * @param {Object} cron - Parsed expression
+ * @param {Date} date - Day to check (local time)
+ * @returns {boolean} True if the day matches
+ */
+function matchesDay(cron, date) {
+  if (!cron.months.has(date.getMonth() + 1)) {
+    return false;
+  }
+
+  const dayOfMonth = cron.daysOfMonth.has(date.getDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getDay());
+
+  return cron.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Gets the next time a cron expression fires after a given time, in server local time
+ * @param {string} expression - Cron expression
+ * @param {Date} [from] - Time to search from (default now)
+ * @returns {Date|null} Next run time, or null if the expression never fires
+ */
+export function getNextRunTime(expression, from = new Date()) {
+  const cron = parseCron(expression);
+  const candidate = new Date(from);
+  candidate.setSeconds(0, 0);
+  candidate.setMinutes(candidate.getMinutes() + 1);
+
+  const limit = new Date(from);
+  limit.setDate(limit.getDate() + MAX_SEARCH_DAYS);
+
+  while (candidate <= limit) {
+    if (!matchesDay(cron, candidate)) {
+      candidate.setDate(candidate.getDate() + 1);
+      candidate.setHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!cron.hours.has(candidate.getHours())) {
+      const nextHour = candidate.getHours() + 1;
+      candidate.setHours(nextHour, 0, 0, 0);
+      // Like cron, runs in an hour skipped by a daylight saving change happen right after it
+      if (candidate.getHours() > nextHour && cron.hours.has(nextHour)) {
+        return candidate;
+      }
+      continue;
+    }
+
+    if (!cron.minutes.has(candidate.getMinutes())) {
+      candidate.setMinutes(candidate.getMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    return candidate;
+  }
+
+  return null;
+}
+
+/**
+ * Formats a local date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Formatted date
+ */
+function formatLocalDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Gets the days a scheduled run imports
+ * @param {Object} schedule - Schedule
+ * @param {Date} [now] - Time of the run (default now)
+ * @returns {Object} { startDate, endDate } in YYYY-MM-DD format
+ */
+export function getScheduleWindow(schedule, now = new Date()) {
+  const start = new Date(now);
+  start.setDate(start.getDate() + schedule.windowStartDays);
+
+  const end = new Date(start);
+  end.setDate(end.getDate() + schedule.windowDays - 1);
+
+  return { startDate: formatLocalDate(start), endDate: formatLocalDate(end) };
+}
+
+/**
+ * Validates and normalizes schedule settings
+ * @param {Object} settings - Schedule settings
+ * @returns {Object} Normalized settings
+ */
+function normalizeSettings({ appId, sourceSystem = 'BTC', cron, windowStartDays = 0, windowDays = 60, dryRun = false, enabled = true }) {
+  if (!appId) {
+    throw new Error('appId is required');
+  }
+  if (!cron) {
+    throw new Error('cron is required');
+  }
+
+  // Throws on an invalid expression
+  parseCron(cron);
+
+  const startDays = parseInt(windowStartDays, 10);
+  const days = parseInt(windowDays, 10);
+
+  if (Number.isNaN(startDays) || startDays < 0) {
+    throw new Error('windowStartDays must be 0 or more');
+  }
+  if (Number.isNaN(days) || days < 1 || days > 366) {
+    throw new Error('windowDays must be between 1 and 366');
+  }
+
+  return {
+    appId: String(appId),
+    sourceSystem,
+    cron: String(cron).trim(),
+    windowStartDays: startDays,
+    windowDays: days,
+    dryRun: dryRun === true,
+    enabled: enabled !== false
+  };
+}
+
+/**
+ * Lists schedules
+ * @param {Object} filters - Optional filters (appId, sourceSystem, enabled)
+ * @returns {Array<Object>} Schedules
+ */
+export function listSchedules(filters = {}) {
+  return readStore(STORE, []).filter(schedule =>
+    (!filters.appId || schedule.appId === String(filters.appId)) &&
+    (!filters.sourceSystem || schedule.sourceSystem === filters.sourceSystem) &&
+    (filters.enabled === undefined || schedule.enabled === filters.enabled)
+  );
+}
+
+/**
+ * Gets a schedule
+ * @param {string} id - Schedule ID
+ * @returns {Object|null} Schedule or null if not found
+ */
+export function getSchedule(id) {
+  return readStore(STORE, []).find(schedule => schedule.id === id) || null;
+}
+
+/**
+ * Creates a schedule
+ * @param {Object} settings - appId, sourceSystem, cron, windowStartDays, windowDays, dryRun, enabled
+ * @returns {Object} The created schedule
+ */
+export function createSchedule(settings) {
+  const schedule = {
+    id: generateRecordId('schedule'),
+    ...normalizeSettings(settings),
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    lastRun: null
+  };
+  schedule.nextRunAt = schedule.enabled ? getNextRunTime(schedule.cron)?.toISOString() || null : null;
+
+  updateStore(STORE, [], schedules => [...schedules, schedule]);
+
+  return schedule;
+}
+
+/**
+ * Updates a schedule's settings
+ * @param {string} id - Schedule ID
+ * @param {Object} settings - Changed settings
+ * @returns {Object|null} Updated schedule or null if not found
+ */
+export function updateSchedule(id, settings) {
+  let updated = null;
+
+  updateStore(STORE, [], schedules => schedules.map(schedule => {
+    if (schedule.id !== id) {
+      return schedule;
+    }
+
+    const normalized = normalizeSettings({ ...schedule, ...settings });
+    updated = {
+      ...schedule,
+      ...normalized,
+      updatedAt: new Date().toISOString(),
+      nextRunAt: normalized.enabled ? getNextRunTime(normalized.cron)?.toISOString() || null : null
+    };
+    return updated;
+  }));
+
+  return updated;
+}
+
+/**
+ * Deletes a schedule
+ * @param {string} id - Schedule ID
+ * @returns {boolean} True if a schedule was deleted
+ */
+export function deleteSchedule(id) {
+  let deleted = false;
+
+  updateStore(STORE, [], schedules => schedules.filter(schedule => {
+    if (schedule.id === id) {
+      deleted = true;
+      return false;
+    }
+    return true;
+  }));
+
+  return deleted;
+}
+
+/**
+ * Stores the outcome of a scheduled run and when the schedule fires next
+ * @param {string} id - Schedule ID
+ * @param {Object} lastRun - Outcome ({ status, runId, startedAt, finishedAt, startDate, endDate, canProceed, error })
+ * @returns {Object|null} Updated schedule or null if not found
+ */
+export function recordScheduleRun(id, lastRun) {
+  let updated = null;
+
+  updateStore(STORE, [], schedules => schedules.map(schedule => {
+    if (schedule.id !== id) {
+      return schedule;
+    }
+
+    updated = {
+      ...schedule,
+      lastRun,
+      nextRunAt: schedule.enabled ? getNextRunTime(schedule.cron)?.toISOString() || null : null
+    };
+    return updated;
+  }));
+
+  return updated;
+}
+
+export default {
+  parseCron,
+  getNextRunTime,
+  getScheduleWindow,
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  recordScheduleRun
+};
@@ -0,0 +1,757 @@
+// import-sources/ics.js
+// Source adapter for iCalendar (.ics) files and feeds: parses VEVENTs and expands RRULE/RDATE/EXDATE
+// recurrences, honoring TZID, into one source event per occurrence
+
+import axios from 'axios';
+import crypto from 'crypto';
+import { isValidTimeZone, getWallClock, wallClockToInstant } from '../event-time.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const SUPPORTED_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Upper bound on recurrence periods walked for one event, so a rule that never matches cannot loop forever
+const MAX_PERIODS = 50000;
+
+// Windows zone names some calendar apps write as TZID
+const WINDOWS_TIME_ZONES = {
+  'Eastern Standard Time': 'America/New_York',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'GMT Standard Time': 'Europe/London',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Argentina Standard Time': 'America/Argentina/Buenos_Aires'
+};
+
+/**
+ * Gets the day number (days since the epoch) of a calendar date
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {number} Day number
+ */
+function toDayNumber(year, month, day) {
+  return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+}
+
+/**
+ * Gets the calendar date of a day number
+ * @param {number} dayNumber - Days since the epoch
+ * @returns {Object} { year, month, day, weekday } with weekday 0 = Sunday
+ */
+function fromDayNumber(dayNumber) {
+  const date = new Date(dayNumber * DAY_MS);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay()
+  };
+}
+
+/**
+ * Formats a day number as YYYY-MM-DD
+ * @param {number} dayNumber - Days since the epoch
+ * @returns {string} Date
+ */
+function formatDay(dayNumber) {
+  return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Formats wall-clock parts as a local date-time without a zone
+ * @param {Object} wall - Wall-clock parts
+ * @returns {string} Date-time such as 2026-10-22T19:30:00
+ */
+function formatWallTime(wall) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${formatDay(toDayNumber(wall.year, wall.month, wall.day))}T${pad(wall.hour)}:${pad(wall.minute)}:${pad(wall.second)}`;
+}
+
+/**
+ * Gets the number of days in a month
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {number} Days
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Unescapes an iCalendar TEXT value
+ * @param {string} value - Escaped text
+ * @returns {string} Text
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, character) => (character === 'n' || character === 'N' ? '\n' : character));
+}
+
+/**
+ * Splits a content line into its name, parameters and value
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} { name, params, value }, or null for a malformed line
+ */
+function parseContentLine(line) {
+  // The value starts at the first colon outside a quoted parameter value
+  let valueStart = -1;
+  let inQuotes = false;
+  for (let index = 0; index < line.length; index++) {
+    if (line[index] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[index] === ':' && !inQuotes) {
+      valueStart = index;
+      break;
+    }
+  }
+
+  if (valueStart <= 0) {
+    return null;
+  }
+
+  const [name, ...paramParts] = line.slice(0, valueStart).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const params = {};
+  for (const part of paramParts) {
+    const separator = part.indexOf('=');
+    if (separator > 0) {
+      params[part.slice(0, separator).toUpperCase()] = part.slice(separator + 1).replace(/^"|"$/g, '');
+    }
+  }
+
+  return {
+    name: name.toUpperCase(),
+    params,
+    value: line.slice(valueStart + 1)
+  };
+}
+
+/**
+ * Resolves a TZID to an IANA time zone
+ * @param {string} tzid - TZID parameter value
+ * @param {string|null} fallback - Zone used when the TZID is missing or unknown
+ * @param {Array<string>} warnings - Collects a warning for unknown zones
+ * @returns {string|null} IANA time zone, or null for the server's local time
+ */
+function resolveTimeZone(tzid, fallback, warnings) {
+  if (!tzid) {
+    return fallback;
+  }
+  if (isValidTimeZone(tzid)) {
+    return tzid;
+  }
+
+  // Some producers prefix the zone with a vendor path, e.g. /mozilla.org/20050126_1/America/New_York
+  const trailingZone = /([A-Za-z_]+\/[A-Za-z_]+(?:\/[A-Za-z_]+)?)$/.exec(tzid)?.[1];
+  if (trailingZone && isValidTimeZone(trailingZone)) {
+    return trailingZone;
+  }
+  if (WINDOWS_TIME_ZONES[tzid]) {
+    return WINDOWS_TIME_ZONES[tzid];
+  }
+
+  warnings.push(`Unknown TZID "${tzid}", using ${fallback || 'server local time'}`);
+  return fallback;
+}
+
+/**
+ * Parses a DATE or DATE-TIME value
+ * @param {string} value - Value text (e.g. 20261020, 20261020T190000, 20261020T230000Z)
+ * @param {Object} params - Property parameters (VALUE, TZID)
+ * @param {string|null} calendarZone - Calendar default zone for floating times
+ * @param {Array<string>} warnings - Collects warnings
+ * @returns {Object} { wall, dateOnly, timeZone }
+ */
+function parseDateValue(value, params, calendarZone, warnings) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid date value: ${value}`);
+  }
+
+  const wall = {
+    year: parseInt(match[1], 10),
+    month: parseInt(match[2], 10),
+    day: parseInt(match[3], 10),
+    hour: parseInt(match[4] || '0', 10),
+    minute: parseInt(match[5] || '0', 10),
+    second: parseInt(match[6] || '0', 10)
+  };
+
+  if (params.VALUE === 'DATE' || !match[4]) {
+    return { wall, dateOnly: true, timeZone: null };
+  }
+  if (match[7]) {
+    return { wall, dateOnly: false, timeZone: 'UTC' };
+  }
+  return { wall, dateOnly: false, timeZone: resolveTimeZone(params.TZID, calendarZone, warnings) };
+}
+
+/**
+ * Parses a DURATION value
+ * @param {string} value - Duration (e.g. PT1H30M, P1D, P2W)
+ * @returns {Object|null} { ms, days } or null if invalid
+ */
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [weeks, days, hours, minutes, seconds] = match.slice(2).map(part => parseInt(part || '0', 10));
+  const sign = match[1] === '-' ? -1 : 1;
+  return {
+    days: sign * (weeks * 7 + days),
+    ms: sign * ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000
+  };
+}
+
+/**
+ * Parses an RRULE value
+ * @param {string} value - Rule text
+ * @param {Object} dtstart - Parsed DTSTART, used to read UNTIL in the same zone
+ * @param {Array<string>} warnings - Collects warnings for unsupported rule parts
+ * @returns {Object|null} Parsed rule, or null if the rule cannot be expanded
+ */
+function parseRule(value, dtstart, warnings) {
+  const parts = {};
+  for (const part of value.split(';')) {
+    const [key, partValue] = part.split('=');
+    if (key && partValue !== undefined) {
+      parts[key.toUpperCase()] = partValue.toUpperCase();
+    }
+  }
+
+  if (!SUPPORTED_FREQUENCIES.includes(parts.FREQ)) {
+    warnings.push(`Unsupported RRULE frequency "${parts.FREQ}", only the first occurrence is imported`);
+    return null;
+  }
+  for (const unsupported of ['BYYEARDAY', 'BYWEEKNO', 'BYHOUR', 'BYMINUTE', 'BYSECOND']) {
+    if (parts[unsupported]) {
+      warnings.push(`RRULE part ${unsupported} is not supported and was ignored`);
+    }
+  }
+
+  const numbers = (list) => (list ? list.split(',').map(item => parseInt(item, 10)).filter(Number.isFinite) : null);
+
+  return {
+    freq: parts.FREQ,
+    interval: Math.max(1, parseInt(parts.INTERVAL || '1', 10) || 1),
+    count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+    until: parts.UNTIL ? parseDateValue(parts.UNTIL, {}, dtstart.timeZone, warnings) : null,
+    byDay: parts.BYDAY
+      ? parts.BYDAY.split(',').map(item => {
+        const match = /^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+        return match ? { ordinal: match[1] ? parseInt(match[1], 10) : null, weekday: WEEKDAYS.indexOf(match[2]) } : null;
+      }).filter(Boolean)
+      : null,
+    byMonthDay: numbers(parts.BYMONTHDAY),
+    byMonth: numbers(parts.BYMONTH),
+    bySetPos: numbers(parts.BYSETPOS),
+    weekStart: parts.WKST ? Math.max(0, WEEKDAYS.indexOf(parts.WKST)) : 1
+  };
+}
+
+/**
+ * Parses iCalendar text
+ * @param {string} text - Contents of an .ics file
+ * @returns {Object} { name, timeZone, events, warnings }
+ */
+export function parseIcs(text) {
+  if (!/BEGIN:VCALENDAR/i.test(String(text))) {
+    throw new Error('Not an iCalendar file: BEGIN:VCALENDAR not found');
+  }
+
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const calendar = { name: null, timeZone: null, events: [], warnings: [] };
+  const rawEvents = [];
+  const stack = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+
+    const property = parseContentLine(line);
+    if (!property) {
+      calendar.warnings.push(`Skipped malformed line: ${line.slice(0, 80)}`);
+      continue;
+    }
+
+    if (property.name === 'BEGIN') {
+      stack.push(property.value.toUpperCase());
+      if (property.value.toUpperCase() === 'VEVENT') {
+        current = {};
+      }
+      continue;
+    }
+    if (property.name === 'END') {
+      if (property.value.toUpperCase() === 'VEVENT' && current) {
+        rawEvents.push(current);
+        current = null;
+      }
+      stack.pop();
+      continue;
+    }
+
+    const component = stack[stack.length - 1];
+    if (component === 'VEVENT' && current) {
+      (current[property.name] = current[property.name] || []).push(property);
+    } else if (component === 'VCALENDAR') {
+      if (property.name === 'X-WR-CALNAME') calendar.name = unescapeText(property.value);
+      if (property.name === 'X-WR-TIMEZONE') calendar.timeZone = resolveTimeZone(property.value, null, calendar.warnings);
+    }
+  }
+
+  for (const raw of rawEvents) {
+    try {
+      const event = parseEvent(raw, calendar);
+      if (event) calendar.events.push(event);
+    } catch (error) {
+      calendar.warnings.push(`Skipped event ${raw.UID?.[0]?.value || raw.SUMMARY?.[0]?.value || ''}: ${error.message}`);
+    }
+  }
+
+  return calendar;
+}
+
+/**
+ * Turns the properties of one VEVENT into an event record
+ * @param {Object} raw - Properties by name
+ * @param {Object} calendar - Calendar being parsed (default zone, warnings)
+ * @returns {Object|null} Event, or null if it has no start
+ */
+function parseEvent(raw, calendar) {
+  const first = (name) => raw[name]?.[0];
+  const textValue = (name) => (first(name) ? unescapeText(first(name).value).trim() || null : null);
+  const dateValue = (property) => parseDateValue(property.value, property.params, calendar.timeZone, calendar.warnings);
+
+  if (!first('DTSTART')) {
+    calendar.warnings.push(`Skipped event without DTSTART: ${textValue('SUMMARY') || textValue('UID') || 'untitled'}`);
+    return null;
+  }
+
+  const dtstart = dateValue(first('DTSTART'));
+  const summary = textValue('SUMMARY');
+
+  // Date lists (EXDATE/RDATE) may hold several comma-separated values per line
+  const dateList = (name) => (raw[name] || []).flatMap(property =>
+    property.params.VALUE === 'PERIOD'
+      ? []
+      : property.value.split(',').map(value => parseDateValue(value, property.params, calendar.timeZone, calendar.warnings))
+  );
+
+  const organizer = first('ORGANIZER');
+  const email = organizer?.value.replace(/^mailto:/i, '').trim() || null;
+  const geo = textValue('GEO')?.split(/[;,]/).map(parseFloat);
+  const image = (raw.IMAGE || []).concat((raw.ATTACH || []).filter(attach => /^image\//i.test(attach.params.FMTTYPE || '')))[0];
+
+  return {
+    uid: textValue('UID') || crypto.createHash('sha1').update(`${summary}|${first('DTSTART').value}`).digest('hex'),
+    summary,
+    description: textValue('DESCRIPTION'),
+    location: textValue('LOCATION'),
+    geo: geo && geo.length === 2 && geo.every(Number.isFinite) ? { latitude: geo[0], longitude: geo[1] } : null,
+    organizer: organizer ? { name: organizer.params.CN || email, email } : null,
+    categories: (raw.CATEGORIES || []).flatMap(property => property.value.split(/(?<!\\),/).map(unescapeText))
+      .map(category => category.trim()).filter(Boolean),
+    url: textValue('URL'),
+    imageUrl: image ? image.value.trim() : null,
+    status: textValue('STATUS')?.toUpperCase() || null,
+    dtstart,
+    dtend: first('DTEND') ? dateValue(first('DTEND')) : null,
+    duration: first('DURATION') ? parseDuration(first('DURATION').value) : null,
+    rrule: first('RRULE') ? parseRule(first('RRULE').value, dtstart, calendar.warnings) : null,
+    rdates: dateList('RDATE'),
+    exdates: dateList('EXDATE'),
+    recurrenceId: first('RECURRENCE-ID') ? dateValue(first('RECURRENCE-ID')) : null
+  };
+}
+
+/**
+ * Lists the days of a month or year span that match BYDAY entries
+ * @param {number} firstDay - Day number of the first day of the span
+ * @param {number} length - Days in the span
+ * @param {Array<Object>} byDay - { ordinal, weekday } entries
+ * @returns {Array<number>} Matching day numbers
+ */
+function matchWeekdaysInSpan(firstDay, length, byDay) {
+  const days = new Set();
+  const firstWeekday = fromDayNumber(firstDay).weekday;
+
+  for (const { ordinal, weekday } of byDay) {
+    const matches = [];
+    for (let offset = (weekday - firstWeekday + 7) % 7; offset < length; offset += 7) {
+      matches.push(firstDay + offset);
+    }
+
+    if (ordinal === null) {
+      matches.forEach(day => days.add(day));
+    } else {
+      const pick = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+      if (pick !== undefined) days.add(pick);
+    }
+  }
+
+  return [...days];
+}
+
+/**
+ * Lists the candidate days of one month of a MONTHLY or YEARLY rule
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {Object} rule - Parsed rule
+ * @param {Object} start - Calendar date of DTSTART
+ * @returns {Array<number>} Day numbers
+ */
+function monthCandidates(year, month, rule, start) {
+  const firstDay = toDayNumber(year, month, 1);
+  const length = daysInMonth(year, month);
+  let days = null;
+
+  if (rule.byMonthDay) {
+    days = rule.byMonthDay
+      .map(day => (day > 0 ? day : length + day + 1))
+      .filter(day => day >= 1 && day <= length)
+      .map(day => firstDay + day - 1);
+  }
+  if (rule.byDay) {
+    const weekdayDays = matchWeekdaysInSpan(firstDay, length, rule.byDay);
+    days = days ? days.filter(day => weekdayDays.includes(day)) : weekdayDays;
+  }
+
+  return days || (start.day <= length ? [firstDay + start.day - 1] : []);
+}
+
+/**
+ * Yields the days a rule produces, in order, from DTSTART until a given day
+ * @param {Object} rule - Parsed rule
+ * @param {number} startDay - Day number of DTSTART
+ * @param {number} lastDay - Last day number of interest
+ * @returns {Generator<number>} Day numbers
+ */
+function* ruleDays(rule, startDay, lastDay) {
+  const start = fromDayNumber(startDay);
+  const inMonths = (day) => !rule.byMonth || rule.byMonth.includes(fromDayNumber(day).month);
+  const weekdays = rule.byDay ? rule.byDay.map(entry => entry.weekday) : [start.weekday];
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    let candidates;
+    let periodStart;
+
+    if (rule.freq === 'DAILY') {
+      periodStart = startDay + period * rule.interval;
+      const date = fromDayNumber(periodStart);
+      const monthDayMatches = !rule.byMonthDay || rule.byMonthDay.some(day =>
+        (day > 0 ? day : daysInMonth(date.year, date.month) + day + 1) === date.day);
+      candidates = inMonths(periodStart) && monthDayMatches && (!rule.byDay || weekdays.includes(date.weekday))
+        ? [periodStart]
+        : [];
+    } else if (rule.freq === 'WEEKLY') {
+      periodStart = startDay - ((start.weekday - rule.weekStart + 7) % 7) + period * rule.interval * 7;
+      candidates = Array.from({ length: 7 }, (_, offset) => periodStart + offset)
+        .filter(day => weekdays.includes(fromDayNumber(day).weekday) && inMonths(day));
+    } else if (rule.freq === 'MONTHLY') {
+      const monthIndex = start.year * 12 + (start.month - 1) + period * rule.interval;
+      const year = Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      periodStart = toDayNumber(year, month, 1);
+      candidates = inMonths(periodStart) ? monthCandidates(year, month, rule, start) : [];
+    } else {
+      const year = start.year + period * rule.interval;
+      periodStart = toDayNumber(year, 1, 1);
+      if (rule.byMonth) {
+        candidates = rule.byMonth.flatMap(month => monthCandidates(year, month, rule, start));
+      } else if (rule.byDay && !rule.byMonthDay) {
+        // Without BYMONTH, BYDAY ordinals count within the whole year
+        candidates = matchWeekdaysInSpan(periodStart, toDayNumber(year + 1, 1, 1) - periodStart, rule.byDay);
+      } else {
+        candidates = monthCandidates(year, start.month, rule, start);
+      }
+    }
+
+    if (periodStart > lastDay) {
+      return;
+    }
+
+    candidates.sort((a, b) => a - b);
+    if (rule.bySetPos) {
+      candidates = rule.bySetPos
+        .map(position => (position > 0 ? candidates[position - 1] : candidates[candidates.length + position]))
+        .filter(day => day !== undefined)
+        .sort((a, b) => a - b);
+    }
+
+    for (const day of candidates) {
+      if (day >= startDay) {
+        yield day;
+      }
+    }
+  }
+}
+
+/**
+ * Formats a recurrence instance key (the original start of an occurrence)
+ * @param {Object} value - Parsed date value
+ * @returns {string} Key such as 20261020 or 20261020T230000Z
+ */
+function instanceKey(value) {
+  if (value.dateOnly) {
+    return formatDay(toDayNumber(value.wall.year, value.wall.month, value.wall.day)).replace(/-/g, '');
+  }
+  return new Date(wallClockToInstant(value.wall, value.timeZone)).toISOString().replace(/[-:]|\.\d{3}/g, '');
+}
+
+/**
+ * Builds one occurrence of an event
+ * @param {Object} event - Parsed event
+ * @param {Object} start - Parsed date value of the occurrence start
+ * @param {string|null} sourceId - Occurrence ID, or null to use the UID
+ * @param {string|null} displayZone - Zone that decides the local date of UTC times
+ * @returns {Object} Occurrence
+ */
+function buildOccurrence(event, start, sourceId, displayZone) {
+  const { dtstart, dtend, duration } = event;
+  let startValue;
+  let endValue;
+  let localDate;
+
+  if (start.dateOnly) {
+    const startDay = toDayNumber(start.wall.year, start.wall.month, start.wall.day);
+    const lengthDays = dtend && dtend.dateOnly
+      ? toDayNumber(dtend.wall.year, dtend.wall.month, dtend.wall.day) - toDayNumber(dtstart.wall.year, dtstart.wall.month, dtstart.wall.day)
+      : duration ? duration.days : 1;
+
+    // DTEND is exclusive, so a one-day event ends on its start day
+    localDate = formatDay(startDay);
+    startValue = `${localDate}T00:00:00`;
+    endValue = `${formatDay(startDay + Math.max(1, lengthDays) - 1)}T23:59:59`;
+  } else {
+    const instant = wallClockToInstant(start.wall, start.timeZone);
+    const lengthMs = dtend && !dtend.dateOnly
+      ? wallClockToInstant(dtend.wall, dtend.timeZone) - wallClockToInstant(dtstart.wall, dtstart.timeZone)
+      : duration ? duration.ms : 0;
+    const wall = getWallClock(instant, start.timeZone === 'UTC' ? displayZone : start.timeZone);
+
+    localDate = formatDay(toDayNumber(wall.year, wall.month, wall.day));
+    if (start.timeZone) {
+      startValue = new Date(instant).toISOString();
+      endValue = new Date(instant + Math.max(0, lengthMs)).toISOString();
+    } else {
+      // Floating times stay local, for the importer to place in the venue's zone
+      startValue = formatWallTime(wall);
+      endValue = formatWallTime(getWallClock(instant + Math.max(0, lengthMs), null));
+    }
+  }
+
+  return {
+    uid: event.uid,
+    sourceId: sourceId || event.uid,
+    summary: event.summary,
+    description: event.description,
+    location: event.location,
+    geo: event.geo,
+    organizer: event.organizer,
+    categories: event.categories,
+    url: event.url,
+    imageUrl: event.imageUrl,
+    status: event.status,
+    allDay: start.dateOnly,
+    start: startValue,
+    end: endValue,
+    localDate,
+    timeZone: start.timeZone
+  };
+}
+
+/**
+ * Expands the events of a calendar into the occurrences that start within a date range
+ * @param {Object} calendar - Parsed calendar from parseIcs
+ * @param {string} startDate - First day (YYYY-MM-DD, in each event's own time zone)
+ * @param {string} endDate - Last day (YYYY-MM-DD)
+ * @returns {Array<Object>} Occurrences sorted by start
+ */
+export function expandIcsEvents(calendar, startDate, endDate) {
+  const firstDay = Math.floor(Date.parse(`${startDate}T00:00:00Z`) / DAY_MS);
+  const lastDay = Math.floor(Date.parse(`${endDate}T00:00:00Z`) / DAY_MS);
+  const occurrences = [];
+
+  // Modified instances (RECURRENCE-ID) replace the instance of their series they point at
+  const overridden = new Set();
+  for (const event of calendar.events) {
+    if (event.recurrenceId) {
+      overridden.add(`${event.uid}@${instanceKey(event.recurrenceId)}`);
+    }
+  }
+
+  for (const event of calendar.events) {
+    if (event.recurrenceId) {
+      occurrences.push(buildOccurrence(event, event.dtstart, `${event.uid}@${instanceKey(event.recurrenceId)}`, calendar.timeZone));
+      continue;
+    }
+
+    const recurring = Boolean(event.rrule || event.rdates.length);
+    if (!recurring) {
+      occurrences.push(buildOccurrence(event, event.dtstart, null, calendar.timeZone));
+      continue;
+    }
+
+    const { dtstart, rrule } = event;
+    const startDay = toDayNumber(dtstart.wall.year, dtstart.wall.month, dtstart.wall.day);
+    const starts = [dtstart];
+
+    if (rrule) {
+      const untilInstant = rrule.until
+        ? rrule.until.dateOnly
+          ? (toDayNumber(rrule.until.wall.year, rrule.until.wall.month, rrule.until.wall.day) + 1) * DAY_MS - 1
+          : wallClockToInstant(rrule.until.wall, rrule.until.timeZone)
+        : null;
+      let count = 1;
+
+      // Search one day past the range: UTC times can fall on the next local day
+      for (const day of ruleDays(rrule, startDay, lastDay + 1)) {
+        if (day === startDay) continue;
+        if (rrule.count !== null && count >= rrule.count) break;
+
+        const date = fromDayNumber(day);
+        const start = { ...dtstart, wall: { ...dtstart.wall, year: date.year, month: date.month, day: date.day } };
+        const instant = start.dateOnly ? day * DAY_MS : wallClockToInstant(start.wall, start.timeZone);
+        if (untilInstant !== null && instant > untilInstant) break;
+
+        starts.push(start);
+        count++;
+      }
+    }
+    starts.push(...event.rdates.filter(rdate => rdate.dateOnly === dtstart.dateOnly));
+
+    const excluded = new Set(event.exdates.map(exdate => (exdate.dateOnly ? `day:${instanceKey(exdate)}` : instanceKey(exdate))));
+    const seen = new Set();
+
+    for (const start of starts) {
+      const key = instanceKey(start);
+      const dayKey = `day:${formatDay(toDayNumber(start.wall.year, start.wall.month, start.wall.day)).replace(/-/g, '')}`;
+      if (seen.has(key) || excluded.has(key) || excluded.has(dayKey) || overridden.has(`${event.uid}@${key}`)) {
+        continue;
+      }
+      seen.add(key);
+      occurrences.push(buildOccurrence(event, start, `${event.uid}@${key}`, calendar.timeZone));
+    }
+  }
+
+  return occurrences
+    .filter(occurrence => {
+      const day = Math.floor(Date.parse(`${occurrence.localDate}T00:00:00Z`) / DAY_MS);
+      return day >= firstDay && day <= lastDay;
+    })
+    .sort((a, b) => a.localDate.localeCompare(b.localDate) || a.start.localeCompare(b.start));
+}
+
+/**
+ * Splits a LOCATION into a venue name and address ("Dance Union, 6 Sanborn Ct, Somerville, MA")
+ * @param {string} location - LOCATION text
+ * @returns {Object} { name, address }
+ */
+function splitLocation(location) {
+  const [name, ...rest] = location.split(/\n|,/).map(part => part.trim()).filter(Boolean);
+  return { name, address: rest.length ? rest.join(', ') : undefined };
+}
+
+/**
+ * Derives a short key for a feed from its name, file name or URL
+ * @param {string} value - Feed name, file name or URL
+ * @returns {string} Key of lowercase letters, digits and dashes
+ */
+export function getIcsSourceKey(value) {
+  const text = String(value || '')
+    .replace(/^(webcal|https?):\/\//i, '')
+    .replace(/\.ics$/i, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40);
+  return text || 'calendar';
+}
+
+/**
+ * Creates an adapter for one iCalendar file or feed. Each feed gets its own source system
+ * (ICS:<key>), so events removed from one feed never deactivate events of another.
+ * @param {Object} options - Adapter options
+ * @param {string} options.key - Feed key (see getIcsSourceKey)
+ * @param {string} [options.name] - Display name (defaults to the calendar name)
+ * @param {string} [options.text] - Calendar contents, for uploaded files
+ * @param {string} [options.url] - Feed URL (http, https or webcal), fetched on first use
+ * @returns {Object} Source adapter, with a `warnings` list filled while parsing
+ */
+export function createIcsAdapter({ key, name, text, url }) {
+  if (!text && !url) {
+    throw new Error('An iCalendar file or URL is required');
+  }
+
+  const sourceSystem = `ICS:${getIcsSourceKey(key)}`;
+  let calendar = text ? parseIcs(text) : null;
+
+  const adapter = {
+    sourceSystem,
+    name: name || calendar?.name || sourceSystem,
+    warnings: calendar ? calendar.warnings : [],
+
+    async fetchEvents(date, { execute }) {
+      if (!calendar) {
+        const feedUrl = url.replace(/^webcal:/i, 'https:');
+        const response = await execute(() => axios.get(feedUrl, { responseType: 'text' }), feedUrl);
+        calendar = parseIcs(response.data);
+        adapter.warnings.push(...calendar.warnings);
+      }
+
+      // Cancelled occurrences are kept, so their imported events are canceled rather than deactivated
+      const events = expandIcsEvents(calendar, date, date);
+      return { events, payload: { calendar: calendar.name, timeZone: calendar.timeZone, date, events } };
+    },
+
+    normalizeEvent(occurrence) {
+      const location = occurrence.location ? splitLocation(occurrence.location) : null;
+
+      return {
+        sourceSystem,
+        sourceId: occurrence.sourceId,
+        title: occurrence.summary,
+        description: occurrence.description || '',
+        // Dates and floating times are local; other times are UTC
+        startDate: occurrence.timeZone ? occurrence.start : null,
+        endDate: occurrence.timeZone ? occurrence.end : null,
+        localStartDate: occurrence.timeZone ? null : occurrence.start,
+        localEndDate: occurrence.timeZone ? null : occurrence.end,
+        allDay: occurrence.allDay,
+        // UTC times are shown in the calendar's zone; floating times and dates have no zone
+        timeZone: occurrence.timeZone === 'UTC' ? calendar.timeZone || 'UTC' : occurrence.timeZone,
+        status: occurrence.status === 'CANCELLED' ? 'canceled' : null,
+        statusReason: null,
+        cost: null,
+        imageUrl: occurrence.imageUrl,
+        url: occurrence.url,
+        venue: location?.name ? {
+          sourceId: location.name,
+          name: location.name,
+          address: location.address,
+          latitude: occurrence.geo?.latitude ?? null,
+          longitude: occurrence.geo?.longitude ?? null
+        } : null,
+        organizer: occurrence.organizer?.name ? {
+          sourceId: occurrence.organizer.email || occurrence.organizer.name,
+          name: occurrence.organizer.name,
+          email: occurrence.organizer.email || undefined
+        } : null,
+        categories: occurrence.categories.map(category => ({ sourceId: category, name: category })),
+        raw: occurrence
+      };
+    }
+  };
+
+  return adapter;
+}
+
+export default {
+  parseIcs,
+  expandIcsEvents,
+  getIcsSourceKey,
+  createIcsAdapter
+};
@@ -0,0 +1,132 @@
+// import-sources/index.js
+// Registry of event-source adapters. Each adapter knows how to read one calendar format and turns
+// its events into the common SourceEvent shape below, so the importer never sees the source format.
+
+import { createTecWordPressAdapter } from './tec-wordpress.js';
+
+/**
+ * A venue, organizer or category as the source describes it. The importer resolves these hints
+ * to TT entities and keeps them with unmatched entities to pre-fill new TT entities.
+ * @typedef {Object} SourceVenue
+ * @property {string} sourceId - ID in the source
+ * @property {string} name - Venue name
+ * @property {string} [address] - Street address
+ * @property {string} [city]
+ * @property {string} [state]
+ * @property {string} [zip]
+ * @property {string} [country]
+ * @property {string} [phone]
+ * @property {string} [website]
+ * @property {string} [description]
+ * @property {number|null} [latitude]
+ * @property {number|null} [longitude]
+ *
+ * @typedef {Object} SourceOrganizer
+ * @property {string} sourceId - ID in the source
+ * @property {string} name - Organizer name
+ * @property {string} [slug] - Short identifier, used to suggest a TT short name
+ * @property {string} [email]
+ * @property {string} [phone]
+ * @property {string} [website]
+ * @property {string} [description]
+ * @property {string} [imageUrl]
+ *
+ * @typedef {Object} SourceCategory
+ * @property {string} sourceId - ID in the source
+ * @property {string} name - Category name, looked up in the category mapping
+ * @property {string} [slug]
+ *
+ * @typedef {Object} SourceEvent
+ * @property {string} sourceSystem - Adapter's source system (e.g. 'BTC')
+ * @property {string} sourceId - Stable event ID in the source, used to sync events across runs
+ * @property {string} title
+ * @property {string} [description] - Text or HTML as the source gives it; the importer sanitizes it
+ * @property {string|null} startDate - Start as an absolute time (ISO 8601 with Z or an offset), or null
+ *   when the source only gives local times
+ * @property {string|null} endDate - End as an absolute time, or null
+ * @property {string|null} [localStartDate] - Start as a wall-clock time without a zone ('2026-10-22 19:30:00'),
+ *   read in the event's time zone; at least one of startDate and localStartDate is required
+ * @property {string|null} [localEndDate] - End as a wall-clock time
+ * @property {string|null} [timeZone] - IANA time zone the source declares for the event
+ * @property {boolean} allDay - All-day events keep their local dates, whatever the zone
+ * @property {string|null} [status] - 'canceled' when the source marks the event canceled, else null
+ * @property {string|null} [statusReason] - Why the source canceled the event
+ * @property {string|null} [cost]
+ * @property {string|null} [imageUrl]
+ * @property {string|null} [url] - Event page in the source
+ * @property {SourceVenue|null} venue - Venue hint
+ * @property {SourceOrganizer|null} organizer - Primary organizer hint
+ * @property {Array<SourceCategory>} categories - Category hints, primary first
+ * @property {Object} raw - The event as the source returned it
+ *
+ * @typedef {Object} SourceAdapter
+ * @property {string} sourceSystem - Short identifier stored on imported events and settings
+ * @property {string} name - Display name
+ * @property {Function} fetchEvents - (date, { execute }) => Promise<{ events: Array, payload: any }>;
+ *   `execute(request, url)` runs a request function with the importer's retry handling, circuit breaker
+ *   and rate limit for the host of `url`
+ * @property {Function} normalizeEvent - (rawEvent) => SourceEvent
+ * @property {Function} [fetchVenues] - () => Promise<Array<SourceVenue>>, for the venue import dialog
+ * @property {Function} [fetchOrganizers] - () => Promise<Array<SourceOrganizer>>, for the organizer import dialog
+ * @property {Function} [fetchCategories] - () => Promise<Array<SourceCategory>>, for the category mapping checks
+ */
+
+const adapters = new Map();
+
+/**
+ * Registers a source adapter, replacing any adapter with the same source system
+ * @param {SourceAdapter} adapter - Adapter to register
+ * @returns {SourceAdapter} The adapter
+ */
+export function registerSourceAdapter(adapter) {
+  for (const field of ['sourceSystem', 'name', 'fetchEvents', 'normalizeEvent']) {
+    if (!adapter[field]) {
+      throw new Error(`Source adapter is missing ${field}`);
+    }
+  }
+
+  adapters.set(adapter.sourceSystem, adapter);
+  return adapter;
+}
+
+/**
+ * Gets the adapter for a source system
+ * @param {string} sourceSystem - Source system (e.g. 'BTC')
+ * @returns {SourceAdapter} Adapter
+ */
+export function getSourceAdapter(sourceSystem) {
+  const adapter = adapters.get(sourceSystem);
+
+  if (!adapter) {
+    throw new Error(`Unknown event source: ${sourceSystem}`);
+  }
+
+  return adapter;
+}
+
+/**
+ * Lists the registered sources and what each can provide
+ * @returns {Array<Object>} { sourceSystem, name, venues, organizers, categories }
+ */
+export function listSourceAdapters() {
+  return [...adapters.values()].map(adapter => ({
+    sourceSystem: adapter.sourceSystem,
+    name: adapter.name,
+    venues: Boolean(adapter.fetchVenues),
+    organizers: Boolean(adapter.fetchOrganizers),
+    categories: Boolean(adapter.fetchCategories)
+  }));
+}
+
+// Boston Tango Calendar runs The Events Calendar on WordPress
+registerSourceAdapter(createTecWordPressAdapter({
+  sourceSystem: 'BTC',
+  name: 'Boston Tango Calendar',
+  apiBase: process.env.BTC_API_BASE || 'https://bostontangocalendar.com/wp-json/tribe/events/v1'
+}));
+
+export default {
+  registerSourceAdapter,
+  getSourceAdapter,
+  listSourceAdapters
+};
@@ -0,0 +1,235 @@
+// import-sources/tec-wordpress.js
+// Source adapter for calendars published with The Events Calendar (TEC) WordPress REST API
+
+import axios from 'axios';
+import { sanitizeDescription } from '../description-sanitizer.js';
+
+/**
+ * Returns a trimmed string, or undefined for empty values
+ * @param {any} value - Value from the source
+ * @returns {string|undefined} Text
+ */
+function text(value) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const trimmed = String(value).trim();
+  return trimmed === '' ? undefined : trimmed;
+}
+
+/**
+ * Converts a TEC venue or organizer description (WordPress HTML) to plain text
+ * @param {any} value - Description from the source
+ * @returns {string|undefined} Text
+ */
+function descriptionText(value) {
+  return text(sanitizeDescription(text(value)).description);
+}
+
+/**
+ * Parses a coordinate from the source
+ * @param {any} value - Coordinate as a string or number
+ * @returns {number|null} Coordinate or null if missing
+ */
+function coordinate(value) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Marks a TEC UTC time ('2026-10-22 19:00:00') as UTC
+ * @param {string} value - UTC date-time without a zone designator
+ * @returns {string|null} ISO 8601 date-time, or null if missing
+ */
+function toUtcDate(value) {
+  const trimmed = text(value);
+  return trimmed ? `${trimmed.replace(' ', 'T')}Z` : null;
+}
+
+/**
+ * Normalizes a TEC venue
+ * @param {Object} venue - TEC venue object
+ * @returns {Object|null} SourceVenue, or null if the event has no venue
+ */
+export function normalizeTecVenue(venue) {
+  // TEC returns an empty array for events without a venue
+  if (!venue || Array.isArray(venue) || !text(venue.venue)) {
+    return null;
+  }
+
+  return {
+    sourceId: String(venue.id),
+    name: text(venue.venue),
+    address: text(venue.address),
+    city: text(venue.city),
+    state: text(venue.state) || text(venue.province),
+    zip: text(venue.zip),
+    country: text(venue.country),
+    phone: text(venue.phone),
+    website: text(venue.website) || text(venue.url),
+    description: descriptionText(venue.description),
+    latitude: coordinate(venue.geo_lat),
+    longitude: coordinate(venue.geo_lng)
+  };
+}
+
+/**
+ * Normalizes a TEC organizer
+ * @param {Object} organizer - TEC organizer object
+ * @returns {Object|null} SourceOrganizer, or null if there is none
+ */
+export function normalizeTecOrganizer(organizer) {
+  if (!organizer || Array.isArray(organizer) || !text(organizer.organizer)) {
+    return null;
+  }
+
+  return {
+    sourceId: String(organizer.id),
+    name: text(organizer.organizer),
+    slug: text(organizer.slug),
+    email: text(organizer.email),
+    phone: text(organizer.phone),
+    website: text(organizer.website) || text(organizer.url),
+    description: descriptionText(organizer.description),
+    imageUrl: text(organizer.image?.url)
+  };
+}
+
+/**
+ * Normalizes a TEC category
+ * @param {Object} category - TEC category object
+ * @returns {Object|null} SourceCategory, or null if it has no name
+ */
+export function normalizeTecCategory(category) {
+  if (!category || !text(category.name)) {
+    return null;
+  }
+
+  return {
+    sourceId: String(category.id),
+    name: text(category.name),
+    slug: text(category.slug)
+  };
+}
+
+/**
+ * Creates an adapter for a TEC WordPress calendar
+ * @param {Object} options - Adapter options
+ * @param {string} options.sourceSystem - Source system identifier (e.g. 'BTC')
+ * @param {string} options.name - Display name
+ * @param {string} options.apiBase - TEC REST base URL (ending in /wp-json/tribe/events/v1)
+ * @param {number} [options.perPage] - Events requested per day (TEC allows up to 50)
+ * @returns {Object} Source adapter
+ */
+export function createTecWordPressAdapter({ sourceSystem, name, apiBase, perPage = 50 }) {
+  /**
+   * Fetches every page of a TEC collection
+   * @param {string} resource - Collection path and response key ('venues', 'organizers', 'categories')
+   * @returns {Promise<Array>} All items
+   */
+  const fetchAllPages = async (resource) => {
+    let items = [];
+    let currentPage = 1;
+    let totalPages = 1;
+
+    do {
+      const response = await axios.get(`${apiBase}/${resource}`, { params: { page: currentPage } });
+
+      if (currentPage === 1) {
+        const totalPagesHeader = response.headers['x-wp-totalpages'];
+        totalPages = totalPagesHeader ? parseInt(totalPagesHeader, 10) : response.data?.total_pages || 1;
+      }
+
+      if (!Array.isArray(response.data?.[resource])) {
+        throw new Error(`Invalid response format from ${name} on ${resource} page ${currentPage}`);
+      }
+
+      items = [...items, ...response.data[resource]];
+      currentPage++;
+    } while (currentPage <= totalPages);
+
+    return items;
+  };
+
+  return {
+    sourceSystem,
+    name,
+
+    async fetchEvents(date, { execute }) {
+      let events = [];
+      let currentPage = 1;
+      let totalPages = 1;
+
+      // TEC caps per_page (at 50 by default), so a busy day can span several pages
+      do {
+        const page = currentPage;
+        const response = await execute(() => axios.get(`${apiBase}/events`, {
+          params: {
+            start_date: date,
+            end_date: date,
+            per_page: perPage,
+            page
+          }
+        }), apiBase);
+
+        if (page === 1) {
+          const totalPagesHeader = response.headers?.['x-wp-totalpages'];
+          totalPages = totalPagesHeader ? parseInt(totalPagesHeader, 10) : response.data?.total_pages || 1;
+        }
+
+        events = [...events, ...(response.data.events || [])];
+        currentPage++;
+      } while (currentPage <= totalPages);
+
+      return { events, payload: { date, total: events.length, total_pages: totalPages, events } };
+    },
+
+    normalizeEvent(event) {
+      // TEC lists organizers as an array; the first one owns the event
+      const organizer = Array.isArray(event.organizer) ? event.organizer[0] : event.organizer;
+
+      return {
+        sourceSystem,
+        sourceId: String(event.id),
+        title: event.title,
+        description: event.description,
+        // TEC gives UTC times without a zone designator and local times in the event's zone
+        startDate: toUtcDate(event.utc_start_date),
+        endDate: toUtcDate(event.utc_end_date),
+        localStartDate: event.start_date || null,
+        localEndDate: event.end_date || null,
+        allDay: event.all_day || false,
+        timeZone: event.timezone || null,
+        // TEC's event status ('scheduled', 'canceled', 'postponed'), on sites whose REST API includes it
+        status: /^cancel/i.test(text(event.event_status) || '') ? 'canceled' : null,
+        statusReason: text(event.event_status_reason) || null,
+        cost: event.cost || null,
+        imageUrl: event.image?.url || null,
+        url: event.url || null,
+        venue: normalizeTecVenue(event.venue),
+        organizer: normalizeTecOrganizer(organizer),
+        categories: (event.categories || []).map(normalizeTecCategory).filter(Boolean),
+        raw: event
+      };
+    },
+
+    async fetchVenues() {
+      return (await fetchAllPages('venues')).map(normalizeTecVenue).filter(Boolean);
+    },
+
+    async fetchOrganizers() {
+      return (await fetchAllPages('organizers')).map(normalizeTecOrganizer).filter(Boolean);
+    },
+
+    async fetchCategories() {
+      return (await fetchAllPages('categories')).map(normalizeTecCategory).filter(Boolean);
+    }
+  };
+}
+
+export default {
+  createTecWordPressAdapter,
+  normalizeTecVenue,
+  normalizeTecOrganizer,
+  normalizeTecCategory
+};
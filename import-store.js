@@ -0,0 +1,191 @@
+// import-store.js
+// File-backed JSON storage for import settings and state, shared by the CLI importer and the admin API routes
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// How long an update waits for another process to finish updating the same store
+const STORE_LOCK_TIMEOUT_MS = 10 * 1000;
+
+// An update takes milliseconds, so a store lock this old was left by a process that died mid-update
+const STORE_LOCK_STALE_MS = 30 * 1000;
+
+// Waited on to sleep between attempts to lock a store; updates are synchronous
+const sleepCell = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * Gets the directory holding the import stores
+ * @returns {string} Absolute path of the data directory
+ */
+export function getDataDir() {
+  return process.env.IMPORT_DATA_DIR || path.join(__dirname, 'import-data');
+}
+
+/**
+ * Gets the file path of a store
+ * @param {string} name - Store name (e.g. 'aliases')
+ * @returns {string} Absolute path of the store file
+ */
+export function getStoreFile(name) {
+  return path.join(getDataDir(), `${name}.json`);
+}
+
+/**
+ * Reads a store
+ * @param {string} name - Store name
+ * @param {any} defaultValue - Value returned when the store does not exist yet
+ * @returns {any} Stored data
+ */
+export function readStore(name, defaultValue) {
+  const file = getStoreFile(name);
+
+  if (!fs.existsSync(file)) {
+    return defaultValue;
+  }
+
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Writes a store, replacing the file atomically so readers never see a partial write
+ * @param {string} name - Store name
+ * @param {any} data - Data to store
+ */
+export function writeStore(name, data) {
+  const file = getStoreFile(name);
+  const tempFile = `${file}.${process.pid}.tmp`;
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(tempFile, JSON.stringify(data, null, 2));
+  fs.renameSync(tempFile, file);
+}
+
+/**
+ * Removes a store lock left by a process that died mid-update. The lock file is renamed away first, which
+ * only one process can do, and put back if another process locked the store again in the meantime.
+ * @param {string} lockFile - Lock file
+ */
+function clearStaleStoreLock(lockFile) {
+  let stat;
+  try {
+    stat = fs.statSync(lockFile);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return;
+    }
+    throw error;
+  }
+  if (Date.now() - stat.mtimeMs <= STORE_LOCK_STALE_MS) {
+    return;
+  }
+
+  const claimedFile = `${lockFile}.${process.pid}.${generateRecordId('claim')}.tmp`;
+  try {
+    fs.renameSync(lockFile, claimedFile);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return;
+    }
+    throw error;
+  }
+
+  try {
+    if (Date.now() - fs.statSync(claimedFile).mtimeMs <= STORE_LOCK_STALE_MS) {
+      fs.linkSync(claimedFile, lockFile);
+    }
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+  } finally {
+    fs.rmSync(claimedFile, { force: true });
+  }
+}
+
+/**
+ * Locks a store against updates from other processes (the admin API, the CLI importer and the scheduler
+ * share the stores), waiting for an update in progress to finish
+ * @param {string} name - Store name
+ * @returns {Function} Unlocks the store
+ * @throws {Error} When the store stays locked longer than STORE_LOCK_TIMEOUT_MS
+ */
+function lockStore(name) {
+  const lockFile = `${getStoreFile(name)}.lock`;
+  const token = generateRecordId(`store-lock-${process.pid}`);
+  const deadline = Date.now() + STORE_LOCK_TIMEOUT_MS;
+
+  fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+
+  while (true) {
+    try {
+      fs.writeFileSync(lockFile, token, { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    clearStaleStoreLock(lockFile);
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for another update of the ${name} store`);
+    }
+    Atomics.wait(sleepCell, 0, 0, 10);
+  }
+
+  return () => {
+    // A lock cleared as stale and taken by another process is no longer ours to remove
+    try {
+      if (fs.readFileSync(lockFile, 'utf8') === token) {
+        fs.rmSync(lockFile, { force: true });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Reads a store, applies a change and writes it back. The store is locked throughout, so updates from
+ * other processes are applied one after the other rather than overwriting each other.
+ * @param {string} name - Store name
+ * @param {any} defaultValue - Value used when the store does not exist yet
+ * @param {Function} updater - Receives the current data and returns the new data
+ * @returns {any} The new data
+ */
+export function updateStore(name, defaultValue, updater) {
+  const unlock = lockStore(name);
+
+  try {
+    const data = updater(readStore(name, defaultValue));
+    writeStore(name, data);
+    return data;
+  } finally {
+    unlock();
+  }
+}
+
+/**
+ * Generates an ID for a stored record
+ * @param {string} prefix - Record type prefix
+ * @returns {string} Unique ID
+ */
+export function generateRecordId(prefix) {
+  return `${prefix}-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+}
+
+export default {
+  getDataDir,
+  getStoreFile,
+  readStore,
+  writeStore,
+  updateStore,
+  generateRecordId
+};
@@ -3,6 +3,11 @@ const nextConfig = {
   // Enable React Strict Mode for better development experience
   reactStrictMode: true,
 
+  // Run src/instrumentation.js on server start (starts the import scheduler)
+  experimental: {
+    instrumentationHook: true,
+  },
+
   // Webpack configuration for custom logging
   webpack: (config, { buildId, dev, isServer }) => {
     // Log environment variables in development
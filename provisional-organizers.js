@@ -0,0 +1,227 @@
+// provisional-organizers.js
+// Approval queue of organizers that imports created in TT, unapproved, for source organizers that matched
+// no TT organizer. Admins approve them as they are or merge them into an existing organizer.
+
+import { readStore, updateStore, generateRecordId } from './import-store.js';
+import { AliasEntityType, createAlias } from './entity-aliases.js';
+
+const STORE_NAME = 'provisional-organizers';
+
+// Review status of a provisional organizer
+export const ProvisionalStatus = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  MERGED: 'merged'
+};
+
+/**
+ * Normalizes a source name for lookups (trimmed, case-insensitive)
+ * @param {string} name - Source organizer name
+ * @returns {string} Lookup key
+ */
+function nameKey(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+/**
+ * Builds the TT organizer created for a source organizer: unapproved, with the contact details the
+ * source gives. The short name follows the organizer import dialog (slug or name, letters and digits, at
+ * most 10 characters).
+ * @param {Object} sourceOrganizer - Normalized source organizer ({ name, slug, email, phone, website })
+ * @param {Object} context - { appId, sourceSystem }
+ * @returns {Object} TT organizer
+ */
+export function buildProvisionalOrganizer(sourceOrganizer, { appId, sourceSystem }) {
+  const name = String(sourceOrganizer.name).trim();
+  const shortName = String(sourceOrganizer.slug || name).replace(/[^a-z0-9]/gi, '').toUpperCase().substring(0, 10);
+
+  return {
+    appId,
+    fullName: name,
+    name,
+    shortName: shortName || 'UNKNOWN',
+    // The importer looks BTC organizers up by this name
+    btcNiceName: sourceSystem === 'BTC' ? name : '',
+    publicContactInfo: {
+      email: sourceOrganizer.email || '',
+      phone: sourceOrganizer.phone || '',
+      url: sourceOrganizer.website || ''
+    },
+    isApproved: false,
+    isActive: true,
+    isEnabled: true,
+    isRendered: true,
+    wantRender: true,
+    organizerTypes: {
+      isEventOrganizer: true,
+      isTeacher: false,
+      isDJ: false,
+      isOrchestra: false
+    }
+  };
+}
+
+/**
+ * Finds the pending provisional organizer created for a source organizer
+ * @param {string} appId - Application ID
+ * @param {string} sourceSystem - Source system (e.g. 'BTC')
+ * @param {string} sourceName - Organizer name in the source system
+ * @returns {Object|null} Queue entry, or null if none is pending
+ */
+export function findProvisionalOrganizer(appId, sourceSystem, sourceName) {
+  const key = nameKey(sourceName);
+
+  return readStore(STORE_NAME, []).find(entry =>
+    entry.appId === String(appId) &&
+    entry.sourceSystem === sourceSystem &&
+    entry.status === ProvisionalStatus.PENDING &&
+    nameKey(entry.sourceName) === key
+  ) || null;
+}
+
+/**
+ * Gets a queue entry
+ * @param {string} id - Entry ID
+ * @returns {Object|null} Entry or null if not found
+ */
+export function getProvisionalOrganizer(id) {
+  return readStore(STORE_NAME, []).find(entry => entry.id === id) || null;
+}
+
+/**
+ * Adds an organizer an import created to the queue
+ * @param {Object} organizer - Provisional organizer
+ * @param {string} organizer.appId - Application ID
+ * @param {string} organizer.sourceSystem - Source system (e.g. 'BTC')
+ * @param {string} organizer.sourceName - Organizer name in the source system
+ * @param {Object} organizer.sourceData - Source organizer data
+ * @param {string} organizer.ttId - ID of the created TT organizer
+ * @param {string} organizer.ttName - Name of the created TT organizer
+ * @param {string} [organizer.operator] - Who ran the import
+ * @returns {Object} The stored entry
+ */
+export function recordProvisionalOrganizer({ appId, sourceSystem, sourceName, sourceData, ttId, ttName, operator }) {
+  const entry = {
+    id: generateRecordId('organizer'),
+    appId: String(appId),
+    sourceSystem,
+    sourceName: String(sourceName).trim(),
+    sourceData: sourceData || null,
+    ttId,
+    ttName,
+    status: ProvisionalStatus.PENDING,
+    events: [],
+    createdAt: new Date().toISOString(),
+    createdBy: operator || null,
+    resolvedAt: null,
+    resolvedBy: null
+  };
+
+  updateStore(STORE_NAME, [], entries => [...entries, entry]);
+  return entry;
+}
+
+/**
+ * Records the TT events imports gave a provisional organizer, so merging it can move them
+ * @param {Array<Object>} assignments - { organizerId, eventId }, organizerId being the TT organizer ID
+ */
+export function recordProvisionalOrganizerEvents(assignments) {
+  if (!assignments || assignments.length === 0) {
+    return;
+  }
+
+  updateStore(STORE_NAME, [], entries => entries.map(entry => {
+    const eventIds = assignments
+      .filter(assignment => assignment.organizerId === entry.ttId && !entry.events.includes(assignment.eventId))
+      .map(assignment => assignment.eventId);
+
+    return eventIds.length > 0 ? { ...entry, events: [...new Set([...entry.events, ...eventIds])] } : entry;
+  }));
+}
+
+/**
+ * Lists queue entries, newest first
+ * @param {Object} filters - Optional filters (appId, sourceSystem, status)
+ * @returns {Array<Object>} Matching entries
+ */
+export function listProvisionalOrganizers(filters = {}) {
+  return readStore(STORE_NAME, [])
+    .filter(entry =>
+      (!filters.appId || entry.appId === String(filters.appId)) &&
+      (!filters.sourceSystem || entry.sourceSystem === filters.sourceSystem) &&
+      (!filters.status || entry.status === filters.status)
+    )
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Records the decision on a pending entry. Merging stores an alias, so later imports give the source
+ * organizer's events to the organizer it was merged into.
+ * @param {string} id - Entry ID
+ * @param {Object} resolution - Resolution
+ * @param {string} resolution.action - 'approve' or 'merge'
+ * @param {string} [resolution.ttId] - Organizer merged into, required to merge
+ * @param {string} [resolution.ttName] - Name of the organizer merged into, for display
+ * @param {string} [resolution.operator] - Who decided
+ * @returns {Object|null} Updated entry or null if not found
+ */
+export function resolveProvisionalOrganizer(id, { action, ttId, ttName, operator }) {
+  const entry = getProvisionalOrganizer(id);
+
+  if (!entry) {
+    return null;
+  }
+  if (entry.status !== ProvisionalStatus.PENDING) {
+    throw new Error(`Provisional organizer was already ${entry.status}`);
+  }
+
+  const update = { resolvedAt: new Date().toISOString(), resolvedBy: operator || null };
+
+  if (action === 'approve') {
+    update.status = ProvisionalStatus.APPROVED;
+  } else if (action === 'merge') {
+    if (!ttId || ttId === entry.ttId) {
+      throw new Error('An organizer to merge into is required');
+    }
+
+    const alias = createAlias({
+      appId: entry.appId,
+      sourceSystem: entry.sourceSystem,
+      entityType: AliasEntityType.ORGANIZER,
+      sourceName: entry.sourceName,
+      ttId,
+      ttName
+    });
+
+    Object.assign(update, {
+      status: ProvisionalStatus.MERGED,
+      mergedIntoId: alias.ttId,
+      mergedIntoName: alias.ttName,
+      aliasId: alias.id
+    });
+  } else {
+    throw new Error(`Invalid action: ${action}`);
+  }
+
+  let updated = null;
+  updateStore(STORE_NAME, [], entries => entries.map(existing => {
+    if (existing.id !== id) {
+      return existing;
+    }
+    updated = { ...existing, ...update };
+    return updated;
+  }));
+
+  return updated;
+}
+
+export default {
+  ProvisionalStatus,
+  buildProvisionalOrganizer,
+  findProvisionalOrganizer,
+  getProvisionalOrganizer,
+  recordProvisionalOrganizer,
+  recordProvisionalOrganizerEvents,
+  listProvisionalOrganizers,
+  resolveProvisionalOrganizer
+};
@@ -1,4 +1,5 @@
 // TangoTiempo categories matched to WordPress category names
+// These are the built-in defaults; each app can save its own mapping (see category-mappings.js)
 export const categoryNameMap = {
   "Class": "Class",
   "Drop-in Class": "Class",
@@ -19,12 +20,17 @@ export const categoryNameMap = {
 
 // Optionally handle unmapped or ignored categories
 export const ignoredCategories = new Set([
-  "Canceled",
   "Other",
 ]);
 
+// Categories that mark an event as canceled; they cancel the TT event instead of categorizing it
+export const cancellationCategories = new Set([
+  "Canceled",
+  "Cancelled",
+]);
+
 // Helper: maps incoming name to TT name or null if ignored/unmapped
 export function mapToTTCategory(sourceName) {
-  if (ignoredCategories.has(sourceName)) return null;
+  if (ignoredCategories.has(sourceName) || cancellationCategories.has(sourceName)) return null;
   return categoryNameMap[sourceName] || null;
 }
\ No newline at end of file
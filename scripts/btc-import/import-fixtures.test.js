@@ -0,0 +1,339 @@
+// import-fixtures.test.js
+// End-to-end importer tests: runs btc-import.js against the mock BTC and TT servers for each fixture in
+// fixtures/ and compares the results with the fixture's expected.json.
+//
+//   npm test                          # run every fixture
+//   UPDATE_FIXTURES=true npm test     # rewrite expected.json after a deliberate change
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { fileURLToPath } from 'url';
+import { startMockServers, readFixtureFile } from './mock-servers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.resolve(__dirname, '../..');
+const fixturesDir = path.join(__dirname, 'fixtures');
+
+// A fixture run that takes longer than this is stuck
+const RUN_TIMEOUT_MS = 60000;
+
+// Fields that change on every run (times, generated IDs, hashes), left out of the comparison
+const VOLATILE_FIELDS = new Set([
+  'timestamp',
+  'startTime',
+  'endTime',
+  'duration',
+  'runId',
+  'lockId',
+  'importRunId',
+  'discoveredFirstDate',
+  'discoveredLastDate',
+  'sourceHash',
+  'gateRunId',
+  'liveRunId',
+  'overriddenAt',
+  'detectedAt',
+  'createdAt',
+  'updatedAt'
+]);
+
+// TT event fields compared after a run
+const TT_EVENT_FIELDS = [
+  '_id',
+  'title',
+  'description',
+  'descriptionLinks',
+  'startDate',
+  'endDate',
+  'allDay',
+  'timeZone',
+  'venueID',
+  'ownerOrganizerID',
+  'ownerOrganizerName',
+  'categoryFirst',
+  'categorySecond',
+  'masteredCityName',
+  'eventImage',
+  'eventImageVariants',
+  'isActive',
+  'isCanceled',
+  'cancelReason',
+  'sourceSystem',
+  'sourceEventId',
+  'seriesId',
+  'recurrenceRule'
+];
+
+/**
+ * Drops volatile fields at any depth
+ * @param {any} value - Value to clean
+ * @returns {any} Copy without volatile fields
+ */
+function stripVolatile(value) {
+  if (Array.isArray(value)) {
+    return value.map(stripVolatile);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => !VOLATILE_FIELDS.has(key))
+      .map(([key, item]) => [key, stripVolatile(item)]));
+  }
+  return value;
+}
+
+/**
+ * Lists the days of a range
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Last day (YYYY-MM-DD)
+ * @returns {Array<string>} Days
+ */
+function listDays(startDate, endDate) {
+  const days = [];
+  for (let day = new Date(`${startDate}T00:00:00Z`); day <= new Date(`${endDate}T00:00:00Z`); day.setUTCDate(day.getUTCDate() + 1)) {
+    days.push(day.toISOString().slice(0, 10));
+  }
+  return days;
+}
+
+/**
+ * Runs the importer in a child process, so each fixture starts from fresh module state
+ * @param {Object} env - Environment for the run
+ * @returns {Promise<Object>} { code, output }
+ */
+function runImporter(env) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [path.join(rootDir, 'btc-import.js')], {
+      cwd: rootDir,
+      env: { ...process.env, ...env },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    const timer = setTimeout(() => {
+      output += `\nKilled after ${RUN_TIMEOUT_MS / 1000} seconds`;
+      child.kill();
+    }, RUN_TIMEOUT_MS);
+
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+  });
+}
+
+/**
+ * Gets the environment the importer runs a fixture scenario with
+ * @param {Object} servers - Mock servers
+ * @param {Object} scenario - Fixture scenario
+ * @param {string} workDir - Directory for the run's output, stores and logs
+ * @returns {Object} Environment
+ */
+function getImporterEnv(servers, scenario, workDir) {
+  return {
+    ...servers.env,
+    // New TT events get IDs in the order requests arrive, so events are processed one at a time, and
+    // the stand-ins need no rate limit; scenarios can change both
+    IMPORT_CONCURRENCY: '1',
+    API_RATE_LIMIT: '1000',
+    API_RATE_BURST: '1000',
+    ...scenario.env,
+    IMPORT_SOURCE: 'BTC',
+    START_DATE: scenario.startDate,
+    END_DATE: scenario.endDate,
+    DRY_RUN: scenario.dryRun === false ? 'false' : 'true',
+    RESUME: 'false',
+    AUTH_TOKEN: 'fixture-token',
+    APP_ID: '1',
+    IMPORT_OPERATOR: 'fixture-test',
+    OUTPUT_DIR: path.join(workDir, 'import-results'),
+    IMPORT_DATA_DIR: path.join(workDir, 'import-data'),
+    ERROR_LOG_DIR: path.join(workDir, 'logs'),
+    // Source times without a zone are read in local time, so pin it
+    TZ: 'UTC'
+  };
+}
+
+/**
+ * Reads a JSON result file of a run
+ * @param {string} outputDir - Run output directory
+ * @param {string} name - File name
+ * @returns {any} Parsed file, or null if the run did not write it
+ */
+function readResult(outputDir, name) {
+  const file = path.join(outputDir, name);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+/**
+ * Reads the image store of a run: the ingested source URLs, the stored files with their sizes in pixels
+ * and the media downloads
+ * @param {string} dataDir - Import data directory
+ * @param {Object} btc - Mock BTC server
+ * @returns {Promise<Object|null>} Image results, or null if the run stored no images
+ */
+async function readImageStore(dataDir, btc) {
+  const index = readResult(dataDir, 'images.json');
+  if (!index) {
+    return null;
+  }
+
+  const imageDir = path.join(dataDir, 'images');
+  const files = {};
+  for (const file of fs.existsSync(imageDir) ? fs.readdirSync(imageDir).sort() : []) {
+    const { width, height } = await sharp(path.join(imageDir, file)).metadata();
+    files[file] = `${width}x${height}`;
+  }
+
+  return {
+    index,
+    files,
+    downloads: btc.requests.filter(request => !request.path.startsWith('/wp-json/')).map(request => request.path)
+  };
+}
+
+/**
+ * Reads the provisional organizers a run created: the approval queue and the organizers sent to TT
+ * @param {string} dataDir - Import data directory
+ * @param {Object} tt - Mock TT server
+ * @returns {Object|null} Provisional organizers, or null if the run created none
+ */
+function readProvisionalOrganizers(dataDir, tt) {
+  const queue = readResult(dataDir, 'provisional-organizers.json');
+  if (!queue) {
+    return null;
+  }
+
+  return {
+    // Entry IDs are random
+    queue: queue.map(({ id, ...entry }) => entry),
+    created: tt.requests
+      .filter(request => request.method === 'POST' && request.path === '/api/organizers')
+      .map(request => request.body)
+  };
+}
+
+/**
+ * Collects the comparable results of a run: the range report, each day's processed, failed and
+ * unmatched events, the Go/No-Go assessment, the run history, the detected series, the stored images, the
+ * provisional organizers, the TT writes and the TT events afterwards. The mock BTC server's address, which changes between runs, reads
+ * as http://btc.mock.
+ * @param {string} outputDir - Run output directory
+ * @param {string} dataDir - Import data directory
+ * @param {Object} scenario - Fixture scenario
+ * @param {Object} servers - Mock servers
+ * @returns {Promise<Object>} Results to compare with expected.json
+ */
+async function collectResults(outputDir, dataDir, scenario, { btc, tt }) {
+  const { startDate, endDate } = scenario;
+  const report = readResult(outputDir, `import-report-${startDate}_${endDate}.json`);
+
+  const results = stripVolatile({
+    report: report && {
+      status: report.status,
+      daysCompleted: report.daysCompleted,
+      daysTotal: report.daysTotal,
+      btcEvents: report.btcEvents,
+      ttEvents: report.ttEvents,
+      entityResolution: report.entityResolution,
+      validation: report.validation,
+      series: report.series
+    },
+    days: Object.fromEntries(listDays(startDate, endDate).map(date => [date, {
+      processed: readResult(outputDir, `processed-events-${date}.json`),
+      failed: readResult(outputDir, `failed-events-${date}.json`),
+      unmatched: readResult(outputDir, `unmatched-entities-${date}.json`)
+    }])),
+    assessment: readResult(outputDir, `go-nogo-assessment-${startDate}_${endDate}.json`),
+    runs: (readResult(dataDir, 'runs.json') || []).map(run => ({
+      dryRun: run.parameters.dryRun,
+      status: run.status,
+      canProceed: run.assessment ? run.assessment.canProceed : null,
+      gate: run.gate || null
+    })),
+    series: Object.values(readResult(dataDir, 'event-series.json') || {}),
+    images: await readImageStore(dataDir, btc),
+    provisionalOrganizers: readProvisionalOrganizers(dataDir, tt),
+    ttWrites: tt.requests
+      .filter(request => request.method !== 'GET')
+      .map(request => `${request.method} ${request.path}`),
+    ttEvents: tt.state.events
+      .map(event => Object.fromEntries(TT_EVENT_FIELDS.filter(field => field in event).map(field => [field, event[field]])))
+      .sort((a, b) => a.startDate.localeCompare(b.startDate) || a.title.localeCompare(b.title))
+  });
+
+  return JSON.parse(JSON.stringify(results).replaceAll(btc.url, 'http://btc.mock'));
+}
+
+for (const name of fs.readdirSync(fixturesDir).sort()) {
+  const fixtureDir = path.join(fixturesDir, name);
+  if (!fs.statSync(fixtureDir).isDirectory()) {
+    continue;
+  }
+
+  const scenario = readFixtureFile(fixtureDir, 'scenario.json');
+
+  test(`${name}: ${scenario.description || 'import fixture'}`, async () => {
+    const servers = await startMockServers(fixtureDir);
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `btc-import-${name}-`));
+
+    try {
+      const outputDir = path.join(workDir, 'import-results');
+      const dataDir = path.join(workDir, 'import-data');
+      const { code, output } = await runImporter(getImporterEnv(servers, scenario, workDir));
+
+      assert.equal(code, scenario.exitCode ?? 0, `Importer exited with code ${code}:\n${output}`);
+
+      const actual = await collectResults(outputDir, dataDir, scenario, servers);
+      const expectedFile = path.join(fixtureDir, 'expected.json');
+
+      if (process.env.UPDATE_FIXTURES === 'true') {
+        fs.writeFileSync(expectedFile, `${JSON.stringify(actual, null, 2)}\n`);
+        return;
+      }
+      if (!fs.existsSync(expectedFile)) {
+        assert.fail(`missing expected.json in fixtures/${name} (run UPDATE_FIXTURES=true npm test to create it)`);
+      }
+
+      assert.deepStrictEqual(actual, JSON.parse(fs.readFileSync(expectedFile, 'utf8')));
+    } finally {
+      await servers.close();
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  });
+}
+
+test('rerunning a completed range with resume on imports it again', async () => {
+  const fixtureDir = path.join(fixturesDir, 'basic-dry-run');
+  const scenario = readFixtureFile(fixtureDir, 'scenario.json');
+  const servers = await startMockServers(fixtureDir);
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'btc-import-rerun-'));
+  const env = { ...getImporterEnv(servers, scenario, workDir), RESUME: 'true' };
+  const countEventRequests = () => servers.btc.requests.filter(request => request.path.endsWith('/events')).length;
+
+  try {
+    const first = await runImporter(env);
+    assert.equal(first.code, 0, `Importer exited with code ${first.code}:\n${first.output}`);
+    const firstRequests = countEventRequests();
+    assert.ok(firstRequests > 0);
+
+    const second = await runImporter(env);
+    assert.equal(second.code, 0, `Importer exited with code ${second.code}:\n${second.output}`);
+    assert.equal(countEventRequests(), firstRequests * 2);
+
+    const runs = readResult(path.join(workDir, 'import-data'), 'runs.json');
+    assert.equal(runs.length, 2);
+    assert.deepEqual(runs[1].counters, runs[0].counters);
+    assert.equal(runs[1].daysCompleted, 2);
+  } finally {
+    await servers.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,369 @@
+// mock-servers.js
+// Local stand-ins for the BTC WordPress site (TEC REST API) and the TangoTiempo backend, so the importer
+// can run end to end against recorded fixtures instead of bostontangocalendar.com and calendar-be
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+
+// TEC's default and largest page sizes
+const TEC_DEFAULT_PER_PAGE = 10;
+const TEC_MAX_PER_PAGE = 50;
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {any} body - JSON body
+ * @param {Object} [headers] - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Reads a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body (empty object when there is none)
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Starts an HTTP server on a port (0 picks a free one)
+ * @param {Function} handler - Request handler (req, res, url)
+ * @param {number} port - Port
+ * @returns {Promise<Object>} { url, close }
+ */
+function startServer(handler, port) {
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      await handler(req, res, url);
+    } catch (error) {
+      sendJson(res, 500, { message: error.message });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Serves one page of a collection the way the TEC REST API does, with X-WP-Total and X-WP-TotalPages
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Request URL
+ * @param {string} key - Collection key in the body ('events', 'venues', ...)
+ * @param {Array} items - All matching items
+ * @param {number} maxPerPage - Largest page served
+ */
+function sendTecPage(res, url, key, items, maxPerPage) {
+  const perPage = Math.min(parseInt(url.searchParams.get('per_page'), 10) || TEC_DEFAULT_PER_PAGE, maxPerPage);
+  const page = parseInt(url.searchParams.get('page'), 10) || 1;
+  const totalPages = Math.max(1, Math.ceil(items.length / perPage));
+
+  if (page > totalPages) {
+    sendJson(res, 400, {
+      code: 'rest_post_invalid_page_number',
+      message: 'The page number requested is larger than the number of pages available.'
+    });
+    return;
+  }
+
+  const body = {
+    [key]: items.slice((page - 1) * perPage, page * perPage),
+    total: items.length,
+    total_pages: totalPages
+  };
+  if (page < totalPages) {
+    const next = new URL(url);
+    next.searchParams.set('page', String(page + 1));
+    body.next_rest_url = next.toString();
+  }
+
+  sendJson(res, 200, body, {
+    'X-WP-Total': String(items.length),
+    'X-WP-TotalPages': String(totalPages)
+  });
+}
+
+/**
+ * Starts a stand-in for the BTC WordPress site. Serves /wp-json/tribe/events/v1/events, venues,
+ * organizers and categories from fixture data, paged like TEC, and media files by path. Event image
+ * URLs that are paths are served as URLs of this server.
+ * @param {Object} fixture - { events, venues, organizers, categories } in TEC format, and media:
+ *   { [path]: { contentType, base64 } }
+ * @param {Object} [options] - Server options
+ * @param {number} [options.port] - Port (default: a free one)
+ * @param {number} [options.maxPerPage] - Largest page served, to exercise paging with small fixtures
+ * @returns {Promise<Object>} { url, apiBase, requests, close }
+ */
+export async function startMockBtcServer(fixture, { port = 0, maxPerPage = TEC_MAX_PER_PAGE } = {}) {
+  const requests = [];
+  const basePath = '/wp-json/tribe/events/v1';
+
+  const server = await startServer((req, res, url) => {
+    requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) });
+
+    const media = fixture.media?.[url.pathname];
+    if (req.method === 'GET' && media) {
+      res.writeHead(200, { 'Content-Type': media.contentType });
+      res.end(Buffer.from(media.base64, 'base64'));
+      return;
+    }
+
+    if (req.method !== 'GET' || !url.pathname.startsWith(`${basePath}/`)) {
+      sendJson(res, 404, { code: 'rest_no_route', message: 'No route was found matching the URL and request method.' });
+      return;
+    }
+
+    const resource = url.pathname.slice(basePath.length + 1).replace(/\/$/, '');
+
+    if (resource === 'events') {
+      // Events whose local start date falls in the requested range (dates compare as text)
+      const startDate = (url.searchParams.get('start_date') || '0000-00-00').slice(0, 10);
+      const endDate = (url.searchParams.get('end_date') || '9999-12-31').slice(0, 10);
+      const events = (fixture.events || [])
+        .filter(event => {
+          const day = event.start_date.slice(0, 10);
+          return day >= startDate && day <= endDate;
+        })
+        .sort((a, b) => a.start_date.localeCompare(b.start_date) || a.id - b.id)
+        .map(event => (event.image?.url?.startsWith('/')
+          ? { ...event, image: { ...event.image, url: `http://${req.headers.host}${event.image.url}` } }
+          : event));
+      sendTecPage(res, url, 'events', events, maxPerPage);
+      return;
+    }
+
+    if (['venues', 'organizers', 'categories'].includes(resource)) {
+      sendTecPage(res, url, resource, fixture[resource] || [], maxPerPage);
+      return;
+    }
+
+    sendJson(res, 404, { code: 'rest_no_route', message: 'No route was found matching the URL and request method.' });
+  }, port);
+
+  return { ...server, apiBase: `${server.url}${basePath}`, requests };
+}
+
+/**
+ * Matches a text field the way calendar-be's exact-name filters do (case-insensitive)
+ * @param {any} value - Stored value
+ * @param {string} wanted - Query value
+ * @returns {boolean} True on a match
+ */
+function sameName(value, wanted) {
+  return typeof value === 'string' && value.toLowerCase() === wanted.toLowerCase();
+}
+
+/**
+ * Starts a stand-in for the TT endpoints the importer calls, backed by in-memory copies of the
+ * fixture's venues, organizers, categories and events. New events and organizers get sequential IDs,
+ * so results are the same on every run.
+ * @param {Object} fixture - { venues, organizers, categories, events } in TT format
+ * @param {Object} [options] - Server options
+ * @param {number} [options.port] - Port (default: a free one)
+ * @param {Object} [options.fail] - { method, status }: answer every request of that method with that
+ *   status, to stand in for an outage
+ * @returns {Promise<Object>} { url, apiBase, state, requests, close }
+ */
+export async function startMockTtServer(fixture, { port = 0, fail = null } = {}) {
+  const state = {
+    venues: structuredClone(fixture.venues || []),
+    organizers: structuredClone(fixture.organizers || []),
+    categories: structuredClone(fixture.categories || []),
+    events: structuredClone(fixture.events || [])
+  };
+  const requests = [];
+  let nextId = 1;
+  let nextOrganizerId = 1;
+
+  const newId = () => `e0000000000000000000${String(nextId++).padStart(4, '0')}`;
+  const newOrganizerId = () => `p0000000000000000000${String(nextOrganizerId++).padStart(4, '0')}`;
+
+  const server = await startServer(async (req, res, url) => {
+    const query = Object.fromEntries(url.searchParams);
+    const segments = url.pathname.replace(/^\/api\/?/, '').split('/').filter(Boolean);
+    const [resource, ...rest] = segments;
+    const body = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await readJsonBody(req) : null;
+    requests.push({ method: req.method, path: url.pathname, query, body });
+
+    if (fail && req.method === fail.method) {
+      return sendJson(res, fail.status, { message: 'Service unavailable' });
+    }
+
+    if (resource === 'venues' && req.method === 'GET') {
+      if (rest.length === 1) {
+        const venue = state.venues.find(item => item._id === rest[0]);
+        return venue ? sendJson(res, 200, venue) : sendJson(res, 404, { message: 'Venue not found' });
+      }
+      const venues = query.name ? state.venues.filter(item => sameName(item.name, query.name)) : state.venues;
+      return sendJson(res, 200, { data: venues.slice(0, parseInt(query.limit, 10) || 100) });
+    }
+
+    if (resource === 'organizers' && req.method === 'GET') {
+      let organizers = state.organizers;
+      for (const field of ['btcNiceName', 'name', 'shortName']) {
+        if (query[field]) {
+          organizers = organizers.filter(item => sameName(item[field], query[field])
+            || (field === 'name' && sameName(item.fullName, query[field])));
+        }
+      }
+      return sendJson(res, 200, { organizers });
+    }
+
+    // POST /organizers, PATCH /organizers/:id and DELETE /organizers/:id
+    if (resource === 'organizers' && req.method === 'POST' && rest.length === 0) {
+      const organizer = { ...body, _id: newOrganizerId() };
+      state.organizers.push(organizer);
+      return sendJson(res, 201, organizer);
+    }
+    if (resource === 'organizers' && rest.length === 1) {
+      const index = state.organizers.findIndex(item => item._id === rest[0]);
+      if (index === -1) {
+        return sendJson(res, 404, { message: 'Organizer not found' });
+      }
+      if (req.method === 'PATCH') {
+        state.organizers[index] = { ...state.organizers[index], ...body, _id: rest[0] };
+        return sendJson(res, 200, state.organizers[index]);
+      }
+      if (req.method === 'DELETE') {
+        state.organizers.splice(index, 1);
+        return sendJson(res, 200, { message: 'Organizer deleted' });
+      }
+    }
+
+    if (resource === 'categories' && req.method === 'GET') {
+      const categories = query.categoryName
+        ? state.categories.filter(item => sameName(item.categoryName, query.categoryName))
+        : state.categories;
+      return sendJson(res, 200, { data: categories });
+    }
+
+    if (resource === 'events') {
+      // GET /events?start&end - events starting in the range
+      if (req.method === 'GET' && rest.length === 0) {
+        const start = query.start ? new Date(query.start) : null;
+        const end = query.end ? new Date(query.end) : null;
+        const events = state.events.filter(event => {
+          const startDate = new Date(event.startDate);
+          return (!query.appId || String(event.appId) === String(query.appId))
+            && (!start || startDate >= start)
+            && (!end || startDate <= end);
+        });
+        return sendJson(res, 200, { events });
+      }
+
+      // GET /events/id/:id
+      if (req.method === 'GET' && rest[0] === 'id' && rest[1]) {
+        const event = state.events.find(item => item._id === rest[1]);
+        return event ? sendJson(res, 200, event) : sendJson(res, 404, { message: 'Event not found' });
+      }
+
+      // POST /events/post
+      if (req.method === 'POST' && rest[0] === 'post') {
+        const event = { ...body, _id: newId() };
+        state.events.push(event);
+        return sendJson(res, 201, event);
+      }
+
+      // PUT /events/:id and DELETE /events/:id
+      const index = state.events.findIndex(item => item._id === rest[0]);
+      if (rest.length === 1 && index === -1) {
+        return sendJson(res, 404, { message: 'Event not found' });
+      }
+      if (req.method === 'PUT' && rest.length === 1) {
+        state.events[index] = { ...state.events[index], ...body, _id: rest[0] };
+        return sendJson(res, 200, state.events[index]);
+      }
+      if (req.method === 'DELETE' && rest.length === 1) {
+        state.events.splice(index, 1);
+        return sendJson(res, 200, { message: 'Event deleted' });
+      }
+    }
+
+    return sendJson(res, 404, { message: `No mock route for ${req.method} ${url.pathname}` });
+  }, port);
+
+  return { ...server, apiBase: `${server.url}/api`, state, requests };
+}
+
+/**
+ * Reads a JSON file of a fixture directory
+ * @param {string} fixtureDir - Fixture directory
+ * @param {string} name - File name
+ * @returns {Object} Parsed file, or an empty object if it does not exist
+ */
+export function readFixtureFile(fixtureDir, name) {
+  const file = path.join(fixtureDir, name);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+}
+
+/**
+ * Starts both stand-ins for a fixture directory (btc.json, tt.json and scenario.json)
+ * @param {string} fixtureDir - Fixture directory
+ * @param {Object} [ports] - { btcPort, ttPort }
+ * @returns {Promise<Object>} { btc, tt, env, close }, where env points the importer at the stand-ins
+ */
+export async function startMockServers(fixtureDir, { btcPort = 0, ttPort = 0 } = {}) {
+  const scenario = readFixtureFile(fixtureDir, 'scenario.json');
+  const btc = await startMockBtcServer(readFixtureFile(fixtureDir, 'btc.json'), { port: btcPort, ...scenario.btc });
+  const tt = await startMockTtServer(readFixtureFile(fixtureDir, 'tt.json'), { port: ttPort, ...scenario.tt });
+
+  return {
+    btc,
+    tt,
+    env: {
+      BTC_API_BASE: btc.apiBase,
+      TT_API_BASE: tt.apiBase,
+      API_BASE_URL: tt.apiBase
+    },
+    close: async () => {
+      await btc.close();
+      await tt.close();
+    }
+  };
+}
+
+// Run if this file is executed directly: serve a fixture until Ctrl-C
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const fixtureDir = path.resolve(process.argv[2] || path.join(path.dirname(process.argv[1]), 'fixtures', 'basic-dry-run'));
+  startMockServers(fixtureDir, {
+    btcPort: parseInt(process.env.MOCK_BTC_PORT, 10) || 3091,
+    ttPort: parseInt(process.env.MOCK_TT_PORT, 10) || 3092
+  }).then(servers => {
+    console.log(`Serving fixture ${fixtureDir}`);
+    console.log('Point the importer at the stand-ins with:');
+    for (const [key, value] of Object.entries(servers.env)) {
+      console.log(`  export ${key}=${value}`);
+    }
+    process.on('SIGINT', () => servers.close().then(() => process.exit(0)));
+  });
+}
+
+export default {
+  startMockBtcServer,
+  startMockTtServer,
+  startMockServers,
+  readFixtureFile
+};
@@ -89,7 +89,7 @@ async function runActualImport() {
   
   // Confirmation dialog
   if (process.argv.indexOf('--confirm') === -1) {
-    console.log('\n❗ WARNING: This will DELETE existing events and CREATE new ones.');
+    console.log('\n❗ WARNING: This will CREATE, UPDATE and DEACTIVATE events in TT to match BTC.');
     console.log('This action cannot be easily undone. Please confirm to proceed.');
     console.log('To bypass this confirmation, rerun with the --confirm flag.\n');
     
@@ -0,0 +1,60 @@
+// btc-import.test.js
+// Unit tests of the importer's entity resolution (resolveEventEntities in btc-import.js), with TT answered by a
+// stub executor
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The stores, reports and error log go to a temporary directory, read when the modules load
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'btc-import-test-'));
+process.env.IMPORT_DATA_DIR = tempDir;
+process.env.OUTPUT_DIR = tempDir;
+process.env.ERROR_LOG_DIR = tempDir;
+const { configureResolution, clearResolutionCache } = await import('../../../entity-resolution.js');
+const { resolveEventEntities } = await import('../../../btc-import.js');
+
+// Lookup failures are logged, which is not what these tests check
+let consoleError;
+let consoleWarn;
+before(() => {
+  consoleError = console.error;
+  consoleWarn = console.warn;
+  console.error = () => {};
+  console.warn = () => {};
+});
+after(() => {
+  console.error = consoleError;
+  console.warn = consoleWarn;
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('leaves an event unresolved when its venue\'s geography cannot be read', async () => {
+  clearResolutionCache();
+  configureResolution({
+    apiBaseUrl: 'http://tt.example/api',
+    appId: '1',
+    sourceSystem: 'BTC',
+    // TT finds the venue, then fails to return it
+    execute: async (request, url) => {
+      if (/\/venues\/v1\b/.test(url)) {
+        throw new Error('Request failed with status code 503');
+      }
+      return { data: { data: [{ _id: 'v1', name: 'Dance Union' }] } };
+    }
+  });
+
+  const result = await resolveEventEntities({
+    sourceId: '201',
+    title: 'Thursday Practica',
+    venue: { sourceId: '11', name: 'Dance Union' },
+    organizer: null,
+    categories: []
+  });
+
+  assert.equal(result.entities.venueId, 'v1');
+  assert.equal(result.geography, null);
+  assert.equal(result.resolved, false);
+  assert.ok(result.errors.includes('Failed to retrieve geography for venue: Dance Union (v1)'));
+});
@@ -0,0 +1,91 @@
+// description-sanitizer.test.js
+// Unit tests of the cleaning of source event descriptions (description-sanitizer.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeDescription, cleanUrl, stripShortcodes, decodeEntities } from '../../../description-sanitizer.js';
+
+// A WordPress description with the usual clutter
+const WORDPRESS_HTML = [
+  '<p style="text-align:center"><strong>Milonga de los Jueves</strong> with DJ Ana&#8217;s tandas &amp; a live trio&nbsp;&mdash; all levels!</p>',
+  '[caption id="attachment_77" width="600"]<img src="https://bostontangocalendar.com/wp-content/uploads/trio.jpg" /> The trio[/caption]',
+  '<ul>\n<li>8:00 pm &ndash; class</li>\n<li>9:00 pm &ndash; milonga</li>\n</ul>',
+  '<p>Tickets: <a class="button" href="https://l.facebook.com/l.php?u=https%3A%2F%2Ftickets.example.com%2Fm%3Fdate%3D2026-11-12%26utm_source%3Dfb&amp;h=AT3x">buy online</a>.',
+  'Details at https://example.org/jueves?utm_campaign=fall&amp;fbclid=IwAR0.</p>',
+  '<script>track("view");</script><!-- wp:spacer --><img src="https://pixel.example.com/t.gif" width="1" height="1" />'
+].join('\n');
+
+const WORDPRESS_LINKS = [
+  { url: 'https://tickets.example.com/m?date=2026-11-12', text: 'buy online' },
+  { url: 'https://example.org/jueves', text: null }
+];
+
+test('reduces WordPress HTML to plain text and collects clean links', () => {
+  assert.deepEqual(sanitizeDescription(WORDPRESS_HTML), {
+    description: 'Milonga de los Jueves with DJ Ana’s tandas & a live trio — all levels!\n\nThe trio\n\n' +
+      '• 8:00 pm – class\n• 9:00 pm – milonga\n\nTickets: buy online. Details at https://example.org/jueves.',
+    links: WORDPRESS_LINKS
+  });
+});
+
+test('keeps structure and emphasis as markdown', () => {
+  const { description, links } = sanitizeDescription(WORDPRESS_HTML, { format: 'markdown' });
+
+  assert.equal(description, '**Milonga de los Jueves** with DJ Ana’s tandas & a live trio — all levels!\n\nThe trio\n\n' +
+    '- 8:00 pm – class\n- 9:00 pm – milonga\n\n' +
+    'Tickets: [buy online](https://tickets.example.com/m?date=2026-11-12). Details at https://example.org/jueves.');
+  assert.deepEqual(links, WORDPRESS_LINKS);
+
+  assert.equal(
+    sanitizeDescription('<h3>Weekend</h3><ol><li>Class</li><li><em>Milonga</em></li></ol><blockquote>Bring shoes</blockquote>', { format: 'markdown' }).description,
+    '### Weekend\n\n1. Class\n2. *Milonga*\n\n> Bring shoes'
+  );
+});
+
+test('drops emphasis around nothing', () => {
+  assert.equal(sanitizeDescription('<p>Practica<strong> </strong><em></em> tonight</p>', { format: 'markdown' }).description, 'Practica tonight');
+  assert.equal(sanitizeDescription('<p><b>Bold</b><b></b> and <i>not</i></p>', { format: 'markdown' }).description, '**Bold** and *not*');
+});
+
+test('keeps only allowed tags, without attributes, as HTML', () => {
+  const { description } = sanitizeDescription(
+    '<div class="x"><p onclick="steal()">With <strong style="color:red">Ana</strong> &amp; <span>Luis</span></p>' +
+    '<p><strong> </strong></p><a href="javascript:alert(1)">bad link</a> <a href="https://example.org?gclid=1">good</a></div>' +
+    '<iframe src="https://example.org/embed"></iframe><style>p { color: red }</style>',
+    { format: 'html' }
+  );
+
+  assert.equal(description, '<p>With <strong>Ana</strong> &amp; Luis</p> bad link <a href="https://example.org/">good</a>');
+});
+
+test('keeps the line breaks of plain text and escapes it as HTML', () => {
+  const text = 'Line one\r\nLine two & 5 < 6\n\n\n\nSee http://example.org/x?utm_source=a&id=2.';
+
+  assert.deepEqual(sanitizeDescription(text), {
+    description: 'Line one\nLine two & 5 < 6\n\nSee http://example.org/x?id=2.',
+    links: [{ url: 'http://example.org/x?id=2', text: null }]
+  });
+  assert.equal(sanitizeDescription(text, { format: 'html' }).description,
+    'Line one<br>Line two &amp; 5 &lt; 6<br><br>See http://example.org/x?id=2.');
+});
+
+test('returns an empty description for missing ones', () => {
+  assert.deepEqual(sanitizeDescription(null), { description: '', links: [] });
+  assert.deepEqual(sanitizeDescription('  \n '), { description: '', links: [] });
+});
+
+test('removes shortcodes but not bracketed words', () => {
+  assert.equal(stripShortcodes('Price [free] [vc_row][vc_column]Text[/vc_column][/vc_row] [gallery ids="1,2"]'), 'Price [free] Text ');
+});
+
+test('unwraps redirect links and drops tracking parameters and unsafe schemes', () => {
+  assert.equal(cleanUrl('https://www.google.com/url?q=https://example.org/a%3Fid%3D3%26gclid%3Dx'), 'https://example.org/a?id=3');
+  assert.equal(cleanUrl('https://example.org/?utm_medium=email&amp;page=2&amp;mc_cid=abc'), 'https://example.org/?page=2');
+  assert.equal(cleanUrl('mailto:ana@example.org'), 'mailto:ana@example.org');
+  assert.equal(cleanUrl('javascript:alert(1)'), null);
+  assert.equal(cleanUrl('ftp://example.org/file'), null);
+  assert.equal(cleanUrl('not a link'), null);
+});
+
+test('decodes named, decimal and hex entities, leaving unknown ones', () => {
+  assert.equal(decodeEntities('Caf&eacute; &#8220;Tango&#8221; &#x1F483; &bogus; &#0;'), 'Café “Tango” 💃 &bogus; ');
+});
@@ -0,0 +1,131 @@
+// entity-resolution.test.js
+// Unit tests of the venue matching and TT lookups in entity-resolution.js, with TT answered by a stub executor
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Aliases and mappings are read from the import data directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'entity-resolution-test-'));
+process.env.IMPORT_DATA_DIR = dataDir;
+const { configureResolution, clearResolutionCache, resolveVenue, normalizeVenueName, scoreVenueMatch, getVenueGeography, getUnmatchedReport } =
+  await import('../../../entity-resolution.js');
+
+const TT_VENUES = [
+  { _id: 'v1', name: 'Dance Union', latitude: 42.3795, longitude: -71.0953 },
+  { _id: 'v2', name: 'The Foundation Lodge', latitude: 42.3902, longitude: -71.0942 },
+  { _id: 'v99', name: 'NotFound' }
+];
+
+// TT venues by ID, with the fields getVenueGeography reads
+const TT_VENUE_DETAILS = {
+  located: { _id: 'located', name: 'Dance Union', geolocation: { type: 'Point', coordinates: [-71.0953, 42.3795] }, zip: '02143' },
+  zipOnly: { _id: 'zipOnly', name: 'Grange Hall', city: 'Somerville', state: 'MA', zip: '02144', latitude: 0, longitude: 0 },
+  cityOnly: {
+    _id: 'cityOnly',
+    name: 'Harbour Loft',
+    city: 'Nowhere',
+    state: 'ZZ',
+    masteredCityId: { _id: 'c1', cityName: 'Nowhere', latitude: 44.5, longitude: -69.5 }
+  },
+  unplaced: { _id: 'unplaced', name: 'Mystery Barn', city: 'Nowhere', state: 'ZZ' }
+};
+
+let requestedUrls;
+
+/**
+ * Answers TT venue searches from TT_VENUES and venue reads from TT_VENUE_DETAILS, the way the importer's executor returns axios responses
+ * @param {Function} request - The lookup's request, not called
+ * @param {string} url - Lookup URL
+ * @returns {Promise<Object>} Response
+ */
+async function stubExecute(request, url) {
+  requestedUrls.push(url);
+  const { pathname, searchParams } = new URL(url);
+  const name = searchParams.get('name');
+  const venueId = /\/venues\/(\w+)$/.exec(pathname)?.[1];
+  if (venueId) {
+    return { data: TT_VENUE_DETAILS[venueId] };
+  }
+  const venues = pathname.endsWith('/venues') && name ? TT_VENUES.filter(venue => venue.name === name) : TT_VENUES;
+  return { data: { data: venues } };
+}
+
+beforeEach(() => {
+  requestedUrls = [];
+  clearResolutionCache();
+  configureResolution({ apiBaseUrl: 'http://tt.example/api', appId: '1', sourceSystem: 'BTC', execute: stubExecute });
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('looks TT venues up through the configured executor', async () => {
+  const match = await resolveVenue({ name: 'Dance Union' });
+
+  assert.equal(match.id, 'v1');
+  assert.equal(match.matchType, 'exact');
+  assert.deepEqual(requestedUrls, ['http://tt.example/api/venues?appId=1&name=Dance%20Union']);
+
+  // Matches are cached for the run
+  await resolveVenue({ name: 'Dance Union' });
+  assert.equal(requestedUrls.length, 1);
+});
+
+test('matches names that differ in articles, case and punctuation', async () => {
+  assert.equal(normalizeVenueName('The Foundation Lodge!'), normalizeVenueName('foundation lodge'));
+
+  const match = await resolveVenue({ name: 'Foundation Lodge', latitude: 42.3902, longitude: -71.0942 });
+  assert.equal(match.id, 'v2');
+  assert.equal(match.matchType, 'normalized');
+});
+
+test('falls back to the NotFound venue below the match threshold', async () => {
+  const match = await resolveVenue({ name: 'Hilltop Grange Hall' });
+
+  assert.equal(match.id, 'v99');
+  assert.equal(match.matchType, 'fallback');
+  assert.ok(requestedUrls.includes('http://tt.example/api/venues?appId=1&name=NotFound'));
+});
+
+test('scores nearby venues with similar names above distant ones', () => {
+  const sourceVenue = { name: 'Dance Union Studio', latitude: 42.3796, longitude: -71.0952 };
+  const near = scoreVenueMatch(sourceVenue, TT_VENUES[0]);
+  const far = scoreVenueMatch(sourceVenue, { ...TT_VENUES[0], latitude: 40.7128, longitude: -74.006 });
+
+  assert.ok(near.distanceMeters < 100, `near is ${near.distanceMeters} m away`);
+  assert.ok(near.confidence > far.confidence);
+});
+
+test('places venues by their own coordinates, then the gazetteer, then their TT city', async () => {
+  const located = await getVenueGeography('located');
+  assert.deepEqual(located.venueGeolocation, { type: 'Point', coordinates: [-71.0953, 42.3795] });
+  assert.deepEqual(located.geocode, { source: 'venue', precision: 'venue', needsGeocode: false });
+
+  const zipOnly = await getVenueGeography('zipOnly');
+  assert.deepEqual(zipOnly.venueGeolocation, { type: 'Point', coordinates: [-71.1221, 42.4003] });
+  assert.deepEqual(zipOnly.geocode, { source: 'gazetteer', precision: 'postal_code', needsGeocode: true });
+
+  const cityOnly = await getVenueGeography('cityOnly');
+  assert.deepEqual(cityOnly.venueGeolocation, { type: 'Point', coordinates: [-69.5, 44.5] });
+  assert.deepEqual(cityOnly.geocode, { source: 'city', precision: 'city', needsGeocode: true });
+});
+
+test('never makes up coordinates for a venue nothing places, and lists it as needing geocoding', async () => {
+  const unplaced = await getVenueGeography('unplaced');
+
+  assert.equal(unplaced.venueGeolocation, null);
+  assert.equal(unplaced.masteredCityGeolocation, null);
+  assert.deepEqual(unplaced.geocode, { source: null, precision: null, needsGeocode: true });
+  assert.deepEqual(getUnmatchedReport().venuesNeedingGeocode, [{
+    id: 'unplaced',
+    name: 'Mystery Barn',
+    city: 'Nowhere',
+    state: 'ZZ',
+    zip: null,
+    geocodeSource: null,
+    precision: null
+  }]);
+});
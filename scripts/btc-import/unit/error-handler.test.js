@@ -0,0 +1,239 @@
+// error-handler.test.js
+// Unit tests of the per-host circuit breaker, rate limit, concurrency pool and retries in error-handler.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The error log directory is read when error-handler.js loads
+const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'error-handler-test-'));
+process.env.ERROR_LOG_DIR = logDir;
+const { CircuitBreaker, CircuitOpenError, TokenBucket, ConcurrencyPool, ApiErrorHandler, ImportStage } =
+  await import('../../../error-handler.js');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Builds an error like the ones axios throws
+ * @param {number|null} status - Response status, or null for a request without a response
+ * @returns {Error} Error
+ */
+function axiosError(status) {
+  const error = new Error(status ? `Request failed with status code ${status}` : 'socket hang up');
+  error.request = {};
+  if (status) {
+    error.response = { status, data: {}, headers: {} };
+  }
+  return error;
+}
+
+// Log lines are not what these tests check
+let consoleError;
+let consoleWarn;
+before(() => {
+  consoleError = console.error;
+  consoleWarn = console.warn;
+  console.error = () => {};
+  console.warn = () => {};
+});
+after(() => {
+  console.error = consoleError;
+  console.warn = consoleWarn;
+  fs.rmSync(logDir, { recursive: true, force: true });
+});
+
+test('circuit breaker opens after the threshold and fails fast until the timeout', () => {
+  const breaker = new CircuitBreaker('tt.example', 3, 60000);
+
+  breaker.recordFailure();
+  breaker.recordFailure();
+  assert.equal(breaker.state, 'closed');
+  breaker.beforeCall();
+
+  breaker.recordFailure();
+  assert.equal(breaker.state, 'open');
+  assert.throws(() => breaker.beforeCall(), error => {
+    assert.ok(error instanceof CircuitOpenError);
+    assert.equal(error.host, 'tt.example');
+    assert.equal(error.retryAt, breaker.openedAt + 60000);
+    return true;
+  });
+});
+
+test('a success resets the count of consecutive failures', () => {
+  const breaker = new CircuitBreaker('tt.example', 2, 60000);
+
+  breaker.recordFailure();
+  breaker.recordSuccess();
+  breaker.recordFailure();
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.failures, 1);
+});
+
+test('circuit breaker lets one trial call through after the timeout and closes on success', async () => {
+  const breaker = new CircuitBreaker('tt.example', 1, 20);
+  breaker.recordFailure();
+
+  await sleep(30);
+  breaker.beforeCall();
+  assert.equal(breaker.state, 'half-open');
+  // Only the trial goes through
+  assert.throws(() => breaker.beforeCall(), CircuitOpenError);
+
+  breaker.recordSuccess();
+  assert.equal(breaker.state, 'closed');
+  breaker.beforeCall();
+});
+
+test('a failed trial call opens the breaker again for a full timeout', async () => {
+  const breaker = new CircuitBreaker('tt.example', 5, 20);
+  for (let i = 0; i < 5; i++) {
+    breaker.recordFailure();
+  }
+  const firstOpenedAt = breaker.openedAt;
+
+  await sleep(30);
+  breaker.beforeCall();
+  breaker.recordFailure();
+
+  assert.equal(breaker.state, 'open');
+  assert.ok(breaker.openedAt > firstOpenedAt);
+  assert.throws(() => breaker.beforeCall(), CircuitOpenError);
+});
+
+test('an inconclusive trial call hands the trial to the next call', async () => {
+  const breaker = new CircuitBreaker('tt.example', 1, 20);
+  breaker.recordFailure();
+
+  await sleep(30);
+  breaker.beforeCall();
+  breaker.recordInconclusive();
+  assert.equal(breaker.state, 'open');
+
+  breaker.beforeCall();
+  assert.equal(breaker.state, 'half-open');
+});
+
+test('token bucket allows a burst, then spaces calls at its rate', async () => {
+  const bucket = new TokenBucket(20, 2);
+  const startedAt = Date.now();
+
+  await bucket.take();
+  await bucket.take();
+  assert.ok(Date.now() - startedAt < 40, 'the burst does not wait');
+
+  await bucket.take();
+  await bucket.take();
+  // Two calls past the burst wait for two refills of 50 ms
+  assert.ok(Date.now() - startedAt >= 95, `waited ${Date.now() - startedAt} ms`);
+});
+
+test('token bucket refills while idle, up to its size', async () => {
+  const bucket = new TokenBucket(100, 3);
+  for (let i = 0; i < 3; i++) {
+    await bucket.take();
+  }
+
+  await sleep(100);
+  const startedAt = Date.now();
+  for (let i = 0; i < 3; i++) {
+    await bucket.take();
+  }
+  assert.ok(Date.now() - startedAt < 20, 'the refilled burst does not wait');
+  assert.ok(bucket.tokens <= 0);
+});
+
+test('concurrency pool runs at most its limit at once and keeps the order of results', async () => {
+  const pool = new ConcurrencyPool(2);
+  let running = 0;
+  let mostRunning = 0;
+
+  const results = await pool.map([30, 10, 20, 5], async (ms, index) => {
+    running++;
+    mostRunning = Math.max(mostRunning, running);
+    await sleep(ms);
+    running--;
+    return index;
+  });
+
+  assert.deepEqual(results, [0, 1, 2, 3]);
+  assert.equal(mostRunning, 2);
+  assert.equal(new ConcurrencyPool(0).limit, 1);
+});
+
+test('retries server errors and missing responses, but not client errors', async () => {
+  const handler = new ApiErrorHandler(3, 1, 5, { rate: 1000, burst: 1000 });
+
+  const failures = [axiosError(503), axiosError(null)];
+  let calls = 0;
+  const result = await handler.executeWithRetry(async () => {
+    calls++;
+    if (failures.length > 0) {
+      throw failures.shift();
+    }
+    return 'ok';
+  }, ImportStage.LOADING, {}, 'http://tt.example/api/events');
+  assert.equal(result, 'ok');
+  assert.equal(calls, 3);
+
+  calls = 0;
+  await assert.rejects(handler.executeWithRetry(async () => {
+    calls++;
+    throw axiosError(404);
+  }, ImportStage.LOADING, {}, 'http://tt.example/api/events'), /status code 404/);
+  assert.equal(calls, 1);
+});
+
+test('stops retrying once its own failures open the breaker', async () => {
+  const handler = new ApiErrorHandler(5, 1, 5, { failureThreshold: 3, resetTimeout: 60000, rate: 1000, burst: 1000 });
+
+  let calls = 0;
+  await assert.rejects(handler.executeWithRetry(async () => {
+    calls++;
+    throw axiosError(503);
+  }, ImportStage.LOADING, {}, 'http://tt.example/api/events/post'), /status code 503/);
+  assert.equal(calls, 3);
+
+  await assert.rejects(handler.executeWithRetry(async () => {
+    calls++;
+  }, ImportStage.LOADING, {}, 'http://tt.example/api/events/post'), CircuitOpenError);
+  assert.equal(calls, 3);
+});
+
+test('keeps a breaker per host and fails fast while a host is down', async () => {
+  const handler = new ApiErrorHandler(0, 1, 5, { failureThreshold: 2, resetTimeout: 60000, rate: 1000, burst: 1000 });
+  const down = async () => {
+    throw axiosError(502);
+  };
+
+  await assert.rejects(handler.executeWithRetry(down, ImportStage.LOADING, {}, 'http://tt.example/a'));
+  await assert.rejects(handler.executeWithRetry(down, ImportStage.LOADING, {}, 'http://tt.example/b'));
+
+  let called = false;
+  await assert.rejects(handler.executeWithRetry(async () => {
+    called = true;
+  }, ImportStage.LOADING, {}, 'http://tt.example/c'), CircuitOpenError);
+  assert.equal(called, false);
+
+  assert.equal(await handler.executeWithRetry(async () => 'up', ImportStage.LOADING, {}, 'http://btc.example/a'), 'up');
+  assert.deepEqual(handler.getCircuitStates(), [
+    { host: 'tt.example', state: 'open', failures: 2 },
+    { host: 'btc.example', state: 'closed', failures: 0 }
+  ]);
+});
+
+test('a trial call that fails without reaching the host does not leave the breaker half-open', async () => {
+  const handler = new ApiErrorHandler(0, 1, 5, { failureThreshold: 1, resetTimeout: 20, rate: 1000, burst: 1000 });
+  await assert.rejects(handler.executeWithRetry(async () => {
+    throw axiosError(500);
+  }, ImportStage.LOADING, {}, 'http://tt.example/a'));
+
+  await sleep(30);
+  await assert.rejects(handler.executeWithRetry(async () => {
+    throw new TypeError('Cannot read properties of undefined');
+  }, ImportStage.LOADING, {}, 'http://tt.example/a'), TypeError);
+
+  assert.equal(await handler.executeWithRetry(async () => 'up', ImportStage.LOADING, {}, 'http://tt.example/a'), 'up');
+  assert.equal(handler.getCircuitStates()[0].state, 'closed');
+});
@@ -0,0 +1,53 @@
+// event-cancellation.test.js
+// Unit tests of the detection of events their source marks as canceled (event-cancellation.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stripCancellationPrefix, detectCancellation } from '../../../event-cancellation.js';
+
+/**
+ * Marks the "Canceled" category as a cancellation category
+ * @param {string} name - Source category name
+ * @returns {boolean} True for "Canceled"
+ */
+const isCancellationCategory = name => name === 'Canceled';
+
+test('removes the usual cancellation prefixes from titles', () => {
+  assert.equal(stripCancellationPrefix('CANCELLED: Evening Workshop'), 'Evening Workshop');
+  assert.equal(stripCancellationPrefix('Canceled - Practica'), 'Practica');
+  assert.equal(stripCancellationPrefix('[CANCELED] Milonga'), 'Milonga');
+  assert.equal(stripCancellationPrefix('(Cancelled) Class'), 'Class');
+  assert.equal(stripCancellationPrefix('*** CANCELLED *** Milonga'), 'Milonga');
+  assert.equal(stripCancellationPrefix('CANCELLED Milonga'), 'Milonga');
+});
+
+test('keeps titles that only start with the word or are nothing but the prefix', () => {
+  assert.equal(stripCancellationPrefix('Canceled Plans Milonga'), 'Canceled Plans Milonga');
+  assert.equal(stripCancellationPrefix('Cancelled: '), 'Cancelled: ');
+  assert.equal(detectCancellation({ sourceSystem: 'BTC', title: 'Canceled Plans Milonga' }), null);
+  assert.equal(detectCancellation({ sourceSystem: 'BTC', title: 'Cancelled: ' }), null);
+});
+
+test('detects a canceled status first, with the source\'s reason when it gives one', () => {
+  const event = {
+    sourceSystem: 'BTC',
+    status: 'canceled',
+    statusReason: 'Venue closed for repairs',
+    categories: [{ name: 'Canceled' }],
+    title: 'CANCELLED: Afternoon Practica'
+  };
+
+  assert.deepEqual(detectCancellation(event, isCancellationCategory), { signal: 'status', reason: 'Venue closed for repairs' });
+  assert.deepEqual(detectCancellation({ ...event, statusReason: null }, isCancellationCategory), { signal: 'status', reason: 'Canceled in BTC' });
+});
+
+test('detects cancellation categories before title prefixes', () => {
+  const event = { sourceSystem: 'BTC', categories: [{ name: 'Practica' }, { name: 'Canceled' }], title: 'CANCELLED: Thursday Practica' };
+
+  assert.deepEqual(detectCancellation(event, isCancellationCategory), { signal: 'category', reason: 'Category "Canceled" in BTC' });
+  assert.deepEqual(detectCancellation(event), { signal: 'title', reason: 'Title marked "CANCELLED:" in BTC' });
+});
+
+test('leaves events without any signal alone', () => {
+  assert.equal(detectCancellation({ sourceSystem: 'BTC', categories: [{ name: 'Practica' }], title: 'Thursday Practica' }, isCancellationCategory), null);
+  assert.equal(detectCancellation({ sourceSystem: 'BTC' }), null);
+});
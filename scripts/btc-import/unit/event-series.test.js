@@ -0,0 +1,154 @@
+// event-series.test.js
+// Unit tests of the detection of recurring series among imported events (event-series.js)
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Series are stored in the import data directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-series-test-'));
+process.env.IMPORT_DATA_DIR = dataDir;
+const { inferRecurrence, detectSeries, saveDetectedSeries, getSeriesFields, updateSeries, getSeries } =
+  await import('../../../event-series.js');
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const OPTIONS = { appId: '1', sourceSystem: 'BTC' };
+
+/**
+ * Builds an imported event at Dance Union
+ * @param {string} sourceEventId - Source event ID
+ * @param {string} title - Title
+ * @param {string} startDate - Start, ISO
+ * @param {number} [hours] - Length in hours
+ * @returns {Object} Event
+ */
+function event(sourceEventId, title, startDate, hours = 2) {
+  return {
+    sourceEventId,
+    ttEventId: `t${sourceEventId}`,
+    title,
+    venueID: 'v1',
+    ownerOrganizerID: 'o1',
+    ownerOrganizerName: 'Tango Society of Boston',
+    startDate,
+    endDate: new Date(Date.parse(startDate) + hours * 3600000).toISOString(),
+    allDay: false,
+    timeZone: 'America/New_York'
+  };
+}
+
+test('infers weekly rules, keeping the interval across missed weeks', () => {
+  assert.deepEqual(inferRecurrence(['2026-10-06', '2026-10-13', '2026-10-27', '2026-11-03'], 'TU', '19:00'), {
+    rrule: 'FREQ=WEEKLY;BYDAY=TU',
+    recurrenceText: 'Weekly on Tuesday at 19:00'
+  });
+  assert.deepEqual(inferRecurrence(['2026-10-06', '2026-10-20', '2026-11-03'], 'TU', '19:00'), {
+    rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU',
+    recurrenceText: 'Every 2 weeks on Tuesday at 19:00'
+  });
+});
+
+test('infers monthly rules on the nth or last weekday of the month', () => {
+  assert.deepEqual(inferRecurrence(['2026-10-13', '2026-11-10', '2026-12-08'], 'TU', '19:00'), {
+    rrule: 'FREQ=MONTHLY;BYDAY=2TU',
+    recurrenceText: 'Monthly on the second Tuesday at 19:00'
+  });
+  assert.deepEqual(inferRecurrence(['2026-10-27', '2026-11-24', '2026-12-29'], 'TU', 'all-day'), {
+    rrule: 'FREQ=MONTHLY;BYDAY=-1TU',
+    recurrenceText: 'Monthly on the last Tuesday'
+  });
+});
+
+test('finds no rule for too few or too sparse dates', () => {
+  assert.equal(inferRecurrence(['2026-10-06', '2026-10-13', '2026-10-13'], 'TU', '19:00'), null);
+  assert.equal(inferRecurrence(['2026-10-06', '2026-10-13', '2026-12-29'], 'TU', '19:00'), null);
+  assert.equal(inferRecurrence(['2026-01-06', '2026-06-02', '2026-12-01'], 'TU', '19:00'), null);
+});
+
+test('links a weekly event across the end of daylight saving time, but not one-offs or moved times', () => {
+  const events = [
+    // 19:00 in New York: EDT until November 1, then EST
+    event('1', 'Tuesday Practica', '2026-10-27T23:00:00.000Z'),
+    event('2', 'tuesday practica!', '2026-11-04T00:00:00.000Z'),
+    event('3', 'Tuesday Practica', '2026-11-11T00:00:00.000Z'),
+    event('4', 'Tuesday Practica', '2026-11-18T00:00:00.000Z'),
+    event('5', 'Halloween Milonga', '2026-10-31T23:00:00.000Z', 4),
+    event('6', 'Tango Class', '2026-10-28T23:00:00.000Z', 1),
+    event('7', 'Tango Class', '2026-11-05T00:00:00.000Z', 1),
+    event('8', 'Tango Class', '2026-11-12T01:00:00.000Z', 1)
+  ];
+
+  const [series, ...others] = detectSeries(events, OPTIONS);
+
+  assert.deepEqual(others, []);
+  assert.match(series.seriesId, /^series-[0-9a-f]{16}$/);
+  assert.equal(series.title, 'Tuesday Practica');
+  assert.equal(series.weekday, 'TU');
+  assert.equal(series.localStartTime, '19:00');
+  assert.equal(series.durationMinutes, 120);
+  assert.equal(series.rrule, 'FREQ=WEEKLY;BYDAY=TU');
+  assert.deepEqual(series.occurrences.map(occurrence => occurrence.localDate), ['2026-10-27', '2026-11-03', '2026-11-10', '2026-11-17']);
+  assert.deepEqual(series.occurrences.map(occurrence => occurrence.ttEventId), ['t1', 't2', 't3', 't4']);
+});
+
+test('keeps linking new occurrences of a known series in a short window', () => {
+  const [known] = detectSeries([
+    event('1', 'Tuesday Practica', '2026-10-27T23:00:00.000Z'),
+    event('2', 'Tuesday Practica', '2026-11-04T00:00:00.000Z'),
+    event('3', 'Tuesday Practica', '2026-11-11T00:00:00.000Z')
+  ], OPTIONS);
+
+  const next = detectSeries([event('4', 'Tuesday Practica', '2026-11-18T00:00:00.000Z')], { ...OPTIONS, knownSeries: [known] });
+  assert.equal(next.length, 1);
+  assert.equal(next[0].seriesId, known.seriesId);
+  assert.deepEqual(next[0].occurrences.map(occurrence => occurrence.sourceEventId), ['4']);
+
+  // The same events in another app are another series
+  assert.notEqual(detectSeries([
+    event('1', 'Tuesday Practica', '2026-10-27T23:00:00.000Z'),
+    event('2', 'Tuesday Practica', '2026-11-04T00:00:00.000Z'),
+    event('3', 'Tuesday Practica', '2026-11-11T00:00:00.000Z')
+  ], { ...OPTIONS, appId: '2' })[0].seriesId, known.seriesId);
+});
+
+test('stores new occurrences while keeping admin edits and cancellations', () => {
+  const [detected] = detectSeries([
+    event('1', 'Tuesday Practica', '2026-10-27T23:00:00.000Z'),
+    event('2', 'Tuesday Practica', '2026-11-04T00:00:00.000Z'),
+    event('3', 'Tuesday Practica', '2026-11-11T00:00:00.000Z')
+  ], OPTIONS);
+  saveDetectedSeries('1', 'BTC', [detected]);
+
+  updateSeries(detected.seriesId, { overrides: { title: ' Practica at Dance Union ', cost: '' } }, 'admin@example.org');
+  const { series: canceled } = updateSeries(detected.seriesId, { status: 'canceled', reason: 'Venue closed' }, 'admin@example.org');
+  assert.equal(canceled.cancelReason, 'Venue closed');
+
+  const [later] = detectSeries([event('4', 'Tuesday Practica', '2026-11-18T00:00:00.000Z')], { ...OPTIONS, knownSeries: [getSeries(detected.seriesId)] });
+  const [stored] = saveDetectedSeries('1', 'BTC', [later]);
+
+  assert.deepEqual(stored.occurrences.map(occurrence => occurrence.sourceEventId), ['1', '2', '3', '4']);
+  assert.equal(stored.firstDate, '2026-10-27');
+  assert.equal(stored.lastDate, '2026-11-17');
+  assert.deepEqual(stored.overrides, { title: 'Practica at Dance Union' });
+  assert.equal(stored.status, 'canceled');
+  assert.equal(stored.canceledBy, 'admin@example.org');
+
+  // Occurrences from the cancellation on are canceled
+  assert.deepEqual(getSeriesFields(stored, '2000-01-01T00:00:00.000Z'), {
+    seriesId: detected.seriesId,
+    recurrenceRule: 'FREQ=WEEKLY;BYDAY=TU',
+    title: 'Practica at Dance Union'
+  });
+  assert.equal(getSeriesFields(stored, '2999-01-01T00:00:00.000Z').isCanceled, true);
+});
+
+test('refuses series changes it does not support', () => {
+  assert.throws(() => updateSeries('series-unknown', { status: 'active' }, 'admin'), /Event series not found: series-unknown/);
+  assert.throws(() => updateSeries('series-unknown', { overrides: { venueID: 'v2' } }, 'admin'), /venueID cannot be set for a series/);
+  assert.throws(() => updateSeries('series-unknown', { overrides: { title: 5 } }, 'admin'), /title must be a string/);
+  assert.throws(() => updateSeries('series-unknown', { status: 'paused' }, 'admin'), /status must be one of: active, canceled/);
+});
@@ -0,0 +1,124 @@
+// event-time.test.js
+// Unit tests of the time zone handling of imported events (event-time.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isValidTimeZone,
+  getWallClock,
+  wallClockToInstant,
+  parseWallTime,
+  getLocalDate,
+  resolveEventTimeZone,
+  computeEventTimes
+} from '../../../event-time.js';
+
+/**
+ * Converts a local date-time in a zone to an ISO instant
+ * @param {string} local - Local date-time ('2026-03-08 02:30')
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} ISO instant
+ */
+function toInstant(local, timeZone) {
+  return new Date(wallClockToInstant(parseWallTime(local), timeZone)).toISOString();
+}
+
+test('converts wall-clock times to instants in standard and daylight time', () => {
+  assert.equal(toInstant('2026-01-15 19:30', 'America/New_York'), '2026-01-16T00:30:00.000Z');
+  assert.equal(toInstant('2026-07-15 19:30', 'America/New_York'), '2026-07-15T23:30:00.000Z');
+  assert.equal(toInstant('2026-07-01 19:00', 'Asia/Kolkata'), '2026-07-01T13:30:00.000Z');
+  assert.equal(toInstant('2026-07-01 19:00', 'UTC'), '2026-07-01T19:00:00.000Z');
+});
+
+test('moves times skipped by the spring change forward by the length of the gap', () => {
+  // New York skips 02:00-03:00 on March 8, 2026
+  assert.equal(toInstant('2026-03-08 01:59', 'America/New_York'), '2026-03-08T06:59:00.000Z');
+  assert.equal(toInstant('2026-03-08 02:30', 'America/New_York'), '2026-03-08T07:30:00.000Z');
+  assert.equal(toInstant('2026-03-08 03:00', 'America/New_York'), '2026-03-08T07:00:00.000Z');
+  // Sydney skips 02:00-03:00 on October 4, London 01:00-02:00 on March 29
+  assert.equal(toInstant('2026-10-04 02:30', 'Australia/Sydney'), '2026-10-03T16:30:00.000Z');
+  assert.equal(toInstant('2026-03-29 01:30', 'Europe/London'), '2026-03-29T01:30:00.000Z');
+});
+
+test('takes the first of the times repeated by the fall change', () => {
+  // New York repeats 01:00-02:00 on November 1, 2026: 01:30 EDT, then 01:30 EST
+  assert.equal(toInstant('2026-11-01 01:30', 'America/New_York'), '2026-11-01T05:30:00.000Z');
+  assert.equal(toInstant('2026-11-01 02:00', 'America/New_York'), '2026-11-01T07:00:00.000Z');
+  assert.equal(toInstant('2026-04-05 02:30', 'Australia/Sydney'), '2026-04-04T15:30:00.000Z');
+  assert.equal(toInstant('2026-10-25 01:30', 'Europe/London'), '2026-10-25T00:30:00.000Z');
+});
+
+test('reads the wall clock of an instant in a zone', () => {
+  assert.deepEqual(getWallClock(Date.parse('2026-11-01T06:30:00Z'), 'America/New_York'), {
+    year: 2026, month: 11, day: 1, hour: 1, minute: 30, second: 0
+  });
+  assert.equal(getLocalDate('2026-10-23T02:30:00Z', 'America/New_York'), '2026-10-22');
+  assert.equal(getLocalDate('2026-10-23T02:30:00Z', 'Not/AZone'), '2026-10-23');
+});
+
+test('parses plain local date-times and rejects ones with an offset', () => {
+  assert.deepEqual(parseWallTime('2026-10-22 19:30:15'), { year: 2026, month: 10, day: 22, hour: 19, minute: 30, second: 15 });
+  assert.deepEqual(parseWallTime('2026-10-22'), { year: 2026, month: 10, day: 22, hour: 0, minute: 0, second: 0 });
+  assert.equal(parseWallTime('2026-10-22T19:30:00Z'), null);
+  assert.equal(parseWallTime(''), null);
+});
+
+test('picks the zone of the venue or city, then the source, then the default, skipping unknown names', () => {
+  assert.deepEqual(
+    resolveEventTimeZone({ timeZone: 'America/Chicago' }, { timeZone: 'America/Denver', timeZoneSource: 'city' }, 'UTC'),
+    { timeZone: 'America/Denver', source: 'city' }
+  );
+  assert.deepEqual(
+    resolveEventTimeZone({ timeZone: 'America/Chicago' }, { timeZone: 'Eastern', timeZoneSource: 'venue' }, 'UTC'),
+    { timeZone: 'America/Chicago', source: 'source' }
+  );
+  assert.deepEqual(resolveEventTimeZone({ timeZone: 'UTC-5' }, null, 'America/New_York'), { timeZone: 'America/New_York', source: 'default' });
+  assert.deepEqual(resolveEventTimeZone({}, null, null), { timeZone: null, source: null });
+  assert.equal(isValidTimeZone('Europe/Paris'), true);
+  assert.equal(isValidTimeZone(''), false);
+});
+
+test('reads local source times in the event zone rather than the source\'s UTC times', () => {
+  // The source filed the milonga under Chicago time; the venue is in New York
+  const times = computeEventTimes({
+    startDate: '2026-10-24T00:00:00Z',
+    endDate: '2026-10-24T04:00:00Z',
+    localStartDate: '2026-10-23 19:00:00',
+    localEndDate: '2026-10-23 23:00:00'
+  }, 'America/New_York');
+
+  assert.deepEqual(times, {
+    startDate: '2026-10-23T23:00:00.000Z',
+    endDate: '2026-10-24T03:00:00.000Z',
+    expiresAt: '2026-10-25T03:00:00.000Z',
+    allDay: false,
+    sourceStartDate: '2026-10-24T00:00:00.000Z',
+    basis: 'local'
+  });
+});
+
+test('runs all-day events from local midnight to the end of their last day, across a change', () => {
+  assert.deepEqual(computeEventTimes({ localStartDate: '2026-10-31', localEndDate: '2026-11-01', allDay: true }, 'America/New_York'), {
+    startDate: '2026-10-31T04:00:00.000Z',
+    endDate: '2026-11-02T04:59:59.000Z',
+    expiresAt: '2026-11-03T04:59:59.000Z',
+    allDay: true,
+    sourceStartDate: null,
+    basis: 'local'
+  });
+});
+
+test('keeps the source\'s UTC times without a zone, and passes unreadable dates on', () => {
+  const times = computeEventTimes({ startDate: '2026-09-12T00:00:00Z', endDate: '2026-09-12T04:00:00Z' }, null);
+  assert.equal(times.basis, 'source');
+  assert.equal(times.startDate, '2026-09-12T00:00:00.000Z');
+  assert.equal(times.expiresAt, '2026-09-13T04:00:00.000Z');
+
+  assert.deepEqual(computeEventTimes({ startDate: 'next Saturday' }, 'America/New_York'), {
+    startDate: 'next Saturday',
+    endDate: null,
+    expiresAt: null,
+    allDay: false,
+    sourceStartDate: null,
+    basis: null
+  });
+});
@@ -0,0 +1,89 @@
+// event-validation.test.js
+// Unit tests of the rules TT events are checked against before they are written (event-validation.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkTtEvent } from '../../../event-validation.js';
+
+const VALID_EVENT = {
+  appId: '1',
+  title: 'Milonga',
+  startDate: '2026-10-24T23:00:00.000Z',
+  endDate: '2026-10-25T03:00:00.000Z',
+  ownerOrganizerID: 'o1',
+  ownerOrganizerName: 'Tango Society of Boston',
+  venueID: 'v1',
+  expiresAt: '2026-10-25T03:00:00.000Z',
+  venueGeolocation: { type: 'Point', coordinates: [-71.1221, 42.4003] }
+};
+
+test('passes a complete event', () => {
+  assert.deepEqual(checkTtEvent(VALID_EVENT), { valid: true, issues: [] });
+});
+
+test('blocks events missing required fields or with dates out of order', () => {
+  const { valid, issues } = checkTtEvent({ ...VALID_EVENT, title: '', endDate: '2026-10-24T22:00:00.000Z' });
+
+  assert.equal(valid, false);
+  assert.deepEqual(issues.map(issue => [issue.message, issue.blocking]), [
+    ['Missing required field: Title', true],
+    ['Start date is after end date', true]
+  ]);
+});
+
+test('warns about, but passes, times that look shifted by a wrong zone', () => {
+  const shifted = checkTtEvent(VALID_EVENT, {
+    timeZone: 'America/New_York',
+    sourceStartDate: '2026-10-25T00:00:00.000Z',
+    basis: 'local'
+  });
+  assert.equal(shifted.valid, true);
+  assert.deepEqual(shifted.issues.map(issue => issue.message), [
+    'Start time is 1 hours earlier than the source\'s UTC time; the source may declare a different time zone than America/New_York'
+  ]);
+
+  const early = checkTtEvent({ ...VALID_EVENT, startDate: '2026-10-24T08:30:00.000Z' }, { timeZone: 'America/New_York', basis: 'local' });
+  assert.deepEqual(early.issues.map(issue => [issue.message, issue.blocking]), [
+    ['Event starts at 04:30 in America/New_York; its times may be shifted', false]
+  ]);
+
+  const allDay = checkTtEvent({ ...VALID_EVENT, allDay: true, startDate: '2026-10-24T00:00:00.000Z' }, { timeZone: 'America/New_York', basis: 'local' });
+  assert.deepEqual(allDay.issues.map(issue => issue.message), [
+    'All-day event starts at 20:00 instead of midnight in America/New_York'
+  ]);
+});
+
+test('warns when local times were read in the server zone for want of any other', () => {
+  assert.deepEqual(checkTtEvent(VALID_EVENT, { timeZone: null, basis: 'server' }).issues.map(issue => issue.message), [
+    'No time zone is known for the venue or the source; local times were read in the server\'s time zone'
+  ]);
+  assert.deepEqual(checkTtEvent(VALID_EVENT, { timeZone: null, basis: 'source' }).issues, []);
+});
+
+test('passes events at venues with their own coordinates without a geography issue', () => {
+  assert.deepEqual(checkTtEvent(VALID_EVENT, null, { source: 'venue', precision: 'venue' }).issues, []);
+});
+
+test('warns about, but passes, events placed by the gazetteer or at their TT city', () => {
+  const byPostalCode = checkTtEvent(VALID_EVENT, null, { source: 'gazetteer', precision: 'postal_code' });
+  assert.equal(byPostalCode.valid, true);
+  assert.deepEqual(byPostalCode.issues.map(issue => issue.message), [
+    'Venue has no coordinates; the event is placed at its postal code centroid until the venue is geocoded'
+  ]);
+
+  const byCity = checkTtEvent(VALID_EVENT, null, { source: 'city', precision: 'city' });
+  assert.equal(byCity.valid, true);
+  assert.deepEqual(byCity.issues.map(issue => [issue.message, issue.blocking]), [
+    ['Venue has no coordinates; the event is placed at its city\'s coordinates until the venue is geocoded', false]
+  ]);
+});
+
+test('blocks events whose venue nothing could place', () => {
+  const { valid, issues } = checkTtEvent({ ...VALID_EVENT, venueGeolocation: null }, null, { source: null, precision: null });
+
+  assert.equal(valid, false);
+  assert.deepEqual(issues, [{
+    message: 'Venue has no coordinates, its address is not in the gazetteer and its city has none; geocode the venue',
+    blocking: true,
+    details: { venueId: 'v1', geocodeSource: null, precision: null }
+  }]);
+});
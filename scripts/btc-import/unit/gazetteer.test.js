@@ -0,0 +1,93 @@
+// gazetteer.test.js
+// Unit tests of the offline geocoding of venue addresses in gazetteer.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { geocodeAddress, findCity, normalizeCountry } from '../../../gazetteer.js';
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gazetteer-test-'));
+after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('places US ZIP codes at their centroid, with or without the leading zero and the +4', () => {
+  const somerville = {
+    coordinates: [-71.1221, 42.4003],
+    precision: 'postal_code',
+    place: 'Somerville',
+    stateCode: 'MA',
+    countryCode: 'US',
+    postalCode: '02144'
+  };
+
+  assert.deepEqual(geocodeAddress({ zip: '02144' }), somerville);
+  assert.deepEqual(geocodeAddress({ zip: '2144' }), somerville);
+  assert.deepEqual(geocodeAddress({ zip: '02144-1234', city: 'somerville', state: 'MA' }), somerville);
+});
+
+test('covers US addresses well outside the Boston area', () => {
+  assert.equal(geocodeAddress({ zip: '97205' }).place, 'Portland');
+  assert.equal(geocodeAddress({ zip: '00601' }).stateCode, 'PR');
+  assert.deepEqual(findCity({ city: 'Austin', state: 'Texas', country: 'USA' }), {
+    coordinates: [-97.7599, 30.3071],
+    place: 'Austin',
+    stateCode: 'TX',
+    countryCode: 'US'
+  });
+});
+
+test('tells cities of the same name apart by state, given as a code or a name', () => {
+  assert.deepEqual(findCity({ city: 'Portland', state: 'ME' }).coordinates, [-70.2568, 43.666]);
+  assert.deepEqual(findCity({ city: 'portland', state: 'Oregon' }).coordinates, [-122.6643, 45.5183]);
+  assert.equal(findCity({ city: 'Portland' }), null);
+});
+
+test('prefers the named city to a ZIP code of another city', () => {
+  const match = geocodeAddress({ zip: '02144', city: 'Cambridge', state: 'MA' });
+
+  assert.equal(match.precision, 'city');
+  assert.equal(match.place, 'Cambridge');
+  assert.equal(match.postalCode, null);
+});
+
+test('falls back to the ZIP code when the city is a neighbourhood the gazetteer does not know', () => {
+  const match = geocodeAddress({ zip: '02130', city: 'JP', state: 'MA' });
+
+  assert.equal(match.precision, 'postal_code');
+  assert.equal(match.place, 'Jamaica Plain');
+});
+
+test('returns null for addresses it cannot place', () => {
+  assert.equal(geocodeAddress({ zip: '99999' }), null);
+  assert.equal(geocodeAddress({ zip: 'not a zip', city: 'Nowhere', state: 'MA' }), null);
+  assert.equal(geocodeAddress({ city: 'Montreal', state: 'QC', country: 'Canada' }), null);
+});
+
+test('adds the postal codes of a GeoNames export to the US ones', () => {
+  const file = path.join(workDir, 'CA.txt');
+  fs.writeFileSync(file, [
+    '# Canadian postal codes',
+    'CA\tH2X\tMontreal\tQuebec\tQC\t\t\t\t\t45.5118\t-73.5673\t6',
+    'CA\tH2T\tMontreal\tQuebec\tQC\t\t\t\t\t45.5238\t-73.5919\t6',
+    'CA\tH9Z\tbroken\tQuebec\tQC\t\t\t\t\tnot a number\t-73.5\t6'
+  ].join('\n'));
+
+  assert.deepEqual(geocodeAddress({ zip: 'h2x', country: 'Canada' }, { file }).coordinates, [-73.5673, 45.5118]);
+  assert.deepEqual(geocodeAddress({ city: 'Montréal', state: 'Quebec', country: 'CA' }, { file }), {
+    coordinates: [-73.5796, 45.5178],
+    place: 'Montreal',
+    stateCode: 'QC',
+    countryCode: 'CA',
+    precision: 'city',
+    postalCode: null
+  });
+  assert.equal(geocodeAddress({ zip: '02144' }, { file }).place, 'Somerville');
+});
+
+test('reads country names and codes', () => {
+  assert.equal(normalizeCountry('United States of America'), 'US');
+  assert.equal(normalizeCountry('ca'), 'CA');
+  assert.equal(normalizeCountry(''), 'US');
+});
@@ -0,0 +1,160 @@
+// go-nogo-gates.test.js
+// Unit tests of the Go/No-Go thresholds (go-nogo-gates.js) and of the dry run that live imports must pass
+// first (runGatedImport in btc-import.js)
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The stores, reports and error log go to a temporary directory, read when the modules load
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'go-nogo-gates-test-'));
+process.env.IMPORT_DATA_DIR = tempDir;
+process.env.OUTPUT_DIR = tempDir;
+process.env.ERROR_LOG_DIR = tempDir;
+const { getDefaultGoNoGoGates, getGoNoGoGates, saveGoNoGoGates } = await import('../../../go-nogo-gates.js');
+const { startRun, getRun } = await import('../../../import-runs.js');
+const { configureImport, runGatedImport, performGoNoGoAssessment } = await import('../../../btc-import.js');
+
+// Assessment reports are not what these tests check
+let consoleLog;
+before(() => {
+  consoleLog = console.log;
+  console.log = () => {};
+});
+after(() => {
+  console.log = consoleLog;
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * Builds the results of a completed import of 20 events
+ * @param {number} invalid - Events that failed validation
+ * @returns {Object} Import results
+ */
+function importResults(invalid) {
+  return {
+    date: '2026-10-20_2026-10-21',
+    status: 'completed',
+    btcEvents: { total: 20, processed: 20 },
+    entityResolution: { success: 20, failure: 0 },
+    validation: { valid: 20 - invalid, invalid },
+    ttEvents: { created: 20 - invalid, updated: 0, unchanged: 0, removed: 0, failed: 0 }
+  };
+}
+
+/**
+ * Stands in for an import: records each phase and starts a run for it in the run history
+ * @param {Object} config - Import configuration (from configureImport)
+ * @param {Object} results - Results every phase returns
+ * @returns {Function} Import for runGatedImport, with the phases it ran in `phases`
+ */
+function stubImport(config, results) {
+  const runImport = async (phase) => {
+    runImport.phases.push({ dryRun: config.dryRun, ...phase });
+    const run = startRun({ appId: '1', sourceSystem: 'BTC', trigger: 'test', operator: 'admin', parameters: { dryRun: config.dryRun } });
+    return { ...results, runId: run.runId };
+  };
+  runImport.phases = [];
+  return runImport;
+}
+
+test('assesses each rate of a run against its threshold', () => {
+  configureImport({ dryRun: true });
+  const assessment = performGoNoGoAssessment(importResults(2), getDefaultGoNoGoGates('1'));
+
+  assert.equal(assessment.canProceed, false);
+  assert.deepEqual(assessment.gates.map(gate => [gate.metric, gate.value, gate.passed]), [
+    ['entityResolutionRate', 1, true],
+    ['validationRate', 0.9, false],
+    ['overallSuccessRate', 0.9, true]
+  ]);
+  assert.deepEqual(assessment.recommendations, ['Validation rate below threshold. Fix data quality issues in mapping process.']);
+
+  const empty = performGoNoGoAssessment({ ...importResults(0), btcEvents: { total: 0 }, entityResolution: { success: 0, failure: 0 } });
+  assert.equal(empty.canProceed, true);
+});
+
+test('refuses the live phase when the dry run fails its gates', async () => {
+  const config = configureImport({ dryRun: false });
+  const runImport = stubImport(config, importResults(2));
+
+  const { gate } = await runGatedImport(runImport);
+
+  assert.deepEqual(runImport.phases, [{ dryRun: true, checkpoint: false }]);
+  assert.equal(config.dryRun, false);
+  assert.equal(gate.passed, false);
+  assert.equal(gate.blocked, true);
+  assert.equal(gate.reason, 'The Go/No-Go dry run failed its gates');
+  assert.deepEqual(getRun(gate.gateRunId).gate, {
+    phase: 'dry_run',
+    passed: false,
+    blocked: true,
+    reason: 'The Go/No-Go dry run failed its gates',
+    override: null,
+    gateRunId: gate.gateRunId,
+    liveRunId: null
+  });
+});
+
+test('runs the live phase of a failed gate with an override reason, and records it on both runs', async () => {
+  const config = configureImport({ dryRun: false, operator: 'admin@example.org', goNoGoOverrideReason: ' Known placeholder event ' });
+  const runImport = stubImport(config, importResults(2));
+
+  const { gate } = await runGatedImport(runImport);
+
+  assert.deepEqual(runImport.phases, [{ dryRun: true, checkpoint: false }, { dryRun: false }]);
+  assert.equal(gate.blocked, false);
+  assert.equal(gate.override.reason, 'Known placeholder event');
+  assert.equal(gate.override.operator, 'admin@example.org');
+  assert.equal(getRun(gate.gateRunId).gate.liveRunId, gate.liveRunId);
+  assert.equal(getRun(gate.liveRunId).gate.phase, 'live');
+  assert.equal(getRun(gate.liveRunId).gate.override.reason, 'Known placeholder event');
+
+  // The override is for one run only
+  assert.equal(configureImport({ dryRun: false }).goNoGoOverrideReason, null);
+});
+
+test('runs the live phase after a passing dry run, and blocks after a stopped one', async () => {
+  const config = configureImport({ dryRun: false });
+
+  const passing = stubImport(config, importResults(0));
+  const { gate } = await runGatedImport(passing);
+  assert.deepEqual(passing.phases, [{ dryRun: true, checkpoint: false }, { dryRun: false }]);
+  assert.equal(gate.passed, true);
+
+  const stopped = stubImport(config, { ...importResults(0), status: 'stopped' });
+  const { gate: stoppedGate, assessment } = await runGatedImport(stopped);
+  assert.equal(stopped.phases.length, 1);
+  assert.equal(assessment, null);
+  assert.equal(stoppedGate.reason, 'The Go/No-Go dry run was stopped');
+});
+
+test('runs dry runs, and live runs of gates without a required dry run, once', async () => {
+  const config = configureImport({ dryRun: true });
+  const dryRun = stubImport(config, importResults(2));
+  assert.equal((await runGatedImport(dryRun)).gate, null);
+  assert.equal(dryRun.phases.length, 1);
+
+  saveGoNoGoGates('1', { minimumResolutionRate: 0.9, minimumValidationRate: 0.95, minimumOverallRate: 0.85, requireDryRun: false });
+  configureImport({ dryRun: false });
+  const live = stubImport(config, importResults(2));
+  const { gate, assessment } = await runGatedImport(live);
+  assert.equal(gate, null);
+  assert.deepEqual(live.phases, [{ dryRun: false }]);
+  assert.equal(assessment.canProceed, false);
+});
+
+test('keeps saved gates per app and source and rejects rates outside 0 to 1', () => {
+  const saved = saveGoNoGoGates('2', { minimumResolutionRate: '0.8', minimumValidationRate: 1, minimumOverallRate: 0, requireDryRun: true }, 'ICS');
+  assert.equal(saved.minimumResolutionRate, 0.8);
+  assert.deepEqual(getGoNoGoGates('2', 'ICS'), saved);
+  assert.equal(getGoNoGoGates('2', 'BTC').isDefault, true);
+  assert.equal(getGoNoGoGates('2', 'BTC').minimumValidationRate, 0.95);
+
+  const gates = { minimumResolutionRate: 0.9, minimumValidationRate: 0.95, minimumOverallRate: 0.85, requireDryRun: true };
+  assert.throws(() => saveGoNoGoGates('2', { ...gates, minimumOverallRate: 85 }), /minimumOverallRate must be a number between 0 and 1/);
+  assert.throws(() => saveGoNoGoGates('2', { ...gates, minimumResolutionRate: '' }), /minimumResolutionRate must be a number between 0 and 1/);
+  assert.throws(() => saveGoNoGoGates('2', { ...gates, requireDryRun: 'yes' }), /requireDryRun must be true or false/);
+  assert.throws(() => saveGoNoGoGates('', gates), /appId is required/);
+});
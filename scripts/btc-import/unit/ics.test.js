@@ -0,0 +1,248 @@
+// ics.test.js
+// Unit tests of the iCalendar parser and recurrence expansion in import-sources/ics.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIcs, expandIcsEvents, getIcsSourceKey, createIcsAdapter } from '../../../import-sources/ics.js';
+
+/**
+ * Builds a calendar from VEVENT lines
+ * @param {Array<string>} lines - Content lines between BEGIN:VCALENDAR and END:VCALENDAR
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+function calendarOf(lines) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Test//EN', ...lines, 'END:VCALENDAR'].join('\r\n');
+}
+
+/**
+ * Wraps properties in a VEVENT
+ * @param {Array<string>} properties - Event content lines
+ * @returns {Array<string>} VEVENT lines
+ */
+function eventOf(properties) {
+  return ['BEGIN:VEVENT', ...properties, 'END:VEVENT'];
+}
+
+test('rejects text that is not a calendar', () => {
+  assert.throws(() => parseIcs('BEGIN:VCARD\r\nEND:VCARD'), /Not an iCalendar file/);
+});
+
+test('unfolds continuation lines and unescapes text', () => {
+  const calendar = parseIcs(calendarOf(eventOf([
+    'UID:folded-1',
+    'SUMMARY:Milonga at',
+    '  the Grange Hall',
+    'DESCRIPTION:Line one\\nLine two\\, with a comma\\; and a semicolon \\\\ slash',
+    'ORGANIZER;CN="Tango: Society of Boston":mailto:info@example.org',
+    'CATEGORIES:Milonga,Live Music\\, Orchestra',
+    'DTSTART:20261020T230000Z'
+  ])));
+
+  const [event] = calendar.events;
+  assert.equal(event.summary, 'Milonga at the Grange Hall');
+  assert.equal(event.description, 'Line one\nLine two, with a comma; and a semicolon \\ slash');
+  assert.deepEqual(event.organizer, { name: 'Tango: Society of Boston', email: 'info@example.org' });
+  assert.deepEqual(event.categories, ['Milonga', 'Live Music, Orchestra']);
+  assert.deepEqual(calendar.warnings, []);
+});
+
+test('unfolds lines folded with a tab and LF line endings', () => {
+  const calendar = parseIcs('BEGIN:VCALENDAR\nBEGIN:VEVENT\nUID:tab-1\nSUMMARY:Practica\n\tNight\nDTSTART:20261020T230000Z\nEND:VEVENT\nEND:VCALENDAR\n');
+  assert.equal(calendar.events[0].summary, 'PracticaNight');
+});
+
+test('converts TZID times to UTC on both sides of the end of daylight saving time', () => {
+  const calendar = parseIcs(calendarOf(eventOf([
+    'UID:weekly-1',
+    'SUMMARY:Saturday Milonga',
+    'DTSTART;TZID=America/New_York:20261024T190000',
+    'DTEND;TZID=America/New_York:20261024T230000',
+    'RRULE:FREQ=WEEKLY;COUNT=3'
+  ])));
+
+  const occurrences = expandIcsEvents(calendar, '2026-10-01', '2026-11-30');
+  assert.deepEqual(occurrences.map(({ start, end, localDate, sourceId }) => ({ start, end, localDate, sourceId })), [
+    // EDT, UTC-4
+    { start: '2026-10-24T23:00:00.000Z', end: '2026-10-25T03:00:00.000Z', localDate: '2026-10-24', sourceId: 'weekly-1@20261024T230000Z' },
+    { start: '2026-10-31T23:00:00.000Z', end: '2026-11-01T03:00:00.000Z', localDate: '2026-10-31', sourceId: 'weekly-1@20261031T230000Z' },
+    // EST from November 1, UTC-5: same wall time, an hour later in UTC
+    { start: '2026-11-08T00:00:00.000Z', end: '2026-11-08T04:00:00.000Z', localDate: '2026-11-07', sourceId: 'weekly-1@20261108T000000Z' }
+  ]);
+  assert.ok(occurrences.every(occurrence => occurrence.timeZone === 'America/New_York'));
+});
+
+test('places TZID times skipped or repeated by a daylight saving change like the other sources', () => {
+  const calendar = parseIcs(calendarOf([
+    // New York skips 02:00-03:00 on March 8, 2026
+    ...eventOf(['UID:skipped', 'SUMMARY:Early Practica', 'DTSTART;TZID=America/New_York:20260308T023000', 'DTEND;TZID=America/New_York:20260308T043000']),
+    // Berlin repeats 02:00-03:00 on October 25, 2026
+    ...eventOf(['UID:repeated', 'SUMMARY:Late Milonga', 'DTSTART;TZID=Europe/Berlin:20261025T023000', 'DTEND;TZID=Europe/Berlin:20261025T043000'])
+  ]));
+
+  const starts = expandIcsEvents(calendar, '2026-01-01', '2026-12-31').map(({ sourceId, start }) => [sourceId.split('@')[0], start]);
+  assert.deepEqual(starts, [
+    // Moved forward by the length of the gap, to 03:30 EDT
+    ['skipped', '2026-03-08T07:30:00.000Z'],
+    // The first of the two, 02:30 CEST
+    ['repeated', '2026-10-25T00:30:00.000Z']
+  ]);
+});
+
+test('resolves vendor-prefixed and Windows TZIDs, and warns on unknown ones', () => {
+  const calendar = parseIcs(calendarOf([
+    'X-WR-TIMEZONE:America/Chicago',
+    ...eventOf(['UID:mozilla', 'DTSTART;TZID=/mozilla.org/20050126_1/America/New_York:20260715T190000']),
+    ...eventOf(['UID:windows', 'DTSTART;TZID=Eastern Standard Time:20260715T190000']),
+    ...eventOf(['UID:unknown', 'DTSTART;TZID=Mars/Olympus_Mons:20260715T190000'])
+  ]));
+
+  const zones = Object.fromEntries(calendar.events.map(event => [event.uid, event.dtstart.timeZone]));
+  assert.deepEqual(zones, { mozilla: 'America/New_York', windows: 'America/New_York', unknown: 'America/Chicago' });
+  assert.deepEqual(calendar.warnings, ['Unknown TZID "Mars/Olympus_Mons", using America/Chicago']);
+
+  const [mozilla] = expandIcsEvents(calendar, '2026-07-15', '2026-07-15');
+  assert.equal(mozilla.start, '2026-07-15T23:00:00.000Z');
+});
+
+test('reads floating times in the calendar zone, or keeps them local without one', () => {
+  const zoned = parseIcs(calendarOf(['X-WR-TIMEZONE:America/Los_Angeles', ...eventOf(['UID:f1', 'DTSTART:20260110T200000'])]));
+  const [zonedOccurrence] = expandIcsEvents(zoned, '2026-01-10', '2026-01-10');
+  assert.equal(zonedOccurrence.start, '2026-01-11T04:00:00.000Z');
+  assert.equal(zonedOccurrence.localDate, '2026-01-10');
+
+  const floating = parseIcs(calendarOf(eventOf(['UID:f2', 'DTSTART:20260110T200000', 'DURATION:PT2H30M'])));
+  const [floatingOccurrence] = expandIcsEvents(floating, '2026-01-10', '2026-01-10');
+  assert.equal(floatingOccurrence.timeZone, null);
+  assert.equal(floatingOccurrence.start, '2026-01-10T20:00:00');
+  assert.equal(floatingOccurrence.end, '2026-01-10T22:30:00');
+});
+
+test('leaves out EXDATE instances, by exact time or by DATE', () => {
+  const calendar = parseIcs(calendarOf(eventOf([
+    'UID:tuesday',
+    'DTSTART;TZID=America/New_York:20261020T200000',
+    'DURATION:PT2H',
+    'RRULE:FREQ=WEEKLY;BYDAY=TU;UNTIL=20261124T235959Z',
+    'EXDATE;TZID=America/New_York:20261103T200000',
+    'EXDATE;VALUE=DATE:20261117,20261124'
+  ])));
+
+  const occurrences = expandIcsEvents(calendar, '2026-10-01', '2026-12-31');
+  assert.deepEqual(occurrences.map(occurrence => occurrence.localDate), ['2026-10-20', '2026-10-27', '2026-11-10']);
+});
+
+test('stops at UNTIL and COUNT', () => {
+  const calendar = parseIcs(calendarOf([
+    ...eventOf(['UID:until', 'DTSTART;VALUE=DATE:20261001', 'RRULE:FREQ=DAILY;INTERVAL=2;UNTIL=20261007']),
+    ...eventOf(['UID:count', 'DTSTART;VALUE=DATE:20261001', 'RRULE:FREQ=DAILY;COUNT=2'])
+  ]));
+
+  const days = uid => expandIcsEvents(calendar, '2026-09-01', '2026-12-31')
+    .filter(occurrence => occurrence.uid === uid)
+    .map(occurrence => occurrence.localDate);
+  assert.deepEqual(days('until'), ['2026-10-01', '2026-10-03', '2026-10-05', '2026-10-07']);
+  assert.deepEqual(days('count'), ['2026-10-01', '2026-10-02']);
+});
+
+test('expands monthly rules by ordinal weekday and by month day', () => {
+  const calendar = parseIcs(calendarOf([
+    ...eventOf(['UID:second-saturday', 'DTSTART;TZID=America/New_York:20261010T200000', 'RRULE:FREQ=MONTHLY;BYDAY=2SA;COUNT=3']),
+    ...eventOf(['UID:last-friday', 'DTSTART;TZID=America/New_York:20261030T200000', 'RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3']),
+    ...eventOf(['UID:day-31', 'DTSTART;VALUE=DATE:20261031', 'RRULE:FREQ=MONTHLY;BYMONTHDAY=31;COUNT=3'])
+  ]));
+
+  const days = uid => expandIcsEvents(calendar, '2026-10-01', '2027-12-31')
+    .filter(occurrence => occurrence.uid === uid)
+    .map(occurrence => occurrence.localDate);
+  assert.deepEqual(days('second-saturday'), ['2026-10-10', '2026-11-14', '2026-12-12']);
+  assert.deepEqual(days('last-friday'), ['2026-10-30', '2026-11-27', '2026-12-25']);
+  // Months without a 31st are skipped
+  assert.deepEqual(days('day-31'), ['2026-10-31', '2026-12-31', '2027-01-31']);
+});
+
+test('adds RDATE instances and replaces instances that have a RECURRENCE-ID', () => {
+  const calendar = parseIcs(calendarOf([
+    ...eventOf([
+      'UID:series',
+      'SUMMARY:Practica',
+      'DTSTART:20261005T230000Z',
+      'RRULE:FREQ=WEEKLY;COUNT=3',
+      'RDATE:20261008T230000Z'
+    ]),
+    ...eventOf([
+      'UID:series',
+      'SUMMARY:Practica (moved)',
+      'RECURRENCE-ID:20261012T230000Z',
+      'DTSTART:20261013T230000Z'
+    ])
+  ]));
+
+  const occurrences = expandIcsEvents(calendar, '2026-10-01', '2026-10-31');
+  assert.deepEqual(occurrences.map(({ sourceId, summary, start }) => ({ sourceId, summary, start })), [
+    { sourceId: 'series@20261005T230000Z', summary: 'Practica', start: '2026-10-05T23:00:00.000Z' },
+    { sourceId: 'series@20261008T230000Z', summary: 'Practica', start: '2026-10-08T23:00:00.000Z' },
+    { sourceId: 'series@20261012T230000Z', summary: 'Practica (moved)', start: '2026-10-13T23:00:00.000Z' },
+    { sourceId: 'series@20261019T230000Z', summary: 'Practica', start: '2026-10-19T23:00:00.000Z' }
+  ]);
+});
+
+test('treats DATE values as all-day events with an exclusive DTEND', () => {
+  const calendar = parseIcs(calendarOf([
+    ...eventOf(['UID:one-day', 'DTSTART;VALUE=DATE:20261031', 'DTEND;VALUE=DATE:20261101']),
+    ...eventOf(['UID:weekend', 'DTSTART;VALUE=DATE:20261031', 'DTEND;VALUE=DATE:20261102']),
+    ...eventOf(['UID:no-end', 'DTSTART;VALUE=DATE:20261031'])
+  ]));
+
+  const occurrences = expandIcsEvents(calendar, '2026-10-31', '2026-10-31');
+  assert.deepEqual(occurrences.map(({ uid, allDay, start, end, timeZone }) => ({ uid, allDay, start, end, timeZone })), [
+    { uid: 'one-day', allDay: true, start: '2026-10-31T00:00:00', end: '2026-10-31T23:59:59', timeZone: null },
+    { uid: 'weekend', allDay: true, start: '2026-10-31T00:00:00', end: '2026-11-01T23:59:59', timeZone: null },
+    { uid: 'no-end', allDay: true, start: '2026-10-31T00:00:00', end: '2026-10-31T23:59:59', timeZone: null }
+  ]);
+});
+
+test('warns about unsupported rules and imports only the first occurrence', () => {
+  const calendar = parseIcs(calendarOf(eventOf(['UID:hourly', 'DTSTART:20261020T230000Z', 'RRULE:FREQ=HOURLY;COUNT=5'])));
+
+  assert.deepEqual(calendar.warnings, ['Unsupported RRULE frequency "HOURLY", only the first occurrence is imported']);
+  assert.equal(expandIcsEvents(calendar, '2026-10-20', '2026-10-21').length, 1);
+});
+
+test('derives feed keys from names, file names and URLs', () => {
+  assert.equal(getIcsSourceKey('webcal://example.org/Tango Calendar.ics'), 'example-org-tango-calendar');
+  assert.equal(getIcsSourceKey('boston-milongas.ics'), 'boston-milongas');
+  assert.equal(getIcsSourceKey(''), 'calendar');
+});
+
+test('normalizes occurrences into source events', async () => {
+  const adapter = createIcsAdapter({
+    key: 'boston.ics',
+    text: calendarOf([
+      'X-WR-CALNAME:Boston Tango',
+      'X-WR-TIMEZONE:America/New_York',
+      ...eventOf([
+        'UID:canceled-1',
+        'SUMMARY:Canceled Milonga',
+        'STATUS:CANCELLED',
+        'LOCATION:Dance Union\\, 6 Sanborn Ct\\, Somerville\\, MA',
+        'GEO:42.3795;-71.0953',
+        'DTSTART:20261020T230000Z'
+      ])
+    ])
+  });
+
+  const { events } = await adapter.fetchEvents('2026-10-20', { execute: request => request() });
+  const event = adapter.normalizeEvent(events[0]);
+
+  assert.equal(adapter.sourceSystem, 'ICS:boston');
+  assert.equal(adapter.name, 'Boston Tango');
+  assert.equal(event.status, 'canceled');
+  assert.equal(event.timeZone, 'America/New_York');
+  assert.equal(event.startDate, '2026-10-20T23:00:00.000Z');
+  assert.deepEqual(event.venue, {
+    sourceId: 'Dance Union',
+    name: 'Dance Union',
+    address: '6 Sanborn Ct, Somerville, MA',
+    latitude: 42.3795,
+    longitude: -71.0953
+  });
+});
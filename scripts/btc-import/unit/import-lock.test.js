@@ -0,0 +1,111 @@
+// import-lock.test.js
+// Unit tests of the run lock shared by every import (import-lock.js)
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The lock file is kept in the import data directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-lock-test-'));
+process.env.IMPORT_DATA_DIR = dataDir;
+const { getImportLock, acquireImportLock, releaseImportLock } = await import('../../../import-lock.js');
+const { getStoreFile } = await import('../../../import-store.js');
+
+const lockFile = getStoreFile('import-lock');
+
+/**
+ * Writes a lock file as another process would have
+ * @param {string} contents - File contents
+ * @param {number} [ageMs] - How long ago the file was written
+ */
+function writeLockFile(contents, ageMs = 0) {
+  fs.writeFileSync(lockFile, contents);
+  const writtenAt = new Date(Date.now() - ageMs);
+  fs.utimesSync(lockFile, writtenAt, writtenAt);
+}
+
+beforeEach(() => {
+  fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+  fs.rmSync(lockFile, { force: true });
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('lets one import hold the lock until it releases it', () => {
+  const lock = acquireImportLock({ owner: 'cli', appId: 1 });
+
+  assert.equal(lock.owner, 'cli');
+  assert.equal(lock.appId, '1');
+  assert.equal(lock.pid, process.pid);
+  assert.deepEqual(getImportLock(), lock);
+  assert.equal(acquireImportLock({ owner: 'schedule:s1' }), null);
+
+  assert.equal(releaseImportLock('lock_other'), false);
+  assert.equal(releaseImportLock(lock.lockId), true);
+  assert.equal(getImportLock(), null);
+  assert.ok(acquireImportLock({ owner: 'schedule:s1' }));
+});
+
+test('leaves no temporary files behind', () => {
+  acquireImportLock({ owner: 'cli' });
+  acquireImportLock({ owner: 'api:user@example.com' });
+
+  assert.deepEqual(fs.readdirSync(path.dirname(lockFile)).filter(file => file.endsWith('.tmp')), []);
+});
+
+test('takes over a lock whose process has died or that is older than the TTL', () => {
+  writeLockFile(JSON.stringify({ lockId: 'lock_dead', owner: 'cli', pid: 2 ** 22 + 1, acquiredAt: new Date().toISOString() }));
+  assert.equal(getImportLock(), null);
+  assert.ok(acquireImportLock({ owner: 'cli' }));
+
+  fs.rmSync(lockFile);
+  const acquiredAt = new Date(Date.now() - 13 * 60 * 60 * 1000).toISOString();
+  writeLockFile(JSON.stringify({ lockId: 'lock_hung', owner: 'cli', pid: process.pid, acquiredAt }));
+  assert.ok(acquireImportLock({ owner: 'cli' }));
+});
+
+test('holds an unreadable lock file for a minute after it was written, then clears it', () => {
+  writeLockFile('{"lockId": "lock_', 10 * 1000);
+  assert.equal(getImportLock().unreadable, true);
+  assert.equal(acquireImportLock({ owner: 'cli' }), null);
+
+  writeLockFile('', 2 * 60 * 1000);
+  assert.equal(getImportLock(), null);
+  assert.equal(fs.existsSync(lockFile), false);
+  assert.ok(acquireImportLock({ owner: 'cli' }));
+});
+
+/**
+ * Has another process take the lock just before this one next renames the lock file
+ * @param {Object} lock - Lock the other process writes
+ */
+function replaceLockBeforeNextRename(lock) {
+  const renameSync = fs.renameSync;
+  fs.renameSync = (...args) => {
+    fs.renameSync = renameSync;
+    fs.writeFileSync(lockFile, JSON.stringify(lock));
+    return renameSync(...args);
+  };
+}
+
+test('keeps a lock another process took after this one found the old lock stale', () => {
+  const otherLock = { lockId: 'lock_other', owner: 'schedule:s1', pid: process.pid, acquiredAt: new Date().toISOString() };
+  writeLockFile(JSON.stringify({ lockId: 'lock_dead', owner: 'cli', pid: 2 ** 22 + 1, acquiredAt: new Date().toISOString() }));
+  replaceLockBeforeNextRename(otherLock);
+
+  assert.equal(acquireImportLock({ owner: 'cli' }), null);
+  assert.deepEqual(getImportLock(), otherLock);
+  assert.deepEqual(fs.readdirSync(path.dirname(lockFile)).filter(file => file.endsWith('.tmp')), []);
+});
+
+test('releases only its own lock, even when another replaced it in the meantime', () => {
+  const lock = acquireImportLock({ owner: 'cli' });
+  const otherLock = { lockId: 'lock_other', owner: 'schedule:s1', pid: process.pid, acquiredAt: new Date().toISOString() };
+  replaceLockBeforeNextRename(otherLock);
+
+  assert.equal(releaseImportLock(lock.lockId), false);
+  assert.deepEqual(getImportLock(), otherLock);
+});
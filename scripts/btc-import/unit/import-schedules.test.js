@@ -0,0 +1,90 @@
+// import-schedules.test.js
+// Unit tests of the cron expressions and run windows of scheduled imports (import-schedules.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Schedules run in server local time; pin a zone with daylight saving time
+process.env.TZ = 'America/New_York';
+const { parseCron, getNextRunTime, getScheduleWindow } = await import('../../../import-schedules.js');
+
+/**
+ * Gets the next run time as an ISO string with the New York offset of the run
+ * @param {string} expression - Cron expression
+ * @param {string} from - Time to search from, ISO
+ * @returns {string|null} Next run time
+ */
+function nextRun(expression, from) {
+  const next = getNextRunTime(expression, new Date(from));
+  if (!next) {
+    return null;
+  }
+  const offsetHours = -next.getTimezoneOffset() / 60;
+  const local = new Date(next.getTime() + offsetHours * 3600000).toISOString().slice(0, 19);
+  return `${local}-0${-offsetHours}:00`;
+}
+
+test('parses lists, ranges, steps and shorthands', () => {
+  const cron = parseCron('0,30 9-17/4 1,15 * 1-5');
+
+  assert.deepEqual([...cron.minutes], [0, 30]);
+  assert.deepEqual([...cron.hours], [9, 13, 17]);
+  assert.deepEqual([...cron.daysOfMonth], [1, 15]);
+  assert.equal(cron.months.size, 12);
+  assert.deepEqual([...cron.daysOfWeek], [1, 2, 3, 4, 5]);
+  assert.equal(cron.anyDay, true);
+
+  assert.deepEqual([...parseCron('@nightly').hours], [2]);
+  assert.deepEqual([...parseCron('*/20 * * * *').minutes], [0, 20, 40]);
+  assert.deepEqual([...parseCron('0 0 * * 7').daysOfWeek], [7, 0]);
+});
+
+test('rejects malformed expressions and values out of range', () => {
+  assert.throws(() => parseCron('0 2 * *'), /expected 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /Invalid cron minute: 60 \(allowed 0-59\)/);
+  assert.throws(() => parseCron('0 5-1 * * *'), /Invalid cron hour: 5-1/);
+  assert.throws(() => parseCron('0 0 * JAN *'), /Invalid cron month: JAN/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid cron minute/);
+});
+
+test('finds the next run strictly after the given time', () => {
+  assert.equal(nextRun('*/15 * * * *', '2026-10-19T10:07:30-04:00'), '2026-10-19T10:15:00-04:00');
+  assert.equal(nextRun('@nightly', '2026-10-19T02:00:00-04:00'), '2026-10-20T02:00:00-04:00');
+  assert.equal(nextRun('0 9 * * 1-5', '2026-10-23T10:00:00-04:00'), '2026-10-26T09:00:00-04:00');
+  assert.equal(nextRun('0 0 1 * *', '2026-12-15T12:00:00-05:00'), '2027-01-01T00:00:00-05:00');
+});
+
+test('matches either day field when both are restricted, like cron', () => {
+  // The 13th of the month or any Friday
+  assert.equal(nextRun('0 20 13 * 5', '2026-10-19T12:00:00-04:00'), '2026-10-23T20:00:00-04:00');
+  assert.equal(nextRun('0 20 13 * 5', '2026-11-07T12:00:00-05:00'), '2026-11-13T20:00:00-05:00');
+});
+
+test('waits years for February 29 and gives up on days that never come', () => {
+  assert.equal(nextRun('0 0 29 2 *', '2026-03-01T00:00:00-05:00'), '2028-02-29T00:00:00-05:00');
+  assert.equal(nextRun('0 0 31 2 *', '2026-03-01T00:00:00-05:00'), null);
+});
+
+test('runs a time skipped by the spring daylight saving change right after it', () => {
+  assert.equal(nextRun('30 2 * * *', '2027-03-14T00:00:00-05:00'), '2027-03-14T03:00:00-04:00');
+  assert.equal(nextRun('30 2 * * *', '2027-03-14T03:00:00-04:00'), '2027-03-15T02:30:00-04:00');
+  assert.equal(nextRun('0 * * * *', '2027-03-14T01:30:00-05:00'), '2027-03-14T03:00:00-04:00');
+});
+
+test('runs a time repeated by the fall daylight saving change once', () => {
+  assert.equal(nextRun('30 1 * * *', '2027-11-07T00:00:00-04:00'), '2027-11-07T01:30:00-04:00');
+  assert.equal(nextRun('30 1 * * *', '2027-11-07T01:30:00-04:00'), '2027-11-08T01:30:00-05:00');
+});
+
+test('gets the local days a scheduled run imports', () => {
+  const schedule = { windowStartDays: 1, windowDays: 7 };
+
+  assert.deepEqual(getScheduleWindow(schedule, new Date('2026-10-19T23:30:00-04:00')), {
+    startDate: '2026-10-20',
+    endDate: '2026-10-26'
+  });
+  // Across the fall change, days are counted in local time
+  assert.deepEqual(getScheduleWindow({ windowStartDays: 0, windowDays: 1 }, new Date('2027-11-07T00:30:00-04:00')), {
+    startDate: '2027-11-07',
+    endDate: '2027-11-07'
+  });
+});
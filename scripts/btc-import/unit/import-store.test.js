@@ -0,0 +1,88 @@
+// import-store.test.js
+// Unit tests of the file stores shared by the importer, the scheduler and the admin API (import-store.js)
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const storeModule = path.resolve(path.dirname(__filename), '../../../import-store.js');
+
+// Stores are kept in the import data directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-store-test-'));
+process.env.IMPORT_DATA_DIR = dataDir;
+const { readStore, updateStore, getStoreFile } = await import('../../../import-store.js');
+
+const lockFile = `${getStoreFile('counter')}.lock`;
+
+/**
+ * Runs code in another Node.js process with the same data directory
+ * @param {string} code - Module code; `updateStore` is imported
+ * @returns {Promise<number>} Exit code
+ */
+function runProcess(code) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [
+      '--input-type=module',
+      '-e',
+      `import { updateStore } from ${JSON.stringify(storeModule)};\n${code}`
+    ], { env: { ...process.env, IMPORT_DATA_DIR: dataDir }, stdio: 'inherit' });
+    child.on('close', resolve);
+  });
+}
+
+beforeEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+  fs.mkdirSync(dataDir, { recursive: true });
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('applies updates from several processes one after the other', async () => {
+  const increment = 'for (let i = 0; i < 50; i++) updateStore(\'counter\', { count: 0 }, ({ count }) => ({ count: count + 1 }));';
+
+  const codes = await Promise.all([runProcess(increment), runProcess(increment), runProcess(increment)]);
+
+  assert.deepEqual(codes, [0, 0, 0]);
+  assert.deepEqual(readStore('counter', null), { count: 150 });
+  assert.deepEqual(fs.readdirSync(dataDir), ['counter.json']);
+});
+
+test('waits for another process to finish its update', async () => {
+  fs.writeFileSync(lockFile, 'store-lock-other');
+  const released = new Promise(resolve => setTimeout(() => {
+    fs.rmSync(lockFile);
+    resolve();
+  }, 200));
+
+  const startedAt = Date.now();
+  const code = await runProcess('updateStore(\'counter\', { count: 0 }, ({ count }) => ({ count: count + 1 }));');
+  await released;
+
+  assert.equal(code, 0);
+  assert.ok(Date.now() - startedAt >= 200);
+  assert.deepEqual(readStore('counter', null), { count: 1 });
+});
+
+test('takes over a lock left by a process that died mid-update', () => {
+  fs.writeFileSync(lockFile, 'store-lock-dead');
+  const leftAt = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(lockFile, leftAt, leftAt);
+
+  assert.deepEqual(updateStore('counter', { count: 0 }, ({ count }) => ({ count: count + 1 })), { count: 1 });
+  assert.equal(fs.existsSync(lockFile), false);
+});
+
+test('unlocks the store when the update fails', () => {
+  assert.throws(() => updateStore('counter', { count: 0 }, () => {
+    throw new Error('Invalid change');
+  }), /Invalid change/);
+
+  assert.equal(fs.existsSync(lockFile), false);
+  assert.deepEqual(updateStore('counter', { count: 0 }, ({ count }) => ({ count: count + 1 })), { count: 1 });
+});
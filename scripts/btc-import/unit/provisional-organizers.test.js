@@ -0,0 +1,129 @@
+// provisional-organizers.test.js
+// Unit tests of the approval queue of organizers created by imports (provisional-organizers.js)
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The queue and the aliases merges create are stored in the import data directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'provisional-organizers-test-'));
+process.env.IMPORT_DATA_DIR = dataDir;
+const {
+  ProvisionalStatus,
+  buildProvisionalOrganizer,
+  findProvisionalOrganizer,
+  recordProvisionalOrganizer,
+  recordProvisionalOrganizerEvents,
+  listProvisionalOrganizers,
+  resolveProvisionalOrganizer
+} = await import('../../../provisional-organizers.js');
+const { AliasEntityType, listAliases, findAlias } = await import('../../../entity-aliases.js');
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const MILONGA_NUEVA = {
+  sourceId: '24',
+  name: ' Milonga Nueva Collective ',
+  slug: 'milonga-nueva-collective',
+  email: 'hola@milonganueva.example',
+  phone: '617-555-0142',
+  website: 'https://milonganueva.example/'
+};
+
+/**
+ * Queues a provisional organizer of app 1 imported from BTC
+ * @param {string} sourceName - Organizer name in BTC
+ * @param {string} ttId - ID of the created TT organizer
+ * @returns {Object} Queue entry
+ */
+function queue(sourceName, ttId) {
+  return recordProvisionalOrganizer({
+    appId: 1,
+    sourceSystem: 'BTC',
+    sourceName,
+    sourceData: null,
+    ttId,
+    ttName: sourceName.trim(),
+    operator: 'importer'
+  });
+}
+
+test('builds an unapproved TT organizer from the source contact details', () => {
+  assert.deepEqual(buildProvisionalOrganizer(MILONGA_NUEVA, { appId: '1', sourceSystem: 'BTC' }), {
+    appId: '1',
+    fullName: 'Milonga Nueva Collective',
+    name: 'Milonga Nueva Collective',
+    shortName: 'MILONGANUE',
+    btcNiceName: 'Milonga Nueva Collective',
+    publicContactInfo: {
+      email: 'hola@milonganueva.example',
+      phone: '617-555-0142',
+      url: 'https://milonganueva.example/'
+    },
+    isApproved: false,
+    isActive: true,
+    isEnabled: true,
+    isRendered: true,
+    wantRender: true,
+    organizerTypes: {
+      isEventOrganizer: true,
+      isTeacher: false,
+      isDJ: false,
+      isOrchestra: false
+    }
+  });
+
+  const bare = buildProvisionalOrganizer({ name: '¡Olé!' }, { appId: '1', sourceSystem: 'ICS' });
+  assert.equal(bare.shortName, 'OL');
+  assert.equal(bare.btcNiceName, '');
+  assert.deepEqual(bare.publicContactInfo, { email: '', phone: '', url: '' });
+  assert.equal(buildProvisionalOrganizer({ name: '***' }, { appId: '1', sourceSystem: 'BTC' }).shortName, 'UNKNOWN');
+});
+
+test('finds pending organizers by source name and records their events once', () => {
+  const entry = queue(' Milonga Nueva Collective ', 'p1');
+  assert.equal(entry.sourceName, 'Milonga Nueva Collective');
+  assert.equal(entry.appId, '1');
+  assert.equal(entry.status, ProvisionalStatus.PENDING);
+
+  assert.equal(findProvisionalOrganizer('1', 'BTC', 'MILONGA NUEVA COLLECTIVE').id, entry.id);
+  assert.equal(findProvisionalOrganizer('2', 'BTC', 'Milonga Nueva Collective'), null);
+  assert.equal(findProvisionalOrganizer('1', 'ICS', 'Milonga Nueva Collective'), null);
+
+  recordProvisionalOrganizerEvents([{ organizerId: 'p1', eventId: 'e1' }, { organizerId: 'p1', eventId: 'e2' }, { organizerId: 'o9', eventId: 'e3' }]);
+  recordProvisionalOrganizerEvents([{ organizerId: 'p1', eventId: 'e2' }]);
+  assert.deepEqual(findProvisionalOrganizer('1', 'BTC', 'Milonga Nueva Collective').events, ['e1', 'e2']);
+});
+
+test('approves an organizer as it is, once', () => {
+  const entry = queue('Practica Sur', 'p2');
+
+  const approved = resolveProvisionalOrganizer(entry.id, { action: 'approve', operator: 'admin@example.org' });
+  assert.equal(approved.status, ProvisionalStatus.APPROVED);
+  assert.equal(approved.resolvedBy, 'admin@example.org');
+  assert.equal(findProvisionalOrganizer('1', 'BTC', 'Practica Sur'), null);
+  assert.deepEqual(listProvisionalOrganizers({ status: ProvisionalStatus.APPROVED }).map(item => item.id), [entry.id]);
+
+  assert.throws(() => resolveProvisionalOrganizer(entry.id, { action: 'approve' }), /Provisional organizer was already approved/);
+  assert.equal(resolveProvisionalOrganizer('organizer-unknown', { action: 'approve' }), null);
+});
+
+test('merges an organizer into an existing one through an alias', () => {
+  const entry = queue('Tango Society', 'p3');
+
+  assert.throws(() => resolveProvisionalOrganizer(entry.id, { action: 'merge' }), /An organizer to merge into is required/);
+  assert.throws(() => resolveProvisionalOrganizer(entry.id, { action: 'merge', ttId: 'p3' }), /An organizer to merge into is required/);
+  assert.throws(() => resolveProvisionalOrganizer(entry.id, { action: 'delete' }), /Invalid action: delete/);
+
+  const merged = resolveProvisionalOrganizer(entry.id, { action: 'merge', ttId: 'o1', ttName: 'Tango Society of Boston' });
+  assert.equal(merged.status, ProvisionalStatus.MERGED);
+  assert.equal(merged.mergedIntoId, 'o1');
+  assert.equal(merged.mergedIntoName, 'Tango Society of Boston');
+
+  const alias = findAlias(listAliases({ appId: '1', sourceSystem: 'BTC' }), AliasEntityType.ORGANIZER, 'tango society');
+  assert.equal(alias.id, merged.aliasId);
+  assert.equal(alias.ttId, 'o1');
+});
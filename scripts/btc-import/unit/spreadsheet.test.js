@@ -0,0 +1,133 @@
+// spreadsheet.test.js
+// Unit tests of the CSV and XLSX reading of the spreadsheet import (src/features/events/utils/spreadsheet.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { parseCsv, parseXlsx, excelSerialToDate, readSpreadsheetFile } from '../../../src/features/events/utils/spreadsheet.js';
+
+// Excel serial date of 2026-10-24 19:00
+const SATURDAY_EVENING = 46319 + 19 / 24;
+
+/**
+ * Writes a one-sheet workbook
+ * @param {Function} fill - (worksheet, workbook) => void, adds the cells
+ * @returns {Promise<ArrayBuffer>} Workbook contents
+ */
+async function workbookOf(fill) {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Events');
+  fill(worksheet, workbook);
+  const buffer = await workbook.xlsx.writeBuffer();
+  return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
+
+test('parses quoted CSV cells with delimiters, quotes and line breaks', () => {
+  const csv = 'Title,Venue,Notes\r\n"Milonga, Late","The ""Grange"" Hall","Line one\r\nLine two"\r\nPractica,Dance Union,\n';
+
+  assert.deepEqual(parseCsv(csv), [
+    ['Title', 'Venue', 'Notes'],
+    ['Milonga, Late', 'The "Grange" Hall', 'Line one\r\nLine two'],
+    ['Practica', 'Dance Union', '']
+  ]);
+});
+
+test('detects semicolon and tab delimiters from the header line and drops a byte order mark', () => {
+  assert.deepEqual(parseCsv('﻿Title;Cost;Venue\nMilonga;"12,50";Dance Union'), [
+    ['Title', 'Cost', 'Venue'],
+    ['Milonga', '12,50', 'Dance Union']
+  ]);
+  assert.deepEqual(parseCsv('Title\tStart\nMilonga\t2026-10-24 19:00'), [
+    ['Title', 'Start'],
+    ['Milonga', '2026-10-24 19:00']
+  ]);
+});
+
+test('ignores delimiters inside quoted header cells when detecting the delimiter', () => {
+  assert.deepEqual(parseCsv('"Title, full";"Venue, city"\nMilonga;Somerville'), [
+    ['Title, full', 'Venue, city'],
+    ['Milonga', 'Somerville']
+  ]);
+});
+
+test('converts Excel serial dates to local dates and times', () => {
+  const date = excelSerialToDate(SATURDAY_EVENING);
+  assert.deepEqual(
+    [date.getFullYear(), date.getMonth() + 1, date.getDate(), date.getHours(), date.getMinutes()],
+    [2026, 10, 24, 19, 0]
+  );
+});
+
+test('reads workbook cells as text, numbers and serial dates', async () => {
+  const buffer = await workbookOf((worksheet) => {
+    worksheet.addRow(['Title', 'Start', 'Doors', 'Cost', 'Featured', 'Link', 'Total']);
+    worksheet.addRow([
+      { richText: [{ text: 'Milonga ', font: { bold: true } }, { text: 'Nueva' }] },
+      new Date(Date.UTC(2026, 9, 24, 19, 0)),
+      new Date(Date.UTC(1899, 11, 30, 18, 30)),
+      15,
+      true,
+      { text: 'Tickets', hyperlink: 'https://example.org/tickets' },
+      { formula: 'D2*2', result: 30 }
+    ]);
+    worksheet.getCell('B2').numFmt = 'yyyy-mm-dd hh:mm';
+    worksheet.getCell('C2').numFmt = 'hh:mm';
+  });
+
+  const [header, row] = await parseXlsx(buffer);
+  assert.deepEqual(header, ['Title', 'Start', 'Doors', 'Cost', 'Featured', 'Link', 'Total']);
+  assert.equal(row[0], 'Milonga Nueva');
+  assert.ok(Math.abs(row[1] - SATURDAY_EVENING) < 1e-6, `start is ${row[1]}`);
+  assert.ok(Math.abs(row[2] - 18.5 / 24) < 1e-6, `doors is ${row[2]}`);
+  assert.deepEqual(row.slice(3), [15, 'TRUE', 'Tickets', 30]);
+});
+
+test('reads dates of workbooks in the 1904 date system as 1900 serial dates', async () => {
+  const buffer = await workbookOf((worksheet, workbook) => {
+    workbook.properties.date1904 = true;
+    worksheet.addRow(['Start']);
+    worksheet.addRow([new Date(Date.UTC(2026, 9, 24, 19, 0))]);
+    worksheet.getCell('A2').numFmt = 'yyyy-mm-dd hh:mm';
+  });
+
+  const rows = await parseXlsx(buffer);
+  assert.ok(Math.abs(rows[1][0] - SATURDAY_EVENING) < 1e-6, `start is ${rows[1][0]}`);
+});
+
+test('keeps row and column positions of empty rows and cells', async () => {
+  const buffer = await workbookOf((worksheet) => {
+    worksheet.getCell('A1').value = 'Title';
+    worksheet.getCell('C1').value = 'Venue';
+    worksheet.getCell('A3').value = 'Practica';
+    worksheet.getCell('C3').value = 'Dance Union';
+  });
+
+  assert.deepEqual(await parseXlsx(buffer), [
+    ['Title', '', 'Venue'],
+    [],
+    ['Practica', '', 'Dance Union']
+  ]);
+});
+
+test('rejects files that are not workbooks', async () => {
+  await assert.rejects(parseXlsx(new TextEncoder().encode('Title,Venue\n').buffer), /Not an XLSX workbook/);
+});
+
+test('reads files into headers and numbered rows, skipping empty rows', async () => {
+  const csv = new File([',,\nTitle,,Venue\n\nMilonga,,Dance Union\n,,\nPractica,,\n'], 'events.csv');
+
+  assert.deepEqual(await readSpreadsheetFile(csv), {
+    headers: ['Title', 'Column 2', 'Venue'],
+    rows: [
+      { rowNumber: 4, cells: ['Milonga', '', 'Dance Union'] },
+      { rowNumber: 6, cells: ['Practica', '', ''] }
+    ]
+  });
+
+  const workbook = new File([await workbookOf(worksheet => worksheet.addRows([['Title'], ['Milonga']]))], 'events.XLSX');
+  assert.deepEqual(await readSpreadsheetFile(workbook), { headers: ['Title'], rows: [{ rowNumber: 2, cells: ['Milonga'] }] });
+});
+
+test('refuses old .xls workbooks and empty files', async () => {
+  await assert.rejects(readSpreadsheetFile(new File(['x'], 'events.xls')), /Old \.xls workbooks are not supported/);
+  await assert.rejects(readSpreadsheetFile(new File(['\n,\n'], 'events.csv')), /The file is empty/);
+});
@@ -0,0 +1,143 @@
+// tec-wordpress.test.js
+// Unit tests of the source adapter for The Events Calendar WordPress REST API (import-sources/tec-wordpress.js)
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createTecWordPressAdapter, normalizeTecVenue } from '../../../import-sources/tec-wordpress.js';
+
+const EVENTS = [1, 2, 3, 4, 5].map(id => ({ id, title: `Event ${id}` }));
+const VENUES = [
+  { id: 11, venue: 'Dance Union', geo_lat: '42.3795', geo_lng: '-71.0953' },
+  { id: 12, venue: 'Foundation Lodge', province: 'ON', url: 'https://lodge.example/' },
+  { id: 13, venue: ' ' }
+];
+
+let server;
+let apiBase;
+const requests = [];
+
+/**
+ * Serves a page of a collection the way TEC does
+ * @param {http.ServerResponse} response - Response
+ * @param {string} resource - Collection name, the key of the items in the body
+ * @param {Array} items - All items
+ * @param {number} perPage - Items per page
+ * @param {number} page - Page to serve, from 1
+ * @param {boolean} totalInHeader - Whether the page count goes in X-WP-TotalPages rather than the body
+ */
+function servePage(response, resource, items, perPage, page, totalInHeader) {
+  const totalPages = Math.ceil(items.length / perPage);
+  const body = { [resource]: items.slice((page - 1) * perPage, page * perPage) };
+  if (totalInHeader) {
+    response.setHeader('X-WP-TotalPages', String(totalPages));
+  } else {
+    body.total_pages = totalPages;
+  }
+  response.setHeader('Content-Type', 'application/json');
+  response.end(JSON.stringify(body));
+}
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    const page = Number(url.searchParams.get('page') || 1);
+    requests.push(`${url.pathname}${url.search}`);
+
+    if (url.pathname === '/events') {
+      servePage(response, 'events', EVENTS, Number(url.searchParams.get('per_page')), page, true);
+    } else if (url.pathname === '/venues') {
+      servePage(response, 'venues', VENUES, 2, page, false);
+    } else {
+      response.setHeader('Content-Type', 'application/json');
+      response.end('{"message":"No results"}');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  apiBase = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+test('fetches every page of a day\'s events through the executor', async () => {
+  const adapter = createTecWordPressAdapter({ sourceSystem: 'BTC', name: 'Boston Tango Calendar', apiBase, perPage: 2 });
+  const targets = [];
+  requests.length = 0;
+
+  const { events, payload } = await adapter.fetchEvents('2026-10-23', {
+    execute: (request, target) => {
+      targets.push(target);
+      return request();
+    }
+  });
+
+  assert.deepEqual(events.map(event => event.id), [1, 2, 3, 4, 5]);
+  assert.deepEqual(payload, { date: '2026-10-23', total: 5, total_pages: 3, events });
+  assert.deepEqual(requests, [1, 2, 3].map(page =>
+    `/events?start_date=2026-10-23&end_date=2026-10-23&per_page=2&page=${page}`
+  ));
+  assert.deepEqual(targets, [apiBase, apiBase, apiBase]);
+});
+
+test('pages venues by the page count in the body, and rejects collections it cannot read', async () => {
+  const adapter = createTecWordPressAdapter({ sourceSystem: 'BTC', name: 'Boston Tango Calendar', apiBase });
+
+  const venues = await adapter.fetchVenues();
+  assert.deepEqual(venues.map(venue => [venue.sourceId, venue.name]), [['11', 'Dance Union'], ['12', 'Foundation Lodge']]);
+
+  await assert.rejects(adapter.fetchCategories(), /Invalid response format from Boston Tango Calendar on categories page 1/);
+});
+
+test('normalizes events with UTC and local times, the first organizer and a canceled status', () => {
+  const adapter = createTecWordPressAdapter({ sourceSystem: 'BTC', name: 'Boston Tango Calendar', apiBase });
+
+  const event = adapter.normalizeEvent({
+    id: 301,
+    title: 'Afternoon Practica',
+    start_date: '2026-11-26 15:00:00',
+    end_date: '2026-11-26 17:00:00',
+    utc_start_date: '2026-11-26 20:00:00',
+    utc_end_date: '2026-11-26 22:00:00',
+    timezone: 'America/New_York',
+    event_status: 'Canceled',
+    event_status_reason: ' Venue closed ',
+    image: { url: 'https://bostontangocalendar.com/practica.jpg' },
+    venue: [],
+    organizer: [{ id: 21, organizer: 'Tango Society of Boston' }, { id: 22, organizer: 'Second' }],
+    categories: [{ id: 33, name: 'Practica', slug: 'practica' }, { id: 34, name: '' }]
+  });
+
+  assert.equal(event.sourceId, '301');
+  assert.equal(event.startDate, '2026-11-26T20:00:00Z');
+  assert.equal(event.localStartDate, '2026-11-26 15:00:00');
+  assert.equal(event.timeZone, 'America/New_York');
+  assert.equal(event.status, 'canceled');
+  assert.equal(event.statusReason, 'Venue closed');
+  assert.equal(event.imageUrl, 'https://bostontangocalendar.com/practica.jpg');
+  assert.equal(event.venue, null);
+  assert.equal(event.organizer.name, 'Tango Society of Boston');
+  assert.deepEqual(event.categories, [{ sourceId: '33', name: 'Practica', slug: 'practica' }]);
+
+  const scheduled = adapter.normalizeEvent({ id: 302, title: 'Milonga', event_status: 'scheduled', categories: [] });
+  assert.equal(scheduled.status, null);
+  assert.equal(scheduled.startDate, null);
+});
+
+test('normalizes venue coordinates and falls back to the province and the venue URL', () => {
+  assert.equal(normalizeTecVenue(VENUES[0]).latitude, 42.3795);
+  assert.deepEqual(normalizeTecVenue(VENUES[1]), {
+    sourceId: '12',
+    name: 'Foundation Lodge',
+    address: undefined,
+    city: undefined,
+    state: 'ON',
+    zip: undefined,
+    country: undefined,
+    phone: undefined,
+    website: 'https://lodge.example/',
+    description: undefined,
+    latitude: null,
+    longitude: null
+  });
+});
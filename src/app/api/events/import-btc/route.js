@@ -1,5 +1,16 @@
 // API route for importing events from Boston Tango Calendar
 import { NextResponse } from 'next/server';
+import firebaseAdmin from '@/lib/firebase-admin';
+import {
+  configureImport,
+  processGatedRangeImport
+} from '../../../../../btc-import.js';
+import { acquireImportLock, releaseImportLock, getImportLock } from '../../../../../import-lock.js';
+import { streamImport } from '@/lib/import-stream';
+
+// The importer writes result files and logs, so it needs the Node.js runtime
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
 
 // Simple error logging function
 const logError = (message, error) => {
@@ -15,8 +26,8 @@ export async function POST(request) {
   try {
     // Parse request body
     const body = await request.json();
-    const { startDate, endDate, dryRun = true } = body;
-    
+    const { startDate, endDate, dryRun = true, appId = '1', overrideReason, stream = false } = body;
+
     // Validate required parameters
     if (!startDate || !endDate) {
       return NextResponse.json(
@@ -24,7 +35,15 @@ export async function POST(request) {
         { status: 400 }
       );
     }
-    
+
+    // An override only applies to a live import whose Go/No-Go dry run failed, and is logged with its reason
+    if (overrideReason !== undefined && overrideReason !== null && typeof overrideReason !== 'string') {
+      return NextResponse.json(
+        { message: 'overrideReason must be a string' },
+        { status: 400 }
+      );
+    }
+
     // Get authentication token from Authorization header
     const authHeader = request.headers.get('Authorization');
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -33,76 +52,68 @@ export async function POST(request) {
         { status: 401 }
       );
     }
-    
+
     const token = authHeader.slice(7); // Remove 'Bearer ' prefix
-    
-    // Run the import process
-    const importProcess = async () => {
-      // This simulates the actual import process - in production, this would call
-      // the appropriate functions to import the events
-      
-      // Simple mock response for the UI to display
-      return {
-        dateRange: {
-          start: startDate,
-          end: endDate
-        },
-        btcEvents: {
-          total: 4,
-          processed: 4
-        },
-        entityResolution: {
-          success: 4,
-          failure: 0
-        },
-        validation: {
-          valid: 4,
-          invalid: 0
-        },
-        ttEvents: {
-          deleted: dryRun ? 0 : 2,
-          created: dryRun ? 0 : 4,
-          failed: 0
-        },
-        dryRun: dryRun,
-        duration: 2.34,
-        startTime: new Date().toISOString(),
-        endTime: new Date().toISOString(),
-        assessment: {
-          canProceed: true,
-          metrics: {
-            entityResolutionRate: 1.0,
-            validationRate: 1.0,
-            overallSuccessRate: 1.0
-          },
-          thresholds: {
-            minimumResolutionRate: 0.9,
-            minimumValidationRate: 0.95,
-            minimumOverallRate: 0.85
-          },
-          recommendations: dryRun 
-            ? ["Run actual import to create events in the database"] 
-            : ["Verify imported events in the UI"]
-        }
-      };
-    };
-    
-    // Execute the import process
-    const result = await importProcess();
-    
-    // Return the results
-    return NextResponse.json(result);
+
+    const operator = await firebaseAdmin.identifyUser(token, 'admin-ui');
+
+    // Shared with the CLI and the scheduler: the importer keeps its settings in module state,
+    // and two imports of the same calendar must never overlap
+    const lock = acquireImportLock({ owner: `api:${operator}`, appId });
+    if (!lock) {
+      const holder = getImportLock();
+      return NextResponse.json(
+        { message: `Another import is already running${holder ? ` (${holder.owner})` : ''}. Try again when it has finished.` },
+        { status: 409 }
+      );
+    }
+
+    let streaming = false;
+
+    try {
+      // Each request is a fresh run: never resume a checkpoint left by an earlier run
+      configureImport({
+        appId,
+        authToken: token,
+        dryRun: dryRun !== false,
+        resume: false,
+        trigger: 'api',
+        operator,
+        goNoGoOverrideReason: overrideReason
+      });
+
+      // Stream progress when the client asks for it (the stream releases the lock when done)
+      if (stream || request.headers.get('Accept')?.includes('text/event-stream')) {
+        streaming = true;
+        return streamImport(request, startDate, endDate, lock);
+      }
+
+      // Run the full pipeline (fetch, resolve, map, validate, create) for each day; live imports
+      // run as a dry run first when their Go/No-Go gates require it
+      const { results, assessment, gate } = await processGatedRangeImport(startDate, endDate);
+
+      return NextResponse.json({
+        ...results,
+        assessment,
+        gate,
+        ...(gate?.blocked && { message: `Live import refused: ${gate.reason}` })
+      }, { status: gate?.blocked ? 422 : 200 });
+    } finally {
+      if (!streaming) {
+        releaseImportLock(lock.lockId);
+      }
+    }
   } catch (error) {
     // Log the error
     logError('Error in BTC import API:', error);
-    
+
     // Return error response
     return NextResponse.json(
-      { 
-        message: 'Error importing events', 
-        error: error.message 
+      {
+        message: 'Error importing events',
+        error: error.message
       },
       { status: 500 }
     );
   }
-}
\ No newline at end of file
+}
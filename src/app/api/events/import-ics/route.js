@@ -0,0 +1,152 @@
+// API route for importing events from an iCalendar file or feed
+import { NextResponse } from 'next/server';
+import firebaseAdmin from '@/lib/firebase-admin';
+import {
+  configureImport,
+  processGatedRangeImport
+} from '../../../../../btc-import.js';
+import { acquireImportLock, releaseImportLock, getImportLock } from '../../../../../import-lock.js';
+import { createIcsAdapter, getIcsSourceKey } from '../../../../../import-sources/ics.js';
+import { streamImport } from '@/lib/import-stream';
+
+// The importer writes result files and logs, so it needs the Node.js runtime
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// Largest calendar accepted as an upload
+const MAX_ICS_LENGTH = 5 * 1024 * 1024;
+
+/**
+ * Handles the POST request to import events from an iCalendar file or feed.
+ * Body: { ics | url, feed, startDate, endDate, dryRun, appId, overrideReason, stream }
+ * @param {Request} request - The HTTP request
+ * @returns {NextResponse} - The HTTP response
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { ics, url, feed, startDate, endDate, dryRun = true, appId = '1', overrideReason, stream = false } = body;
+
+    if (!startDate || !endDate) {
+      return NextResponse.json(
+        { message: 'Missing required parameters: startDate and endDate are required' },
+        { status: 400 }
+      );
+    }
+
+    if (!ics && !url) {
+      return NextResponse.json(
+        { message: 'An iCalendar file (ics) or feed URL (url) is required' },
+        { status: 400 }
+      );
+    }
+
+    if (ics && ics.length > MAX_ICS_LENGTH) {
+      return NextResponse.json(
+        { message: 'The iCalendar file is too large (5 MB at most)' },
+        { status: 413 }
+      );
+    }
+
+    if (overrideReason !== undefined && overrideReason !== null && typeof overrideReason !== 'string') {
+      return NextResponse.json(
+        { message: 'overrideReason must be a string' },
+        { status: 400 }
+      );
+    }
+
+    if (url && !/^(https?|webcal):\/\//i.test(url)) {
+      return NextResponse.json(
+        { message: 'The feed URL must start with http, https or webcal' },
+        { status: 400 }
+      );
+    }
+
+    const key = getIcsSourceKey(feed || url || '');
+    if (!key) {
+      return NextResponse.json(
+        { message: 'A feed name is required' },
+        { status: 400 }
+      );
+    }
+
+    const authHeader = request.headers.get('Authorization');
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return NextResponse.json(
+        { message: 'Authentication token is required' },
+        { status: 401 }
+      );
+    }
+
+    const token = authHeader.slice(7); // Remove 'Bearer ' prefix
+
+    const operator = await firebaseAdmin.identifyUser(token, 'admin-ui');
+
+    // Parse uploads before taking the lock, so a broken file is reported right away
+    let sourceAdapter;
+    try {
+      sourceAdapter = createIcsAdapter({ key, name: feed, text: ics, url: ics ? undefined : url });
+    } catch (error) {
+      return NextResponse.json(
+        { message: 'Could not read the iCalendar file', error: error.message },
+        { status: 400 }
+      );
+    }
+
+    const lock = acquireImportLock({ owner: `api:${operator}`, appId });
+    if (!lock) {
+      const holder = getImportLock();
+      return NextResponse.json(
+        { message: `Another import is already running${holder ? ` (${holder.owner})` : ''}. Try again when it has finished.` },
+        { status: 409 }
+      );
+    }
+
+    let streaming = false;
+
+    try {
+      configureImport({
+        appId,
+        authToken: token,
+        dryRun: dryRun !== false,
+        resume: false,
+        trigger: 'api',
+        operator,
+        sourceAdapter,
+        goNoGoOverrideReason: overrideReason
+      });
+
+      // Feed warnings are collected while the feed is fetched, so send the list itself
+      const extra = { sourceSystem: sourceAdapter.sourceSystem, warnings: sourceAdapter.warnings };
+
+      if (stream || request.headers.get('Accept')?.includes('text/event-stream')) {
+        streaming = true;
+        return streamImport(request, startDate, endDate, lock, extra);
+      }
+
+      const { results, assessment, gate } = await processGatedRangeImport(startDate, endDate);
+
+      return NextResponse.json({
+        ...results,
+        ...extra,
+        assessment,
+        gate,
+        ...(gate?.blocked && { message: `Live import refused: ${gate.reason}` })
+      }, { status: gate?.blocked ? 422 : 200 });
+    } finally {
+      if (!streaming) {
+        releaseImportLock(lock.lockId);
+      }
+    }
+  } catch (error) {
+    console.error('Error in ICS import API:', error);
+
+    return NextResponse.json(
+      {
+        message: 'Error importing events',
+        error: error.message
+      },
+      { status: 500 }
+    );
+  }
+}
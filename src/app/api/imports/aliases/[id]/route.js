@@ -0,0 +1,32 @@
+/**
+ * Import Alias API - delete a single alias
+ */
+
+import { NextResponse } from 'next/server';
+import { deleteAlias } from '../../../../../../entity-aliases.js';
+
+// Aliases live in the import data directory, so this route needs the Node.js runtime
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function DELETE(request, { params }) {
+  try {
+    const aliasId = params.id;
+
+    if (!deleteAlias(aliasId)) {
+      return NextResponse.json(
+        { error: 'Alias not found' },
+        { status: 404 }
+      );
+    }
+
+    console.log(`Deleted import alias: ${aliasId}`);
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting import alias:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * Import Aliases API
+ * Lists and creates stored aliases that map source entity names to TT entities
+ */
+
+import { NextResponse } from 'next/server';
+import { listAliases, createAlias } from '../../../../../entity-aliases.js';
+
+// Aliases live in the import data directory, so this route needs the Node.js runtime
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+
+    const aliases = listAliases({
+      appId: searchParams.get('appId') || '1',
+      sourceSystem: searchParams.get('sourceSystem'),
+      entityType: searchParams.get('entityType')
+    });
+
+    return NextResponse.json({ aliases });
+  } catch (error) {
+    console.error('Error listing import aliases:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request) {
+  try {
+    const body = await request.json();
+
+    const alias = createAlias({
+      appId: body.appId || '1',
+      sourceSystem: body.sourceSystem || 'BTC',
+      entityType: body.entityType,
+      sourceName: body.sourceName,
+      ttId: body.ttId,
+      ttName: body.ttName
+    });
+
+    console.log(`Created ${alias.entityType} alias: "${alias.sourceName}" -> ${alias.ttId}`);
+    return NextResponse.json({ alias }, { status: 201 });
+  } catch (error) {
+    console.error('Error creating import alias:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 400 }
+    );
+  }
+}
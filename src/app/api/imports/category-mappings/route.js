@@ -0,0 +1,57 @@
+/**
+ * Category Mappings API
+ * Reads and saves an app's source category -> TT category mapping, ignore list and cancellation categories
+ */
+
+import { NextResponse } from 'next/server';
+import {
+  getCategoryMapping,
+  getDefaultCategoryMapping,
+  saveCategoryMapping
+} from '../../../../../category-mappings.js';
+
+// Mappings live in the import data directory, so this route needs the Node.js runtime
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const appId = searchParams.get('appId') || '1';
+    const sourceSystem = searchParams.get('sourceSystem') || 'BTC';
+
+    return NextResponse.json({
+      mapping: getCategoryMapping(appId, sourceSystem),
+      defaults: getDefaultCategoryMapping(appId, sourceSystem)
+    });
+  } catch (error) {
+    console.error('Error reading category mapping:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function PUT(request) {
+  try {
+    const body = await request.json();
+    const appId = body.appId || '1';
+    const sourceSystem = body.sourceSystem || 'BTC';
+
+    const mapping = saveCategoryMapping(appId, {
+      mappings: body.mappings,
+      ignored: body.ignored,
+      canceled: body.canceled
+    }, sourceSystem);
+
+    console.log(`Saved ${sourceSystem} category mapping for app ${appId}: ${Object.keys(mapping.mappings).length} mappings, ${mapping.ignored.length} ignored, ${mapping.canceled.length} canceled`);
+    return NextResponse.json({ mapping });
+  } catch (error) {
+    console.error('Error saving category mapping:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 400 }
+    );
+  }
+}
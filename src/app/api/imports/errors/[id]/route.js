@@ -0,0 +1,31 @@
+/**
+ * Import Errors API - a single logged error with its full context
+ */
+
+import { NextResponse } from 'next/server';
+import { ErrorLogger } from '../../../../../../error-handler.js';
+
+// Errors live in the import log directory, so this route needs the Node.js runtime
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function GET(request, { params }) {
+  try {
+    const record = ErrorLogger.getError(params.id);
+
+    if (!record) {
+      return NextResponse.json(
+        { error: 'Import error not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ record });
+  } catch (error) {
+    console.error('Error reading import error:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 500 }
+    );
+  }
+}
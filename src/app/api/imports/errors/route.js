@@ -0,0 +1,56 @@
+/**
+ * Import Errors API
+ * Finds errors logged by imports, with counts by category, severity and stage and over time
+ */
+
+import { NextResponse } from 'next/server';
+import { ErrorLogger, validateErrorFilters } from '../../../../../error-handler.js';
+
+// Errors live in the import log directory, so this route needs the Node.js runtime
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const limit = parseInt(searchParams.get('limit') || '100', 10);
+    const offset = parseInt(searchParams.get('offset') || '0', 10);
+    const interval = searchParams.get('interval') === 'hour' ? 'hour' : 'day';
+
+    const filters = {
+      category: searchParams.get('category'),
+      severity: searchParams.get('severity'),
+      stage: searchParams.get('stage'),
+      runId: searchParams.get('runId'),
+      appId: searchParams.get('appId'),
+      sourceSystem: searchParams.get('sourceSystem'),
+      from: searchParams.get('from'),
+      to: searchParams.get('to'),
+      search: searchParams.get('search')
+    };
+
+    const problem = validateErrorFilters(filters);
+    if (problem) {
+      return NextResponse.json({ error: problem }, { status: 400 });
+    }
+
+    const { total, errors } = ErrorLogger.queryErrors({
+      ...filters,
+      limit: Number.isNaN(limit) ? 100 : limit,
+      offset: Number.isNaN(offset) ? 0 : offset
+    });
+
+    return NextResponse.json({
+      total,
+      errors,
+      stats: ErrorLogger.getErrorStats(filters),
+      timeline: ErrorLogger.getErrorTimeline(filters, interval)
+    });
+  } catch (error) {
+    console.error('Error listing import errors:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Go/No-Go Gates API
+ * Reads and saves an app's Go/No-Go thresholds for a source, and whether live imports need a passing dry run
+ */
+
+import { NextResponse } from 'next/server';
+import {
+  getGoNoGoGates,
+  getDefaultGoNoGoGates,
+  saveGoNoGoGates
+} from '../../../../../go-nogo-gates.js';
+
+// Gates live in the import data directory, so this route needs the Node.js runtime
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const appId = searchParams.get('appId') || '1';
+    const sourceSystem = searchParams.get('sourceSystem') || 'BTC';
+
+    return NextResponse.json({
+      gates: getGoNoGoGates(appId, sourceSystem),
+      defaults: getDefaultGoNoGoGates(appId, sourceSystem)
+    });
+  } catch (error) {
+    console.error('Error reading Go/No-Go gates:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function PUT(request) {
+  try {
+    const body = await request.json();
+    const appId = body.appId || '1';
+    const sourceSystem = body.sourceSystem || 'BTC';
+
+    const gates = saveGoNoGoGates(appId, {
+      minimumResolutionRate: body.minimumResolutionRate,
+      minimumValidationRate: body.minimumValidationRate,
+      minimumOverallRate: body.minimumOverallRate,
+      requireDryRun: body.requireDryRun
+    }, sourceSystem);
+
+    console.log(`Saved ${sourceSystem} Go/No-Go gates for app ${appId}: resolution ${gates.minimumResolutionRate}, validation ${gates.minimumValidationRate}, overall ${gates.minimumOverallRate}, dry run ${gates.requireDryRun ? 'required' : 'optional'}`);
+    return NextResponse.json({ gates });
+  } catch (error) {
+    console.error('Error saving Go/No-Go gates:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 400 }
+    );
+  }
+}
@@ -0,0 +1,44 @@
+/**
+ * Imported Images API - serves event images copied into the local image store
+ */
+
+import { NextResponse } from 'next/server';
+import { createImageStore, isImageKey } from '../../../../../../image-store.js';
+
+// Images live in the import data directory, so this route needs the Node.js runtime
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function GET(request, { params }) {
+  try {
+    if (!isImageKey(params.key)) {
+      return NextResponse.json(
+        { error: 'Image not found' },
+        { status: 404 }
+      );
+    }
+
+    const image = await createImageStore('local').get(params.key);
+
+    if (!image) {
+      return NextResponse.json(
+        { error: 'Image not found' },
+        { status: 404 }
+      );
+    }
+
+    // Keys are content hashes, so a key always names the same image
+    return new NextResponse(image.buffer, {
+      headers: {
+        'Content-Type': image.contentType,
+        'Cache-Control': 'public, max-age=31536000, immutable'
+      }
+    });
+  } catch (error) {
+    console.error('Error reading imported image:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * Provisional Organizer API - approve a provisional organizer or merge it into an existing organizer
+ * Body: { action: 'approve' | 'merge', ttId, ttName }
+ * Merging moves its events to the organizer ttId, deletes it and stores an alias for later imports.
+ */
+
+import { NextResponse } from 'next/server';
+import firebaseAdmin from '@/lib/firebase-admin';
+import { getProvisionalOrganizer, ProvisionalStatus } from '../../../../../../provisional-organizers.js';
+import { approveProvisionalOrganizer, mergeProvisionalOrganizer } from '../../../../../../btc-import.js';
+import { acquireImportLock, releaseImportLock } from '../../../../../../import-lock.js';
+
+// The queue lives in the import data directory, so this route needs the Node.js runtime
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function GET(request, { params }) {
+  try {
+    const organizer = getProvisionalOrganizer(params.id);
+
+    if (!organizer) {
+      return NextResponse.json(
+        { error: 'Provisional organizer not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ organizer });
+  } catch (error) {
+    console.error('Error reading provisional organizer:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request, { params }) {
+  try {
+    const authHeader = request.headers.get('Authorization');
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return NextResponse.json(
+        { error: 'Authentication token is required' },
+        { status: 401 }
+      );
+    }
+
+    const organizer = getProvisionalOrganizer(params.id);
+    if (!organizer) {
+      return NextResponse.json(
+        { error: 'Provisional organizer not found' },
+        { status: 404 }
+      );
+    }
+    if (organizer.status !== ProvisionalStatus.PENDING) {
+      return NextResponse.json(
+        { error: `Provisional organizer was already ${organizer.status}` },
+        { status: 409 }
+      );
+    }
+
+    const { action, ttId, ttName } = await request.json();
+    if (!['approve', 'merge'].includes(action)) {
+      return NextResponse.json(
+        { error: `Invalid action: ${action}` },
+        { status: 400 }
+      );
+    }
+    if (action === 'merge' && (!ttId || ttId === organizer.ttId)) {
+      return NextResponse.json(
+        { error: 'ttId of another organizer is required to merge' },
+        { status: 400 }
+      );
+    }
+
+    const token = authHeader.slice(7);
+    const operator = await firebaseAdmin.identifyUser(token, 'admin-ui');
+
+    if (action === 'approve') {
+      const entry = await approveProvisionalOrganizer(params.id, { authToken: token, operator });
+      return NextResponse.json({ entry });
+    }
+
+    // An import writing the same events at the same time could give them back to the provisional organizer
+    const lock = acquireImportLock({ owner: `organizer-merge:${operator}`, appId: organizer.appId });
+    if (!lock) {
+      return NextResponse.json(
+        { error: 'An import is running. Try again when it has finished.' },
+        { status: 409 }
+      );
+    }
+
+    try {
+      const result = await mergeProvisionalOrganizer(params.id, { ttId, ttName }, { authToken: token, operator });
+      return NextResponse.json(result);
+    } finally {
+      releaseImportLock(lock.lockId);
+    }
+  } catch (error) {
+    console.error('Error resolving provisional organizer:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * Provisional Organizers API
+ * Lists the unapproved organizers imports created for source organizers that matched no TT organizer
+ */
+
+import { NextResponse } from 'next/server';
+import { listProvisionalOrganizers } from '../../../../../provisional-organizers.js';
+
+// The queue lives in the import data directory, so this route needs the Node.js runtime
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const status = searchParams.get('status') || 'pending';
+
+    const organizers = listProvisionalOrganizers({
+      appId: searchParams.get('appId') || '1',
+      sourceSystem: searchParams.get('sourceSystem'),
+      // 'all' lists every entry regardless of review status
+      status: status === 'all' ? null : status
+    });
+
+    return NextResponse.json({ organizers });
+  } catch (error) {
+    console.error('Error listing provisional organizers:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Import Run Rollback API - reverts the changes an import run made to TT events
+ */
+
+import { NextResponse } from 'next/server';
+import firebaseAdmin from '@/lib/firebase-admin';
+import { getRun, getRollbackBlocker } from '../../../../../../../import-runs.js';
+import { rollbackImportRun } from '../../../../../../../btc-import.js';
+import { acquireImportLock, releaseImportLock } from '../../../../../../../import-lock.js';
+
+// The rollback reads and writes the import data directory, so it needs the Node.js runtime
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function POST(request, { params }) {
+  try {
+    const authHeader = request.headers.get('Authorization');
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return NextResponse.json(
+        { error: 'Authentication token is required' },
+        { status: 401 }
+      );
+    }
+
+    const run = getRun(params.id);
+    if (!run) {
+      return NextResponse.json(
+        { error: 'Import run not found' },
+        { status: 404 }
+      );
+    }
+
+    const blocker = getRollbackBlocker(run);
+    if (blocker) {
+      return NextResponse.json(
+        { error: blocker },
+        { status: 409 }
+      );
+    }
+
+    const token = authHeader.slice(7);
+    const operator = await firebaseAdmin.identifyUser(token, 'admin-ui');
+
+    // Never revert events while an import may be writing them
+    const lock = acquireImportLock({ owner: `rollback:${operator}`, appId: run.appId });
+    if (!lock) {
+      return NextResponse.json(
+        { error: 'An import is running. Try again when it has finished.' },
+        { status: 409 }
+      );
+    }
+
+    try {
+      const rollback = await rollbackImportRun(params.id, { authToken: token, operator });
+      return NextResponse.json({ rollback });
+    } finally {
+      releaseImportLock(lock.lockId);
+    }
+  } catch (error) {
+    console.error('Error rolling back import run:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 500 }
+    );
+  }
+}
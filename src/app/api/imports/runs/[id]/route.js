@@ -0,0 +1,31 @@
+/**
+ * Import Run API - a single run with its processed, failed and unmatched events per day
+ */
+
+import { NextResponse } from 'next/server';
+import { getRun } from '../../../../../../import-runs.js';
+
+// Runs live in the import data directory, so this route needs the Node.js runtime
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function GET(request, { params }) {
+  try {
+    const run = getRun(params.id);
+
+    if (!run) {
+      return NextResponse.json(
+        { error: 'Import run not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ run });
+  } catch (error) {
+    console.error('Error reading import run:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * Import Runs API
+ * Lists the import run history
+ */
+
+import { NextResponse } from 'next/server';
+import { listRuns } from '../../../../../import-runs.js';
+
+// Runs live in the import data directory, so this route needs the Node.js runtime
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const limit = parseInt(searchParams.get('limit') || '100', 10);
+
+    const runs = listRuns({
+      appId: searchParams.get('appId') || '1',
+      sourceSystem: searchParams.get('sourceSystem'),
+      status: searchParams.get('status'),
+      limit: Number.isNaN(limit) ? 100 : limit
+    });
+
+    return NextResponse.json({ runs });
+  } catch (error) {
+    console.error('Error listing import runs:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 500 }
+    );
+  }
+}
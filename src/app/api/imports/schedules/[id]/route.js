@@ -0,0 +1,61 @@
+/**
+ * Import Schedule API - updates or deletes a single schedule
+ */
+
+import { NextResponse } from 'next/server';
+import { updateSchedule, deleteSchedule } from '../../../../../../import-schedules.js';
+
+// Schedules live in the import data directory, so this route needs the Node.js runtime
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function PUT(request, { params }) {
+  try {
+    const body = await request.json();
+
+    const settings = {};
+    for (const field of ['cron', 'windowStartDays', 'windowDays', 'dryRun', 'enabled']) {
+      if (body[field] !== undefined) {
+        settings[field] = body[field];
+      }
+    }
+
+    const schedule = updateSchedule(params.id, settings);
+
+    if (!schedule) {
+      return NextResponse.json(
+        { error: 'Schedule not found' },
+        { status: 404 }
+      );
+    }
+
+    console.log(`Updated import schedule ${schedule.id}: ${schedule.cron}${schedule.enabled ? '' : ' (disabled)'}`);
+    return NextResponse.json({ schedule });
+  } catch (error) {
+    console.error('Error updating import schedule:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 400 }
+    );
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    if (!deleteSchedule(params.id)) {
+      return NextResponse.json(
+        { error: 'Schedule not found' },
+        { status: 404 }
+      );
+    }
+
+    console.log(`Deleted import schedule ${params.id}`);
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting import schedule:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Import Schedules API
+ * Lists and creates recurring import schedules, with the scheduler and run lock state
+ */
+
+import { NextResponse } from 'next/server';
+import { listSchedules, createSchedule } from '../../../../../import-schedules.js';
+import { getSchedulerState } from '../../../../../import-scheduler.js';
+import { getImportLock } from '../../../../../import-lock.js';
+
+// Schedules live in the import data directory, so this route needs the Node.js runtime
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+
+    const schedules = listSchedules({
+      appId: searchParams.get('appId'),
+      sourceSystem: searchParams.get('sourceSystem')
+    });
+
+    return NextResponse.json({
+      schedules,
+      scheduler: getSchedulerState(),
+      lock: getImportLock()
+    });
+  } catch (error) {
+    console.error('Error listing import schedules:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request) {
+  try {
+    const body = await request.json();
+
+    const schedule = createSchedule({
+      appId: body.appId || '1',
+      sourceSystem: body.sourceSystem || 'BTC',
+      cron: body.cron,
+      windowStartDays: body.windowStartDays,
+      windowDays: body.windowDays,
+      dryRun: body.dryRun,
+      enabled: body.enabled
+    });
+
+    console.log(`Created import schedule ${schedule.id} for app ${schedule.appId}: ${schedule.cron}`);
+    return NextResponse.json({ schedule }, { status: 201 });
+  } catch (error) {
+    console.error('Error creating import schedule:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 400 }
+    );
+  }
+}
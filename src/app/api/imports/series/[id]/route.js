@@ -0,0 +1,105 @@
+/**
+ * Event Series API - a single series, and series-wide edits and cancellation applied to all its TT events
+ */
+
+import { NextResponse } from 'next/server';
+import firebaseAdmin from '@/lib/firebase-admin';
+import { getSeries, validateSeriesChanges } from '../../../../../../event-series.js';
+import { updateEventSeries } from '../../../../../../btc-import.js';
+import { acquireImportLock, releaseImportLock } from '../../../../../../import-lock.js';
+
+// Series live in the import data directory, so this route needs the Node.js runtime
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function GET(request, { params }) {
+  try {
+    const series = getSeries(params.id);
+
+    if (!series) {
+      return NextResponse.json(
+        { error: 'Event series not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ series });
+  } catch (error) {
+    console.error('Error reading event series:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Body: { overrides?: { title, description, cost }, status?: 'active'|'canceled', reason? }
+ */
+export async function PUT(request, { params }) {
+  try {
+    const authHeader = request.headers.get('Authorization');
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return NextResponse.json(
+        { error: 'Authentication token is required' },
+        { status: 401 }
+      );
+    }
+
+    const series = getSeries(params.id);
+    if (!series) {
+      return NextResponse.json(
+        { error: 'Event series not found' },
+        { status: 404 }
+      );
+    }
+
+    const { overrides, status, reason } = await request.json();
+    if (overrides === undefined && status === undefined) {
+      return NextResponse.json(
+        { error: 'overrides or status is required' },
+        { status: 400 }
+      );
+    }
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+      return NextResponse.json(
+        { error: 'reason must be a string' },
+        { status: 400 }
+      );
+    }
+
+    try {
+      validateSeriesChanges({ overrides, status });
+    } catch (error) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 400 }
+      );
+    }
+
+    const token = authHeader.slice(7);
+    const operator = await firebaseAdmin.identifyUser(token, 'admin-ui');
+
+    // An import writing the same events at the same time would undo part of the change
+    const lock = acquireImportLock({ owner: `series:${operator}`, appId: series.appId });
+    if (!lock) {
+      return NextResponse.json(
+        { error: 'An import is running. Try again when it has finished.' },
+        { status: 409 }
+      );
+    }
+
+    try {
+      const result = await updateEventSeries(params.id, { overrides, status, reason }, { authToken: token, operator });
+      return NextResponse.json(result);
+    } finally {
+      releaseImportLock(lock.lockId);
+    }
+  } catch (error) {
+    console.error('Error updating event series:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * Event Series API
+ * Lists the recurring series detected among imported events
+ */
+
+import { NextResponse } from 'next/server';
+import { listSeries } from '../../../../../event-series.js';
+
+// Series live in the import data directory, so this route needs the Node.js runtime
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+
+    const series = listSeries({
+      appId: searchParams.get('appId') || '1',
+      sourceSystem: searchParams.get('sourceSystem'),
+      status: searchParams.get('status')
+    });
+
+    return NextResponse.json({ series });
+  } catch (error) {
+    console.error('Error listing event series:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 500 }
+    );
+  }
+}
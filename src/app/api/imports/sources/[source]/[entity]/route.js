@@ -0,0 +1,49 @@
+/**
+ * Event Source Entities API
+ * Fetches the venues, organizers or categories an event source publishes, normalized by its adapter
+ */
+
+import { NextResponse } from 'next/server';
+import { getSourceAdapter } from '../../../../../../../import-sources/index.js';
+
+// Adapters are server-side modules, so this route needs the Node.js runtime
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// Adapter method behind each entity list
+const ENTITY_FETCHERS = {
+  venues: 'fetchVenues',
+  organizers: 'fetchOrganizers',
+  categories: 'fetchCategories'
+};
+
+export async function GET(request, { params }) {
+  const { source, entity } = params;
+
+  let adapter;
+  try {
+    adapter = getSourceAdapter(source);
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 404 });
+  }
+
+  const fetcher = ENTITY_FETCHERS[entity];
+  if (!fetcher || !adapter[fetcher]) {
+    return NextResponse.json(
+      { error: `${adapter.name} does not provide ${entity}` },
+      { status: 404 }
+    );
+  }
+
+  try {
+    const items = await adapter[fetcher]();
+    console.log(`Fetched ${items.length} ${entity} from ${adapter.sourceSystem}`);
+    return NextResponse.json({ [entity]: items });
+  } catch (error) {
+    console.error(`Error fetching ${entity} from ${adapter.sourceSystem}:`, error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 500 }
+    );
+  }
+}
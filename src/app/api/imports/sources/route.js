@@ -0,0 +1,23 @@
+/**
+ * Event Sources API
+ * Lists the registered event-source adapters and which entity lists each can provide
+ */
+
+import { NextResponse } from 'next/server';
+import { listSourceAdapters } from '../../../../../import-sources/index.js';
+
+// Adapters are server-side modules, so this route needs the Node.js runtime
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function GET() {
+  try {
+    return NextResponse.json({ sources: listSourceAdapters() });
+  } catch (error) {
+    console.error('Error listing event sources:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,44 @@
+/**
+ * Unmatched Entity API - resolve a review queue entry
+ * Body: { action: 'map' | 'create' | 'ignore' | 'reopen', ttId, ttName }
+ * Mapping or creating stores an alias so later imports resolve the name directly.
+ */
+
+import { NextResponse } from 'next/server';
+import { resolveUnmatched } from '../../../../../../unmatched-queue.js';
+
+// The queue lives in the import data directory, so this route needs the Node.js runtime
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function POST(request, { params }) {
+  try {
+    const entryId = params.id;
+    const { action, ttId, ttName } = await request.json();
+
+    if ((action === 'map' || action === 'create') && !ttId) {
+      return NextResponse.json(
+        { error: 'ttId is required to map or create an entity' },
+        { status: 400 }
+      );
+    }
+
+    const entry = resolveUnmatched(entryId, { action, ttId, ttName });
+
+    if (!entry) {
+      return NextResponse.json(
+        { error: 'Unmatched entity not found' },
+        { status: 404 }
+      );
+    }
+
+    console.log(`Resolved unmatched ${entry.entityType} "${entry.sourceName}": ${entry.status}`);
+    return NextResponse.json({ entry });
+  } catch (error) {
+    console.error('Error resolving unmatched entity:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 400 }
+    );
+  }
+}
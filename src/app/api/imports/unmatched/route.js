@@ -0,0 +1,34 @@
+/**
+ * Unmatched Entities API
+ * Lists source venues, organizers and categories that imports could not match
+ */
+
+import { NextResponse } from 'next/server';
+import { listUnmatched } from '../../../../../unmatched-queue.js';
+
+// The queue lives in the import data directory, so this route needs the Node.js runtime
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const status = searchParams.get('status') || 'open';
+
+    const entries = listUnmatched({
+      appId: searchParams.get('appId') || '1',
+      sourceSystem: searchParams.get('sourceSystem'),
+      entityType: searchParams.get('entityType'),
+      // 'all' lists every entry regardless of review status
+      status: status === 'all' ? null : status
+    });
+
+    return NextResponse.json({ entries });
+  } catch (error) {
+    console.error('Error listing unmatched entities:', error.message);
+    return NextResponse.json(
+      { error: error.message || 'Unknown server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -2,6 +2,9 @@ import { NextResponse } from 'next/server';
 import axios from 'axios';
 import connectToDatabase from '@/lib/mongodb';
 import firebaseAdmin from '@/lib/firebase-admin';
+import { listSchedules } from '../../../../import-schedules.js';
+import { getSchedulerState } from '../../../../import-scheduler.js';
+import { getImportLock } from '../../../../import-lock.js';
 
 /**
  * Status endpoint that checks connectivity to various services
@@ -27,6 +30,11 @@ export async function GET() {
       status: 'unknown',
       url: process.env.NEXT_PUBLIC_BE_URL || 'http://localhost:3010',
     },
+    imports: {
+      status: 'unknown',
+      message: '',
+      schedules: [],
+    },
   };
 
   // Check MongoDB connection
@@ -119,6 +127,35 @@ export async function GET() {
     }
   }
 
+  // Check scheduled imports
+  try {
+    const schedules = listSchedules();
+    const enabled = schedules.filter(schedule => schedule.enabled);
+    const failed = enabled.filter(schedule => ['failed', 'skipped'].includes(schedule.lastRun?.status));
+    const scheduler = getSchedulerState();
+
+    services.imports.schedules = schedules;
+    services.imports.scheduler = scheduler;
+    services.imports.lock = getImportLock();
+
+    if (enabled.length > 0 && !scheduler.running) {
+      services.imports.status = 'warning';
+      services.imports.message = `Import scheduler is not running; ${enabled.length} schedule(s) will not fire`;
+    } else if (failed.length > 0) {
+      services.imports.status = 'warning';
+      services.imports.message = `${failed.length} schedule(s) did not complete their last run`;
+    } else {
+      services.imports.status = 'ok';
+      services.imports.message = enabled.length > 0
+        ? `${enabled.length} import schedule(s) active`
+        : 'No import schedules enabled';
+    }
+  } catch (error) {
+    services.imports.status = 'error';
+    services.imports.message = `Import schedule error: ${error.message}`;
+    console.error('Import schedule check failed:', error);
+  }
+
   // Calculate elapsed time
   const endTime = new Date();
   const elapsedMs = endTime - startTime;
@@ -129,6 +166,7 @@ export async function GET() {
   console.log(`MongoDB: ${services.database.status.toUpperCase()} - ${services.database.message}`);
   console.log(`Firebase: ${services.firebase.status.toUpperCase()} - ${services.firebase.initialized ? 'Initialized' : 'Not initialized'}`);
   console.log(`Backend API: ${services.backend.status.toUpperCase()} - ${services.backend.message}`);
+  console.log(`Scheduled Imports: ${services.imports.status.toUpperCase()} - ${services.imports.message}`);
   console.log(`Status check completed in ${elapsedMs}ms`);
   console.log('============================');
 
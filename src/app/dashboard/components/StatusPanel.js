@@ -93,19 +93,33 @@ export default function StatusPanel() {
     
     if (status.database.status === 'error' || 
         status.firebase.status === 'error' || 
-        status.backend.status === 'error') {
+        status.backend.status === 'error' ||
+        status.imports?.status === 'error') {
       return 'error';
     }
     
     if (status.database.status === 'warning' || 
         status.firebase.status === 'warning' || 
-        status.backend.status === 'warning') {
+        status.backend.status === 'warning' ||
+        status.imports?.status === 'warning') {
       return 'warning';
     }
     
     return 'ok';
   };
   
+  // Describe a schedule's next run and last outcome
+  const describeSchedule = (schedule) => {
+    const next = schedule.enabled
+      ? `next ${schedule.nextRunAt ? new Date(schedule.nextRunAt).toLocaleString() : 'never'}`
+      : 'disabled';
+    const last = schedule.lastRun
+      ? `last ${schedule.lastRun.status} ${new Date(schedule.lastRun.finishedAt || schedule.lastRun.startedAt).toLocaleString()}` +
+        (schedule.lastRun.error ? ` (${schedule.lastRun.error})` : '')
+      : 'never run';
+    return `App ${schedule.appId} ${schedule.sourceSystem} • ${schedule.cron} • ${schedule.windowDays}-day window • ${next} • ${last}`;
+  };
+  
   const toggleExpanded = () => {
     setExpanded(!expanded);
   };
@@ -212,6 +226,33 @@ export default function StatusPanel() {
                 />
                 <Box>{getStatusChip(status.backend.status)}</Box>
               </ListItem>
+              
+              {status.imports && (
+                <ListItem sx={{ borderTop: 1, borderColor: 'divider' }}>
+                  <ListItemIcon>
+                    {getStatusIcon(status.imports.status)}
+                  </ListItemIcon>
+                  <ListItemText 
+                    primary="Scheduled Imports" 
+                    secondary={
+                      <>
+                        {status.imports.message}
+                        {status.imports.lock && (
+                          <div style={{ marginTop: 4 }}>
+                            <small>Import running: {status.imports.lock.owner} since {new Date(status.imports.lock.acquiredAt).toLocaleString()}</small>
+                          </div>
+                        )}
+                        {status.imports.schedules.map(schedule => (
+                          <div key={schedule.id} style={{ marginTop: 4 }}>
+                            <small>{describeSchedule(schedule)}</small>
+                          </div>
+                        ))}
+                      </>
+                    }
+                  />
+                  <Box>{getStatusChip(status.imports.status)}</Box>
+                </ListItem>
+              )}
             </List>
           ) : (
             <Box sx={{ p: 3 }}>
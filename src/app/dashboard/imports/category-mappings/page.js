@@ -0,0 +1,301 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  CircularProgress,
+  Paper,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Autocomplete,
+  Select,
+  MenuItem,
+  IconButton,
+  Chip
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import SaveIcon from '@mui/icons-material/Save';
+import RestoreIcon from '@mui/icons-material/Restore';
+import axios from 'axios';
+import { useAppContext } from '@/lib/AppContext';
+
+/**
+ * Converts a stored mapping object into editable rows
+ * @param {Object} mappings - Source category name -> TT category name
+ * @returns {Array<Object>} Rows sorted by source name
+ */
+const toRows = (mappings) => Object.entries(mappings || {})
+  .map(([sourceName, ttName]) => ({ sourceName, ttName }))
+  .sort((a, b) => a.sourceName.localeCompare(b.sourceName));
+
+export default function CategoryMappingsPage() {
+  const { currentApp } = useAppContext();
+  const [rows, setRows] = useState([]);
+  const [ignored, setIgnored] = useState([]);
+  const [canceled, setCanceled] = useState([]);
+  const [defaults, setDefaults] = useState(null);
+  const [isDefault, setIsDefault] = useState(true);
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const [ttCategories, setTtCategories] = useState([]);
+  const [unmappedNames, setUnmappedNames] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const loadMapping = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const [mappingResponse, categoriesResponse, unmatchedResponse] = await Promise.all([
+        axios.get('/api/imports/category-mappings', { params: { appId: currentApp.id } }),
+        axios.get('/api/categories', { params: { appId: currentApp.id } }),
+        axios.get('/api/imports/unmatched', { params: { appId: currentApp.id, entityType: 'category' } })
+      ]);
+
+      const { mapping } = mappingResponse.data;
+      setRows(toRows(mapping.mappings));
+      setIgnored(mapping.ignored);
+      setCanceled(mapping.canceled || []);
+      setIsDefault(mapping.isDefault);
+      setUpdatedAt(mapping.updatedAt);
+      setDefaults(mappingResponse.data.defaults);
+
+      const categories = Array.isArray(categoriesResponse.data)
+        ? categoriesResponse.data
+        : categoriesResponse.data?.categories || categoriesResponse.data?.data || [];
+      setTtCategories(categories.map(category => category.categoryName).filter(Boolean).sort());
+
+      setUnmappedNames((unmatchedResponse.data.entries || []).map(entry => entry.sourceName));
+    } catch (error) {
+      console.error('Error loading category mapping:', error);
+      setError('Failed to load category mapping: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setLoading(false);
+    }
+  }, [currentApp.id]);
+
+  useEffect(() => {
+    loadMapping();
+  }, [loadMapping]);
+
+  const updateRow = (index, field, value) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const addRow = (sourceName = '') => {
+    setRows(prev => [...prev, { sourceName, ttName: '' }]);
+  };
+
+  const removeRow = (index) => {
+    setRows(prev => prev.filter((row, i) => i !== index));
+  };
+
+  const handleResetToDefaults = () => {
+    if (!confirm('Replace the current mapping with the built-in defaults? Unsaved changes will be lost.')) {
+      return;
+    }
+    setRows(toRows(defaults.mappings));
+    setIgnored(defaults.ignored);
+    setCanceled(defaults.canceled || []);
+  };
+
+  const handleSave = async () => {
+    const incomplete = rows.filter(row => !row.sourceName.trim() || !row.ttName);
+    if (incomplete.length > 0) {
+      setError('Every mapping needs a source category and a TT category.');
+      return;
+    }
+
+    const mappings = {};
+    for (const row of rows) {
+      if (mappings[row.sourceName.trim()]) {
+        setError(`Source category "${row.sourceName}" is mapped more than once.`);
+        return;
+      }
+      mappings[row.sourceName.trim()] = row.ttName;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+
+      const response = await axios.put('/api/imports/category-mappings', {
+        appId: currentApp.id,
+        mappings,
+        ignored,
+        canceled
+      });
+
+      setRows(toRows(response.data.mapping.mappings));
+      setIgnored(response.data.mapping.ignored);
+      setCanceled(response.data.mapping.canceled);
+      setIsDefault(false);
+      setUpdatedAt(response.data.mapping.updatedAt);
+      setSuccess('Category mapping saved. The next import will use it.');
+    } catch (error) {
+      console.error('Error saving category mapping:', error);
+      setError('Failed to save category mapping: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const mappedNames = new Set(rows.map(row => row.sourceName));
+  const suggestedNames = unmappedNames.filter(name => !mappedNames.has(name) && !ignored.includes(name) && !canceled.includes(name));
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" my={4}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>Category Mapping</Typography>
+      <Typography variant="body1" paragraph>
+        How BTC WordPress categories map to TangoTiempo categories for {currentApp.name || `app ${currentApp.id}`}.
+        The BTC importer and the venue and organizer import dialogs all read this mapping.
+      </Typography>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        {isDefault ? 'Using the built-in defaults (not saved yet).' : `Last saved ${new Date(updatedAt).toLocaleString()}.`}
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess(null)}>{success}</Alert>
+      )}
+
+      {suggestedNames.length > 0 && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          <Typography variant="body2" gutterBottom>Unmatched categories seen in imports:</Typography>
+          {suggestedNames.map(name => (
+            <Chip key={name} label={name} size="small" icon={<AddIcon />} onClick={() => addRow(name)} sx={{ mr: 1, mb: 1 }} />
+          ))}
+        </Alert>
+      )}
+
+      <TableContainer component={Paper} sx={{ mb: 3 }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>BTC Category</TableCell>
+              <TableCell>TT Category</TableCell>
+              <TableCell align="right" width={60} />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map((row, index) => (
+              <TableRow key={index}>
+                <TableCell>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    value={row.sourceName}
+                    onChange={(event) => updateRow(index, 'sourceName', event.target.value)}
+                    placeholder="WordPress category name"
+                  />
+                </TableCell>
+                <TableCell>
+                  <Select
+                    fullWidth
+                    size="small"
+                    displayEmpty
+                    value={row.ttName}
+                    onChange={(event) => updateRow(index, 'ttName', event.target.value)}
+                  >
+                    <MenuItem value="" disabled>Select a TT category</MenuItem>
+                    {/* Keep a stored name selectable even if the category no longer exists */}
+                    {row.ttName && !ttCategories.includes(row.ttName) && (
+                      <MenuItem value={row.ttName}>{row.ttName} (not found)</MenuItem>
+                    )}
+                    {ttCategories.map(name => (
+                      <MenuItem key={name} value={name}>{name}</MenuItem>
+                    ))}
+                  </Select>
+                </TableCell>
+                <TableCell align="right">
+                  <IconButton size="small" onClick={() => removeRow(index)}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Button startIcon={<AddIcon />} onClick={() => addRow()} sx={{ mb: 3 }}>
+        Add Mapping
+      </Button>
+
+      <Typography variant="h6" gutterBottom>Ignored Categories</Typography>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        BTC categories that are never mapped to a TT category and never queued for review.
+      </Typography>
+      <Autocomplete
+        multiple
+        freeSolo
+        options={unmappedNames}
+        value={ignored}
+        onChange={(event, value) => setIgnored(value)}
+        renderTags={(value, getTagProps) => value.map((option, index) => (
+          <Chip label={option} size="small" {...getTagProps({ index })} key={option} />
+        ))}
+        renderInput={(params) => (
+          <TextField {...params} placeholder="Type a category name and press Enter" />
+        )}
+        sx={{ mb: 3 }}
+      />
+
+      <Typography variant="h6" gutterBottom>Cancellation Categories</Typography>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        BTC categories that mark an event as canceled. The event keeps its other categories and is imported
+        as canceled in TT.
+      </Typography>
+      <Autocomplete
+        multiple
+        freeSolo
+        options={unmappedNames}
+        value={canceled}
+        onChange={(event, value) => setCanceled(value)}
+        renderTags={(value, getTagProps) => value.map((option, index) => (
+          <Chip label={option} size="small" {...getTagProps({ index })} key={option} />
+        ))}
+        renderInput={(params) => (
+          <TextField {...params} placeholder="Type a category name and press Enter" />
+        )}
+        sx={{ mb: 3 }}
+      />
+
+      <Box display="flex" gap={2}>
+        <Button
+          variant="contained"
+          startIcon={saving ? <CircularProgress size={20} /> : <SaveIcon />}
+          onClick={handleSave}
+          disabled={saving}
+        >
+          Save Mapping
+        </Button>
+        <Button variant="outlined" startIcon={<RestoreIcon />} onClick={handleResetToDefaults} disabled={!defaults || saving}>
+          Reset to Defaults
+        </Button>
+      </Box>
+    </Box>
+  );
+}
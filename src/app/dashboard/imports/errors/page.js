@@ -0,0 +1,320 @@
+'use client';
+
+import { Suspense, useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  CircularProgress,
+  Paper,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Chip,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  TextField,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import { useSearchParams } from 'next/navigation';
+import axios from 'axios';
+
+// Values of ErrorCategory, ErrorSeverity and ImportStage in error-handler.js
+const CATEGORIES = ['API_ACCESS', 'ENTITY_RESOLUTION', 'DATA_VALIDATION', 'PROCESSING', 'SYSTEM'];
+const STAGES = ['INITIALIZATION', 'EXTRACTION', 'TRANSFORMATION', 'ENTITY_RESOLUTION', 'VALIDATION', 'LOADING', 'VERIFICATION', 'CLEANUP'];
+
+// Severities from least to most severe, with their chip and bar colors
+const SEVERITIES = [
+  { value: 'INFO', color: 'info' },
+  { value: 'WARNING', color: 'warning' },
+  { value: 'ERROR', color: 'error' },
+  { value: 'FATAL', color: 'secondary' }
+];
+
+const severityColor = (severity) => SEVERITIES.find(item => item.value === severity)?.color || 'default';
+
+/**
+ * Stacked bars of error counts per period, by severity
+ */
+function ErrorTimeline({ timeline }) {
+  if (timeline.length === 0) {
+    return null;
+  }
+
+  const highest = Math.max(...timeline.map(bucket => bucket.total));
+
+  return (
+    <Paper sx={{ p: 2, mb: 2 }}>
+      <Typography variant="subtitle2" gutterBottom>Errors over time (UTC)</Typography>
+      <Box display="flex" alignItems="flex-end" gap={0.5} height={120} sx={{ overflowX: 'auto' }}>
+        {timeline.map(bucket => (
+          <Tooltip
+            key={bucket.period}
+            title={`${bucket.period}: ${bucket.total} (${Object.entries(bucket.bySeverity).map(([severity, count]) => `${count} ${severity}`).join(', ')})`}
+          >
+            <Box display="flex" flexDirection="column-reverse" minWidth={12} flex="1 0 12px" height={`${(bucket.total / highest) * 100}%`}>
+              {SEVERITIES.filter(({ value }) => bucket.bySeverity[value]).map(({ value, color }) => (
+                <Box key={value} bgcolor={`${color}.main`} flexGrow={bucket.bySeverity[value]} />
+              ))}
+            </Box>
+          </Tooltip>
+        ))}
+      </Box>
+      <Box display="flex" justifyContent="space-between" mt={0.5}>
+        <Typography variant="caption" color="text.secondary">{timeline[0].period}</Typography>
+        <Typography variant="caption" color="text.secondary">{timeline[timeline.length - 1].period}</Typography>
+      </Box>
+    </Paper>
+  );
+}
+
+function ImportErrorsView() {
+  const searchParams = useSearchParams();
+  const [filters, setFilters] = useState({
+    category: '',
+    severity: '',
+    stage: '',
+    runId: searchParams.get('runId') || '',
+    from: '',
+    to: '',
+    search: ''
+  });
+  const [timelineInterval, setTimelineInterval] = useState('day');
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(50);
+  const [result, setResult] = useState({ total: 0, errors: [], stats: null, timeline: [] });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null);
+
+  const loadErrors = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      const response = await axios.get('/api/imports/errors', {
+        params: {
+          ...params,
+          interval: timelineInterval,
+          limit: rowsPerPage,
+          offset: page * rowsPerPage
+        }
+      });
+      setResult(response.data);
+    } catch (error) {
+      console.error('Error loading import errors:', error);
+      setError('Failed to load import errors: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, timelineInterval, page, rowsPerPage]);
+
+  useEffect(() => {
+    loadErrors();
+  }, [loadErrors]);
+
+  const setFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(0);
+  };
+
+  const selectFilter = (key, label, values) => (
+    <FormControl size="small" sx={{ minWidth: 160 }}>
+      <InputLabel>{label}</InputLabel>
+      <Select value={filters[key]} label={label} onChange={(event) => setFilter(key, event.target.value)}>
+        <MenuItem value="">All</MenuItem>
+        {values.map(value => (
+          <MenuItem key={value} value={value}>{value}</MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>Import Errors</Typography>
+      <Typography variant="body1" paragraph>
+        Errors, warnings and notes logged by imports, newest first. Filter by category, severity, stage, run or
+        date, and select an error to see its full context.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>
+      )}
+
+      <Box display="flex" flexWrap="wrap" gap={2} alignItems="center" mb={2}>
+        {selectFilter('category', 'Category', CATEGORIES)}
+        {selectFilter('severity', 'Severity', SEVERITIES.map(({ value }) => value))}
+        {selectFilter('stage', 'Stage', STAGES)}
+        <TextField
+          size="small"
+          label="Run ID"
+          value={filters.runId}
+          onChange={(event) => setFilter('runId', event.target.value.trim())}
+        />
+        <TextField
+          size="small"
+          type="date"
+          label="From"
+          value={filters.from}
+          onChange={(event) => setFilter('from', event.target.value)}
+          InputLabelProps={{ shrink: true }}
+        />
+        <TextField
+          size="small"
+          type="date"
+          label="To"
+          value={filters.to}
+          onChange={(event) => setFilter('to', event.target.value)}
+          InputLabelProps={{ shrink: true }}
+        />
+        <TextField
+          size="small"
+          label="Message contains"
+          value={filters.search}
+          onChange={(event) => setFilter('search', event.target.value)}
+        />
+        <FormControl size="small" sx={{ minWidth: 120 }}>
+          <InputLabel>Per</InputLabel>
+          <Select value={timelineInterval} label="Per" onChange={(event) => setTimelineInterval(event.target.value)}>
+            <MenuItem value="day">Day</MenuItem>
+            <MenuItem value="hour">Hour</MenuItem>
+          </Select>
+        </FormControl>
+        <Box flexGrow={1} />
+        <Button startIcon={<RefreshIcon />} onClick={loadErrors} disabled={loading}>
+          Refresh
+        </Button>
+      </Box>
+
+      {result.stats && (
+        <Box display="flex" flexWrap="wrap" gap={1} mb={2}>
+          <Chip label={`${result.stats.totalErrors} total`} />
+          {SEVERITIES.filter(({ value }) => result.stats.bySeverity[value]).map(({ value, color }) => (
+            <Chip key={value} label={`${result.stats.bySeverity[value]} ${value}`} color={color} variant="outlined" />
+          ))}
+          {Object.entries(result.stats.byCategory).map(([category, count]) => (
+            <Chip key={category} label={`${count} ${category}`} variant="outlined" />
+          ))}
+        </Box>
+      )}
+
+      <ErrorTimeline timeline={result.timeline} />
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" my={4}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <Paper>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Time</TableCell>
+                  <TableCell>Severity</TableCell>
+                  <TableCell>Category</TableCell>
+                  <TableCell>Stage</TableCell>
+                  <TableCell>Message</TableCell>
+                  <TableCell>Run</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {result.errors.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={6} align="center">
+                      <Typography color="text.secondary" sx={{ py: 2 }}>No errors match these filters</Typography>
+                    </TableCell>
+                  </TableRow>
+                ) : result.errors.map(item => (
+                  <TableRow key={item.id} hover sx={{ cursor: 'pointer' }} onClick={() => setSelected(item)}>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>{new Date(item.timestamp).toLocaleString()}</TableCell>
+                    <TableCell>
+                      <Chip size="small" label={item.severity} color={severityColor(item.severity)} />
+                    </TableCell>
+                    <TableCell>{item.category}</TableCell>
+                    <TableCell>{item.stage}</TableCell>
+                    <TableCell>{item.message}</TableCell>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>{item.runId || '—'}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <TablePagination
+            component="div"
+            count={result.total}
+            page={page}
+            onPageChange={(event, nextPage) => setPage(nextPage)}
+            rowsPerPage={rowsPerPage}
+            onRowsPerPageChange={(event) => {
+              setRowsPerPage(parseInt(event.target.value, 10));
+              setPage(0);
+            }}
+            rowsPerPageOptions={[25, 50, 100]}
+          />
+        </Paper>
+      )}
+
+      <Dialog open={Boolean(selected)} onClose={() => setSelected(null)} maxWidth="md" fullWidth>
+        <DialogTitle>{selected?.id}</DialogTitle>
+        {selected && (
+          <DialogContent>
+            <Box display="flex" gap={1} mb={2}>
+              <Chip size="small" label={selected.severity} color={severityColor(selected.severity)} />
+              <Chip size="small" label={selected.category} variant="outlined" />
+              <Chip size="small" label={selected.stage} variant="outlined" />
+            </Box>
+            <Typography variant="body1" paragraph>{selected.message}</Typography>
+            <Typography variant="body2" color="text.secondary" paragraph>
+              {new Date(selected.timestamp).toLocaleString()}
+              {selected.runId && ` • run ${selected.runId}`}
+              {selected.sourceSystem && ` • ${selected.sourceSystem}`}
+            </Typography>
+
+            {[
+              ['Context', selected.context && Object.keys(selected.context).length > 0 ? JSON.stringify(selected.context, null, 2) : null],
+              ['Original Error', selected.originalError ? `${selected.originalError.name}: ${selected.originalError.message}\n${selected.originalError.stack || ''}` : null],
+              ['Stack', selected.stack]
+            ].filter(([, text]) => text).map(([label, text]) => (
+              <Box key={label} mb={2}>
+                <Typography variant="subtitle2" gutterBottom>{label}</Typography>
+                <Box
+                  component="pre"
+                  sx={{ m: 0, p: 1.5, bgcolor: 'grey.100', borderRadius: 1, fontSize: 12, overflowX: 'auto' }}
+                >
+                  {text}
+                </Box>
+              </Box>
+            ))}
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setSelected(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+// useSearchParams needs a Suspense boundary when the page is prerendered
+export default function ImportErrorsPage() {
+  return (
+    <Suspense fallback={<CircularProgress />}>
+      <ImportErrorsView />
+    </Suspense>
+  );
+}
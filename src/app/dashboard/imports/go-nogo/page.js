@@ -0,0 +1,233 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  CircularProgress,
+  Paper,
+  Alert,
+  TextField,
+  Autocomplete,
+  FormControlLabel,
+  Switch,
+  InputAdornment,
+  Grid
+} from '@mui/material';
+import SaveIcon from '@mui/icons-material/Save';
+import RestoreIcon from '@mui/icons-material/Restore';
+import axios from 'axios';
+import { useAppContext } from '@/lib/AppContext';
+
+// Threshold fields, edited as percentages and stored as rates between 0 and 1
+const RATE_FIELDS = [
+  {
+    key: 'minimumResolutionRate',
+    label: 'Entity Resolution Rate',
+    help: 'Share of source events whose venue, organizer and category resolve'
+  },
+  {
+    key: 'minimumValidationRate',
+    label: 'Validation Rate',
+    help: 'Share of resolved events that pass validation'
+  },
+  {
+    key: 'minimumOverallRate',
+    label: 'Overall Success Rate',
+    help: 'Share of source events created, updated or unchanged in TT'
+  }
+];
+
+/**
+ * Converts stored gates into form values
+ * @param {Object} gates - Gates from the API
+ * @returns {Object} Percentages as strings, plus requireDryRun
+ */
+const toForm = (gates) => ({
+  ...Object.fromEntries(RATE_FIELDS.map(({ key }) => [key, String(Math.round(gates[key] * 1000) / 10)])),
+  requireDryRun: gates.requireDryRun
+});
+
+export default function GoNoGoGatesPage() {
+  const { currentApp } = useAppContext();
+  const [sourceSystem, setSourceSystem] = useState('BTC');
+  const [sources, setSources] = useState([]);
+  const [form, setForm] = useState(null);
+  const [defaults, setDefaults] = useState(null);
+  const [isDefault, setIsDefault] = useState(true);
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    axios.get('/api/imports/sources')
+      .then(response => setSources((response.data.sources || []).map(source => source.sourceSystem)))
+      .catch(error => console.error('Error loading event sources:', error));
+  }, []);
+
+  const loadGates = useCallback(async () => {
+    if (!sourceSystem) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await axios.get('/api/imports/go-nogo-gates', {
+        params: { appId: currentApp.id, sourceSystem }
+      });
+
+      const { gates } = response.data;
+      setForm(toForm(gates));
+      setIsDefault(gates.isDefault);
+      setUpdatedAt(gates.updatedAt);
+      setDefaults(response.data.defaults);
+    } catch (error) {
+      console.error('Error loading Go/No-Go gates:', error);
+      setError('Failed to load Go/No-Go gates: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setLoading(false);
+    }
+  }, [currentApp.id, sourceSystem]);
+
+  useEffect(() => {
+    loadGates();
+  }, [loadGates]);
+
+  const updateField = (key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleResetToDefaults = () => {
+    setForm(toForm(defaults));
+  };
+
+  const handleSave = async () => {
+    const rates = {};
+    for (const { key, label } of RATE_FIELDS) {
+      const percent = Number(form[key]);
+      if (form[key] === '' || !Number.isFinite(percent) || percent < 0 || percent > 100) {
+        setError(`${label} must be a percentage between 0 and 100.`);
+        return;
+      }
+      rates[key] = percent / 100;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+
+      const response = await axios.put('/api/imports/go-nogo-gates', {
+        appId: currentApp.id,
+        sourceSystem,
+        ...rates,
+        requireDryRun: form.requireDryRun
+      });
+
+      setForm(toForm(response.data.gates));
+      setIsDefault(false);
+      setUpdatedAt(response.data.gates.updatedAt);
+      setSuccess('Go/No-Go gates saved. The next import will use them.');
+    } catch (error) {
+      console.error('Error saving Go/No-Go gates:', error);
+      setError('Failed to save Go/No-Go gates: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>Go/No-Go Gates</Typography>
+      <Typography variant="body1" paragraph>
+        The rates an import must reach for {currentApp.name || `app ${currentApp.id}`}. When a dry run is required,
+        every live import (from the events page, the command line or a schedule) first runs as a dry run, and the
+        live import is refused if any rate is below its threshold. An admin can still run it by giving a reason,
+        which is logged and kept with the run.
+      </Typography>
+
+      <Autocomplete
+        freeSolo
+        autoSelect
+        options={sources}
+        value={sourceSystem}
+        onChange={(event, value) => setSourceSystem((value || '').trim())}
+        renderInput={(params) => (
+          <TextField {...params} label="Source" helperText="ICS feeds are named ICS:{feed key}" size="small" />
+        )}
+        sx={{ maxWidth: 360, mb: 3 }}
+      />
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess(null)}>{success}</Alert>
+      )}
+
+      {loading || !form ? (
+        <Box display="flex" justifyContent="center" my={4}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <>
+          <Typography variant="body2" color="text.secondary" paragraph>
+            {isDefault ? 'Using the built-in defaults (not saved yet).' : `Last saved ${new Date(updatedAt).toLocaleString()}.`}
+          </Typography>
+
+          <Paper sx={{ p: 3, mb: 3 }}>
+            <Grid container spacing={3}>
+              {RATE_FIELDS.map(({ key, label, help }) => (
+                <Grid item xs={12} md={4} key={key}>
+                  <TextField
+                    fullWidth
+                    type="number"
+                    label={`Minimum ${label}`}
+                    value={form[key]}
+                    onChange={(event) => updateField(key, event.target.value)}
+                    helperText={help}
+                    inputProps={{ min: 0, max: 100, step: 0.5 }}
+                    InputProps={{ endAdornment: <InputAdornment position="end">%</InputAdornment> }}
+                  />
+                </Grid>
+              ))}
+            </Grid>
+
+            <FormControlLabel
+              sx={{ mt: 2 }}
+              control={
+                <Switch
+                  checked={form.requireDryRun}
+                  onChange={(event) => updateField('requireDryRun', event.target.checked)}
+                />
+              }
+              label="Require a passing dry run before live imports"
+            />
+            <Typography variant="body2" color="text.secondary">
+              When off, live imports run straight away and are only assessed afterwards.
+            </Typography>
+          </Paper>
+
+          <Box display="flex" gap={2}>
+            <Button
+              variant="contained"
+              startIcon={saving ? <CircularProgress size={20} /> : <SaveIcon />}
+              onClick={handleSave}
+              disabled={saving || !sourceSystem}
+            >
+              Save Gates
+            </Button>
+            <Button variant="outlined" startIcon={<RestoreIcon />} onClick={handleResetToDefaults} disabled={!defaults || saving}>
+              Reset to Defaults
+            </Button>
+          </Box>
+        </>
+      )}
+    </Box>
+  );
+}
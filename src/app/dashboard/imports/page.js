@@ -0,0 +1,120 @@
+'use client';
+
+import {
+  Box,
+  Typography,
+  Button,
+  Card,
+  CardContent,
+  CardActions,
+  Grid
+} from '@mui/material';
+import EventIcon from '@mui/icons-material/Event';
+import ReportProblemIcon from '@mui/icons-material/ReportProblem';
+import CategoryIcon from '@mui/icons-material/Category';
+import HistoryIcon from '@mui/icons-material/History';
+import ScheduleIcon from '@mui/icons-material/Schedule';
+import RuleIcon from '@mui/icons-material/Rule';
+import RepeatIcon from '@mui/icons-material/Repeat';
+import BugReportIcon from '@mui/icons-material/BugReport';
+import { useRouter } from 'next/navigation';
+
+export default function ImportsPage() {
+  const router = useRouter();
+
+  // Import tools
+  const importTools = [
+    {
+      title: 'BTC Import',
+      description: 'Import events from Boston Tango Calendar for a date range',
+      icon: <EventIcon />,
+      path: '/dashboard/events',
+      note: 'Open the BTC Import tab on the Events page'
+    },
+    {
+      title: 'Unmatched Entities',
+      description: 'Review venues, organizers and categories that imports could not match',
+      icon: <ReportProblemIcon />,
+      path: '/dashboard/imports/unmatched'
+    },
+    {
+      title: 'Category Mapping',
+      description: 'Edit how source calendar categories map to TangoTiempo categories',
+      icon: <CategoryIcon />,
+      path: '/dashboard/imports/category-mappings'
+    },
+    {
+      title: 'Import Runs',
+      description: 'Browse past import runs with their counters, assessment and per-event outcomes',
+      icon: <HistoryIcon />,
+      path: '/dashboard/imports/runs'
+    },
+    {
+      title: 'Import Schedules',
+      description: 'Run rolling-window imports automatically on a cron schedule',
+      icon: <ScheduleIcon />,
+      path: '/dashboard/imports/schedules'
+    },
+    {
+      title: 'Go/No-Go Gates',
+      description: 'Set the rates imports must reach, and require a passing dry run before live imports',
+      icon: <RuleIcon />,
+      path: '/dashboard/imports/go-nogo'
+    },
+    {
+      title: 'Recurring Series',
+      description: 'Review weekly and monthly series found among imported events, and edit or cancel a whole series',
+      icon: <RepeatIcon />,
+      path: '/dashboard/imports/series'
+    },
+    {
+      title: 'Import Errors',
+      description: 'Search the errors imports logged by category, severity, stage, run and date, with their full context',
+      icon: <BugReportIcon />,
+      path: '/dashboard/imports/errors'
+    }
+  ];
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>Imports</Typography>
+      <Typography variant="body1" paragraph>
+        Tools for importing events from external calendars and reviewing what the imports could not resolve.
+      </Typography>
+
+      <Grid container spacing={3} sx={{ mb: 4 }}>
+        {importTools.map((tool, index) => (
+          <Grid item xs={12} md={4} key={index}>
+            <Card sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
+              <CardContent sx={{ flexGrow: 1 }}>
+                <Box display="flex" alignItems="center" mb={1}>
+                  <Box color="primary.main" mr={1}>
+                    {tool.icon}
+                  </Box>
+                  <Typography variant="h6">{tool.title}</Typography>
+                </Box>
+                <Typography variant="body2" color="text.secondary">
+                  {tool.description}
+                </Typography>
+                {tool.note && (
+                  <Typography variant="caption" color="info.main" sx={{ mt: 1, display: 'block' }}>
+                    <strong>Note:</strong> {tool.note}
+                  </Typography>
+                )}
+              </CardContent>
+              <CardActions>
+                <Button
+                  fullWidth
+                  variant="contained"
+                  onClick={() => router.push(tool.path)}
+                >
+                  Open Tool
+                </Button>
+              </CardActions>
+            </Card>
+          </Grid>
+        ))}
+      </Grid>
+    </Box>
+  );
+}
@@ -0,0 +1,395 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  CircularProgress,
+  Paper,
+  Alert,
+  Tabs,
+  Tab,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Grid,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+  Link
+} from '@mui/material';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import UndoIcon from '@mui/icons-material/Undo';
+import { useParams, useRouter } from 'next/navigation';
+import axios from 'axios';
+import { runStatusColors, formatDuration, formatRunDates } from '@/features/imports/utils/runFormatters';
+
+/**
+ * Flattens a per-day event list of a run, tagging each entry with its day
+ * @param {Array} days - Run days
+ * @param {string} field - Day field to flatten
+ * @returns {Array} Entries with a date
+ */
+const flattenDays = (days, field) => days.flatMap(day => (day[field] || []).map(entry => ({ date: day.date, ...entry })));
+
+/**
+ * Renders a labelled counter
+ */
+const Counter = ({ label, value }) => (
+  <Grid item xs={6} sm={3} md={2}>
+    <Typography variant="caption" color="text.secondary">{label}</Typography>
+    <Typography variant="h6">{value ?? '—'}</Typography>
+  </Grid>
+);
+
+export default function ImportRunPage() {
+  const { runId } = useParams();
+  const router = useRouter();
+  const [run, setRun] = useState(null);
+  const [tab, setTab] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [rollbackOpen, setRollbackOpen] = useState(false);
+  const [authToken, setAuthToken] = useState('');
+  const [rollingBack, setRollingBack] = useState(false);
+  const [rollbackError, setRollbackError] = useState(null);
+
+  const loadRun = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`/api/imports/runs/${runId}`);
+      setRun(response.data.run);
+    } catch (error) {
+      console.error('Error loading import run:', error);
+      setError('Failed to load import run: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setLoading(false);
+    }
+  }, [runId]);
+
+  useEffect(() => {
+    loadRun();
+  }, [loadRun]);
+
+  // Revert the run's changes, then reload it to show the rollback outcome
+  const handleRollback = async () => {
+    try {
+      setRollingBack(true);
+      setRollbackError(null);
+      await axios.post(`/api/imports/runs/${runId}/rollback`, {}, {
+        headers: { Authorization: `Bearer ${authToken}` }
+      });
+      setRollbackOpen(false);
+      await loadRun();
+    } catch (error) {
+      console.error('Error rolling back import run:', error);
+      setRollbackError(error.response?.data?.error || error.message);
+    } finally {
+      setRollingBack(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" my={4}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error || !run) {
+    return <Alert severity="error">{error || 'Import run not found'}</Alert>;
+  }
+
+  const processed = flattenDays(run.days, 'processedEvents');
+  const failed = flattenDays(run.days, 'failedEvents');
+  const unmatched = flattenDays(run.days, 'unmatched');
+  const counters = run.counters || {};
+  const changeCounts = run.changes.reduce((counts, change) => ({
+    ...counts,
+    [change.action]: (counts[change.action] || 0) + 1
+  }), {});
+  const canRollBack = !run.parameters.dryRun && run.status !== 'running' &&
+    run.changes.length > 0 && !['running', 'completed'].includes(run.rollback?.status);
+
+  return (
+    <Box>
+      <Button startIcon={<ArrowBackIcon />} onClick={() => router.push('/dashboard/imports/runs')} sx={{ mb: 2 }}>
+        All Runs
+      </Button>
+
+      <Box display="flex" alignItems="center" gap={2} mb={1}>
+        <Typography variant="h4">Import Run</Typography>
+        {run.importStatus && <Chip label={`import ${run.importStatus}`} variant="outlined" />}
+        <Chip label={run.status} color={runStatusColors[run.status] || 'default'} />
+        <Chip label={run.parameters.dryRun ? 'Dry run' : 'Live'} variant={run.parameters.dryRun ? 'outlined' : 'filled'} />
+        {run.assessment && (
+          <Chip label={run.assessment.canProceed ? 'GO' : 'NO-GO'} color={run.assessment.canProceed ? 'success' : 'error'} />
+        )}
+        <Box flexGrow={1} />
+        <Button variant="outlined" onClick={() => router.push(`/dashboard/imports/errors?runId=${run.runId}`)}>
+          Errors
+        </Button>
+        {canRollBack && (
+          <Button variant="outlined" color="error" startIcon={<UndoIcon />} onClick={() => setRollbackOpen(true)}>
+            Roll Back Run
+          </Button>
+        )}
+      </Box>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        {run.runId} • {run.sourceSystem} • {formatRunDates(run.parameters)} • started {new Date(run.startedAt).toLocaleString()} by {run.operator} ({run.trigger}) • {formatDuration(run.durationMs)}
+      </Typography>
+
+      {run.error && (
+        <Alert severity="error" sx={{ mb: 2 }}>{run.error}</Alert>
+      )}
+
+      {run.gate && (
+        <Alert severity={run.gate.blocked ? 'error' : run.gate.override ? 'warning' : 'info'} sx={{ mb: 2 }}>
+          {run.gate.phase === 'dry_run' ? 'Go/No-Go dry run: ' : 'Live import after a Go/No-Go dry run: '}
+          {run.gate.blocked && `live import refused (${run.gate.reason}).`}
+          {!run.gate.blocked && run.gate.passed && 'the gates passed.'}
+          {run.gate.override && `the gates failed and ${run.gate.override.operator} overrode them: ${run.gate.override.reason}`}
+          {run.gate.phase === 'dry_run' && run.gate.liveRunId && (
+            <> <Link href={`/dashboard/imports/runs/${run.gate.liveRunId}`}>Open the live run</Link></>
+          )}
+          {run.gate.phase === 'live' && run.gate.gateRunId && (
+            <> <Link href={`/dashboard/imports/runs/${run.gate.gateRunId}`}>Open the dry run</Link></>
+          )}
+        </Alert>
+      )}
+
+      {run.rollback && (
+        <Alert severity={run.rollback.status === 'completed' ? 'success' : run.rollback.status === 'running' ? 'info' : 'warning'} sx={{ mb: 2 }}>
+          Rollback {run.rollback.status} by {run.rollback.operator} on {new Date(run.rollback.startedAt).toLocaleString()}:
+          {' '}{run.rollback.counters.deleted} deleted, {run.rollback.counters.restored} restored,
+          {' '}{run.rollback.counters.skipped} skipped, {run.rollback.counters.failed} failed.
+          {run.rollback.status === 'partial' && ' Roll back again to retry the failed events.'}
+        </Alert>
+      )}
+
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Grid container spacing={2}>
+          <Counter label="BTC Events" value={counters.btcEvents?.total} />
+          <Counter label="Created" value={counters.ttEvents?.created} />
+          <Counter label="Updated" value={counters.ttEvents?.updated} />
+          <Counter label="Unchanged" value={counters.ttEvents?.unchanged} />
+          <Counter label="Removed" value={counters.ttEvents?.removed} />
+          <Counter label="Failed" value={counters.ttEvents?.failed} />
+          <Counter label="Resolution Failures" value={counters.entityResolution?.failure} />
+          <Counter label="Invalid" value={counters.validation?.invalid} />
+          <Counter label="Days" value={run.daysTotal ? `${run.daysCompleted}/${run.daysTotal}` : null} />
+        </Grid>
+        {run.assessment?.recommendations?.length > 0 && (
+          <Box mt={2}>
+            {run.assessment.recommendations.map((recommendation, index) => (
+              <Typography key={index} variant="body2" color="warning.main">• {recommendation}</Typography>
+            ))}
+          </Box>
+        )}
+      </Paper>
+
+      <Tabs value={tab} onChange={(event, value) => setTab(value)} sx={{ mb: 2 }}>
+        <Tab label={`Days (${run.days.length})`} />
+        <Tab label={`Processed (${processed.length})`} />
+        <Tab label={`Failed (${failed.length})`} />
+        <Tab label={`Unmatched (${unmatched.length})`} />
+        {run.rollback && <Tab label={`Rollback (${run.rollback.events.length})`} />}
+      </Tabs>
+
+      <TableContainer component={Paper}>
+        <Table size="small">
+          {tab === 0 && (
+            <>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Date</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell align="right">BTC Events</TableCell>
+                  <TableCell align="right">Created</TableCell>
+                  <TableCell align="right">Updated</TableCell>
+                  <TableCell align="right">Unchanged</TableCell>
+                  <TableCell align="right">Removed</TableCell>
+                  <TableCell align="right">Failed</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {run.days.map(day => (
+                  <TableRow key={day.date}>
+                    <TableCell>{day.date}</TableCell>
+                    <TableCell>
+                      <Chip size="small" label={day.status} color={runStatusColors[day.status] || 'default'} />
+                      {day.error && <Typography variant="caption" color="error" display="block">{day.error}</Typography>}
+                    </TableCell>
+                    <TableCell align="right">{day.counters.btcEvents?.total}</TableCell>
+                    <TableCell align="right">{day.counters.ttEvents?.created}</TableCell>
+                    <TableCell align="right">{day.counters.ttEvents?.updated}</TableCell>
+                    <TableCell align="right">{day.counters.ttEvents?.unchanged}</TableCell>
+                    <TableCell align="right">{day.counters.ttEvents?.removed}</TableCell>
+                    <TableCell align="right">{day.counters.ttEvents?.failed}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </>
+          )}
+
+          {tab === 1 && (
+            <>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Date</TableCell>
+                  <TableCell>Title</TableCell>
+                  <TableCell>Action</TableCell>
+                  <TableCell>BTC ID</TableCell>
+                  <TableCell>TT ID</TableCell>
+                  <TableCell>Venue Match</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {processed.map((event, index) => (
+                  <TableRow key={`${event.date}-${event.btcId}-${index}`}>
+                    <TableCell>{event.date}</TableCell>
+                    <TableCell>{event.title}</TableCell>
+                    <TableCell>
+                      {event.action}
+                      {event.changedFields?.length > 0 && (
+                        <Typography variant="caption" color="text.secondary" display="block">
+                          {event.changedFields.join(', ')}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>{event.btcId}</TableCell>
+                    <TableCell>{event.ttId}</TableCell>
+                    <TableCell>
+                      {event.venueMatch
+                        ? `${event.venueMatch.matchType} (${Math.round(event.venueMatch.confidence * 100)}%)`
+                        : '—'}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </>
+          )}
+
+          {tab === 2 && (
+            <>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Date</TableCell>
+                  <TableCell>Title</TableCell>
+                  <TableCell>BTC ID</TableCell>
+                  <TableCell>Stage</TableCell>
+                  <TableCell>Errors</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {failed.map((event, index) => (
+                  <TableRow key={`${event.date}-${event.btcId}-${index}`}>
+                    <TableCell>{event.date}</TableCell>
+                    <TableCell>{event.title}</TableCell>
+                    <TableCell>{event.btcId}</TableCell>
+                    <TableCell>{event.stage}</TableCell>
+                    <TableCell>{(event.errors || [event.error]).filter(Boolean).join('; ')}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </>
+          )}
+
+          {tab === 3 && (
+            <>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Date</TableCell>
+                  <TableCell>Type</TableCell>
+                  <TableCell>Source Name</TableCell>
+                  <TableCell>Reason</TableCell>
+                  <TableCell>Event</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {unmatched.map((entity, index) => (
+                  <TableRow key={`${entity.date}-${entity.entityType}-${index}`}>
+                    <TableCell>{entity.date}</TableCell>
+                    <TableCell>{entity.entityType}</TableCell>
+                    <TableCell>{entity.sourceName}</TableCell>
+                    <TableCell>{entity.reason === 'fallback' ? 'Used placeholder' : 'Not found'}</TableCell>
+                    <TableCell>{entity.event?.title}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </>
+          )}
+
+          {tab === 4 && run.rollback && (
+            <>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Title</TableCell>
+                  <TableCell>TT ID</TableCell>
+                  <TableCell>Import Action</TableCell>
+                  <TableCell>Result</TableCell>
+                  <TableCell>Reason</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {run.rollback.events.map((event, index) => (
+                  <TableRow key={`${event.eventId}-${index}`}>
+                    <TableCell>{event.title}</TableCell>
+                    <TableCell>{event.eventId}</TableCell>
+                    <TableCell>{event.action}</TableCell>
+                    <TableCell>{event.result}</TableCell>
+                    <TableCell>{event.reason}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </>
+          )}
+        </Table>
+      </TableContainer>
+
+      <Dialog open={rollbackOpen} onClose={() => !rollingBack && setRollbackOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Roll Back Import Run</DialogTitle>
+        <DialogContent>
+          <DialogContentText paragraph>
+            This deletes the {changeCounts.created || 0} events the run created and restores
+            the {(changeCounts.updated || 0) + (changeCounts.removed || 0)} events it updated or deactivated
+            to their state before the run. Events changed again by a later import run are skipped.
+          </DialogContentText>
+          {rollbackError && (
+            <Alert severity="error" sx={{ mb: 2 }}>{rollbackError}</Alert>
+          )}
+          <TextField
+            label="Authentication Token"
+            value={authToken}
+            onChange={(event) => setAuthToken(event.target.value)}
+            fullWidth
+            required
+            type="password"
+            helperText="Firebase authentication token for the TT API"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRollbackOpen(false)} disabled={rollingBack}>Cancel</Button>
+          <Button
+            onClick={handleRollback}
+            color="error"
+            variant="contained"
+            disabled={rollingBack || !authToken}
+            startIcon={rollingBack ? <CircularProgress size={16} /> : <UndoIcon />}
+          >
+            Roll Back
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
@@ -0,0 +1,148 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  CircularProgress,
+  Paper,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem
+} from '@mui/material';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import { useRouter } from 'next/navigation';
+import axios from 'axios';
+import { useAppContext } from '@/lib/AppContext';
+import { runStatusColors, formatDuration, formatRunDates } from '@/features/imports/utils/runFormatters';
+
+export default function ImportRunsPage() {
+  const router = useRouter();
+  const { currentApp } = useAppContext();
+  const [runs, setRuns] = useState([]);
+  const [status, setStatus] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadRuns = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await axios.get('/api/imports/runs', {
+        params: { appId: currentApp.id, status: status || undefined }
+      });
+      setRuns(response.data.runs || []);
+    } catch (error) {
+      console.error('Error loading import runs:', error);
+      setError('Failed to load import runs: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setLoading(false);
+    }
+  }, [currentApp.id, status]);
+
+  useEffect(() => {
+    loadRuns();
+  }, [loadRuns]);
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>Import Runs</Typography>
+      <Typography variant="body1" paragraph>
+        Every import run with its parameters, operator, timing, counters and Go/No-Go assessment.
+        Select a run to see its processed, failed and unmatched events.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>
+      )}
+
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <InputLabel>Status</InputLabel>
+          <Select value={status} label="Status" onChange={(event) => setStatus(event.target.value)}>
+            <MenuItem value="">All</MenuItem>
+            {Object.keys(runStatusColors).map(value => (
+              <MenuItem key={value} value={value}>{value}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button startIcon={<RefreshIcon />} onClick={loadRuns} disabled={loading}>
+          Refresh
+        </Button>
+      </Box>
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" my={4}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <TableContainer component={Paper}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Started</TableCell>
+                <TableCell>Dates</TableCell>
+                <TableCell>Mode</TableCell>
+                <TableCell>Operator</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell align="right">Duration</TableCell>
+                <TableCell align="right">Created</TableCell>
+                <TableCell align="right">Updated</TableCell>
+                <TableCell align="right">Removed</TableCell>
+                <TableCell align="right">Failed</TableCell>
+                <TableCell>Assessment</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {runs.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={11} align="center">
+                    <Typography color="text.secondary" sx={{ py: 2 }}>No import runs recorded</Typography>
+                  </TableCell>
+                </TableRow>
+              ) : runs.map(run => (
+                <TableRow
+                  key={run.runId}
+                  hover
+                  sx={{ cursor: 'pointer' }}
+                  onClick={() => router.push(`/dashboard/imports/runs/${run.runId}`)}
+                >
+                  <TableCell>{new Date(run.startedAt).toLocaleString()}</TableCell>
+                  <TableCell>{formatRunDates(run.parameters)}</TableCell>
+                  <TableCell>
+                    <Chip size="small" label={run.parameters.dryRun ? 'Dry run' : 'Live'} variant={run.parameters.dryRun ? 'outlined' : 'filled'} />
+                  </TableCell>
+                  <TableCell>{run.operator} ({run.trigger})</TableCell>
+                  <TableCell>
+                    <Chip size="small" label={run.status} color={runStatusColors[run.status] || 'default'} />
+                  </TableCell>
+                  <TableCell align="right">{formatDuration(run.durationMs)}</TableCell>
+                  <TableCell align="right">{run.counters?.ttEvents?.created ?? '—'}</TableCell>
+                  <TableCell align="right">{run.counters?.ttEvents?.updated ?? '—'}</TableCell>
+                  <TableCell align="right">{run.counters?.ttEvents?.removed ?? '—'}</TableCell>
+                  <TableCell align="right">{run.counters?.ttEvents?.failed ?? '—'}</TableCell>
+                  <TableCell>
+                    {run.assessment ? (
+                      <Chip size="small" label={run.assessment.canProceed ? 'GO' : 'NO-GO'} color={run.assessment.canProceed ? 'success' : 'error'} />
+                    ) : '—'}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,299 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  CircularProgress,
+  Paper,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  IconButton,
+  Chip,
+  Switch,
+  FormControlLabel,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Link
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import axios from 'axios';
+import { useAppContext } from '@/lib/AppContext';
+import { runStatusColors } from '@/features/imports/utils/runFormatters';
+
+// Settings of a new schedule: the next 60 days, every night at 02:00
+const emptyForm = {
+  cron: '0 2 * * *',
+  windowStartDays: 0,
+  windowDays: 60,
+  dryRun: false,
+  enabled: true
+};
+
+export default function ImportSchedulesPage() {
+  const { currentApp } = useAppContext();
+  const [schedules, setSchedules] = useState([]);
+  const [scheduler, setScheduler] = useState(null);
+  const [lock, setLock] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [formError, setFormError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadSchedules = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await axios.get('/api/imports/schedules', { params: { appId: currentApp.id } });
+      setSchedules(response.data.schedules || []);
+      setScheduler(response.data.scheduler);
+      setLock(response.data.lock);
+    } catch (error) {
+      console.error('Error loading import schedules:', error);
+      setError('Failed to load import schedules: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setLoading(false);
+    }
+  }, [currentApp.id]);
+
+  useEffect(() => {
+    loadSchedules();
+  }, [loadSchedules]);
+
+  const openDialog = (schedule = null) => {
+    setEditingId(schedule?.id || null);
+    setForm(schedule ? {
+      cron: schedule.cron,
+      windowStartDays: schedule.windowStartDays,
+      windowDays: schedule.windowDays,
+      dryRun: schedule.dryRun,
+      enabled: schedule.enabled
+    } : emptyForm);
+    setFormError(null);
+    setDialogOpen(true);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setFormError(null);
+
+      if (editingId) {
+        await axios.put(`/api/imports/schedules/${editingId}`, form);
+      } else {
+        await axios.post('/api/imports/schedules', { ...form, appId: currentApp.id, sourceSystem: 'BTC' });
+      }
+
+      setDialogOpen(false);
+      await loadSchedules();
+    } catch (error) {
+      console.error('Error saving import schedule:', error);
+      setFormError(error.response?.data?.error || error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (schedule) => {
+    try {
+      await axios.put(`/api/imports/schedules/${schedule.id}`, { enabled: !schedule.enabled });
+      await loadSchedules();
+    } catch (error) {
+      console.error('Error updating import schedule:', error);
+      setError('Failed to update schedule: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    if (!window.confirm(`Delete the schedule "${schedule.cron}"?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/imports/schedules/${schedule.id}`);
+      await loadSchedules();
+    } catch (error) {
+      console.error('Error deleting import schedule:', error);
+      setError('Failed to delete schedule: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const updateForm = (field, value) => setForm(current => ({ ...current, [field]: value }));
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>Import Schedules</Typography>
+      <Typography variant="body1" paragraph>
+        Run BTC imports automatically for {currentApp.name}. Each schedule imports a rolling window of days
+        when its cron expression fires (server time). Only one import runs at a time; a schedule that fires
+        while another import is running is skipped until its next time.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>
+      )}
+
+      {scheduler && !scheduler.running && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          The import scheduler is not running on this server, so schedules will not fire.
+        </Alert>
+      )}
+
+      {lock && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          An import is running: {lock.owner} since {new Date(lock.acquiredAt).toLocaleString()}
+        </Alert>
+      )}
+
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={() => openDialog()}>
+          Add Schedule
+        </Button>
+        <Button startIcon={<RefreshIcon />} onClick={loadSchedules} disabled={loading}>
+          Refresh
+        </Button>
+      </Box>
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" my={4}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <TableContainer component={Paper}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Enabled</TableCell>
+                <TableCell>Cron</TableCell>
+                <TableCell>Window</TableCell>
+                <TableCell>Mode</TableCell>
+                <TableCell>Next Run</TableCell>
+                <TableCell>Last Run</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {schedules.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center">
+                    <Typography color="text.secondary" sx={{ py: 2 }}>No import schedules</Typography>
+                  </TableCell>
+                </TableRow>
+              ) : schedules.map(schedule => (
+                <TableRow key={schedule.id}>
+                  <TableCell>
+                    <Switch checked={schedule.enabled} onChange={() => handleToggle(schedule)} size="small" />
+                  </TableCell>
+                  <TableCell><code>{schedule.cron}</code></TableCell>
+                  <TableCell>
+                    {schedule.windowStartDays > 0 ? `From day ${schedule.windowStartDays}, ` : 'From today, '}
+                    {schedule.windowDays} days
+                  </TableCell>
+                  <TableCell>
+                    <Chip size="small" label={schedule.dryRun ? 'Dry run' : 'Live'} variant={schedule.dryRun ? 'outlined' : 'filled'} />
+                  </TableCell>
+                  <TableCell>{schedule.nextRunAt ? new Date(schedule.nextRunAt).toLocaleString() : '—'}</TableCell>
+                  <TableCell>
+                    {schedule.lastRun ? (
+                      <>
+                        <Chip
+                          size="small"
+                          label={schedule.lastRun.status}
+                          color={runStatusColors[schedule.lastRun.status] || 'default'}
+                          sx={{ mr: 1 }}
+                        />
+                        {schedule.lastRun.runId ? (
+                          <Link href={`/dashboard/imports/runs/${schedule.lastRun.runId}`}>
+                            {new Date(schedule.lastRun.startedAt).toLocaleString()}
+                          </Link>
+                        ) : new Date(schedule.lastRun.startedAt).toLocaleString()}
+                        {schedule.lastRun.error && (
+                          <Typography variant="caption" color="error" display="block">{schedule.lastRun.error}</Typography>
+                        )}
+                      </>
+                    ) : '—'}
+                  </TableCell>
+                  <TableCell align="right">
+                    <IconButton size="small" onClick={() => openDialog(schedule)} title="Edit">
+                      <EditIcon fontSize="small" />
+                    </IconButton>
+                    <IconButton size="small" onClick={() => handleDelete(schedule)} title="Delete">
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <Dialog open={dialogOpen} onClose={() => !saving && setDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editingId ? 'Edit Schedule' : 'Add Schedule'}</DialogTitle>
+        <DialogContent>
+          {formError && (
+            <Alert severity="error" sx={{ mb: 2 }}>{formError}</Alert>
+          )}
+          <TextField
+            label="Cron Expression"
+            value={form.cron}
+            onChange={(event) => updateForm('cron', event.target.value)}
+            fullWidth
+            margin="normal"
+            helperText="minute hour day-of-month month day-of-week, e.g. 0 2 * * * for nightly at 02:00, or @nightly, @daily, @weekly"
+          />
+          <Box display="flex" gap={2}>
+            <TextField
+              label="Start (days from today)"
+              type="number"
+              value={form.windowStartDays}
+              onChange={(event) => updateForm('windowStartDays', event.target.value)}
+              margin="normal"
+              fullWidth
+              inputProps={{ min: 0 }}
+            />
+            <TextField
+              label="Days to import"
+              type="number"
+              value={form.windowDays}
+              onChange={(event) => updateForm('windowDays', event.target.value)}
+              margin="normal"
+              fullWidth
+              inputProps={{ min: 1, max: 366 }}
+            />
+          </Box>
+          <FormControlLabel
+            control={<Switch checked={form.dryRun} onChange={(event) => updateForm('dryRun', event.target.checked)} />}
+            label="Dry run (report only, no changes)"
+          />
+          <FormControlLabel
+            control={<Switch checked={form.enabled} onChange={(event) => updateForm('enabled', event.target.checked)} />}
+            label="Enabled"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)} disabled={saving}>Cancel</Button>
+          <Button onClick={handleSave} variant="contained" disabled={saving || !form.cron}>
+            {saving ? <CircularProgress size={20} /> : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
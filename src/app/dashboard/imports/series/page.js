@@ -0,0 +1,296 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  CircularProgress,
+  Paper,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField
+} from '@mui/material';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import EditIcon from '@mui/icons-material/Edit';
+import EventBusyIcon from '@mui/icons-material/EventBusy';
+import EventAvailableIcon from '@mui/icons-material/EventAvailable';
+import axios from 'axios';
+import { useAppContext } from '@/lib/AppContext';
+
+// Fields an admin can set for every event of a series
+const OVERRIDE_FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'description', label: 'Description', multiline: true },
+  { key: 'cost', label: 'Cost' }
+];
+
+export default function EventSeriesPage() {
+  const { currentApp } = useAppContext();
+  const [series, setSeries] = useState([]);
+  const [status, setStatus] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  // Series being edited ('edit'), canceled ('cancel') or resumed ('resume')
+  const [selected, setSelected] = useState(null);
+  const [mode, setMode] = useState(null);
+  const [overrides, setOverrides] = useState({});
+  const [reason, setReason] = useState('');
+  const [authToken, setAuthToken] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  const loadSeries = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await axios.get('/api/imports/series', {
+        params: { appId: currentApp.id, status: status || undefined }
+      });
+      setSeries(response.data.series || []);
+    } catch (error) {
+      console.error('Error loading event series:', error);
+      setError('Failed to load event series: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setLoading(false);
+    }
+  }, [currentApp.id, status]);
+
+  useEffect(() => {
+    loadSeries();
+  }, [loadSeries]);
+
+  const openDialog = (item, nextMode) => {
+    setSelected(item);
+    setMode(nextMode);
+    setOverrides(Object.fromEntries(OVERRIDE_FIELDS.map(({ key }) => [key, item.overrides?.[key] || ''])));
+    setReason('');
+    setSaveError(null);
+  };
+
+  const closeDialog = () => {
+    if (!saving) {
+      setSelected(null);
+      setMode(null);
+    }
+  };
+
+  // Save the change with the series and apply it to every event of the series in TT
+  const handleSave = async () => {
+    const changes = mode === 'edit'
+      ? { overrides }
+      : { status: mode === 'cancel' ? 'canceled' : 'active', reason: reason.trim() || null };
+
+    try {
+      setSaving(true);
+      setSaveError(null);
+
+      const response = await axios.put(`/api/imports/series/${selected.seriesId}`, changes, {
+        headers: { Authorization: `Bearer ${authToken}` }
+      });
+
+      const { counters } = response.data;
+      setSuccess(`${selected.title}: ${counters.updated} events updated, ${counters.skipped} unchanged, ${counters.failed} failed.`);
+      setSelected(null);
+      setMode(null);
+      await loadSeries();
+    } catch (error) {
+      console.error('Error updating event series:', error);
+      setSaveError(error.response?.data?.error || error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>Recurring Series</Typography>
+      <Typography variant="body1" paragraph>
+        Events that imports found repeating with the same title, venue, organizer, weekday and time. Edits and
+        cancellations apply to every event of the series in TangoTiempo and are kept by later imports, including
+        for new events of the series.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess(null)}>{success}</Alert>
+      )}
+
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <InputLabel>Status</InputLabel>
+          <Select value={status} label="Status" onChange={(event) => setStatus(event.target.value)}>
+            <MenuItem value="">All</MenuItem>
+            <MenuItem value="active">active</MenuItem>
+            <MenuItem value="canceled">canceled</MenuItem>
+          </Select>
+        </FormControl>
+        <Button startIcon={<RefreshIcon />} onClick={loadSeries} disabled={loading}>
+          Refresh
+        </Button>
+      </Box>
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" my={4}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <TableContainer component={Paper}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Title</TableCell>
+                <TableCell>Source</TableCell>
+                <TableCell>Recurrence</TableCell>
+                <TableCell>Organizer</TableCell>
+                <TableCell align="right">Events</TableCell>
+                <TableCell>Dates</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {series.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={8} align="center">
+                    <Typography color="text.secondary" sx={{ py: 2 }}>No recurring series found yet</Typography>
+                  </TableCell>
+                </TableRow>
+              ) : series.map(item => (
+                <TableRow key={item.seriesId}>
+                  <TableCell>
+                    {item.overrides?.title || item.title}
+                    {Object.keys(item.overrides || {}).length > 0 && (
+                      <Chip size="small" label="edited" variant="outlined" sx={{ ml: 1 }} />
+                    )}
+                  </TableCell>
+                  <TableCell>{item.sourceSystem}</TableCell>
+                  <TableCell>
+                    {item.recurrenceText}
+                    <Typography variant="caption" color="text.secondary" display="block">
+                      {item.rrule}{item.timeZone && ` • ${item.timeZone}`}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>{item.ownerOrganizerName || '—'}</TableCell>
+                  <TableCell align="right">{item.occurrences.length}</TableCell>
+                  <TableCell>{item.firstDate} to {item.lastDate}</TableCell>
+                  <TableCell>
+                    <Chip
+                      size="small"
+                      label={item.status}
+                      color={item.status === 'canceled' ? 'error' : 'success'}
+                      title={item.status === 'canceled' ? `By ${item.canceledBy}${item.cancelReason ? `: ${item.cancelReason}` : ''}` : undefined}
+                    />
+                  </TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    <Button size="small" startIcon={<EditIcon />} onClick={() => openDialog(item, 'edit')}>
+                      Edit
+                    </Button>
+                    {item.status === 'canceled' ? (
+                      <Button size="small" startIcon={<EventAvailableIcon />} onClick={() => openDialog(item, 'resume')}>
+                        Resume
+                      </Button>
+                    ) : (
+                      <Button size="small" color="error" startIcon={<EventBusyIcon />} onClick={() => openDialog(item, 'cancel')}>
+                        Cancel
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <Dialog open={Boolean(selected)} onClose={closeDialog} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          {mode === 'edit' && 'Edit Series'}
+          {mode === 'cancel' && 'Cancel Series'}
+          {mode === 'resume' && 'Resume Series'}
+        </DialogTitle>
+        {selected && (
+          <DialogContent>
+            <DialogContentText paragraph>
+              {mode === 'edit' && `Values set here replace the source values on all ${selected.occurrences.length} events of "${selected.title}". Leave a field empty to use the source value.`}
+              {mode === 'cancel' && `Marks the events of "${selected.title}" from now on as canceled, including events imports add to the series later.`}
+              {mode === 'resume' && `Marks the events of "${selected.title}" canceled on ${new Date(selected.canceledFrom).toLocaleString()} as taking place again.`}
+            </DialogContentText>
+
+            {saveError && (
+              <Alert severity="error" sx={{ mb: 2 }}>{saveError}</Alert>
+            )}
+
+            {mode === 'edit' && OVERRIDE_FIELDS.map(({ key, label, multiline }) => (
+              <TextField
+                key={key}
+                label={label}
+                value={overrides[key] || ''}
+                onChange={(event) => setOverrides(prev => ({ ...prev, [key]: event.target.value }))}
+                placeholder={key === 'title' ? selected.title : 'Source value'}
+                fullWidth
+                multiline={multiline}
+                minRows={multiline ? 3 : undefined}
+                sx={{ mb: 2 }}
+              />
+            ))}
+
+            {mode === 'cancel' && (
+              <TextField
+                label="Reason"
+                value={reason}
+                onChange={(event) => setReason(event.target.value)}
+                fullWidth
+                sx={{ mb: 2 }}
+              />
+            )}
+
+            <TextField
+              label="Authentication Token"
+              value={authToken}
+              onChange={(event) => setAuthToken(event.target.value)}
+              fullWidth
+              required
+              type="password"
+              helperText="Firebase authentication token for the TT API"
+            />
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={closeDialog} disabled={saving}>Close</Button>
+          <Button
+            onClick={handleSave}
+            variant="contained"
+            color={mode === 'cancel' ? 'error' : 'primary'}
+            disabled={saving || !authToken}
+            startIcon={saving ? <CircularProgress size={16} /> : null}
+          >
+            {mode === 'edit' && 'Save for All Events'}
+            {mode === 'cancel' && 'Cancel Series'}
+            {mode === 'resume' && 'Resume Series'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
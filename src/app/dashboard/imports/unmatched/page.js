@@ -0,0 +1,490 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  CircularProgress,
+  Paper,
+  Alert,
+  Tabs,
+  Tab,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Autocomplete,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Grid,
+  List,
+  ListItem,
+  ListItemText,
+  Link
+} from '@mui/material';
+import LinkIcon from '@mui/icons-material/Link';
+import AddIcon from '@mui/icons-material/Add';
+import BlockIcon from '@mui/icons-material/Block';
+import ReplayIcon from '@mui/icons-material/Replay';
+import axios from 'axios';
+import { useAppContext } from '@/lib/AppContext';
+import { organizersApi } from '@/lib/api-client';
+
+const entityTypes = [
+  { value: 'venue', label: 'Venues' },
+  { value: 'organizer', label: 'Organizers' },
+  { value: 'category', label: 'Categories' }
+];
+
+const statusColors = {
+  open: 'warning',
+  mapped: 'success',
+  created: 'success',
+  ignored: 'default'
+};
+
+const fieldLabels = {
+  name: 'Name',
+  fullName: 'Full Name',
+  shortName: 'Short Name',
+  address1: 'Address',
+  city: 'City',
+  state: 'State',
+  zip: 'Zip',
+  phone: 'Phone',
+  email: 'Email',
+  url: 'Website',
+  latitude: 'Latitude',
+  longitude: 'Longitude',
+  description: 'Description'
+};
+
+/**
+ * Builds the pre-filled form for a new TT entity from the stored source data.
+ * Entries queued before source adapters existed hold the raw BTC fields instead of the normalized ones.
+ * @param {Object} entry - Unmatched queue entry
+ * @returns {Object} Form values
+ */
+const buildCreateForm = (entry) => {
+  const source = entry.sourceData || {};
+
+  if (entry.entityType === 'venue') {
+    return {
+      name: source.name || source.venue || entry.sourceName,
+      address1: source.address || '',
+      city: source.city || '',
+      state: source.state || source.province || '',
+      zip: source.zip || '',
+      phone: source.phone || '',
+      latitude: source.latitude ?? source.geo_lat ?? '',
+      longitude: source.longitude ?? source.geo_lng ?? ''
+    };
+  }
+
+  const shortNameSource = source.slug || entry.sourceName;
+  return {
+    fullName: source.name || source.organizer || entry.sourceName,
+    shortName: shortNameSource.replace(/\s+/g, '').replace(/-/g, '').toUpperCase().substring(0, 10),
+    email: source.email || '',
+    phone: source.phone || '',
+    url: source.website || '',
+    description: source.description || ''
+  };
+};
+
+export default function UnmatchedEntitiesPage() {
+  const { currentApp } = useAppContext();
+  const [entityType, setEntityType] = useState('venue');
+  const [status, setStatus] = useState('open');
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [ttOptions, setTtOptions] = useState([]);
+  const [mapEntry, setMapEntry] = useState(null);
+  const [mapSelection, setMapSelection] = useState(null);
+  const [createEntry, setCreateEntry] = useState(null);
+  const [createForm, setCreateForm] = useState({});
+  const [eventsEntry, setEventsEntry] = useState(null);
+
+  const loadEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await axios.get('/api/imports/unmatched', {
+        params: { appId: currentApp.id, entityType, status }
+      });
+      setEntries(response.data.entries || []);
+    } catch (error) {
+      console.error('Error loading unmatched entities:', error);
+      setError('Failed to load unmatched entities: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setLoading(false);
+    }
+  }, [currentApp.id, entityType, status]);
+
+  // Load the TT entities a source name can be mapped to
+  const loadTtOptions = useCallback(async () => {
+    try {
+      let options = [];
+
+      if (entityType === 'venue') {
+        const response = await axios.get('/api/venues', {
+          params: { appId: currentApp.id, limit: 1000 }
+        });
+        options = (response.data?.data || []).map(venue => ({
+          id: venue._id,
+          label: venue.city ? `${venue.name} (${venue.city})` : venue.name,
+          name: venue.name
+        }));
+      } else if (entityType === 'organizer') {
+        const organizers = await organizersApi.getOrganizers(currentApp.id);
+        options = (organizers || []).map(organizer => ({
+          id: organizer._id,
+          label: organizer.fullName || organizer.name,
+          name: organizer.fullName || organizer.name
+        }));
+      } else {
+        const response = await axios.get('/api/categories', { params: { appId: currentApp.id } });
+        const categories = Array.isArray(response.data)
+          ? response.data
+          : response.data?.categories || response.data?.data || [];
+        options = categories.map(category => ({
+          id: category._id,
+          label: category.categoryName,
+          name: category.categoryName
+        }));
+      }
+
+      setTtOptions(options);
+    } catch (error) {
+      console.error('Error loading TT entities:', error);
+      setTtOptions([]);
+    }
+  }, [currentApp.id, entityType]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  useEffect(() => {
+    loadTtOptions();
+  }, [loadTtOptions]);
+
+  const resolveEntry = async (entry, action, ttId, ttName) => {
+    await axios.post(`/api/imports/unmatched/${entry.id}`, { action, ttId, ttName });
+    await loadEntries();
+  };
+
+  const handleIgnore = async (entry) => {
+    if (!confirm(`Ignore "${entry.sourceName}" permanently? It will no longer appear in this queue.`)) {
+      return;
+    }
+
+    try {
+      await resolveEntry(entry, 'ignore');
+    } catch (error) {
+      setError('Failed to ignore entity: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleReopen = async (entry) => {
+    try {
+      await resolveEntry(entry, 'reopen');
+    } catch (error) {
+      setError('Failed to reopen entity: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleMapSave = async () => {
+    try {
+      setSaving(true);
+      await resolveEntry(mapEntry, 'map', mapSelection.id, mapSelection.name);
+      setMapEntry(null);
+      setMapSelection(null);
+    } catch (error) {
+      setError('Failed to map entity: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Creates a venue the same way the BTC venue import does, without default coordinates
+  const createVenue = async () => {
+    const venue = {
+      ...createForm,
+      appId: currentApp.id,
+      isActive: true
+    };
+
+    if (createForm.latitude && createForm.longitude) {
+      venue.latitude = parseFloat(createForm.latitude);
+      venue.longitude = parseFloat(createForm.longitude);
+      venue.geolocation = {
+        type: 'Point',
+        coordinates: [venue.longitude, venue.latitude]
+      };
+
+      const cityResponse = await axios.get('/api/venues/nearest-city', {
+        params: {
+          longitude: venue.longitude,
+          latitude: venue.latitude,
+          appId: currentApp.id,
+          limit: 1
+        }
+      });
+
+      if (cityResponse.data && cityResponse.data.length > 0) {
+        const nearestCity = cityResponse.data[0];
+        venue.masteredCityId = nearestCity._id;
+        venue.masteredDivisionId = nearestCity.masteredDivisionId?._id || '';
+        venue.masteredRegionId = nearestCity.masteredDivisionId?.masteredRegionId?._id || '';
+        venue.masteredCountryId = nearestCity.masteredDivisionId?.masteredRegionId?.masteredCountryId?._id || '';
+      }
+    }
+
+    const response = await axios.post('/api/venues', venue);
+    return response.data?._id || response.data?.data?._id || response.data?.venue?._id;
+  };
+
+  const createOrganizer = async () => {
+    const created = await organizersApi.createOrganizer({
+      appId: currentApp.id,
+      fullName: createForm.fullName,
+      name: createForm.fullName,
+      shortName: createForm.shortName,
+      description: createForm.description,
+      publicContactInfo: {
+        phone: createForm.phone,
+        email: createForm.email,
+        url: createForm.url
+      },
+      isActive: true,
+      isEnabled: true,
+      isRendered: true,
+      wantRender: true,
+      isActiveAsOrganizer: false,
+      organizerTypes: {
+        isEventOrganizer: true,
+        isTeacher: false,
+        isDJ: false,
+        isOrchestra: false
+      }
+    });
+    return created?._id || created?.organizer?._id || created?.data?._id;
+  };
+
+  const handleCreateSave = async () => {
+    try {
+      setSaving(true);
+
+      const ttId = createEntry.entityType === 'venue' ? await createVenue() : await createOrganizer();
+      if (!ttId) {
+        throw new Error('The created entity did not return an ID');
+      }
+
+      await resolveEntry(createEntry, 'create', ttId, createForm.name || createForm.fullName);
+      setCreateEntry(null);
+      await loadTtOptions();
+    } catch (error) {
+      console.error('Error creating entity:', error);
+      setError('Failed to create entity: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openCreateDialog = (entry) => {
+    setCreateForm(buildCreateForm(entry));
+    setCreateEntry(entry);
+  };
+
+  const handleCreateFormChange = (event) => {
+    const { name, value } = event.target;
+    setCreateForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>Unmatched Entities</Typography>
+      <Typography variant="body1" paragraph>
+        Venues, organizers and categories that imports could not match, collected across runs.
+        Map a name to an existing entity or create a new one and later imports will use it directly.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>
+      )}
+
+      <Box display="flex" alignItems="center" justifyContent="space-between" mb={2}>
+        <Tabs value={entityType} onChange={(event, value) => setEntityType(value)}>
+          {entityTypes.map(type => (
+            <Tab key={type.value} value={type.value} label={type.label} />
+          ))}
+        </Tabs>
+
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <InputLabel>Status</InputLabel>
+          <Select value={status} label="Status" onChange={(event) => setStatus(event.target.value)}>
+            <MenuItem value="open">Open</MenuItem>
+            <MenuItem value="mapped">Mapped</MenuItem>
+            <MenuItem value="created">Created</MenuItem>
+            <MenuItem value="ignored">Ignored</MenuItem>
+            <MenuItem value="all">All</MenuItem>
+          </Select>
+        </FormControl>
+      </Box>
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" my={4}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <TableContainer component={Paper}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Source Name</TableCell>
+                <TableCell>Reason</TableCell>
+                <TableCell align="right">Events</TableCell>
+                <TableCell>Last Seen</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {entries.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={6} align="center">
+                    <Typography color="text.secondary" sx={{ py: 2 }}>No unmatched entities</Typography>
+                  </TableCell>
+                </TableRow>
+              ) : entries.map(entry => (
+                <TableRow key={entry.id} hover>
+                  <TableCell>
+                    <Typography variant="body2">{entry.sourceName}</Typography>
+                    <Typography variant="caption" color="text.secondary">{entry.sourceSystem}</Typography>
+                  </TableCell>
+                  <TableCell>{entry.reason === 'fallback' ? 'Used placeholder' : 'Not found'}</TableCell>
+                  <TableCell align="right">
+                    <Link component="button" variant="body2" onClick={() => setEventsEntry(entry)}>
+                      {entry.occurrences}
+                    </Link>
+                  </TableCell>
+                  <TableCell>{new Date(entry.lastSeen).toLocaleString()}</TableCell>
+                  <TableCell>
+                    <Chip
+                      size="small"
+                      label={entry.ttName ? `${entry.status}: ${entry.ttName}` : entry.status}
+                      color={statusColors[entry.status] || 'default'}
+                    />
+                  </TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    {entry.status === 'open' ? (
+                      <>
+                        <Button size="small" startIcon={<LinkIcon />} onClick={() => setMapEntry(entry)}>
+                          Map
+                        </Button>
+                        {entry.entityType !== 'category' && (
+                          <Button size="small" startIcon={<AddIcon />} onClick={() => openCreateDialog(entry)}>
+                            Create
+                          </Button>
+                        )}
+                        <Button size="small" color="inherit" startIcon={<BlockIcon />} onClick={() => handleIgnore(entry)}>
+                          Ignore
+                        </Button>
+                      </>
+                    ) : (
+                      <Button size="small" startIcon={<ReplayIcon />} onClick={() => handleReopen(entry)}>
+                        Reopen
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {/* Map to an existing entity */}
+      <Dialog open={Boolean(mapEntry)} onClose={() => setMapEntry(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Map &quot;{mapEntry?.sourceName}&quot;</DialogTitle>
+        <DialogContent>
+          <Autocomplete
+            options={ttOptions}
+            value={mapSelection}
+            onChange={(event, value) => setMapSelection(value)}
+            isOptionEqualToValue={(option, value) => option.id === value.id}
+            renderInput={(params) => (
+              <TextField {...params} label={`Existing ${mapEntry?.entityType || 'entity'}`} margin="normal" autoFocus />
+            )}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setMapEntry(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleMapSave} disabled={!mapSelection || saving}>
+            {saving ? <CircularProgress size={20} /> : 'Map'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Create a new entity pre-filled from the source data */}
+      <Dialog open={Boolean(createEntry)} onClose={() => setCreateEntry(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Create {createEntry?.entityType} from &quot;{createEntry?.sourceName}&quot;</DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2} sx={{ mt: 0 }}>
+            {Object.keys(createForm).map(field => (
+              <Grid item xs={12} sm={['name', 'fullName', 'address1', 'description'].includes(field) ? 12 : 6} key={field}>
+                <TextField
+                  fullWidth
+                  name={field}
+                  label={fieldLabels[field] || field}
+                  value={createForm[field]}
+                  onChange={handleCreateFormChange}
+                  multiline={field === 'description'}
+                  minRows={field === 'description' ? 3 : undefined}
+                />
+              </Grid>
+            ))}
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCreateEntry(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleCreateSave} disabled={saving}>
+            {saving ? <CircularProgress size={20} /> : 'Create and Map'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Events affected by an entity */}
+      <Dialog open={Boolean(eventsEntry)} onClose={() => setEventsEntry(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Events using &quot;{eventsEntry?.sourceName}&quot;</DialogTitle>
+        <DialogContent dividers>
+          <List dense>
+            {(eventsEntry?.events || []).map(event => (
+              <ListItem key={event.id}>
+                <ListItemText primary={event.title} secondary={`${event.date} • ${eventsEntry.sourceSystem} event ${event.id}`} />
+              </ListItem>
+            ))}
+          </List>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEventsEntry(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
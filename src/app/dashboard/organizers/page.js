@@ -17,7 +17,11 @@ import {
   DialogTitle,
   DialogContent,
   DialogActions,
+  FormControl,
   FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
   Checkbox,
   Alert,
   LinearProgress,
@@ -35,11 +39,15 @@ import EditIcon from '@mui/icons-material/Edit';
 import AddIcon from '@mui/icons-material/Add';
 import LinkIcon from '@mui/icons-material/Link';
 import DeleteIcon from '@mui/icons-material/Delete';
+import CheckIcon from '@mui/icons-material/Check';
+import MergeTypeIcon from '@mui/icons-material/MergeType';
 import { organizersApi, usersApi } from '@/lib/api-client';
 import OrganizerEditForm from '@/components/organizers/OrganizerEditForm';
 import OrganizerCreateForm from '@/components/organizers/OrganizerCreateForm';
 import OrganizerConnectUserForm from '@/components/organizers/OrganizerConnectUserForm';
 import { useAppContext } from '@/lib/AppContext';
+import CategoryMappingNotice from '@/components/common/CategoryMappingNotice';
+import { sanitizeDescription } from '../../../../description-sanitizer.js';
 
 // Tab panel component
 function TabPanel(props) {
@@ -79,7 +87,19 @@ export default function OrganizersPage() {
   const [selectedOrganizers, setSelectedOrganizers] = useState({});
   const [importProgress, setImportProgress] = useState(0);
   const [importResults, setImportResults] = useState({ success: 0, error: 0, skipped: 0 });
-  const [fetchingBTCOrganizers, setFetchingBTCOrganizers] = useState(false);
+  const [fetchingSourceOrganizers, setFetchingSourceOrganizers] = useState(false);
+  const [importSources, setImportSources] = useState([]);
+  const [importSource, setImportSource] = useState('BTC');
+  
+  // Approval queue of organizers that imports created, unapproved, for unknown source organizers
+  const [provisionalOrganizers, setProvisionalOrganizers] = useState([]);
+  const [organizersVersion, setOrganizersVersion] = useState(0);
+  const [queueAction, setQueueAction] = useState(null); // { entry, action: 'approve'|'merge' }
+  const [mergeTargetId, setMergeTargetId] = useState('');
+  const [queueAuthToken, setQueueAuthToken] = useState('');
+  const [queueSaving, setQueueSaving] = useState(false);
+  const [queueError, setQueueError] = useState(null);
+  const [queueMessage, setQueueMessage] = useState(null);
 
   // Fetch organizers when tab or app changes
   useEffect(() => {
@@ -126,7 +146,23 @@ export default function OrganizersPage() {
     };
 
     fetchOrganizers();
-  }, [currentApp.id, tabValue]);
+  }, [currentApp.id, tabValue, organizersVersion]);
+
+  // Provisional organizers waiting for approval
+  useEffect(() => {
+    axios.get('/api/imports/provisional-organizers', { params: { appId: currentApp.id, status: 'pending' } })
+      .then(response => setProvisionalOrganizers(response.data.organizers || []))
+      .catch(error => console.error('Error loading provisional organizers:', error));
+  }, [currentApp.id, organizersVersion]);
+
+  // Event sources that can provide organizers for the import dialog
+  useEffect(() => {
+    axios.get('/api/imports/sources')
+      .then(response => setImportSources((response.data.sources || []).filter(source => source.organizers)))
+      .catch(error => console.error('Error loading event sources:', error));
+  }, []);
+
+  const importSourceName = importSources.find(source => source.sourceSystem === importSource)?.name || importSource;
 
   // Handle tab change
   const handleTabChange = (event, newValue) => {
@@ -266,6 +302,54 @@ export default function OrganizersPage() {
     }
   };
 
+  // Open the approve or merge dialog for a provisional organizer
+  const openQueueAction = (entry, action) => {
+    setQueueAction({ entry, action });
+    setMergeTargetId('');
+    setQueueError(null);
+  };
+
+  const closeQueueAction = () => {
+    if (!queueSaving) {
+      setQueueAction(null);
+    }
+  };
+
+  // Approve the provisional organizer as it is, or move its events to an existing organizer and delete it
+  const handleQueueAction = async () => {
+    const { entry, action } = queueAction;
+    const target = organizers.find(organizer => organizer._id === mergeTargetId);
+
+    try {
+      setQueueSaving(true);
+      setQueueError(null);
+
+      const response = await axios.post(`/api/imports/provisional-organizers/${entry.id}`, {
+        action,
+        ttId: target?._id,
+        ttName: target?.displayName
+      }, {
+        headers: { Authorization: `Bearer ${queueAuthToken}` }
+      });
+
+      if (action === 'approve') {
+        setQueueMessage(`Approved ${entry.ttName}.`);
+      } else {
+        const { counters } = response.data;
+        setQueueMessage(counters.failed > 0
+          ? `${entry.ttName}: ${counters.failed} events could not be moved, so it was not merged. Try again.`
+          : `Merged ${entry.ttName} into ${target.displayName}: ${counters.moved} events moved.`);
+      }
+      setQueueAction(null);
+      setOrganizersVersion(version => version + 1);
+    } catch (error) {
+      console.error('Error resolving provisional organizer:', error);
+      setQueueError(error.response?.data?.error || error.message);
+    } finally {
+      setQueueSaving(false);
+    }
+  };
+
   // Handle create organizer button click
   const handleCreateOrganizer = () => {
     setCreatingOrganizer(true);
@@ -290,12 +374,13 @@ export default function OrganizersPage() {
     setConnectingOrganizer(null);
   };
   
-  // Handle import organizers from BTC
-  const handleImportOrganizers = async () => {
+  // Handle import organizers from an event source
+  const handleImportOrganizers = async (sourceSystem = importSource) => {
     try {
+      setImportSource(sourceSystem);
       setImportDialogOpen(true);
       setImportStatus('loading');
-      setFetchingBTCOrganizers(true);
+      setFetchingSourceOrganizers(true);
       setImportedOrganizers([]);
       setSelectedOrganizers({});
       
@@ -305,45 +390,13 @@ export default function OrganizersPage() {
       const existingOrganizers = existingOrganizersResponse || [];
       console.log(`Found ${existingOrganizers.length} existing organizers for comparison`);
       
-      // Fetch all pages from BTC WordPress API using pagination
-      let allOrganizers = [];
-      let currentPage = 1;
-      let totalPages = 1;
+      // The source adapter pages through the source and normalizes its organizers
+      const response = await axios.get(`/api/imports/sources/${sourceSystem}/organizers`);
+      const allOrganizers = response.data.organizers || [];
       
-      do {
-        console.log(`Fetching BTC organizers page ${currentPage}...`);
-        const response = await axios.get(`https://bostontangocalendar.com/wp-json/tribe/events/v1/organizers`, {
-          params: {
-            page: currentPage
-          }
-        });
-        
-        // Get total pages from headers or response
-        if (currentPage === 1) {
-          // Try to get from X-WP-TotalPages header
-          const totalPagesHeader = response.headers['x-wp-totalpages'] || response.headers['X-WP-TotalPages'];
-          if (totalPagesHeader) {
-            totalPages = parseInt(totalPagesHeader, 10);
-          } else if (response.data && response.data.total_pages) {
-            // Fallback to response data
-            totalPages = response.data.total_pages;
-          }
-          console.log(`Total pages of organizers: ${totalPages}`);
-        }
-        
-        if (response.data && response.data.organizers) {
-          allOrganizers = [...allOrganizers, ...response.data.organizers];
-          console.log(`Fetched ${response.data.organizers.length} organizers from page ${currentPage}`);
-        } else {
-          throw new Error(`Invalid response format from BTC API on page ${currentPage}`);
-        }
-        
-        currentPage++;
-      } while (currentPage <= totalPages);
-      
-      console.log(`Fetched a total of ${allOrganizers.length} organizers from BTC API`);
+      console.log(`Fetched a total of ${allOrganizers.length} organizers from ${sourceSystem}`);
       
-      // Transform the WordPress organizer format to our application format
+      // Transform the source organizer format to our application format
       const transformedOrganizers = allOrganizers.map(organizer => {
         // Check if the organizer object is valid
         if (!organizer || typeof organizer !== 'object') {
@@ -353,7 +406,7 @@ export default function OrganizersPage() {
         
         // Determine if this organizer already exists in our system (check by fullName field)
         const isDuplicate = existingOrganizers.some(existingOrganizer => 
-          existingOrganizer.fullName?.toLowerCase() === organizer.organizer?.toLowerCase()
+          existingOrganizer.fullName?.toLowerCase() === organizer.name?.toLowerCase()
         );
         
         // Format shortName from organizer name (slug)
@@ -361,21 +414,21 @@ export default function OrganizersPage() {
         try {
           shortName = organizer.slug ? 
             organizer.slug.replace(/\s+/g, '').replace(/-/g, '').toUpperCase().substring(0, 10) : 
-            organizer.organizer ? organizer.organizer.replace(/\s+/g, '').toUpperCase().substring(0, 10) : '';
+            organizer.name ? organizer.name.replace(/\s+/g, '').toUpperCase().substring(0, 10) : '';
         } catch (err) {
           console.error('Error formatting shortName:', err);
-          shortName = organizer.id?.toString().substring(0, 10) || 'UNKNOWN';
+          shortName = organizer.sourceId?.substring(0, 10) || 'UNKNOWN';
         }
         
         // Create an organizer object in our application's format
         return {
-          id: organizer.id,
-          originalId: organizer.id,
-          fullName: organizer.organizer || '',
-          name: organizer.organizer || '',
+          id: organizer.sourceId,
+          originalId: organizer.sourceId,
+          fullName: organizer.name || '',
+          name: organizer.name || '',
           shortName: shortName,
-          description: organizer.description || '',
-          btcNiceName: organizer.id?.toString() || '',
+          description: sanitizeDescription(organizer.description).description,
+          btcNiceName: sourceSystem === 'BTC' ? organizer.sourceId : '',
           // Contact info
           publicContactInfo: {
             phone: organizer.phone || '',
@@ -397,13 +450,13 @@ export default function OrganizersPage() {
             isOrchestra: false
           },
           // Images
-          images: organizer.image && organizer.image.url ? {
-            originalUrl: organizer.image.url
+          images: organizer.imageUrl ? {
+            originalUrl: organizer.imageUrl
           } : {},
           // Set updated date
           updatedAt: new Date().toISOString(),
           isDuplicate, // Flag to indicate if this organizer already exists
-          // Original WordPress data for reference
+          // Normalized source data for reference
           original: organizer
         };
       }).filter(Boolean); // Remove any null entries
@@ -418,11 +471,11 @@ export default function OrganizersPage() {
       setSelectedOrganizers(initialSelected);
       setImportStatus('ready');
     } catch (error) {
-      console.error('Error fetching BTC organizers:', error);
+      console.error(`Error fetching ${sourceSystem} organizers:`, error);
       setImportStatus('error');
-      alert(`Failed to fetch organizers from BTC: ${error.message}`);
+      alert(`Failed to fetch organizers from ${sourceSystem}: ${error.response?.data?.error || error.message}`);
     } finally {
-      setFetchingBTCOrganizers(false);
+      setFetchingSourceOrganizers(false);
     }
   };
   
@@ -792,7 +845,7 @@ export default function OrganizersPage() {
             color="secondary" 
             onClick={() => handleImportOrganizers()}
           >
-            Import from BTC
+            Import from {importSourceName}
           </Button>
           <Button 
             variant="contained" 
@@ -805,6 +858,60 @@ export default function OrganizersPage() {
         </Box>
       </Box>
       
+      {queueMessage && (
+        <Alert severity="info" sx={{ mb: 2 }} onClose={() => setQueueMessage(null)}>{queueMessage}</Alert>
+      )}
+      
+      {provisionalOrganizers.length > 0 && (
+        <Paper sx={{ p: 2, mb: 3 }}>
+          <Typography variant="h6">Approval Queue</Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Imports created these organizers for source organizers that matched no organizer. Approve them, or
+            merge them into an existing organizer to move their events there.
+          </Typography>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Organizer</TableCell>
+                  <TableCell>Source</TableCell>
+                  <TableCell>Contact</TableCell>
+                  <TableCell align="right">Events</TableCell>
+                  <TableCell>Created</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {provisionalOrganizers.map(entry => (
+                  <TableRow key={entry.id}>
+                    <TableCell>{entry.ttName}</TableCell>
+                    <TableCell>
+                      <Chip label={entry.sourceSystem} size="small" sx={{ mr: 1 }} />
+                      {entry.sourceName}
+                    </TableCell>
+                    <TableCell>
+                      {[entry.sourceData?.email, entry.sourceData?.phone, entry.sourceData?.website].filter(Boolean).join(' · ') || '—'}
+                    </TableCell>
+                    <TableCell align="right">{entry.events.length}</TableCell>
+                    <TableCell>{new Date(entry.createdAt).toLocaleDateString()}</TableCell>
+                    <TableCell align="right">
+                      <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end' }}>
+                        <Button size="small" variant="outlined" color="success" startIcon={<CheckIcon />} onClick={() => openQueueAction(entry, 'approve')}>
+                          Approve
+                        </Button>
+                        <Button size="small" variant="outlined" startIcon={<MergeTypeIcon />} onClick={() => openQueueAction(entry, 'merge')}>
+                          Merge
+                        </Button>
+                      </Box>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      )}
+      
       <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 2 }}>
         <Tabs value={tabValue} onChange={handleTabChange}>
           <Tab label="All Organizers" />
@@ -885,6 +992,59 @@ export default function OrganizersPage() {
         </Paper>
       </TabPanel>
       
+      {/* Provisional Organizer Approve/Merge Dialog */}
+      <Dialog open={Boolean(queueAction)} onClose={closeQueueAction} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          {queueAction?.action === 'merge' ? 'Merge' : 'Approve'} {queueAction?.entry.ttName}
+        </DialogTitle>
+        {queueAction && (
+          <DialogContent>
+            {queueError && <Alert severity="error" sx={{ mb: 2 }}>{queueError}</Alert>}
+            <Typography variant="body2" sx={{ mb: 2 }}>
+              {queueAction.action === 'merge'
+                ? `Its ${queueAction.entry.events.length} imported events move to the organizer you choose, and it is deleted. Later imports give events of "${queueAction.entry.sourceName}" to that organizer.`
+                : 'It is marked approved and stays the organizer of its imported events.'}
+            </Typography>
+            {queueAction.action === 'merge' && (
+              <FormControl fullWidth sx={{ mb: 2 }}>
+                <InputLabel>Merge into</InputLabel>
+                <Select
+                  value={mergeTargetId}
+                  label="Merge into"
+                  onChange={(event) => setMergeTargetId(event.target.value)}
+                >
+                  {organizers
+                    .filter(organizer => organizer._id !== queueAction.entry.ttId)
+                    .map(organizer => (
+                      <MenuItem key={organizer._id} value={organizer._id}>{organizer.displayName}</MenuItem>
+                    ))}
+                </Select>
+              </FormControl>
+            )}
+            <TextField
+              label="Authentication Token"
+              value={queueAuthToken}
+              onChange={(event) => setQueueAuthToken(event.target.value)}
+              fullWidth
+              required
+              type="password"
+              helperText="Firebase authentication token for the TT API"
+            />
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={closeQueueAction} disabled={queueSaving}>Cancel</Button>
+          <Button
+            onClick={handleQueueAction}
+            variant="contained"
+            disabled={queueSaving || !queueAuthToken || (queueAction?.action === 'merge' && !mergeTargetId)}
+            startIcon={queueSaving ? <CircularProgress size={16} /> : null}
+          >
+            {queueAction?.action === 'merge' ? 'Merge' : 'Approve'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+      
       {/* Organizer Edit Dialog */}
       <Dialog 
         open={dialogOpen} 
@@ -957,13 +1117,28 @@ export default function OrganizersPage() {
         maxWidth="lg"
         fullWidth
       >
-        <DialogTitle>Import Organizers from BTC</DialogTitle>
+        <DialogTitle>Import Organizers from {importSourceName}</DialogTitle>
         <DialogContent>
-          {importStatus === 'loading' || fetchingBTCOrganizers ? (
+          {importSources.length > 1 && (importStatus === 'ready' || importStatus === 'error') && (
+            <FormControl size="small" sx={{ mt: 1, mb: 2, minWidth: 240 }}>
+              <InputLabel>Source</InputLabel>
+              <Select
+                value={importSource}
+                label="Source"
+                onChange={(e) => handleImportOrganizers(e.target.value)}
+                disabled={fetchingSourceOrganizers}
+              >
+                {importSources.map(source => (
+                  <MenuItem key={source.sourceSystem} value={source.sourceSystem}>{source.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+          {importStatus === 'loading' || fetchingSourceOrganizers ? (
             <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', my: 4 }}>
               <CircularProgress />
               <Typography variant="body1" sx={{ mt: 2 }}>
-                Fetching organizers from BostonTangoCalendar...
+                Fetching organizers from {importSourceName}...
               </Typography>
             </Box>
           ) : importStatus === 'error' ? (
@@ -1038,10 +1213,11 @@ export default function OrganizersPage() {
             </Box>
           ) : (
             <Box>
+              <CategoryMappingNotice appId={currentApp.id} sourceSystem={importSource} />
               <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
                 <Box>
                   <Typography variant="body1">
-                    Found {importedOrganizers.length} organizers from BostonTangoCalendar
+                    Found {importedOrganizers.length} organizers from {importSourceName}
                   </Typography>
                   <Typography variant="body2" color="text.secondary">
                     {importedOrganizers.filter(o => o.isDuplicate).length} already exist in the system
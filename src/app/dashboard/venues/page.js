@@ -44,6 +44,8 @@ import AddIcon from '@mui/icons-material/Add';
 import DeleteIcon from '@mui/icons-material/Delete';
 import LocationSearchingIcon from '@mui/icons-material/LocationSearching';
 import { useAppContext } from '@/lib/AppContext';
+import CategoryMappingNotice from '@/components/common/CategoryMappingNotice';
+import { sanitizeDescription } from '../../../../description-sanitizer.js';
 
 export default function VenuesPage() {
   const [loading, setLoading] = useState(true);
@@ -101,13 +103,24 @@ export default function VenuesPage() {
   const [selectedVenues, setSelectedVenues] = useState({});
   const [importProgress, setImportProgress] = useState(0);
   const [importResults, setImportResults] = useState({ success: 0, error: 0, skipped: 0 });
-  const [fetchingBTCVenues, setFetchingBTCVenues] = useState(false);
+  const [fetchingSourceVenues, setFetchingSourceVenues] = useState(false);
+  const [importSources, setImportSources] = useState([]);
+  const [importSource, setImportSource] = useState('BTC');
 
   // Fetch venues on component mount and when app changes
   useEffect(() => {
     fetchVenues();
   }, [currentApp.id, pagination.page, pagination.pageSize, searchTerm]);
 
+  // Event sources that can provide venues for the import dialog
+  useEffect(() => {
+    axios.get('/api/imports/sources')
+      .then(response => setImportSources((response.data.sources || []).filter(source => source.venues)))
+      .catch(error => console.error('Error loading event sources:', error));
+  }, []);
+
+  const importSourceName = importSources.find(source => source.sourceSystem === importSource)?.name || importSource;
+
   const fetchVenues = async () => {
     try {
       setLoading(true);
@@ -549,11 +562,12 @@ export default function VenuesPage() {
     }
   };
   
-  const handleImportVenues = async () => {
+  const handleImportVenues = async (sourceSystem = importSource) => {
     try {
+      setImportSource(sourceSystem);
       setImportDialogOpen(true);
       setImportStatus('loading');
-      setFetchingBTCVenues(true);
+      setFetchingSourceVenues(true);
       setImportedVenues([]);
       setSelectedVenues({});
       
@@ -568,77 +582,38 @@ export default function VenuesPage() {
       const existingVenues = existingVenuesResponse.data?.data || [];
       console.log(`Found ${existingVenues.length} existing venues for comparison`);
       
-      // Fetch all pages from BTC WordPress API using pagination
-      let allVenues = [];
-      let currentPage = 1;
-      let totalPages = 1;
+      // The source adapter pages through the source and normalizes its venues
+      const response = await axios.get(`/api/imports/sources/${sourceSystem}/venues`);
+      const allVenues = response.data.venues || [];
       
-      do {
-        console.log(`Fetching BTC venues page ${currentPage}...`);
-        const response = await axios.get(`https://bostontangocalendar.com/wp-json/tribe/events/v1/venues`, {
-          params: {
-            page: currentPage
-          }
-        });
-        
-        // Get total pages from headers or response
-        if (currentPage === 1) {
-          // Try to get from X-WP-TotalPages header
-          const totalPagesHeader = response.headers['x-wp-totalpages'] || response.headers['X-WP-TotalPages'];
-          if (totalPagesHeader) {
-            totalPages = parseInt(totalPagesHeader, 10);
-          } else if (response.data && response.data.total_pages) {
-            // Fallback to response data
-            totalPages = response.data.total_pages;
-          }
-          console.log(`Total pages of venues: ${totalPages}`);
-        }
-        
-        if (response.data && response.data.venues) {
-          allVenues = [...allVenues, ...response.data.venues];
-          console.log(`Fetched ${response.data.venues.length} venues from page ${currentPage}`);
-        } else {
-          throw new Error(`Invalid response format from BTC API on page ${currentPage}`);
-        }
-        
-        currentPage++;
-      } while (currentPage <= totalPages);
-      
-      console.log(`Fetched a total of ${allVenues.length} venues from BTC API`);
+      console.log(`Fetched a total of ${allVenues.length} venues from ${sourceSystem}`);
       
-      // Transform the WordPress venue format to our application format
+      // Transform the source venue format to our application format
       const transformedVenues = allVenues.map(venue => {
-        // Extract coordinates from WordPress venue
-        let latitude = null;
-        let longitude = null;
-        
-        // Check if we have geo coordinates
-        if (venue.geo_lat && venue.geo_lng) {
-          latitude = parseFloat(venue.geo_lat);
-          longitude = parseFloat(venue.geo_lng);
-        }
+        const latitude = venue.latitude ?? null;
+        const longitude = venue.longitude ?? null;
         
         // Check if this venue already exists in our system
         // Match by name AND address or by exact coordinates
         const isDuplicate = existingVenues.some(existingVenue => {
           // Main match: same name and similar address
-          const nameMatch = existingVenue.name?.toLowerCase() === venue.venue?.toLowerCase();
+          const nameMatch = existingVenue.name?.toLowerCase() === venue.name?.toLowerCase();
           const addressMatch = existingVenue.address1?.toLowerCase()?.includes(venue.address?.toLowerCase()) ||
                                venue.address?.toLowerCase()?.includes(existingVenue.address1?.toLowerCase());
           
           // Alternate match: exact coordinates match (if available)
-          const coordMatch = venue.geo_lat && venue.geo_lng && 
-                             existingVenue.latitude === parseFloat(venue.geo_lat) && 
-                             existingVenue.longitude === parseFloat(venue.geo_lng);
+          const coordMatch = latitude !== null && longitude !== null && 
+                             existingVenue.latitude === latitude && 
+                             existingVenue.longitude === longitude;
           
           return (nameMatch && addressMatch) || coordMatch;
         });
         
         // Create a venue object in our application's format
         return {
-          id: venue.id,
-          originalId: venue.id,
-          name: venue.venue || '',
+          id: venue.sourceId,
+          originalId: venue.sourceId,
+          name: venue.name || '',
           shortName: '',
           address1: venue.address || '',
           address2: '',
@@ -647,16 +622,16 @@ export default function VenuesPage() {
           state: venue.state || '',
           zip: venue.zip || '',
           phone: venue.phone || '',
-          comments: venue.description || '',
+          comments: sanitizeDescription(venue.description).description,
           latitude,
           longitude,
           isActive: true,
           masteredCityId: '',
-          source: 'BTC WordPress',
-          sourceId: venue.id,
-          url: venue.url || '',
+          source: sourceSystem,
+          sourceId: venue.sourceId,
+          url: venue.website || '',
           isDuplicate, // Add flag indicating if venue already exists
-          // Original WordPress data for reference
+          // Normalized source data for reference
           original: venue
         };
       });
@@ -671,11 +646,11 @@ export default function VenuesPage() {
       setSelectedVenues(initialSelected);
       setImportStatus('ready');
     } catch (error) {
-      console.error('Error fetching BTC venues:', error);
+      console.error(`Error fetching ${sourceSystem} venues:`, error);
       setImportStatus('error');
-      alert(`Failed to fetch venues from BTC: ${error.message}`);
+      alert(`Failed to fetch venues from ${sourceSystem}: ${error.response?.data?.error || error.message}`);
     } finally {
-      setFetchingBTCVenues(false);
+      setFetchingSourceVenues(false);
     }
   };
   
@@ -1050,7 +1025,7 @@ export default function VenuesPage() {
             color="secondary" 
             onClick={() => handleImportVenues()}
           >
-            Import from BTC
+            Import from {importSourceName}
           </Button>
           <Button 
             variant="contained" 
@@ -1568,13 +1543,28 @@ export default function VenuesPage() {
         maxWidth="lg"
         fullWidth
       >
-        <DialogTitle>Import Venues from BTC</DialogTitle>
+        <DialogTitle>Import Venues from {importSourceName}</DialogTitle>
         <DialogContent>
-          {importStatus === 'loading' || fetchingBTCVenues ? (
+          {importSources.length > 1 && (importStatus === 'ready' || importStatus === 'error') && (
+            <FormControl size="small" sx={{ mt: 1, mb: 2, minWidth: 240 }}>
+              <InputLabel>Source</InputLabel>
+              <Select
+                value={importSource}
+                label="Source"
+                onChange={(e) => handleImportVenues(e.target.value)}
+                disabled={fetchingSourceVenues}
+              >
+                {importSources.map(source => (
+                  <MenuItem key={source.sourceSystem} value={source.sourceSystem}>{source.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+          {importStatus === 'loading' || fetchingSourceVenues ? (
             <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', my: 4 }}>
               <CircularProgress />
               <Typography variant="body1" sx={{ mt: 2 }}>
-                Fetching venues from BostonTangoCalendar...
+                Fetching venues from {importSourceName}...
               </Typography>
             </Box>
           ) : importStatus === 'error' ? (
@@ -1649,10 +1639,11 @@ export default function VenuesPage() {
             </Box>
           ) : (
             <Box>
+              <CategoryMappingNotice appId={currentApp.id} sourceSystem={importSource} />
               <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
                 <Box>
                   <Typography variant="body1">
-                    Found {importedVenues.length} venues from BostonTangoCalendar
+                    Found {importedVenues.length} venues from {importSourceName}
                   </Typography>
                   <Typography variant="body2" color="text.secondary">
                     {importedVenues.filter(v => v.isDuplicate).length} already exist in the system
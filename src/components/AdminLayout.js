@@ -29,6 +29,7 @@ import EventIcon from '@mui/icons-material/Event';
 import SupervisorAccountIcon from '@mui/icons-material/SupervisorAccount';
 import PlaceIcon from '@mui/icons-material/Place';
 import SchoolIcon from '@mui/icons-material/School';
+import ImportExportIcon from '@mui/icons-material/ImportExport';
 
 // Navigation items
 const mainNavItems = [
@@ -38,6 +39,7 @@ const mainNavItems = [
   { name: 'Venues', icon: <BusinessIcon />, href: '/dashboard/venues' },
   { name: 'Geo Hierarchy', icon: <LocationOnIcon />, href: '/dashboard/geo-hierarchy' },
   { name: 'Events', icon: <EventIcon />, href: '/dashboard/events' },
+  { name: 'Imports', icon: <ImportExportIcon />, href: '/dashboard/imports' },
 ];
 
 const drawerWidth = 240;
@@ -0,0 +1,98 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import axios from 'axios';
+import { Alert, Chip, Link, Typography } from '@mui/material';
+
+/**
+ * CategoryMappingNotice component
+ * Shows how the app's category mapping covers the categories currently used by an event source,
+ * so new source categories are noticed when importing from it
+ */
+function CategoryMappingNotice({ appId, sourceSystem }) {
+  const [mapping, setMapping] = useState(null);
+  const [unmapped, setUnmapped] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadMapping = async () => {
+      try {
+        const response = await axios.get('/api/imports/category-mappings', { params: { appId, sourceSystem } });
+        const appMapping = response.data.mapping;
+        const categoriesResponse = await axios.get(`/api/imports/sources/${sourceSystem}/categories`);
+        const sourceNames = categoriesResponse.data.categories.map(category => category.name);
+
+        if (!cancelled) {
+          setMapping(appMapping);
+          setUnmapped(sourceNames.filter(name =>
+            !appMapping.mappings[name] && !appMapping.ignored.includes(name) && !appMapping.canceled.includes(name)
+          ));
+        }
+      } catch (error) {
+        console.error(`Error checking ${sourceSystem} category mapping:`, error);
+        if (!cancelled) {
+          setError(error.response?.data?.error || error.message);
+        }
+      }
+    };
+
+    loadMapping();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [appId, sourceSystem]);
+
+  if (error) {
+    return (
+      <Alert severity="warning" sx={{ mb: 2 }}>
+        Could not check the {sourceSystem} category mapping: {error}
+      </Alert>
+    );
+  }
+
+  if (!mapping) {
+    return null;
+  }
+
+  return (
+    <Alert severity={unmapped.length > 0 ? 'warning' : 'info'} sx={{ mb: 2 }}>
+      <Typography variant="body2">
+        Category mapping: {Object.keys(mapping.mappings).length} {sourceSystem} categories mapped, {mapping.ignored.length} ignored,{' '}
+        {mapping.canceled.length} marking events canceled
+        {mapping.isDefault ? ' (built-in defaults)' : ''}.{' '}
+        <Link href="/dashboard/imports/category-mappings">Edit mapping</Link>
+      </Typography>
+      {unmapped.length > 0 && (
+        <>
+          <Typography variant="body2" sx={{ mt: 1 }}>
+            {sourceSystem} categories without a mapping (their events will be imported without a category):
+          </Typography>
+          {unmapped.map(name => (
+            <Chip key={name} label={name} size="small" sx={{ mr: 1, mt: 1 }} />
+          ))}
+        </>
+      )}
+    </Alert>
+  );
+}
+
+CategoryMappingNotice.propTypes = {
+  /**
+   * Application ID whose mapping is checked
+   */
+  appId: PropTypes.string.isRequired,
+  /**
+   * Event source whose categories are checked (e.g. 'BTC')
+   */
+  sourceSystem: PropTypes.string
+};
+
+CategoryMappingNotice.defaultProps = {
+  sourceSystem: 'BTC'
+};
+
+export default CategoryMappingNotice;
@@ -22,6 +22,8 @@ import ActiveEventsTab from './tabs/ActiveEventsTab';
 import InactiveEventsTab from './tabs/InactiveEventsTab';
 import FeaturedEventsTab from './tabs/FeaturedEventsTab';
 import BtcImportTab from './tabs/BtcImportTab';
+import IcsImportTab from './tabs/IcsImportTab';
+import SheetImportTab from './tabs/SheetImportTab';
 import useEventData from '../hooks/useEventData';
 import useEventFilters from '../hooks/useEventFilters';
 import { organizersApi, eventsApi } from '@/lib/api-client';
@@ -441,6 +443,8 @@ const EventPage = () => {
           <Tab label="Inactive" />
           <Tab label="Featured" />
           <Tab label="BTC Import" />
+          <Tab label="ICS Import" />
+          <Tab label="Spreadsheet Import" />
         </Tabs>
       </Box>
       
@@ -522,6 +526,19 @@ const EventPage = () => {
         />
       </Box>
       
+      <Box sx={{ display: tabValue === 5 ? 'block' : 'none' }}>
+        <IcsImportTab 
+          key={`ics-import-${refreshKey}`}
+        />
+      </Box>
+      
+      <Box sx={{ display: tabValue === 6 ? 'block' : 'none' }}>
+        <SheetImportTab 
+          appId={appId}
+          onImported={() => eventData.refreshEvents()}
+        />
+      </Box>
+      
       {/* Confirmation Dialog */}
       <Dialog
         open={dialogOpen}
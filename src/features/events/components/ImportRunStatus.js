@@ -0,0 +1,260 @@
+'use client';
+
+import { useRef, useEffect, useState } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  LinearProgress,
+  Alert,
+  AlertTitle,
+  Grid,
+  TextField,
+  Button
+} from '@mui/material';
+
+const logColors = {
+  info: 'text.primary',
+  success: 'success.main',
+  warning: 'warning.main',
+  error: 'error.main'
+};
+
+// Format a rate between 0 and 1 as a percentage
+const formatRate = (rate) => `${(rate * 100).toFixed(1)}%`;
+
+/**
+ * Live progress, status and results of an import run (see useImportStream)
+ * @param {Object} props - Component props
+ * @param {string} props.sourceLabel - Name of the source shown in the results (e.g. BTC)
+ * @param {Function} [props.onOverride] - Reruns a live import refused by its Go/No-Go gate, with the admin's reason
+ */
+const ImportRunStatus = ({ sourceLabel, loading, error, success, importResults, progress, logEntries, onOverride }) => {
+  const logEndRef = useRef(null);
+  const [overrideReason, setOverrideReason] = useState('');
+  
+  // Keep the newest log line in view
+  useEffect(() => {
+    logEndRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [logEntries]);
+  
+  // A new result needs a new reason
+  useEffect(() => {
+    setOverrideReason('');
+  }, [importResults]);
+  
+  const gate = importResults?.gate;
+  
+  // Overall progress: completed days plus the fraction of the current day
+  const progressPercent = progress && progress.daysTotal
+    ? Math.min(100, ((progress.daysCompleted + (progress.dayTotal ? progress.dayProcessed / progress.dayTotal : 0)) / progress.daysTotal) * 100)
+    : 0;
+  
+  return (
+    <>
+      {/* Live Progress */}
+      {progress && (loading || logEntries.length > 0) && (
+        <Paper sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>Import Progress</Typography>
+          
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}>
+            <Box sx={{ flexGrow: 1 }}>
+              <LinearProgress 
+                variant={progress.daysTotal ? 'determinate' : 'indeterminate'} 
+                value={progressPercent} 
+              />
+            </Box>
+            <Typography variant="body2" color="text.secondary">
+              {progressPercent.toFixed(0)}%
+            </Typography>
+          </Box>
+          
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            {progress.phase === 'gate' && 'Go/No-Go dry run • '}
+            {progress.phase === 'live' && 'Live import • '}
+            Days: {progress.daysCompleted}/{progress.daysTotal}
+            {progress.currentDate && ` • Current day: ${progress.currentDate} (${progress.dayProcessed}/${progress.dayTotal} events)`}
+            {` • Created: ${progress.created} • Updated: ${progress.updated} • Unchanged: ${progress.unchanged} • Failed: ${progress.failed}`}
+          </Typography>
+          
+          <Box 
+            sx={{ 
+              mt: 2, 
+              maxHeight: 300, 
+              overflowY: 'auto', 
+              bgcolor: 'grey.50', 
+              border: 1, 
+              borderColor: 'divider', 
+              borderRadius: 1, 
+              p: 1, 
+              fontFamily: 'monospace', 
+              fontSize: '0.8rem' 
+            }}
+          >
+            {logEntries.map((entry, i) => (
+              <Box key={i} sx={{ color: logColors[entry.severity], whiteSpace: 'pre-wrap' }}>
+                {entry.text}
+              </Box>
+            ))}
+            <div ref={logEndRef} />
+          </Box>
+        </Paper>
+      )}
+      
+      {/* Results and Error Display */}
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          <AlertTitle>Import Error</AlertTitle>
+          {error}
+        </Alert>
+      )}
+      
+      {success && (
+        <Alert severity="success" sx={{ mb: 3 }}>
+          <AlertTitle>Import Successful</AlertTitle>
+          {success}
+        </Alert>
+      )}
+      
+      {gate?.blocked && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          <AlertTitle>Live Import Refused</AlertTitle>
+          {gate.reason}. Nothing was written to TT; the results below are from the dry run.
+          {onOverride && (
+            <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start', mt: 2 }}>
+              <TextField
+                label="Override reason"
+                value={overrideReason}
+                onChange={(e) => setOverrideReason(e.target.value)}
+                size="small"
+                fullWidth
+                helperText="Logged with your name and kept in the run history"
+              />
+              <Button
+                variant="contained"
+                color="error"
+                onClick={() => onOverride(overrideReason.trim())}
+                disabled={loading || !overrideReason.trim()}
+                sx={{ whiteSpace: 'nowrap' }}
+              >
+                Override and Import
+              </Button>
+            </Box>
+          )}
+        </Alert>
+      )}
+      
+      {gate?.override && (
+        <Alert severity="warning" sx={{ mb: 3 }}>
+          <AlertTitle>Go/No-Go Override</AlertTitle>
+          The dry run failed its gates. {gate.override.operator} ran the live import anyway: {gate.override.reason}
+        </Alert>
+      )}
+      
+      {importResults?.warnings?.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 3 }}>
+          <AlertTitle>Parser Warnings</AlertTitle>
+          <ul style={{ margin: 0, paddingLeft: 20 }}>
+            {importResults.warnings.map((warning, i) => (
+              <li key={i}>{warning}</li>
+            ))}
+          </ul>
+        </Alert>
+      )}
+      
+      {importResults && (
+        <Paper sx={{ p: 3 }}>
+          <Typography variant="h6" gutterBottom>{gate?.blocked ? 'Dry Run Results' : 'Import Results'}</Typography>
+          
+          <Grid container spacing={2}>
+            <Grid item xs={12} md={6}>
+              <Typography variant="subtitle1">Summary</Typography>
+              <Box sx={{ mt: 1 }}>
+                <Typography>
+                  <strong>Date Range:</strong> {importResults.dateRange?.start} to {importResults.dateRange?.end}
+                </Typography>
+                <Typography>
+                  <strong>{sourceLabel} Events Found:</strong> {importResults.btcEvents?.total || 0}
+                </Typography>
+                <Typography>
+                  <strong>Events Processed:</strong> {importResults.btcEvents?.processed || 0}
+                </Typography>
+                <Typography>
+                  <strong>Import Time:</strong> {importResults.duration?.toFixed(2) || 0} seconds
+                </Typography>
+                {importResults.series?.detected > 0 && (
+                  <Typography>
+                    <strong>Recurring Series:</strong> {importResults.series.series.map(series => `${series.title} (${series.recurrenceText}, ${series.occurrences} events)`).join('; ')}
+                  </Typography>
+                )}
+              </Box>
+            </Grid>
+            
+            <Grid item xs={12} md={6}>
+              <Typography variant="subtitle1">Metrics</Typography>
+              <Box sx={{ mt: 1 }}>
+                <Typography>
+                  <strong>Entity Resolution Success:</strong> {importResults.entityResolution?.success || 0} 
+                  ({importResults.btcEvents?.total ? ((importResults.entityResolution?.success / importResults.btcEvents?.total) * 100).toFixed(1) : 0}%)
+                </Typography>
+                <Typography>
+                  <strong>Validation Success:</strong> {importResults.validation?.valid || 0}
+                  ({importResults.entityResolution?.success ? ((importResults.validation?.valid / importResults.entityResolution?.success) * 100).toFixed(1) : 0}%)
+                </Typography>
+                <Typography>
+                  <strong>Events Created:</strong> {importResults.ttEvents?.created || 0}
+                </Typography>
+                <Typography>
+                  <strong>Events Updated:</strong> {importResults.ttEvents?.updated || 0}
+                </Typography>
+                <Typography>
+                  <strong>Events Unchanged:</strong> {importResults.ttEvents?.unchanged || 0}
+                </Typography>
+                <Typography>
+                  <strong>Events Removed:</strong> {importResults.ttEvents?.removed || 0}
+                </Typography>
+                <Typography>
+                  <strong>Failed Events:</strong> {importResults.ttEvents?.failed || 0}
+                </Typography>
+              </Box>
+            </Grid>
+          </Grid>
+          
+          {/* Assessment */}
+          {importResults.assessment && (
+            <Box sx={{ mt: 3 }}>
+              <Typography variant="subtitle1">Import Assessment</Typography>
+              <Alert 
+                severity={importResults.assessment.canProceed ? "success" : "warning"}
+                sx={{ mt: 1 }}
+              >
+                <AlertTitle>
+                  {importResults.assessment.canProceed ? "GO ✅" : "NO-GO ❌"}
+                </AlertTitle>
+                
+                {importResults.assessment.gates?.map(check => (
+                  <Typography key={check.metric} variant="body2" color={check.passed ? 'text.primary' : 'error.main'}>
+                    {check.passed ? '✓' : '✗'} {check.label}: {formatRate(check.value)} (minimum {formatRate(check.threshold)})
+                  </Typography>
+                ))}
+                
+                {importResults.assessment.recommendations && importResults.assessment.recommendations.length > 0 && (
+                  <Box sx={{ mt: 1 }}>
+                    <Typography variant="body2" fontWeight="bold">Recommendations:</Typography>
+                    <ul style={{ marginTop: 4 }}>
+                      {importResults.assessment.recommendations.map((rec, i) => (
+                        <li key={i}>{rec}</li>
+                      ))}
+                    </ul>
+                  </Box>
+                )}
+              </Alert>
+            </Box>
+          )}
+        </Paper>
+      )}
+    </>
+  );
+};
+
+export default ImportRunStatus;
@@ -8,8 +8,6 @@ import {
   TextField,
   Button,
   CircularProgress,
-  Alert,
-  AlertTitle,
   FormControlLabel,
   Switch,
   Grid,
@@ -20,6 +18,9 @@ import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import UploadFileIcon from '@mui/icons-material/UploadFile';
 import BackupIcon from '@mui/icons-material/Backup';
+import CancelIcon from '@mui/icons-material/Cancel';
+import useImportStream from '../../hooks/useImportStream';
+import ImportRunStatus from '../ImportRunStatus';
 
 /**
  * BTC Event Import tab component for importing events from Boston Tango Calendar
@@ -31,14 +32,12 @@ const BtcImportTab = () => {
   const [authToken, setAuthToken] = useState('');
   const [dryRun, setDryRun] = useState(true);
   
-  // State for import status
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const [success, setSuccess] = useState(null);
-  const [importResults, setImportResults] = useState(null);
+  // Import status, live progress and results
+  const importStream = useImportStream('BTC');
+  const { loading, setError, runImport, cancelImport, resetImport } = importStream;
   
-  // Function to handle import
-  const handleImport = async () => {
+  // Function to handle import; a reason overrides a failed Go/No-Go gate of a live import
+  const handleImport = async (overrideReason = null) => {
     // Validate input
     if (!afterEqualDate) {
       setError('Start date is required');
@@ -55,48 +54,22 @@ const BtcImportTab = () => {
       return;
     }
     
-    setLoading(true);
-    setError(null);
-    setSuccess(null);
-    setImportResults(null);
+    // Format dates for API
+    const startDateStr = afterEqualDate.toISOString().split('T')[0];
+    const endDateStr = beforeEqualDate.toISOString().split('T')[0];
     
-    try {
-      // Format dates for API
-      const startDateStr = afterEqualDate.toISOString().split('T')[0];
-      const endDateStr = beforeEqualDate.toISOString().split('T')[0];
-      
-      // Make the API request
-      const response = await fetch('/api/events/import-btc', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${authToken}`
-        },
-        body: JSON.stringify({
-          startDate: startDateStr,
-          endDate: endDateStr,
-          dryRun,
-          appId: '1' // Default app ID
-        })
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Failed to import events');
-      }
-      
-      const result = await response.json();
-      
-      // Set success message and results
-      setSuccess(dryRun 
-        ? 'Dry run completed successfully. No events were created.' 
-        : 'Import completed successfully.');
-      setImportResults(result);
-    } catch (err) {
-      setError(err.message || 'An error occurred during import');
-    } finally {
-      setLoading(false);
-    }
+    await runImport('/api/events/import-btc', {
+      startDate: startDateStr,
+      endDate: endDateStr,
+      dryRun,
+      appId: '1', // Default app ID
+      ...(overrideReason && { overrideReason })
+    }, authToken);
+  };
+  
+  // Function to cancel a running import
+  const handleCancel = () => {
+    cancelImport();
   };
   
   // Function to handle clear
@@ -105,9 +78,7 @@ const BtcImportTab = () => {
     setBeforeEqualDate(null);
     setAuthToken('');
     setDryRun(true);
-    setError(null);
-    setSuccess(null);
-    setImportResults(null);
+    resetImport();
   };
   
   return (
@@ -195,7 +166,8 @@ const BtcImportTab = () => {
           
           <Typography variant="body2" color="text.secondary">
             When enabled, the import will run without creating or modifying any events.
-            Use this to verify the import process before making actual changes.
+            Use this to verify the import process before making actual changes. Live imports run as a dry run
+            first and stop before writing anything if it fails the Go/No-Go gates.
           </Typography>
         </Box>
         
@@ -209,10 +181,21 @@ const BtcImportTab = () => {
             Clear
           </Button>
           
+          {loading && (
+            <Button
+              variant="outlined"
+              color="error"
+              onClick={handleCancel}
+              startIcon={<CancelIcon />}
+            >
+              Cancel Import
+            </Button>
+          )}
+          
           <Button 
             variant="contained" 
             color="primary"
-            onClick={handleImport}
+            onClick={() => handleImport()}
             disabled={loading || !afterEqualDate || !beforeEqualDate || !authToken}
             startIcon={loading ? <CircularProgress size={18} /> : (dryRun ? <UploadFileIcon /> : <BackupIcon />)}
           >
@@ -221,92 +204,7 @@ const BtcImportTab = () => {
         </Box>
       </Paper>
       
-      {/* Results and Error Display */}
-      {error && (
-        <Alert severity="error" sx={{ mb: 3 }}>
-          <AlertTitle>Import Error</AlertTitle>
-          {error}
-        </Alert>
-      )}
-      
-      {success && (
-        <Alert severity="success" sx={{ mb: 3 }}>
-          <AlertTitle>Import Successful</AlertTitle>
-          {success}
-        </Alert>
-      )}
-      
-      {importResults && (
-        <Paper sx={{ p: 3 }}>
-          <Typography variant="h6" gutterBottom>Import Results</Typography>
-          
-          <Grid container spacing={2}>
-            <Grid item xs={12} md={6}>
-              <Typography variant="subtitle1">Summary</Typography>
-              <Box sx={{ mt: 1 }}>
-                <Typography>
-                  <strong>Date Range:</strong> {importResults.dateRange?.start} to {importResults.dateRange?.end}
-                </Typography>
-                <Typography>
-                  <strong>BTC Events Found:</strong> {importResults.btcEvents?.total || 0}
-                </Typography>
-                <Typography>
-                  <strong>Events Processed:</strong> {importResults.btcEvents?.processed || 0}
-                </Typography>
-                <Typography>
-                  <strong>Import Time:</strong> {importResults.duration?.toFixed(2) || 0} seconds
-                </Typography>
-              </Box>
-            </Grid>
-            
-            <Grid item xs={12} md={6}>
-              <Typography variant="subtitle1">Metrics</Typography>
-              <Box sx={{ mt: 1 }}>
-                <Typography>
-                  <strong>Entity Resolution Success:</strong> {importResults.entityResolution?.success || 0} 
-                  ({importResults.btcEvents?.total ? ((importResults.entityResolution?.success / importResults.btcEvents?.total) * 100).toFixed(1) : 0}%)
-                </Typography>
-                <Typography>
-                  <strong>Validation Success:</strong> {importResults.validation?.valid || 0}
-                  ({importResults.entityResolution?.success ? ((importResults.validation?.valid / importResults.entityResolution?.success) * 100).toFixed(1) : 0}%)
-                </Typography>
-                <Typography>
-                  <strong>Events Created:</strong> {importResults.ttEvents?.created || 0}
-                </Typography>
-                <Typography>
-                  <strong>Failed Events:</strong> {importResults.ttEvents?.failed || 0}
-                </Typography>
-              </Box>
-            </Grid>
-          </Grid>
-          
-          {/* Assessment */}
-          {importResults.assessment && (
-            <Box sx={{ mt: 3 }}>
-              <Typography variant="subtitle1">Import Assessment</Typography>
-              <Alert 
-                severity={importResults.assessment.canProceed ? "success" : "warning"}
-                sx={{ mt: 1 }}
-              >
-                <AlertTitle>
-                  {importResults.assessment.canProceed ? "GO ✅" : "NO-GO ❌"}
-                </AlertTitle>
-                
-                {importResults.assessment.recommendations && importResults.assessment.recommendations.length > 0 && (
-                  <Box sx={{ mt: 1 }}>
-                    <Typography variant="body2" fontWeight="bold">Recommendations:</Typography>
-                    <ul style={{ marginTop: 4 }}>
-                      {importResults.assessment.recommendations.map((rec, i) => (
-                        <li key={i}>{rec}</li>
-                      ))}
-                    </ul>
-                  </Box>
-                )}
-              </Alert>
-            </Box>
-          )}
-        </Paper>
-      )}
+      <ImportRunStatus sourceLabel="BTC" {...importStream} onOverride={handleImport} />
     </LocalizationProvider>
   );
 };
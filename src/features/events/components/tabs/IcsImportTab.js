@@ -0,0 +1,322 @@
+'use client';
+
+import { useState, useRef } from 'react';
+import { 
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  CircularProgress,
+  FormControlLabel,
+  Switch,
+  Grid,
+  Divider,
+  ToggleButton,
+  ToggleButtonGroup
+} from '@mui/material';
+import { DatePicker } from '@mui/x-date-pickers/DatePicker';
+import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
+import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import BackupIcon from '@mui/icons-material/Backup';
+import CancelIcon from '@mui/icons-material/Cancel';
+import AttachFileIcon from '@mui/icons-material/AttachFile';
+import useImportStream from '../../hooks/useImportStream';
+import ImportRunStatus from '../ImportRunStatus';
+
+// Same limit as the import-ics route
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+/**
+ * ICS Import tab component for importing events from an iCalendar file or feed
+ */
+const IcsImportTab = () => {
+  // State for the calendar to import
+  const [sourceType, setSourceType] = useState('file');
+  const [file, setFile] = useState(null);
+  const [feedUrl, setFeedUrl] = useState('');
+  const [feedName, setFeedName] = useState('');
+  const fileInputRef = useRef(null);
+  
+  // State for import parameters
+  const [afterEqualDate, setAfterEqualDate] = useState(null);
+  const [beforeEqualDate, setBeforeEqualDate] = useState(null);
+  const [authToken, setAuthToken] = useState('');
+  const [dryRun, setDryRun] = useState(true);
+  
+  // Import status, live progress and results
+  const importStream = useImportStream('ICS');
+  const { loading, setError, runImport, cancelImport, resetImport } = importStream;
+  
+  // Pick a calendar file; its name becomes the feed name unless one was entered
+  const handleFileChange = (e) => {
+    const selected = e.target.files?.[0] || null;
+    setFile(selected);
+    if (selected && !feedName) {
+      setFeedName(selected.name.replace(/\.(ics|ical|ifb|icalendar)$/i, ''));
+    }
+  };
+  
+  // Function to handle import; a reason overrides a failed Go/No-Go gate of a live import
+  const handleImport = async (overrideReason = null) => {
+    // Validate input
+    if (sourceType === 'file' && !file) {
+      setError('Choose an iCalendar (.ics) file');
+      return;
+    }
+    
+    if (sourceType === 'file' && file.size > MAX_FILE_SIZE) {
+      setError('The iCalendar file is too large (5 MB at most)');
+      return;
+    }
+    
+    if (sourceType === 'url' && !feedUrl) {
+      setError('Feed URL is required');
+      return;
+    }
+    
+    if (!feedName) {
+      setError('Feed name is required');
+      return;
+    }
+    
+    if (!afterEqualDate || !beforeEqualDate) {
+      setError('Start and end dates are required');
+      return;
+    }
+    
+    if (!authToken) {
+      setError('Authentication token is required');
+      return;
+    }
+    
+    // Format dates for API
+    const startDateStr = afterEqualDate.toISOString().split('T')[0];
+    const endDateStr = beforeEqualDate.toISOString().split('T')[0];
+    
+    const calendar = sourceType === 'file'
+      ? { ics: await file.text() }
+      : { url: feedUrl.trim() };
+    
+    await runImport('/api/events/import-ics', {
+      ...calendar,
+      feed: feedName.trim(),
+      startDate: startDateStr,
+      endDate: endDateStr,
+      dryRun,
+      appId: '1', // Default app ID
+      ...(overrideReason && { overrideReason })
+    }, authToken);
+  };
+  
+  // Function to handle clear
+  const handleClear = () => {
+    setFile(null);
+    setFeedUrl('');
+    setFeedName('');
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+    setAfterEqualDate(null);
+    setBeforeEqualDate(null);
+    setAuthToken('');
+    setDryRun(true);
+    resetImport();
+  };
+  
+  const hasCalendar = sourceType === 'file' ? Boolean(file) : Boolean(feedUrl);
+  
+  return (
+    <LocalizationProvider dateAdapter={AdapterDateFns}>
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>Import Events from an iCalendar File or Feed</Typography>
+        
+        <Grid container spacing={3}>
+          {/* Calendar */}
+          <Grid item xs={12}>
+            <Box sx={{ mb: 1 }}>
+              <Typography variant="subtitle1" gutterBottom>Calendar</Typography>
+              <Typography variant="body2" color="text.secondary" gutterBottom>
+                Upload an .ics file or enter a feed URL. Recurring events are expanded into one event per
+                occurrence. Each feed name is a separate source, so re-importing the same feed updates its events.
+              </Typography>
+              
+              <ToggleButtonGroup
+                value={sourceType}
+                exclusive
+                size="small"
+                onChange={(e, value) => value && setSourceType(value)}
+                sx={{ mt: 1 }}
+              >
+                <ToggleButton value="file">File</ToggleButton>
+                <ToggleButton value="url">Feed URL</ToggleButton>
+              </ToggleButtonGroup>
+              
+              <Box sx={{ mt: 2, display: 'flex', gap: 2, alignItems: 'center' }}>
+                {sourceType === 'file' ? (
+                  <>
+                    <Button
+                      variant="outlined"
+                      component="label"
+                      startIcon={<AttachFileIcon />}
+                    >
+                      Choose File
+                      <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept=".ics,text/calendar"
+                        hidden
+                        onChange={handleFileChange}
+                      />
+                    </Button>
+                    <Typography variant="body2" color="text.secondary" sx={{ flexGrow: 1 }}>
+                      {file ? `${file.name} (${Math.ceil(file.size / 1024)} KB)` : 'No file chosen'}
+                    </Typography>
+                  </>
+                ) : (
+                  <TextField
+                    label="Feed URL"
+                    placeholder="https://example.com/calendar.ics"
+                    value={feedUrl}
+                    onChange={(e) => setFeedUrl(e.target.value)}
+                    fullWidth
+                    size="small"
+                    required
+                  />
+                )}
+                
+                <TextField
+                  label="Feed Name"
+                  value={feedName}
+                  onChange={(e) => setFeedName(e.target.value)}
+                  size="small"
+                  required
+                  sx={{ minWidth: 240 }}
+                />
+              </Box>
+            </Box>
+          </Grid>
+          
+          {/* Date Filters */}
+          <Grid item xs={12} md={6}>
+            <Box sx={{ mb: 3 }}>
+              <Typography variant="subtitle1" gutterBottom>Date Range</Typography>
+              <Typography variant="body2" color="text.secondary" gutterBottom>
+                Occurrences starting in this range are imported.
+              </Typography>
+              
+              <Box sx={{ mt: 2, display: 'flex', gap: 2 }}>
+                <DatePicker
+                  label="From Date (Inclusive)"
+                  value={afterEqualDate}
+                  onChange={setAfterEqualDate}
+                  slotProps={{
+                    textField: { 
+                      fullWidth: true,
+                      size: "small",
+                      required: true
+                    }
+                  }}
+                />
+                
+                <DatePicker
+                  label="To Date (Inclusive)"
+                  value={beforeEqualDate}
+                  onChange={setBeforeEqualDate}
+                  slotProps={{
+                    textField: { 
+                      fullWidth: true,
+                      size: "small",
+                      required: true
+                    }
+                  }}
+                />
+              </Box>
+            </Box>
+          </Grid>
+          
+          {/* Authentication */}
+          <Grid item xs={12} md={6}>
+            <Box sx={{ mb: 3 }}>
+              <Typography variant="subtitle1" gutterBottom>Authentication</Typography>
+              <Typography variant="body2" color="text.secondary" gutterBottom>
+                Provide a valid Firebase authentication token for the import operation.
+              </Typography>
+              
+              <TextField
+                label="Authentication Token"
+                value={authToken}
+                onChange={(e) => setAuthToken(e.target.value)}
+                fullWidth
+                size="small"
+                required
+                type="password"
+                sx={{ mt: 2 }}
+              />
+            </Box>
+          </Grid>
+        </Grid>
+        
+        <Divider sx={{ my: 2 }} />
+        
+        {/* Import Options */}
+        <Box sx={{ mb: 3 }}>
+          <Typography variant="subtitle1" gutterBottom>Import Options</Typography>
+          
+          <FormControlLabel
+            control={
+              <Switch 
+                checked={dryRun}
+                onChange={(e) => setDryRun(e.target.checked)}
+                color="primary"
+              />
+            }
+            label="Dry Run (no actual data changes)"
+          />
+          
+          <Typography variant="body2" color="text.secondary">
+            When enabled, the import will run without creating or modifying any events.
+            Use this to verify the import process before making actual changes.
+          </Typography>
+        </Box>
+        
+        {/* Actions */}
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 2, mt: 3 }}>
+          <Button 
+            variant="outlined" 
+            onClick={handleClear}
+            disabled={loading}
+          >
+            Clear
+          </Button>
+          
+          {loading && (
+            <Button
+              variant="outlined"
+              color="error"
+              onClick={cancelImport}
+              startIcon={<CancelIcon />}
+            >
+              Cancel Import
+            </Button>
+          )}
+          
+          <Button 
+            variant="contained" 
+            color="primary"
+            onClick={() => handleImport()}
+            disabled={loading || !hasCalendar || !feedName || !afterEqualDate || !beforeEqualDate || !authToken}
+            startIcon={loading ? <CircularProgress size={18} /> : (dryRun ? <UploadFileIcon /> : <BackupIcon />)}
+          >
+            {loading ? 'Importing...' : (dryRun ? 'Run Dry Import' : 'Run Actual Import')}
+          </Button>
+        </Box>
+      </Paper>
+      
+      <ImportRunStatus sourceLabel="ICS" {...importStream} onOverride={handleImport} />
+    </LocalizationProvider>
+  );
+};
+
+export default IcsImportTab;
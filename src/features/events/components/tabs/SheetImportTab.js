@@ -0,0 +1,522 @@
+'use client';
+
+import { useState, useMemo, useRef } from 'react';
+import PropTypes from 'prop-types';
+import axios from 'axios';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  CircularProgress,
+  LinearProgress,
+  Alert,
+  AlertTitle,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  Switch,
+  Grid,
+  Divider,
+  Chip,
+  Autocomplete,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import AttachFileIcon from '@mui/icons-material/AttachFile';
+import BackupIcon from '@mui/icons-material/Backup';
+import DownloadIcon from '@mui/icons-material/Download';
+import { eventsApi, organizersApi } from '@/lib/api-client';
+import { readSpreadsheetFile } from '../../utils/spreadsheet';
+import {
+  SHEET_FIELDS,
+  ENTITY_FIELDS,
+  normalizeName,
+  guessColumnMapping,
+  indexByName,
+  buildSheetEvent,
+  buildErrorReportCsv
+} from '../../utils/sheetEvents';
+
+// Largest file read in the browser
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+const entityLabels = {
+  venue: 'Venue',
+  organizer: 'Organizer',
+  category: 'Category'
+};
+
+/**
+ * Formats an ISO date for the preview table
+ * @param {string} value - ISO date
+ * @param {boolean} allDay - Whether the event is all-day
+ * @returns {string} Local date and time
+ */
+const formatPreviewDate = (value, allDay) => {
+  if (!value) return '—';
+  const date = new Date(value);
+  return allDay ? date.toLocaleDateString() : date.toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+};
+
+/**
+ * Spreadsheet Import tab component for creating events from a CSV or XLSX schedule
+ */
+const SheetImportTab = ({ appId, onImported }) => {
+  // State for the uploaded file
+  const [fileName, setFileName] = useState('');
+  const [sheet, setSheet] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [reading, setReading] = useState(false);
+  const fileInputRef = useRef(null);
+
+  // State for TT entities the names are matched against
+  const [entities, setEntities] = useState(null);
+  const [choices, setChoices] = useState({ venue: {}, organizer: {}, category: {} });
+
+  // State for the preview and commit
+  const [showInvalidOnly, setShowInvalidOnly] = useState(false);
+  const [committing, setCommitting] = useState(false);
+  const [commitProgress, setCommitProgress] = useState(null);
+  const [commitResults, setCommitResults] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Load the venues, organizers and categories of the app
+  const loadEntities = async () => {
+    const [venuesResponse, organizers, categoriesResponse] = await Promise.all([
+      axios.get('/api/venues', { params: { appId, limit: 1000 } }),
+      organizersApi.getOrganizers(appId),
+      axios.get('/api/categories', { params: { appId } })
+    ]);
+
+    const categories = Array.isArray(categoriesResponse.data)
+      ? categoriesResponse.data
+      : categoriesResponse.data?.categories || categoriesResponse.data?.data || [];
+
+    return {
+      venue: venuesResponse.data?.data || [],
+      organizer: organizers || [],
+      category: categories
+    };
+  };
+
+  // Read a file, guess the column mapping and load what its names are matched against
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setError(null);
+    setCommitResults(null);
+    setCommitProgress(null);
+
+    if (file.size > MAX_FILE_SIZE) {
+      setError('The file is too large (5 MB at most)');
+      return;
+    }
+
+    setReading(true);
+    try {
+      const [parsed, loaded] = await Promise.all([
+        readSpreadsheetFile(file),
+        entities ? Promise.resolve(entities) : loadEntities()
+      ]);
+
+      if (parsed.rows.length === 0) {
+        throw new Error('The file has a header row but no events');
+      }
+
+      setFileName(file.name);
+      setSheet(parsed);
+      setMapping(guessColumnMapping(parsed.headers));
+      setEntities(loaded);
+      setChoices({ venue: {}, organizer: {}, category: {} });
+    } catch (err) {
+      console.error('Error reading spreadsheet:', err);
+      setError(`Could not read ${file.name}: ${err.response?.data?.error || err.message}`);
+      setSheet(null);
+    } finally {
+      setReading(false);
+    }
+  };
+
+  // Name indexes of the TT entities
+  const lookups = useMemo(() => (entities ? {
+    venue: indexByName(entities.venue, venue => [venue.name]),
+    organizer: indexByName(entities.organizer, organizer => [organizer.fullName, organizer.name, organizer.shortName]),
+    category: indexByName(entities.category, category => [category.categoryName, category.categoryCode])
+  } : null), [entities]);
+
+  // Options for picking an entity for an unmatched name
+  const entityOptions = useMemo(() => (entities ? {
+    venue: entities.venue.map(venue => ({ entity: venue, label: venue.city ? `${venue.name} (${venue.city})` : venue.name })),
+    organizer: entities.organizer.map(organizer => ({ entity: organizer, label: organizer.fullName || organizer.name })),
+    category: entities.category.map(category => ({ entity: category, label: category.categoryName }))
+  } : null), [entities]);
+
+  const missingColumns = SHEET_FIELDS.filter(field => field.required && mapping[field.key] === '');
+
+  // Map and validate every row
+  const preview = useMemo(() => {
+    if (!sheet || !lookups || missingColumns.length > 0) {
+      return null;
+    }
+    return sheet.rows.map(row => ({
+      ...buildSheetEvent(row, mapping, lookups, choices, { appId, fileName }),
+      cells: row.cells
+    }));
+  }, [sheet, lookups, mapping, choices, appId, fileName, missingColumns.length]);
+
+  const validRows = preview ? preview.filter(row => row.errors.length === 0) : [];
+  const invalidRows = preview ? preview.filter(row => row.errors.length > 0) : [];
+
+  // Names no TT entity matched, with the number of rows that use each
+  const unmatchedNames = useMemo(() => {
+    const names = { venue: new Map(), organizer: new Map(), category: new Map() };
+    for (const row of preview || []) {
+      for (const [key, name] of Object.entries(row.unmatched)) {
+        const normalized = normalizeName(name);
+        const entry = names[key].get(normalized) || { name, rows: 0 };
+        entry.rows++;
+        names[key].set(normalized, entry);
+      }
+    }
+    return names;
+  }, [preview]);
+
+  // Pick a TT entity for an unmatched name (applies to every row that uses the name)
+  const handleChoice = (key, name, option) => {
+    setChoices(prev => {
+      const next = { ...prev[key] };
+      if (option) {
+        next[normalizeName(name)] = option.entity;
+      } else {
+        delete next[normalizeName(name)];
+      }
+      return { ...prev, [key]: next };
+    });
+  };
+
+  // Create the valid rows one at a time, so a failure only loses its own row
+  const handleCommit = async () => {
+    setCommitting(true);
+    setError(null);
+    setCommitResults(null);
+    setCommitProgress({ done: 0, total: validRows.length });
+
+    const created = [];
+    const failed = [];
+
+    for (const row of validRows) {
+      try {
+        const result = await eventsApi.createEvent(row.ttEvent);
+        created.push({ rowNumber: row.rowNumber, id: result?._id || result?.event?._id });
+      } catch (err) {
+        const message = err.response?.data?.message || err.response?.data?.error || err.message;
+        failed.push({ rowNumber: row.rowNumber, cells: row.cells, errors: [`Create failed: ${message}`] });
+      }
+      setCommitProgress(prev => ({ ...prev, done: prev.done + 1 }));
+    }
+
+    setCommitResults({ created, failed });
+    setCommitting(false);
+
+    if (created.length > 0 && onImported) {
+      onImported();
+    }
+  };
+
+  // Download the rows that were rejected in the preview or failed to create
+  const handleDownloadReport = () => {
+    const rejected = [
+      ...invalidRows.map(row => ({ rowNumber: row.rowNumber, cells: row.cells, errors: row.errors })),
+      ...(commitResults?.failed || [])
+    ].sort((a, b) => a.rowNumber - b.rowNumber);
+
+    const blob = new Blob([buildErrorReportCsv(sheet.headers, rejected)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${fileName.replace(/\.[^.]+$/, '')}-errors.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Function to handle clear
+  const handleClear = () => {
+    setFileName('');
+    setSheet(null);
+    setMapping({});
+    setChoices({ venue: {}, organizer: {}, category: {} });
+    setShowInvalidOnly(false);
+    setCommitProgress(null);
+    setCommitResults(null);
+    setError(null);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  const displayedRows = preview ? (showInvalidOnly ? invalidRows : preview) : [];
+  const hasUnmatched = ENTITY_FIELDS.some(key => unmatchedNames[key].size > 0);
+  const rejectedCount = invalidRows.length + (commitResults?.failed.length || 0);
+
+  return (
+    <>
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>Import Events from a Spreadsheet</Typography>
+
+        {/* File */}
+        <Box sx={{ mb: 3 }}>
+          <Typography variant="subtitle1" gutterBottom>File</Typography>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            Upload a CSV or XLSX file with one event per row and a header row. Only the first sheet of a
+            workbook is read. Dates and times without a time zone are read in this browser&apos;s time zone.
+          </Typography>
+
+          <Box sx={{ mt: 2, display: 'flex', gap: 2, alignItems: 'center' }}>
+            <Button
+              variant="outlined"
+              component="label"
+              startIcon={reading ? <CircularProgress size={18} /> : <AttachFileIcon />}
+              disabled={reading || committing}
+            >
+              Choose File
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                hidden
+                onChange={handleFileChange}
+              />
+            </Button>
+            <Typography variant="body2" color="text.secondary">
+              {sheet ? `${fileName} (${sheet.rows.length} rows)` : 'No file chosen'}
+            </Typography>
+          </Box>
+        </Box>
+
+        {/* Column Mapping */}
+        {sheet && (
+          <>
+            <Divider sx={{ my: 2 }} />
+            <Box sx={{ mb: 3 }}>
+              <Typography variant="subtitle1" gutterBottom>Column Mapping</Typography>
+              <Typography variant="body2" color="text.secondary" gutterBottom>
+                Choose the column that holds each field. Venue, organizer and category names are matched
+                to existing TT entries by name.
+              </Typography>
+
+              <Grid container spacing={2} sx={{ mt: 1 }}>
+                {SHEET_FIELDS.map(field => (
+                  <Grid item xs={12} sm={6} md={4} key={field.key}>
+                    <FormControl fullWidth size="small" required={field.required}>
+                      <InputLabel>{field.label}</InputLabel>
+                      <Select
+                        value={mapping[field.key] ?? ''}
+                        label={field.label}
+                        onChange={(e) => setMapping(prev => ({ ...prev, [field.key]: e.target.value }))}
+                      >
+                        <MenuItem value=""><em>Not in file</em></MenuItem>
+                        {sheet.headers.map((header, i) => (
+                          <MenuItem key={i} value={i}>{header}</MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  </Grid>
+                ))}
+              </Grid>
+
+              {missingColumns.length > 0 && (
+                <Alert severity="info" sx={{ mt: 2 }}>
+                  Map a column to {missingColumns.map(field => field.label).join(', ')} to preview the events.
+                </Alert>
+              )}
+            </Box>
+          </>
+        )}
+
+        {/* Unmatched Names */}
+        {preview && hasUnmatched && (
+          <>
+            <Divider sx={{ my: 2 }} />
+            <Box sx={{ mb: 3 }}>
+              <Typography variant="subtitle1" gutterBottom>Unmatched Names</Typography>
+              <Typography variant="body2" color="text.secondary" gutterBottom>
+                These names match no TT entry. Pick one for each name (it applies to every row that uses the
+                name), or fix the file and upload it again.
+              </Typography>
+
+              <Grid container spacing={2} sx={{ mt: 1 }}>
+                {ENTITY_FIELDS.flatMap(key => [...unmatchedNames[key].entries()].map(([normalized, { name, rows }]) => (
+                  <Grid item xs={12} md={6} key={`${key}-${normalized}`}>
+                    <Autocomplete
+                      size="small"
+                      options={entityOptions[key]}
+                      getOptionLabel={option => option.label || ''}
+                      isOptionEqualToValue={(option, value) => option.entity._id === value.entity._id}
+                      value={entityOptions[key].find(option => option.entity === choices[key][normalized]) || null}
+                      onChange={(e, option) => handleChoice(key, name, option)}
+                      renderInput={(params) => (
+                        <TextField
+                          {...params}
+                          label={`${entityLabels[key]} "${name}" (${rows} ${rows === 1 ? 'row' : 'rows'})`}
+                        />
+                      )}
+                    />
+                  </Grid>
+                )))}
+              </Grid>
+            </Box>
+          </>
+        )}
+
+        {/* Actions */}
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 2, mt: 3 }}>
+          <Button
+            variant="outlined"
+            onClick={handleClear}
+            disabled={committing}
+          >
+            Clear
+          </Button>
+
+          {preview && rejectedCount > 0 && (
+            <Button
+              variant="outlined"
+              color="warning"
+              onClick={handleDownloadReport}
+              startIcon={<DownloadIcon />}
+            >
+              Download Error Report ({rejectedCount})
+            </Button>
+          )}
+
+          <Button
+            variant="contained"
+            color="primary"
+            onClick={handleCommit}
+            disabled={!preview || committing || validRows.length === 0 || Boolean(commitResults)}
+            startIcon={committing ? <CircularProgress size={18} /> : <BackupIcon />}
+          >
+            {committing ? 'Creating...' : `Create ${validRows.length} ${validRows.length === 1 ? 'Event' : 'Events'}`}
+          </Button>
+        </Box>
+
+        {commitProgress && committing && (
+          <Box sx={{ mt: 2 }}>
+            <LinearProgress
+              variant="determinate"
+              value={commitProgress.total ? (commitProgress.done / commitProgress.total) * 100 : 0}
+            />
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+              Created {commitProgress.done} of {commitProgress.total}
+            </Typography>
+          </Box>
+        )}
+      </Paper>
+
+      {/* Results and Error Display */}
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          <AlertTitle>Import Error</AlertTitle>
+          {error}
+        </Alert>
+      )}
+
+      {commitResults && (
+        <Alert severity={commitResults.failed.length > 0 ? 'warning' : 'success'} sx={{ mb: 3 }}>
+          <AlertTitle>Import Finished</AlertTitle>
+          Created {commitResults.created.length} {commitResults.created.length === 1 ? 'event' : 'events'}.
+          {commitResults.failed.length > 0 && ` ${commitResults.failed.length} could not be created; they are listed in the error report.`}
+          {invalidRows.length > 0 && ` ${invalidRows.length} rows were skipped because they did not pass validation.`}
+        </Alert>
+      )}
+
+      {/* Preview */}
+      {preview && (
+        <Paper sx={{ p: 3 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+            <Box>
+              <Typography variant="h6">Preview</Typography>
+              <Typography variant="body2" color="text.secondary">
+                {validRows.length} ready to create, {invalidRows.length} with errors
+              </Typography>
+            </Box>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={showInvalidOnly}
+                  onChange={(e) => setShowInvalidOnly(e.target.checked)}
+                />
+              }
+              label="Only rows with errors"
+            />
+          </Box>
+
+          <TableContainer sx={{ maxHeight: 500 }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Row</TableCell>
+                  <TableCell>Title</TableCell>
+                  <TableCell>Start</TableCell>
+                  <TableCell>End</TableCell>
+                  <TableCell>Venue</TableCell>
+                  <TableCell>Organizer</TableCell>
+                  <TableCell>Category</TableCell>
+                  <TableCell>Status</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {displayedRows.map(row => (
+                  <TableRow key={row.rowNumber}>
+                    <TableCell>{row.rowNumber}</TableCell>
+                    <TableCell>{row.ttEvent.title || '—'}</TableCell>
+                    <TableCell>{formatPreviewDate(row.ttEvent.startDate, row.ttEvent.allDay)}</TableCell>
+                    <TableCell>{formatPreviewDate(row.ttEvent.endDate, row.ttEvent.allDay)}</TableCell>
+                    <TableCell>{row.values.venue || '—'}</TableCell>
+                    <TableCell>{row.ttEvent.ownerOrganizerName || row.values.organizer || '—'}</TableCell>
+                    <TableCell>{row.ttEvent.categoryFirst || row.values.category || '—'}</TableCell>
+                    <TableCell>
+                      {row.errors.length > 0 ? (
+                        <>
+                          <Chip label="Error" color="error" size="small" sx={{ mb: 0.5 }} />
+                          {row.errors.map((message, i) => (
+                            <Typography key={i} variant="caption" display="block" color="error">
+                              {message}
+                            </Typography>
+                          ))}
+                        </>
+                      ) : (
+                        <Chip label="Valid" color="success" size="small" />
+                      )}
+                      {row.warnings.map((message, i) => (
+                        <Typography key={i} variant="caption" display="block" color="warning.main">
+                          {message}
+                        </Typography>
+                      ))}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      )}
+    </>
+  );
+};
+
+SheetImportTab.propTypes = {
+  appId: PropTypes.string.isRequired,
+  onImported: PropTypes.func
+};
+
+export default SheetImportTab;
@@ -0,0 +1,248 @@
+'use client';
+
+import { useState, useRef, useEffect } from 'react';
+
+// Keep the live log bounded so long imports don't slow the page down
+const MAX_LOG_ENTRIES = 500;
+
+/**
+ * Turns an importer progress event into a log line (null for events not worth logging)
+ * @param {Object} progress - Progress event from the import stream
+ * @param {string} sourceLabel - Name of the source shown in the log (e.g. BTC)
+ * @returns {Object|null} Log entry with text and severity
+ */
+const describeProgress = (progress, sourceLabel) => {
+  switch (progress.type) {
+    case 'range_started':
+      return { text: `Import started: ${progress.startDate} to ${progress.endDate} (${progress.daysTotal} days)`, severity: 'info' };
+    case 'day_started':
+      return { text: `Day ${progress.dayIndex + 1}/${progress.daysTotal}: ${progress.date}`, severity: 'info' };
+    case 'day_fetched':
+      return { text: `  Fetched ${progress.total} ${sourceLabel} events`, severity: 'info' };
+    case 'event_resolved':
+      return { text: `  ✓ ${progress.title} (${sourceLabel} ${progress.btcId})${progress.action ? ` ${progress.action}` : ''}`, severity: 'success' };
+    case 'event_failed':
+      return {
+        text: `  ✗ ${progress.title} (${sourceLabel} ${progress.btcId}) failed at ${progress.stage}: ${(progress.errors || [progress.error]).join('; ')}`,
+        severity: 'error'
+      };
+    case 'day_completed': {
+      const { created, updated, unchanged, removed, failed } = progress.results.ttEvents;
+      return { text: `  Day complete: ${created} created, ${updated} updated, ${unchanged} unchanged, ${removed} removed, ${failed} failed`, severity: 'info' };
+    }
+    case 'day_cancelled':
+      return { text: `  Cancelled after ${progress.processed} events`, severity: 'warning' };
+    case 'day_failed':
+      return { text: `  Day failed: ${progress.error}`, severity: 'error' };
+    case 'range_completed':
+      return { text: `Import ${progress.status}: ${progress.daysCompleted}/${progress.daysTotal} days`, severity: 'info' };
+    case 'series_detected':
+      return progress.detected > 0
+        ? { text: `Recurring series: ${progress.detected} found, ${progress.dryRun ? 'not linked in a dry run' : `${progress.linked} events linked`}`, severity: progress.failed ? 'warning' : 'info' }
+        : null;
+    case 'gate_started':
+      return { text: 'Go/No-Go gate: dry run first, nothing is written until it passes', severity: 'info' };
+    case 'gate_passed':
+      return { text: 'Go/No-Go gate passed. Starting the live import', severity: 'success' };
+    case 'gate_overridden':
+      return { text: `Go/No-Go gate failed, overridden by ${progress.override.operator}: ${progress.override.reason}`, severity: 'warning' };
+    case 'gate_blocked':
+      return { text: `Live import refused: ${progress.reason}`, severity: 'error' };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Custom hook for running a streamed import and tracking its progress, log and result
+ * @param {string} sourceLabel - Name of the source shown in the log (e.g. BTC)
+ * @returns {Object} Import state plus runImport, cancelImport and resetImport
+ */
+const useImportStream = (sourceLabel) => {
+  // State for import status
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [importResults, setImportResults] = useState(null);
+  
+  // State for live progress
+  const [progress, setProgress] = useState(null);
+  const [logEntries, setLogEntries] = useState([]);
+  const abortControllerRef = useRef(null);
+  
+  // Cancel a running import if the tab is unmounted
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
+  
+  // Apply a progress event from the stream to the progress bar and log
+  const handleProgress = (event) => {
+    setProgress(prev => {
+      const next = { ...prev };
+      
+      if (event.type === 'gate_started') {
+        next.phase = 'gate';
+      } else if (event.type === 'gate_passed' || event.type === 'gate_overridden') {
+        // The live phase starts over from the first day
+        Object.assign(next, { phase: 'live', daysCompleted: 0, currentDate: null, created: 0, updated: 0, unchanged: 0, failed: 0 });
+      } else if (event.type === 'range_started') {
+        next.daysTotal = event.daysTotal;
+        next.daysCompleted = event.daysCompleted;
+      } else if (event.type === 'day_started') {
+        next.currentDate = event.date;
+        next.dayProcessed = 0;
+        next.dayTotal = 0;
+      } else if (event.type === 'day_fetched') {
+        next.dayTotal = event.total;
+      } else if (event.type === 'event_resolved' || event.type === 'event_failed') {
+        next.dayProcessed = event.counters.processed;
+        next.dayTotal = event.counters.total;
+        if (event.type === 'event_resolved') {
+          // Re-syncs mostly update or leave events unchanged, so each action has its own counter
+          next[event.action] = (next[event.action] || 0) + 1;
+        } else {
+          next.failed = (next.failed || 0) + 1;
+        }
+      } else if (event.type === 'day_completed') {
+        next.daysCompleted = event.daysCompleted;
+        next.dayProcessed = 0;
+        next.dayTotal = 0;
+      }
+      
+      return next;
+    });
+    
+    const entry = describeProgress(event, sourceLabel);
+    if (entry) {
+      setLogEntries(prev => [...prev, { ...entry, timestamp: event.timestamp }].slice(-MAX_LOG_ENTRIES));
+    }
+  };
+  
+  // Read Server-Sent Events from the import response until the result arrives
+  const readImportStream = async (response) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result = null;
+    
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      
+      buffer += decoder.decode(value, { stream: true });
+      
+      // Frames are separated by a blank line
+      let separatorIndex;
+      while ((separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+        const frame = buffer.slice(0, separatorIndex);
+        buffer = buffer.slice(separatorIndex + 2);
+        
+        const eventName = frame.match(/^event: (.*)$/m)?.[1];
+        const dataLine = frame.match(/^data: (.*)$/m)?.[1];
+        if (!eventName || !dataLine) continue;
+        
+        const data = JSON.parse(dataLine);
+        
+        if (eventName === 'progress') {
+          handleProgress(data);
+        } else if (eventName === 'result') {
+          result = data;
+        } else if (eventName === 'error') {
+          throw new Error(data.error || data.message || 'Import failed');
+        }
+      }
+    }
+    
+    if (!result) {
+      throw new Error('Import stream ended before a result was received');
+    }
+    
+    return result;
+  };
+  
+  /**
+   * Starts a streamed import
+   * @param {string} url - Import API route
+   * @param {Object} body - Request body (stream is added)
+   * @param {string} authToken - Firebase authentication token
+   */
+  const runImport = async (url, body, authToken) => {
+    setLoading(true);
+    setError(null);
+    setSuccess(null);
+    setImportResults(null);
+    setProgress({ daysTotal: 0, daysCompleted: 0, dayProcessed: 0, dayTotal: 0, created: 0, updated: 0, unchanged: 0, failed: 0 });
+    setLogEntries([]);
+    
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'text/event-stream',
+          'Authorization': `Bearer ${authToken}`
+        },
+        body: JSON.stringify({ ...body, stream: true }),
+        signal: abortController.signal
+      });
+      
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error ? `${errorData.message}: ${errorData.error}` : (errorData.message || 'Failed to import events'));
+      }
+      
+      const result = await readImportStream(response);
+      
+      // Set success message and results (a refused live import shows its gate instead)
+      if (body.dryRun !== false) {
+        setSuccess('Dry run completed successfully. No events were created.');
+      } else if (!result.gate?.blocked) {
+        setSuccess(result.gate?.override
+          ? 'Import completed with a Go/No-Go override.'
+          : 'Import completed successfully.');
+      }
+      setImportResults(result);
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        setError('Import cancelled. Days already completed were kept; the current day was stopped before its next event.');
+      } else {
+        setError(err.message || 'An error occurred during import');
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setLoading(false);
+    }
+  };
+  
+  // Cancel a running import
+  const cancelImport = () => {
+    abortControllerRef.current?.abort();
+  };
+  
+  // Clear the status, progress and results of the last import
+  const resetImport = () => {
+    setError(null);
+    setSuccess(null);
+    setImportResults(null);
+    setProgress(null);
+    setLogEntries([]);
+  };
+  
+  return {
+    loading,
+    error,
+    setError,
+    success,
+    importResults,
+    progress,
+    logEntries,
+    runImport,
+    cancelImport,
+    resetImport
+  };
+};
+
+export default useImportStream;
@@ -0,0 +1,333 @@
+/**
+ * Turns spreadsheet rows into TT events for the spreadsheet upload on the events page
+ */
+
+import { checkTtEvent } from '../../../../event-validation.js';
+import { excelSerialToDate } from './spreadsheet';
+
+// Event fields a column can be mapped to, with header names recognized automatically
+export const SHEET_FIELDS = [
+  { key: 'title', label: 'Title', required: true, headers: ['title', 'event', 'event name', 'name', 'summary'] },
+  { key: 'start', label: 'Start', required: true, headers: ['start', 'start date', 'start time', 'starts', 'begin', 'date', 'from'] },
+  { key: 'end', label: 'End', required: true, headers: ['end', 'end date', 'end time', 'ends', 'finish', 'until', 'to'] },
+  { key: 'venue', label: 'Venue', required: true, headers: ['venue', 'location', 'place', 'where'] },
+  { key: 'organizer', label: 'Organizer', required: true, headers: ['organizer', 'organiser', 'host', 'teacher', 'dj', 'owner'] },
+  { key: 'category', label: 'Category', required: false, headers: ['category', 'type', 'event type', 'kind'] }
+];
+
+// Entity fields whose names are looked up in TT
+export const ENTITY_FIELDS = ['venue', 'organizer', 'category'];
+
+/**
+ * Normalizes a header or entity name for comparison
+ * @param {string} value - Name
+ * @returns {string} Lowercase name without punctuation or extra spaces
+ */
+export const normalizeName = (value) => String(value ?? '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Guesses which column holds each field from the header names
+ * @param {Array<string>} headers - Column headers
+ * @returns {Object} Column index (or '') by field key
+ */
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(normalizeName);
+  const used = new Set();
+  const mapping = {};
+
+  for (const field of SHEET_FIELDS) {
+    const index = field.headers
+      .map(header => normalized.findIndex((name, i) => name === header && !used.has(i)))
+      .find(i => i !== -1);
+    mapping[field.key] = index === undefined ? '' : index;
+    if (index !== undefined) {
+      used.add(index);
+    }
+  }
+
+  return mapping;
+};
+
+/**
+ * Reads a time of day such as 20:00, 8pm or 8:30 PM
+ * @param {string} text - Time text
+ * @returns {Array<number>|null} [hours, minutes, seconds]
+ */
+const parseTime = (text) => {
+  const match = text.trim().match(/^(\d{1,2})(?:[:.](\d{2}))?(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i);
+  if (!match || (!match[2] && !match[4])) {
+    return null;
+  }
+
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2] || '0', 10);
+  const seconds = parseInt(match[3] || '0', 10);
+  const meridiem = match[4]?.[0].toLowerCase();
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === 'p' ? 12 : 0);
+  }
+
+  return hours < 24 && minutes < 60 && seconds < 60 ? [hours, minutes, seconds] : null;
+};
+
+/**
+ * Reads a date cell. Dates without a zone are read in the browser's time zone.
+ * Accepts ISO dates (2026-10-20 20:00), US dates (10/20/2026 8:00 PM), Excel serial dates
+ * and, for end cells, a time only (23:00), which is taken on the start day.
+ * @param {string|number} value - Cell value
+ * @returns {Object|null} { date, hasTime } or { time } for a time only; null if blank or unreadable
+ */
+export const parseSheetDate = (value) => {
+  if (typeof value === 'number') {
+    if (value < 1) {
+      const date = excelSerialToDate(value);
+      return { time: [date.getHours(), date.getMinutes(), date.getSeconds()] };
+    }
+    return { date: excelSerialToDate(value), hasTime: value % 1 !== 0 };
+  }
+
+  const text = String(value ?? '').trim();
+  if (!text) {
+    return null;
+  }
+
+  const time = parseTime(text);
+  if (time) {
+    return { time };
+  }
+
+  // ISO date with an explicit zone
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : { date, hasTime: true };
+  }
+
+  const match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s]+(.+))?$/)
+    || text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[\s,]+(.+))?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [year, month, day] = match[1].length === 4
+    ? [match[1], match[2], match[3]].map(Number)
+    : [match[3], match[1], match[2]].map(Number);
+
+  const timeOfDay = match[4] ? parseTime(match[4]) : [0, 0, 0];
+  if (!timeOfDay) {
+    return null;
+  }
+
+  const date = new Date(year, month - 1, day, ...timeOfDay);
+  if (date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+
+  return { date, hasTime: Boolean(match[4]) };
+};
+
+/**
+ * Indexes TT entities by normalized name
+ * @param {Array<Object>} entities - TT entities
+ * @param {Function} getNames - Returns the names an entity is known by
+ * @returns {Map<string, Object>} Entities by normalized name
+ */
+export const indexByName = (entities, getNames) => {
+  const index = new Map();
+  for (const entity of entities) {
+    for (const name of getNames(entity)) {
+      const key = normalizeName(name);
+      if (key && !index.has(key)) {
+        index.set(key, entity);
+      }
+    }
+  }
+  return index;
+};
+
+/**
+ * Gets the ID of a reference that may be populated
+ * @param {Object|string} reference - ID or populated document
+ * @returns {string|undefined} ID
+ */
+const getReferenceId = (reference) => (reference && typeof reference === 'object' ? reference._id : reference) || undefined;
+
+/**
+ * Copies the location of a venue onto an event
+ * @param {Object} venue - TT venue
+ * @returns {Object} Event geography fields that the venue provides
+ */
+const getVenueGeography = (venue) => {
+  const geography = {};
+
+  if (venue.geolocation?.type === 'Point' && Array.isArray(venue.geolocation.coordinates)) {
+    geography.venueGeolocation = venue.geolocation;
+  }
+
+  const city = venue.masteredCityId;
+  if (city) {
+    geography.masteredCityId = getReferenceId(city);
+    if (typeof city === 'object') {
+      geography.masteredCityName = city.cityName;
+      geography.masteredCityGeolocation = city.location;
+    }
+  }
+
+  const division = venue.masteredDivisionId;
+  if (division) {
+    geography.masteredDivisionId = getReferenceId(division);
+    if (typeof division === 'object') {
+      geography.masteredDivisionName = division.divisionName;
+    }
+  }
+
+  const region = venue.masteredRegionId;
+  if (region) {
+    geography.masteredRegionId = getReferenceId(region);
+    if (typeof region === 'object') {
+      geography.masteredRegionName = region.regionName;
+    }
+  }
+
+  // Leave out fields the venue didn't have rather than sending undefined
+  return Object.fromEntries(Object.entries(geography).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Builds the TT event of one spreadsheet row and validates it
+ * @param {Object} row - { rowNumber, cells } from readSpreadsheetFile
+ * @param {Object} mapping - Column index by field key
+ * @param {Object} lookups - { venue, organizer, category } name indexes from indexByName
+ * @param {Object} choices - Entities picked in the preview for unmatched names, by field key and normalized name
+ * @param {Object} options - { appId, fileName }
+ * @returns {Object} { rowNumber, values, ttEvent, errors, warnings, unmatched }, where unmatched holds the
+ *   names that match no TT entity by name (whether or not one was picked)
+ */
+export const buildSheetEvent = (row, mapping, lookups, choices, { appId, fileName }) => {
+  const cell = (key) => (mapping[key] === '' || mapping[key] === undefined ? '' : row.cells[mapping[key]] ?? '');
+  const values = Object.fromEntries(SHEET_FIELDS.map(field => [field.key, cell(field.key)]));
+  const errors = [];
+  const unmatched = {};
+
+  // Entities: a name picked in the preview wins over a name match
+  const resolve = (key, label) => {
+    const name = String(values[key]).trim();
+    if (!name) {
+      return null;
+    }
+    const normalized = normalizeName(name);
+    const entity = choices[key]?.[normalized] || lookups[key].get(normalized);
+    if (!lookups[key].has(normalized)) {
+      unmatched[key] = name;
+    }
+    if (!entity) {
+      errors.push(`Unknown ${label}: ${name}`);
+    }
+    return entity || null;
+  };
+
+  const venue = resolve('venue', 'venue');
+  const organizer = resolve('organizer', 'organizer');
+  const category = resolve('category', 'category');
+
+  // Dates: an end given as a time only falls on the start day (or the next day, past midnight)
+  const start = parseSheetDate(values.start);
+  let end = parseSheetDate(values.end);
+  let startDate = null;
+  let endDate = null;
+  let allDay = false;
+
+  if (values.start !== '' && (!start || start.time)) {
+    errors.push(`Unreadable start date: ${values.start}`);
+  } else if (start) {
+    startDate = start.date;
+    allDay = !start.hasTime && (!end || (!end.time && !end.hasTime));
+  }
+
+  if (values.end !== '' && !end) {
+    errors.push(`Unreadable end date: ${values.end}`);
+  } else if (end && startDate) {
+    if (end.time) {
+      endDate = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate(), ...end.time);
+      if (endDate < startDate) {
+        endDate.setDate(endDate.getDate() + 1);
+      }
+    } else {
+      endDate = new Date(end.date);
+      // A date without a time ends at the end of that day
+      if (!end.hasTime) {
+        endDate.setHours(23, 59, 59, 0);
+      }
+    }
+  }
+
+  let expiresAt = null;
+  if (endDate) {
+    expiresAt = new Date(endDate);
+    expiresAt.setDate(expiresAt.getDate() + 1);
+  }
+
+  const ttEvent = {
+    appId,
+    title: String(values.title).trim(),
+    description: '',
+    startDate: startDate?.toISOString(),
+    endDate: endDate?.toISOString(),
+    allDay,
+    venueID: venue?._id,
+    ...(venue ? getVenueGeography(venue) : {}),
+    ownerOrganizerID: organizer?._id,
+    ownerOrganizerName: organizer ? (organizer.fullName || organizer.name) : undefined,
+    categoryFirstId: category?._id,
+    categoryFirst: category?.categoryName,
+    isActive: true,
+    isFeatured: false,
+    isCanceled: false,
+    discoveredComments: `Imported from spreadsheet ${fileName}, row ${row.rowNumber}`,
+    expiresAt: expiresAt?.toISOString()
+  };
+
+  // The same rules the importers apply before creating an event
+  const { issues } = checkTtEvent(ttEvent);
+  const blocking = issues.filter(issue => issue.blocking).map(issue => issue.message);
+  const warnings = issues.filter(issue => !issue.blocking).map(issue => issue.message);
+
+  return {
+    rowNumber: row.rowNumber,
+    values,
+    ttEvent,
+    errors: [...errors, ...blocking],
+    warnings,
+    unmatched
+  };
+};
+
+/**
+ * Quotes a CSV cell when needed
+ * @param {any} value - Cell value
+ * @returns {string} CSV cell
+ */
+const toCsvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV report of rejected rows: the sheet row number, the reasons and the original cells
+ * @param {Array<string>} headers - Column headers of the uploaded file
+ * @param {Array<Object>} rejected - { rowNumber, cells, errors } entries
+ * @returns {string} CSV text
+ */
+export const buildErrorReportCsv = (headers, rejected) => {
+  const lines = [['Row', 'Errors', ...headers].map(toCsvCell).join(',')];
+  for (const { rowNumber, cells, errors } of rejected) {
+    lines.push([rowNumber, errors.join('; '), ...headers.map((header, i) => cells[i])].map(toCsvCell).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
@@ -0,0 +1,190 @@
+/**
+ * Reads CSV and XLSX files into a header row and data rows, in the browser
+ */
+
+// Delimiters tried when sniffing a CSV header line
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Picks the delimiter used most often in the first line of a CSV file (outside quotes)
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter
+ */
+const detectDelimiter = (text) => {
+  const counts = Object.fromEntries(CSV_DELIMITERS.map(delimiter => [delimiter, 0]));
+  let inQuotes = false;
+
+  for (const char of text) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!inQuotes && char in counts) {
+      counts[char]++;
+    }
+  }
+
+  return CSV_DELIMITERS.reduce((best, delimiter) => (counts[delimiter] > counts[best] ? delimiter : best));
+};
+
+/**
+ * Parses CSV text (RFC 4180 quoting, comma, semicolon or tab delimited)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Days from the Excel epoch (1899-12-30) to the Unix epoch
+const EXCEL_EPOCH_OFFSET_DAYS = 25569;
+
+/**
+ * Converts a cell value read by ExcelJS to plain text or a number: rich text and hyperlinks become their
+ * text, formulas their result, and dates Excel serial dates in the 1900 date system
+ * @param {any} value - ExcelJS cell value
+ * @returns {string|number} Cell value
+ */
+const toCellValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    // ExcelJS dates carry the cell's wall-clock time as UTC, whichever date system the workbook uses
+    return value.getTime() / 86400000 + EXCEL_EPOCH_OFFSET_DAYS;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+  if (typeof value !== 'object') {
+    return value;
+  }
+  if (value.richText) {
+    return value.richText.map(run => run.text).join('');
+  }
+  if ('formula' in value || 'sharedFormula' in value || 'result' in value) {
+    return toCellValue(value.result);
+  }
+  if ('hyperlink' in value) {
+    return toCellValue(value.text);
+  }
+  if (value.error) {
+    return value.error;
+  }
+  return String(value);
+};
+
+/**
+ * Parses the first worksheet of an XLSX workbook. Numbers are kept as numbers, and date cells come
+ * back as Excel serial dates (see excelSerialToDate).
+ * @param {ArrayBuffer} buffer - Workbook contents
+ * @returns {Promise<Array<Array<string|number>>>} Rows of cells
+ */
+export const parseXlsx = async (buffer) => {
+  // Loaded on demand, so pages that never read a workbook do not download it
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.Workbook();
+
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new Error(`Not an XLSX workbook (${error.message})`);
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    throw new Error('The workbook has no worksheet');
+  }
+
+  // Rows may skip empty rows; keep row numbers aligned with the sheet
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    // row.values is indexed by column number, starting at 1, with holes for empty cells
+    rows[rowNumber - 1] = Array.from(row.values.slice(1), toCellValue);
+  });
+
+  return Array.from(rows, row => row || []);
+};
+
+/**
+ * Converts an Excel serial date (days since 1899-12-30, time as the fraction) to a local Date
+ * @param {number} serial - Serial date
+ * @returns {Date} Date with the same wall-clock time in the browser's time zone
+ */
+export const excelSerialToDate = (serial) => {
+  const totalSeconds = Math.round(serial * 86400);
+  const days = Math.floor(totalSeconds / 86400);
+  const seconds = totalSeconds - days * 86400;
+  return new Date(1899, 11, 30 + days, 0, 0, seconds);
+};
+
+/**
+ * Reads a CSV or XLSX file
+ * @param {File} file - Uploaded file
+ * @returns {Promise<Object>} { headers, rows }, with empty rows dropped; each row keeps its sheet row number
+ */
+export const readSpreadsheetFile = async (file) => {
+  const isXlsx = /\.xlsx$/i.test(file.name);
+  if (/\.xls$/i.test(file.name)) {
+    throw new Error('Old .xls workbooks are not supported. Save the file as .xlsx or .csv.');
+  }
+
+  const allRows = isXlsx ? await parseXlsx(await file.arrayBuffer()) : parseCsv(await file.text());
+
+  // The first non-empty row holds the column headers
+  const isEmpty = (row) => row.every(cell => String(cell ?? '').trim() === '');
+  const headerIndex = allRows.findIndex(row => !isEmpty(row));
+  if (headerIndex === -1) {
+    throw new Error('The file is empty');
+  }
+
+  const headers = allRows[headerIndex].map((header, i) => String(header ?? '').trim() || `Column ${i + 1}`);
+  const rows = allRows
+    .slice(headerIndex + 1)
+    .map((cells, i) => ({ rowNumber: headerIndex + i + 2, cells }))
+    .filter(row => !isEmpty(row.cells));
+
+  return { headers, rows };
+};
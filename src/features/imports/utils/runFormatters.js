@@ -0,0 +1,31 @@
+/**
+ * Display helpers for import run history
+ */
+
+// Chip colors for run statuses
+export const runStatusColors = {
+  running: 'info',
+  completed: 'success',
+  stopped: 'warning',
+  cancelled: 'warning',
+  skipped: 'warning',
+  blocked: 'error',
+  failed: 'error',
+  rolled_back: 'default'
+};
+
+// Format a run duration in milliseconds
+export const formatDuration = (durationMs) => {
+  if (durationMs === null || durationMs === undefined) {
+    return '—';
+  }
+  const seconds = Math.round(durationMs / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
+
+// Format the date range a run covered
+export const formatRunDates = (parameters = {}) => (
+  parameters.startDate === parameters.endDate
+    ? parameters.startDate
+    : `${parameters.startDate} – ${parameters.endDate}`
+);
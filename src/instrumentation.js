@@ -0,0 +1,10 @@
+/**
+ * Runs once when the Next.js server starts
+ */
+export async function register() {
+  // The scheduler needs Node.js APIs and must not run in the edge runtime
+  if (process.env.NEXT_RUNTIME === 'nodejs' && process.env.IMPORT_SCHEDULER !== 'false') {
+    const { startImportScheduler } = await import('../import-scheduler.js');
+    startImportScheduler();
+  }
+}
@@ -50,5 +50,19 @@ export default {
       return null;
     }
     return admin.auth();
+  },
+
+  // Get the email (or UID) of the user an ID token belongs to, or the fallback if it cannot be verified
+  identifyUser: async (token, fallback = 'unknown') => {
+    if (!isInitialized || !token) {
+      return fallback;
+    }
+    try {
+      const decoded = await admin.auth().verifyIdToken(token);
+      return decoded.email || decoded.uid;
+    } catch (error) {
+      console.error('Could not verify ID token:', error.message);
+      return fallback;
+    }
   }
 };
\ No newline at end of file
@@ -0,0 +1,73 @@
+// Streams an importer run to the admin UI as Server-Sent Events
+import { processGatedRangeImport } from '../../btc-import.js';
+import { releaseImportLock } from '../../import-lock.js';
+
+const encoder = new TextEncoder();
+
+/**
+ * Formats a Server-Sent Events frame
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ * @returns {Uint8Array} Encoded frame
+ */
+const sseFrame = (event, data) => encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+/**
+ * Runs the configured import and streams progress to the client as Server-Sent Events.
+ * Closing the connection (or aborting the fetch) cancels the import before its next event.
+ * @param {Request} request - The HTTP request
+ * @param {string} startDate - First day to import
+ * @param {string} endDate - Last day to import
+ * @param {Object} lock - Import lock, released when the stream ends
+ * @param {Object} [extra] - Extra fields sent with the result (e.g. parser warnings)
+ * @returns {Response} - Streaming response
+ */
+export function streamImport(request, startDate, endDate, lock, extra = {}) {
+  const abortController = new AbortController();
+  request.signal?.addEventListener('abort', () => abortController.abort());
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event, data) => {
+        if (!abortController.signal.aborted) {
+          controller.enqueue(sseFrame(event, data));
+        }
+      };
+
+      try {
+        // Live imports run as a dry run first when their Go/No-Go gates require it
+        const { results, assessment, gate } = await processGatedRangeImport(startDate, endDate, {
+          signal: abortController.signal,
+          onProgress: (progress) => send('progress', progress)
+        });
+
+        send('result', { ...results, ...extra, assessment, gate });
+      } catch (error) {
+        console.error('Error in streamed import:', error);
+        send('error', { message: 'Error importing events', error: error.message });
+      } finally {
+        releaseImportLock(lock.lockId);
+        try {
+          controller.close();
+        } catch (closeError) {
+          // Stream was already closed by the client
+        }
+      }
+    },
+    cancel() {
+      abortController.abort();
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive'
+    }
+  });
+}
+
+export default {
+  streamImport
+};
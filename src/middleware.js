@@ -4,6 +4,8 @@ import { NextResponse } from 'next/server';
 const publicPaths = [
   '/login',
   '/api/auth/verify-password',
+  // Imported event images, linked from the public calendar
+  '/api/imports/images/',
   '/MCAdminIcon.png',
   '/MCAdminSquare.png',
   '/_next',
@@ -0,0 +1,160 @@
+// unmatched-queue.js
+// Review queue of source venues, organizers and categories that imports could not match, kept across runs
+
+import { readStore, updateStore, generateRecordId } from './import-store.js';
+import { createAlias } from './entity-aliases.js';
+
+const STORE_NAME = 'unmatched';
+
+// Review status of a queue entry
+export const UnmatchedStatus = {
+  OPEN: 'open',
+  MAPPED: 'mapped',
+  CREATED: 'created',
+  IGNORED: 'ignored'
+};
+
+/**
+ * Builds the key identifying a source entity in the queue
+ * @param {Object} entry - Queue entry or sighting
+ * @returns {string} Entry key
+ */
+function entryKey({ appId, sourceSystem, entityType, sourceName }) {
+  return [appId, sourceSystem, entityType, String(sourceName).trim().toLowerCase()].join('|');
+}
+
+/**
+ * Records unmatched entities seen during an import. Each entity is counted once per affected event,
+ * so re-importing the same days does not inflate the counts.
+ * @param {Array<Object>} sightings - Unmatched entities
+ * @param {string} sightings[].appId - Application ID
+ * @param {string} sightings[].sourceSystem - Source system (e.g. 'BTC')
+ * @param {string} sightings[].entityType - 'venue', 'organizer' or 'category'
+ * @param {string} sightings[].sourceName - Entity name in the source system
+ * @param {Object} [sightings[].sourceData] - Source entity data, used to pre-fill a new TT entity
+ * @param {string} [sightings[].reason] - Why the entity did not match (e.g. 'fallback', 'not_found')
+ * @param {Object} [sightings[].event] - Affected event ({ id, title, date })
+ */
+export function recordUnmatchedEntities(sightings) {
+  if (!sightings || sightings.length === 0) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+
+  updateStore(STORE_NAME, [], entries => {
+    const byKey = new Map(entries.map(entry => [entryKey(entry), entry]));
+
+    for (const sighting of sightings) {
+      const key = entryKey(sighting);
+      let entry = byKey.get(key);
+
+      if (!entry) {
+        entry = {
+          id: generateRecordId('unmatched'),
+          appId: String(sighting.appId),
+          sourceSystem: sighting.sourceSystem,
+          entityType: sighting.entityType,
+          sourceName: String(sighting.sourceName).trim(),
+          sourceData: null,
+          reason: null,
+          status: UnmatchedStatus.OPEN,
+          occurrences: 0,
+          events: [],
+          firstSeen: now,
+          lastSeen: now
+        };
+        byKey.set(key, entry);
+      }
+
+      entry.lastSeen = now;
+      entry.reason = sighting.reason || entry.reason;
+      entry.sourceData = sighting.sourceData || entry.sourceData;
+
+      if (sighting.event && !entry.events.some(event => String(event.id) === String(sighting.event.id))) {
+        entry.events.push(sighting.event);
+        entry.occurrences = entry.events.length;
+      }
+    }
+
+    return Array.from(byKey.values());
+  });
+}
+
+/**
+ * Lists queue entries, most frequent first
+ * @param {Object} filters - Optional filters (appId, sourceSystem, entityType, status)
+ * @returns {Array<Object>} Matching entries
+ */
+export function listUnmatched(filters = {}) {
+  return readStore(STORE_NAME, [])
+    .filter(entry =>
+      (!filters.appId || entry.appId === String(filters.appId)) &&
+      (!filters.sourceSystem || entry.sourceSystem === filters.sourceSystem) &&
+      (!filters.entityType || entry.entityType === filters.entityType) &&
+      (!filters.status || entry.status === filters.status)
+    )
+    .sort((a, b) => b.occurrences - a.occurrences || b.lastSeen.localeCompare(a.lastSeen));
+}
+
+/**
+ * Resolves a queue entry
+ * @param {string} id - Entry ID
+ * @param {Object} resolution - Resolution
+ * @param {string} resolution.action - 'map' (existing TT entity), 'create' (new TT entity), 'ignore' or 'reopen'
+ * @param {string} [resolution.ttId] - TT entity ID, required to map or create
+ * @param {string} [resolution.ttName] - TT entity name, for display
+ * @returns {Object|null} Updated entry or null if not found
+ */
+export function resolveUnmatched(id, { action, ttId, ttName }) {
+  const entry = readStore(STORE_NAME, []).find(existing => existing.id === id);
+
+  if (!entry) {
+    return null;
+  }
+
+  const update = { resolvedAt: new Date().toISOString() };
+
+  if (action === 'map' || action === 'create') {
+    // Future imports pick the TT entity up through the alias
+    const alias = createAlias({
+      appId: entry.appId,
+      sourceSystem: entry.sourceSystem,
+      entityType: entry.entityType,
+      sourceName: entry.sourceName,
+      ttId,
+      ttName
+    });
+
+    Object.assign(update, {
+      status: action === 'map' ? UnmatchedStatus.MAPPED : UnmatchedStatus.CREATED,
+      ttId: alias.ttId,
+      ttName: alias.ttName,
+      aliasId: alias.id
+    });
+  } else if (action === 'ignore') {
+    update.status = UnmatchedStatus.IGNORED;
+  } else if (action === 'reopen') {
+    Object.assign(update, { status: UnmatchedStatus.OPEN, resolvedAt: null });
+  } else {
+    throw new Error(`Invalid action: ${action}`);
+  }
+
+  let updated = null;
+  updateStore(STORE_NAME, [], entries => entries.map(existing => {
+    if (existing.id !== id) {
+      return existing;
+    }
+    updated = { ...existing, ...update };
+    return updated;
+  }));
+
+  return updated;
+}
+
+export default {
+  UnmatchedStatus,
+  recordUnmatchedEntities,
+  listUnmatched,
+  resolveUnmatched
+};